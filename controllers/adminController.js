@@ -24,12 +24,43 @@ const Blog = require("../models/blog");
 
 const Category = require("../models/category");
 
+const SiteVisit = require("../models/siteVisit");
+
 const { uploadToS3, uploadBufferToS3 } = require("../utils/s3");
 
 const { logInfo, logError } = require("../utils/logger");
 
 const { sendPasswordSMS } = require("../utils/twilio");
 
+const { syncReferralForLeadStatus } = require("../utils/referral");
+
+const { ASSIGNMENT_STRATEGIES } = require("../utils/leadAssignment");
+
+const { getLeadAccessFilter } = require("../utils/leadAccess");
+
+const { formatSlaBreach } = require("../utils/leadSla");
+
+const { recomputeLeadScore } = require("../utils/leadScoring");
+
+const {
+  getLostReasons,
+  getActiveLostReasonCodes,
+} = require("../utils/lostReason");
+
+const {
+  LEAD_PIPELINE,
+  STATUS_TRANSITIONS,
+  TRANSITION_REQUIREMENTS,
+  STATUS_OVERRIDE_ROLES,
+  LEGACY_STATUS_MAP,
+  LOST_STATUSES,
+  PIPELINE_STATUSES,
+  validateStatusChange,
+  getAllowedTransitions,
+  getStatusLabel,
+  normalizeLeadStatus,
+} = require("../utils/leadStatus");
+
 const { Parser } = require("json2csv");
 
 // AUTH SECTION
@@ -571,6 +602,9 @@ totalUnits,
     developerPrice,
     offerPrice,
     minGroupMembers,
+    discountTiers,
+    tokenAmount,
+    referralRewardAmount,
 
     reraId,
     possessionStatus,
@@ -584,6 +618,7 @@ totalUnits,
 
     relationshipManager,
     leadDistributionAgents,
+    leadAssignmentStrategy,
 
     isStatus,
   } = req.body;
@@ -611,6 +646,8 @@ totalUnits,
 
     leadDistributionAgents = safeJSON(leadDistributionAgents, []);
 
+    discountTiers = safeJSON(discountTiers, []);
+
     const layoutImagesMapping = safeJSON(req.body.layoutImagesMapping, {});
 
     let connectivityMap = new Map();
@@ -659,6 +696,11 @@ totalUnits,
 
     if (offerPrice) offerPrice = parsePriceToNumber(offerPrice);
 
+    if (tokenAmount) tokenAmount = parsePriceToNumber(tokenAmount);
+
+    if (referralRewardAmount)
+      referralRewardAmount = parsePriceToNumber(referralRewardAmount);
+
     let uploadedImages = [];
 
     let uploadedQrImage = null;
@@ -974,6 +1016,12 @@ for (const { file, key } of layoutFiles) {
 
       minGroupMembers,
 
+      discountTiers,
+
+      tokenAmount,
+
+      referralRewardAmount,
+
       reraId,
 
       reraQrImage: uploadedQrImage || req.body.reraQrImage,
@@ -996,6 +1044,8 @@ for (const { file, key } of layoutFiles) {
 
       leadDistributionAgents,
 
+      leadAssignmentStrategy: leadAssignmentStrategy || null,
+
       isStatus: isStatus ?? true,
     });
 
@@ -1203,6 +1253,8 @@ for (const { file, key } of layoutFiles) {
 
             _id: config._id || dbConfig?._id,
 
+            discountTiers: dbConfig?.discountTiers || [],
+
             subConfigurations: [],
           };
 
@@ -1235,6 +1287,8 @@ for (const { file, key } of layoutFiles) {
                       : dbSubConfig?.layoutPlanImages || [],
 
                   _id: subConfig._id || dbSubConfig?._id,
+
+                  discountTiers: dbSubConfig?.discountTiers || [],
                 };
               },
             );
@@ -1663,6 +1717,38 @@ exports.getPropertyById = async (req, res, next) => {
 
 // ===================== UPDATE PROPERTY =====================
 
+// Helper function to keep the stored discount tiers of configurations and carpet areas
+// that are sent without a discountTiers field (configurations are replaced as a whole)
+
+const keepStoredDiscountTiers = (configurations, storedConfigurations = []) => {
+  const findStored = (list, item, key) =>
+    (item?._id && list.find((stored) => String(stored._id) === String(item._id))) ||
+    list.find((stored) => String(stored[key]) === String(item?.[key]));
+
+  return configurations.map((config) => {
+    const storedConfig = findStored(storedConfigurations, config, "unitType");
+    if (!storedConfig) return config;
+
+    const merged = { ...config };
+
+    if (merged.discountTiers === undefined && storedConfig.discountTiers) {
+      merged.discountTiers = storedConfig.discountTiers;
+    }
+
+    if (Array.isArray(merged.subConfigurations)) {
+      merged.subConfigurations = merged.subConfigurations.map((subConfig) => {
+        const storedSubConfig = findStored(storedConfig.subConfigurations || [], subConfig, "carpetArea");
+
+        return subConfig.discountTiers === undefined && storedSubConfig?.discountTiers
+          ? { ...subConfig, discountTiers: storedSubConfig.discountTiers }
+          : subConfig;
+      });
+    }
+
+    return merged;
+  });
+};
+
 exports.updateProperty = async (req, res, next) => {
   console.log("FILES 👉", req.files);
   try {
@@ -1679,6 +1765,9 @@ exports.updateProperty = async (req, res, next) => {
       "developerPrice",
       "offerPrice",
       "minGroupMembers",
+      "discountTiers",
+      "tokenAmount",
+      "referralRewardAmount",
       "reraId",
       "possessionStatus",
       "description",
@@ -1688,6 +1777,7 @@ exports.updateProperty = async (req, res, next) => {
       "connectivity",
       "relationshipManager",
       "leadDistributionAgents",
+      "leadAssignmentStrategy",
       "isStatus",
     ];
 
@@ -1741,15 +1831,42 @@ exports.updateProperty = async (req, res, next) => {
     if (req.body.configurations)
       updates.configurations = safeJSON(req.body.configurations, []);
 
+    if (Array.isArray(updates.configurations)) {
+      const stored = await Property.findById(req.params.id)
+        .select("configurations")
+        .lean();
+
+      updates.configurations = keepStoredDiscountTiers(
+        updates.configurations,
+        stored?.configurations || [],
+      );
+    }
+
     if (req.body.highlights)
       updates.highlights = safeJSON(req.body.highlights, []);
     if (req.body.amenities)
       updates.amenities = safeJSON(req.body.amenities, []);
+    if (req.body.discountTiers)
+      updates.discountTiers = safeJSON(req.body.discountTiers, []);
     if (req.body.leadDistributionAgents)
       updates.leadDistributionAgents = safeJSON(
         req.body.leadDistributionAgents,
         [],
       );
+    if (updates.leadAssignmentStrategy !== undefined) {
+      updates.leadAssignmentStrategy = updates.leadAssignmentStrategy || null;
+
+      if (
+        updates.leadAssignmentStrategy &&
+        !ASSIGNMENT_STRATEGIES.includes(updates.leadAssignmentStrategy)
+      ) {
+        return res.status(400).json({
+          success: false,
+
+          message: `Invalid leadAssignmentStrategy. Must be one of: ${ASSIGNMENT_STRATEGIES.join(", ")}`,
+        });
+      }
+    }
 
     const parsePriceToNumber = (priceStr) => {
       if (!priceStr) return 0;
@@ -1774,6 +1891,12 @@ exports.updateProperty = async (req, res, next) => {
       updates.developerPrice = parsePriceToNumber(updates.developerPrice);
     if (updates.offerPrice)
       updates.offerPrice = parsePriceToNumber(updates.offerPrice);
+    if (updates.tokenAmount !== undefined)
+      updates.tokenAmount = parsePriceToNumber(updates.tokenAmount);
+    if (updates.referralRewardAmount !== undefined)
+      updates.referralRewardAmount = parsePriceToNumber(
+        updates.referralRewardAmount,
+      );
     if (updates.developerPrice || updates.offerPrice) {
       const current = await Property.findById(req.params.id)
         .select("developerPrice offerPrice")
@@ -2353,6 +2476,34 @@ exports.deleteDeveloper = async (req, res, next) => {
 
 // LEAD MANAGEMENT SECTION
 
+// Helper function to read a minScore / maxScore query pair into a Mongo range
+
+const parseScoreRange = (minScore, maxScore) => {
+  const min = minScore !== undefined && minScore !== "" ? Number(minScore) : null;
+
+  const max = maxScore !== undefined && maxScore !== "" ? Number(maxScore) : null;
+
+  const isValid = (value) => value === null || (value >= 0 && value <= 100);
+
+  if (!isValid(min) || !isValid(max)) {
+    return { error: "minScore and maxScore must be numbers between 0 and 100" };
+  }
+
+  if (min !== null && max !== null && min > max) {
+    return { error: "minScore cannot be greater than maxScore" };
+  }
+
+  if (min === null && max === null) return { range: null };
+
+  return {
+    range: {
+      ...(min !== null ? { $gte: min } : {}),
+
+      ...(max !== null ? { $lte: max } : {}),
+    },
+  };
+};
+
 // ===================== GET ALL LEADS =====================
 
 // @desc    Get all leads for logged-in user (filtered by their properties)
@@ -2367,10 +2518,36 @@ exports.getLeadsList = async (req, res) => {
 
     const role = req.user.roleName?.toLowerCase();
 
-    const { page = 1, limit = 10, search } = req.query;
+    const {
+      page = 1,
+      limit = 10,
+      search,
+      slaBreached,
+      minScore,
+      maxScore,
+      sortBy,
+    } = req.query;
 
     let filter = { isStatus: true };
 
+    // Only leads with an open SLA breach (or only those without one)
+
+    if (slaBreached === "true" || slaBreached === "false") {
+      filter.slaBreached = slaBreached === "true";
+    }
+
+    const scoreFilter = parseScoreRange(minScore, maxScore);
+
+    if (scoreFilter.error) {
+      return res
+        .status(400)
+        .json({ success: false, message: scoreFilter.error });
+    }
+
+    if (scoreFilter.range) {
+      filter.score = scoreFilter.range;
+    }
+
     // Add search by user name if search parameter is provided
 
     if (search && search.trim()) {
@@ -2406,51 +2583,27 @@ exports.getLeadsList = async (req, res) => {
       }
     }
 
-    if (role !== "admin" && role !== "super admin") {
-      const properties = await Property.find({
-        isStatus: true,
-
-        $or: [
-          { relationshipManager: userId },
+    const accessFilter = await getLeadAccessFilter(userId, role);
 
-          { leadDistributionAgents: userId },
-        ],
-      })
-        .select("_id")
-        .lean();
-
-      const propertyIds = properties.map((p) => p._id);
-
-      if (role === "project manager") {
-        filter.$or = [
-          { propertyId: { $in: propertyIds } },
-
-          { relationshipManagerId: userId },
-        ];
-      }
-
-      if (role === "agent") {
-        if (!propertyIds.length) {
-          return res.json({
-            success: true,
-
-            message: "Lead list fetched successfully",
+    if (!accessFilter) {
+      return res.json({
+        success: true,
 
-            data: [],
+        message: "Lead list fetched successfully",
 
-            pagination: {
-              total: 0,
-              page: Number(page),
-              limit: Number(limit),
-              totalPages: 0,
-            },
-          });
-        }
+        data: [],
 
-        filter.propertyId = { $in: propertyIds };
-      }
+        pagination: {
+          total: 0,
+          page: Number(page),
+          limit: Number(limit),
+          totalPages: 0,
+        },
+      });
     }
 
+    Object.assign(filter, accessFilter);
+
     const skip = (page - 1) * limit;
 
     const total = await leadModal.countDocuments(filter);
@@ -2469,7 +2622,7 @@ exports.getLeadsList = async (req, res) => {
 
       .populate("relationshipManagerId", "name email phone")
 
-      .sort({ createdAt: -1 })
+      .sort(sortBy === "score" ? { score: -1, createdAt: -1 } : { createdAt: -1 })
 
       .skip(skip)
 
@@ -2535,6 +2688,20 @@ exports.getLeadsList = async (req, res) => {
 
         source: item.source,
 
+        slaBreached: !!item.slaBreached,
+
+        slaBreaches: (item.slaBreaches || [])
+          .filter((breach) => !breach.resolvedAt)
+          .map(formatSlaBreach),
+
+        score: item.score ?? null,
+
+        scoreBreakdown: item.scoreBreakdown || null,
+
+        visitStatus: item.visitStatus || "not_visited",
+
+        noShowCount: item.noShowCount || 0,
+
         createdAt: item.createdAt,
 
         updatedAt: item.updatedAt,
@@ -2604,6 +2771,12 @@ exports.viewLeadDetails = async (req, res) => {
         select: "name email phone",
       })
 
+      .populate({
+        path: "siteVisit",
+
+        select: "status scheduledAt visitTime rescheduleCount cancelReason",
+      })
+
       .lean();
 
     if (!lead) {
@@ -2924,6 +3097,34 @@ exports.viewLeadDetails = async (req, res) => {
 
       visitStatus: lead.visitStatus || "not_visited",
 
+      visitScheduledAt: lead.visitScheduledAt || null,
+
+      siteVisit: lead.siteVisit
+        ? {
+            _id: lead.siteVisit._id,
+
+            status: lead.siteVisit.status,
+
+            scheduledAt: lead.siteVisit.scheduledAt,
+
+            visitTime: lead.siteVisit.visitTime || "",
+
+            rescheduleCount: lead.siteVisit.rescheduleCount || 0,
+
+            cancelReason: lead.siteVisit.cancelReason || "",
+          }
+        : null,
+
+      noShowCount: lead.noShowCount || 0,
+
+      lastNoShowAt: lead.lastNoShowAt || null,
+
+      score: lead.score ?? null,
+
+      scoreBreakdown: lead.scoreBreakdown || null,
+
+      scoreUpdatedAt: lead.scoreUpdatedAt || null,
+
       user: userDetails,
 
       property: propertyDetails,
@@ -3585,7 +3786,7 @@ exports.addLeadActivity = async (req, res) => {
     const lead = await leadModal
       .findById(leadId)
       .populate("userId", "name")
-      .select("_id userId propertyId")
+      .select("_id userId propertyId visitStatus")
       .lean();
 
     if (!lead) {
@@ -3647,7 +3848,8 @@ exports.addLeadActivity = async (req, res) => {
       );
     }
 
-    if (activityType === "visit") {
+    // Leads with a tracked SiteVisit change visitStatus through the visit lifecycle instead
+    if (activityType === "visit" && !SiteVisit.STATUSES.includes(lead.visitStatus)) {
       await leadModal.updateOne(
         { _id: leadId },
 
@@ -3655,6 +3857,8 @@ exports.addLeadActivity = async (req, res) => {
       );
     }
 
+    await recomputeLeadScore(leadId);
+
     const leadUser = lead?.userId || {};
 
     let notificationTitle = "";
@@ -3758,6 +3962,159 @@ exports.addLeadActivity = async (req, res) => {
 
 // ===================== UPDATE LEAD STATUS =====================
 
+// Helper function to move a lead to a new status - shared by the status endpoint and the pipeline board.
+// Returns { error, statusCode, allowedStatuses } or { lead, oldStatus, score }.
+
+const applyLeadStatusChange = async ({ leadId, status, remark, override, input, user }) => {
+  const performedBy = user.userId;
+
+  // The token only carries the user ID, the name comes from the user record
+
+  const performer = await User.findById(performedBy).select("name").lean();
+
+  const performedByName = performer?.name || "Admin";
+
+  const lead = await leadModal.findById(leadId).select("status").lean();
+
+  if (!lead) {
+    return { error: "Lead not found", statusCode: 404 };
+  }
+
+  const oldStatus = lead.status;
+
+  const change = validateStatusChange({
+    from: oldStatus,
+
+    to: status,
+
+    role: user.roleName,
+
+    override: override === true || override === "true",
+
+    input,
+
+    // Closing a lead as lost needs a reason from the managed taxonomy
+
+    lostReasons: LOST_STATUSES.includes(status)
+      ? await getActiveLostReasonCodes()
+      : null,
+  });
+
+  if (change.error) {
+    return {
+      error: change.error,
+
+      statusCode: 400,
+
+      allowedStatuses: change.allowedStatuses,
+    };
+  }
+
+  // The status check is part of the update so two concurrent moves cannot both apply
+
+  const updatedLead = await leadModal
+    .findOneAndUpdate(
+      { _id: leadId, status: oldStatus },
+
+      {
+        ...change.updates,
+
+        ...(remark ? { message: remark } : {}),
+      },
+
+      { new: true },
+    )
+    .select("status message scheduleDate lostReason lostReasonNote pipelineRank")
+    .lean();
+
+  if (!updatedLead) {
+    return {
+      error: "Lead status was changed by someone else, please refresh",
+
+      statusCode: 409,
+    };
+  }
+
+  await LeadActivity.create({
+    leadId,
+
+    activityType: "status_update",
+
+    performedBy,
+
+    performedByName,
+
+    description: `Status updated from ${oldStatus} to ${status}${change.overridden ? " (override)" : ""}${remark ? `. Remark: ${remark}` : ""}`,
+
+    oldStatus,
+
+    newStatus: status,
+
+    ...(change.metadata.followUpDate
+      ? { nextFollowUpDate: change.metadata.followUpDate }
+      : {}),
+
+    ...(change.metadata.visitDate
+      ? { visitDate: change.metadata.visitDate }
+      : {}),
+
+    metadata: { remark: remark || null, ...change.metadata },
+  });
+
+  // Referral rewards are earned when the referred buyer's deal closes
+
+  await syncReferralForLeadStatus(leadId, status);
+
+  const scoring = await recomputeLeadScore(leadId);
+
+  const leadForNotification = await leadModal
+    .findById(leadId)
+    .populate("userId", "name")
+    .lean();
+
+  const leadUser = leadForNotification?.userId || {};
+
+  await createNotification(
+    leadId,
+
+    "status_update",
+
+    performedByName,
+
+    performedBy,
+
+    "Status Update",
+
+    `Status updated from ${oldStatus} to ${status} for ${leadUser.name || "Lead"}`,
+
+    {
+      oldStatus,
+
+      newStatus: status,
+
+      activityDescription: remark || "",
+    },
+  );
+
+  logInfo("Lead status updated", {
+    leadId,
+
+    oldStatus,
+
+    newStatus: status,
+
+    performedBy,
+  });
+
+  return {
+    lead: updatedLead,
+
+    oldStatus,
+
+    score: scoring ? scoring.score : null,
+  };
+};
+
 // @desc    Update lead status and add timeline activity
 
 // @route   PUT /api/admin/lead/:leadId/status
@@ -3768,53 +4125,414 @@ exports.updateLeadStatus = async (req, res) => {
   try {
     const { leadId } = req.params;
 
-    const { status, remark } = req.body;
+    const { status, remark, override } = req.body;
 
-    const performedBy = req.user.userId;
+    if (!mongoose.Types.ObjectId.isValid(leadId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid lead ID" });
+    }
 
-    const performedByName = req.user.name || "Admin";
+    const result = await applyLeadStatusChange({
+      leadId,
 
-    const validStatuses = [
-      "lead_received",
+      status,
 
-      "interested",
+      remark,
 
-      "no_response_dnp",
+      override,
 
-      "unable_to_contact",
+      input: req.body,
 
-      "call_back_scheduled",
+      user: req.user,
+    });
+
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        success: false,
+
+        message: result.error,
+
+        ...(result.allowedStatuses
+          ? { data: { allowedStatuses: result.allowedStatuses } }
+          : {}),
+      });
+    }
+
+    res.json({
+      success: true,
+
+      message: "Lead status updated successfully",
+
+      data: {
+        ...result.lead,
+
+        score: result.score,
 
-      "demo_discussion_ongoing",
+        allowedStatuses: getAllowedTransitions(result.lead.status),
+      },
+    });
+  } catch (error) {
+    logError("Error updating lead status", error, {
+      leadId: req.params.leadId,
 
-      "site_visit_coordination",
+      performedBy: req.user?.userId,
+    });
 
-      "site_visit_confirmed",
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
 
-      "commercial_negotiation",
+// ===================== LEAD STATUS PIPELINE =====================
 
-      "deal_closed",
+// @desc    Lead status pipeline with allowed transitions and required fields
 
-      "declined_interest",
+// @route   GET /api/admin/lead-statuses
 
-      "does_not_meet_requirements",
+// @access  Private (admin/agent/rm)
 
-      "pending",
+exports.getLeadStatusPipeline = async (req, res) => {
+  try {
+    const lostReasons = await getLostReasons({ activeOnly: true });
 
-      "approved",
+    res.json({
+      success: true,
 
-      "rejected",
-    ];
+      message: "Lead status pipeline fetched successfully",
 
-    if (!validStatuses.includes(status)) {
+      data: {
+        stages: LEAD_PIPELINE.map((stage) => ({
+          ...stage,
+
+          allowedNext: STATUS_TRANSITIONS[stage.status] || [],
+
+          requiredFields: TRANSITION_REQUIREMENTS[stage.status] || [],
+        })),
+
+        canOverride: STATUS_OVERRIDE_ROLES.includes(
+          req.user.roleName?.toLowerCase(),
+        ),
+
+        lostReasons: lostReasons.map((reason) => ({
+          code: reason.code,
+
+          label: reason.label,
+
+          description: reason.description || "",
+        })),
+      },
+    });
+  } catch (error) {
+    logError("Error fetching lead status pipeline", error);
+
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// ===================== PIPELINE BOARD =====================
+
+// Gap left between cards dragged to the top or bottom of a column
+
+const PIPELINE_RANK_GAP = 1000;
+
+// Position of a lead inside its board column - leads nobody has dragged yet sort newest first
+
+const getBoardRank = (lead) =>
+  lead.pipelineRank ?? -new Date(lead.createdAt).getTime();
+
+// A column also holds unmigrated leads whose legacy status maps onto it
+
+const getColumnStatuses = (status) => [
+  status,
+
+  ...Object.keys(LEGACY_STATUS_MAP).filter(
+    (legacy) => LEGACY_STATUS_MAP[legacy] === status,
+  ),
+];
+
+const fetchPipelineColumn = async (filter, status, skip, limit) => {
+  const leads = await leadModal.aggregate([
+    { $match: { ...filter, status: { $in: getColumnStatuses(status) } } },
+
+    {
+      $addFields: {
+        boardRank: {
+          $ifNull: [
+            "$pipelineRank",
+
+            { $multiply: [{ $toLong: "$createdAt" }, -1] },
+          ],
+        },
+      },
+    },
+
+    { $sort: { boardRank: 1, _id: 1 } },
+
+    { $skip: skip },
+
+    { $limit: limit },
+
+    {
+      $project: {
+        userId: 1,
+
+        propertyId: 1,
+
+        assignedTo: 1,
+
+        status: 1,
+
+        source: 1,
+
+        score: 1,
+
+        slaBreached: 1,
+
+        scheduleDate: 1,
+
+        visitStatus: 1,
+
+        noShowCount: 1,
+
+        boardRank: 1,
+
+        createdAt: 1,
+      },
+    },
+  ]);
+
+  await leadModal.populate(leads, [
+    { path: "userId", select: "name phoneNumber countryCode profileImage" },
+
+    { path: "propertyId", select: "projectName projectId" },
+
+    { path: "assignedTo", select: "name" },
+  ]);
+
+  return leads.map((lead) => ({
+    _id: lead._id,
+
+    userName: lead.userId?.name || "N/A",
+
+    phoneNumber: lead.userId?.phoneNumber
+      ? `${lead.userId.countryCode || "+91"} ${lead.userId.phoneNumber}`
+      : "N/A",
+
+    profileImage: lead.userId?.profileImage || null,
+
+    projectName: lead.propertyId?.projectName || "General enquiry",
+
+    projectId: lead.propertyId?.projectId || null,
+
+    assignedTo: lead.assignedTo
+      ? { id: lead.assignedTo._id, name: lead.assignedTo.name }
+      : null,
+
+    status: normalizeLeadStatus(lead.status),
+
+    source: lead.source,
+
+    score: lead.score ?? null,
+
+    slaBreached: !!lead.slaBreached,
+
+    scheduleDate: lead.scheduleDate || null,
+
+    visitStatus: lead.visitStatus || "not_visited",
+
+    noShowCount: lead.noShowCount || 0,
+
+    rank: lead.boardRank,
+
+    createdAt: lead.createdAt,
+  }));
+};
+
+// @desc    Leads grouped by status column for the CRM board, with per-column counts and pagination.
+//          Pass status (and page) to load more cards of a single column.
+
+// @route   GET /api/admin/leads/pipeline
+
+// @access  Private (Admin/Agent)
+
+exports.getLeadPipelineBoard = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const role = req.user.roleName?.toLowerCase();
+
+    const { status, propertyId, page = 1, limit = 20 } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
+
+    if (status && !PIPELINE_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
 
-        message: `Invalid status. Must be one of: ${validStatuses.join(", ")}`,
+        message: `Invalid status. Must be one of: ${PIPELINE_STATUSES.join(", ")}`,
       });
     }
 
-    const lead = await leadModal.findById(leadId).select("status").lean();
+    if (propertyId && !mongoose.Types.ObjectId.isValid(propertyId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid property ID" });
+    }
+
+    const statuses = status ? [status] : PIPELINE_STATUSES;
+
+    const accessFilter = await getLeadAccessFilter(userId, role);
+
+    const emptyColumns = () =>
+      statuses.map((columnStatus) => ({
+        status: columnStatus,
+
+        label: getStatusLabel(columnStatus),
+
+        count: 0,
+
+        leads: [],
+
+        pagination: { page: pageNum, limit: limitNum, totalPages: 0, hasMore: false },
+      }));
+
+    if (!accessFilter) {
+      return res.json({
+        success: true,
+
+        message: "Lead pipeline fetched successfully",
+
+        data: { columns: emptyColumns(), total: 0 },
+      });
+    }
+
+    // Aggregations do not cast, so ids are converted here
+
+    const filter = {
+      isStatus: true,
+
+      ...accessFilter,
+
+      ...(propertyId
+        ? { propertyId: new mongoose.Types.ObjectId(propertyId) }
+        : {}),
+    };
+
+    if (propertyId && accessFilter.propertyId) {
+      // Agents can only narrow the board to one of their own properties
+
+      const allowed = accessFilter.propertyId.$in.some(
+        (id) => id.toString() === propertyId,
+      );
+
+      if (!allowed) {
+        return res.json({
+          success: true,
+
+          message: "Lead pipeline fetched successfully",
+
+          data: { columns: emptyColumns(), total: 0 },
+        });
+      }
+    }
+
+    const statusCounts = await leadModal.aggregate([
+      { $match: filter },
+
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+
+    const countByColumn = {};
+
+    statusCounts.forEach((row) => {
+      const column = normalizeLeadStatus(row._id);
+
+      countByColumn[column] = (countByColumn[column] || 0) + row.count;
+    });
+
+    const skip = (pageNum - 1) * limitNum;
+
+    const columns = [];
+
+    for (const columnStatus of statuses) {
+      const count = countByColumn[columnStatus] || 0;
+
+      const totalPages = Math.ceil(count / limitNum);
+
+      columns.push({
+        status: columnStatus,
+
+        label: getStatusLabel(columnStatus),
+
+        count,
+
+        leads: count > skip
+          ? await fetchPipelineColumn(filter, columnStatus, skip, limitNum)
+          : [],
+
+        pagination: {
+          page: pageNum,
+
+          limit: limitNum,
+
+          totalPages,
+
+          hasMore: pageNum < totalPages,
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+
+      message: "Lead pipeline fetched successfully",
+
+      data: {
+        columns,
+
+        total: Object.values(countByColumn).reduce((sum, count) => sum + count, 0),
+      },
+    });
+  } catch (error) {
+    logError("Error fetching lead pipeline", error, { userId: req.user?.userId });
+
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Drag a lead on the board: optionally into another column (through the status rules)
+//          and between two cards (aboveLeadId / belowLeadId, either may be left out at the ends)
+
+// @route   PUT /api/admin/lead/:leadId/move
+
+// @access  Private (Admin/Agent)
+
+exports.moveLeadOnPipeline = async (req, res) => {
+  try {
+    const { leadId } = req.params;
+
+    const { status, aboveLeadId, belowLeadId, remark, override } = req.body;
+
+    const role = req.user.roleName?.toLowerCase();
+
+    for (const id of [leadId, aboveLeadId, belowLeadId]) {
+      if (id && !mongoose.Types.ObjectId.isValid(id)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid lead ID" });
+      }
+    }
+
+    const accessFilter = await getLeadAccessFilter(req.user.userId, role);
+
+    const lead = accessFilter
+      ? await leadModal
+          .findOne({ _id: leadId, isStatus: true, ...accessFilter })
+          .select("status pipelineRank createdAt")
+          .lean()
+      : null;
 
     if (!lead) {
       return res
@@ -3822,89 +4540,123 @@ exports.updateLeadStatus = async (req, res) => {
         .json({ success: false, message: "Lead not found" });
     }
 
-    const oldStatus = lead.status;
+    const currentStatus = normalizeLeadStatus(lead.status);
 
-    const updatedLead = await leadModal
-      .findByIdAndUpdate(
-        leadId,
+    const targetStatus = status || currentStatus;
 
-        {
-          status,
+    // Neighbours must already sit in the column the lead is dropped into
 
-          ...(remark ? { message: remark } : {}),
-        },
+    const neighbours = {};
 
-        { new: true },
-      )
-      .select("status message")
-      .lean();
+    for (const [key, id] of [
+      ["above", aboveLeadId],
 
-    await LeadActivity.create({
-      leadId,
+      ["below", belowLeadId],
+    ]) {
+      if (!id) continue;
 
-      activityType: "status_update",
+      const neighbour = await leadModal
+        .findOne({ _id: id, isStatus: true, ...accessFilter })
+        .select("status pipelineRank createdAt")
+        .lean();
 
-      performedBy,
+      if (
+        !neighbour ||
+        neighbour._id.toString() === leadId ||
+        normalizeLeadStatus(neighbour.status) !== targetStatus
+      ) {
+        return res.status(400).json({
+          success: false,
 
-      performedByName,
+          message: `${key}LeadId must be another lead in the ${targetStatus} column`,
+        });
+      }
 
-      description: `Status updated from ${oldStatus} to ${status}${remark ? `. Remark: ${remark}` : ""}`,
+      neighbours[key] = neighbour;
+    }
 
-      oldStatus,
+    let statusResult = null;
 
-      newStatus: status,
+    if (targetStatus !== currentStatus) {
+      statusResult = await applyLeadStatusChange({
+        leadId,
 
-      metadata: { remark: remark || null },
-    });
+        status: targetStatus,
 
-    const leadForNotification = await leadModal
-      .findById(leadId)
-      .populate("userId", "name")
-      .lean();
+        remark,
 
-    const leadUser = leadForNotification?.userId || {};
+        override,
 
-    await createNotification(
-      leadId,
+        input: req.body,
 
-      "status_update",
+        user: req.user,
+      });
 
-      performedByName,
+      if (statusResult.error) {
+        return res.status(statusResult.statusCode).json({
+          success: false,
 
-      performedBy,
+          message: statusResult.error,
 
-      "Status Update",
+          ...(statusResult.allowedStatuses
+            ? { data: { allowedStatuses: statusResult.allowedStatuses } }
+            : {}),
+        });
+      }
+    }
 
-      `Status updated from ${oldStatus} to ${status} for ${leadUser.name || "Lead"}`,
+    let pipelineRank = lead.pipelineRank ?? null;
 
-      {
-        oldStatus,
+    if (neighbours.above && neighbours.below) {
+      pipelineRank =
+        (getBoardRank(neighbours.above) + getBoardRank(neighbours.below)) / 2;
+    } else if (neighbours.above) {
+      pipelineRank = getBoardRank(neighbours.above) + PIPELINE_RANK_GAP;
+    } else if (neighbours.below) {
+      pipelineRank = getBoardRank(neighbours.below) - PIPELINE_RANK_GAP;
+    } else if (statusResult) {
+      // Dropped into a column without a position - show it on top like a fresh lead
 
-        newStatus: status,
+      pipelineRank = -Date.now();
+    }
 
-        activityDescription: remark || "",
-      },
-    );
+    if (pipelineRank !== (lead.pipelineRank ?? null)) {
+      await leadModal.updateOne({ _id: leadId }, { pipelineRank });
+    }
 
-    logInfo("Lead status updated", {
+    logInfo("Lead moved on pipeline", {
       leadId,
 
-      oldStatus,
+      from: currentStatus,
 
-      newStatus: status,
+      to: targetStatus,
 
-      performedBy,
+      pipelineRank,
+
+      movedBy: req.user.userId,
     });
 
     res.json({
       success: true,
 
-      message: "Lead status updated successfully",
+      message: statusResult
+        ? "Lead moved and status updated successfully"
+        : "Lead moved successfully",
 
-      data: updatedLead,
+      data: {
+        leadId,
+
+        status: targetStatus,
+
+        statusChanged: !!statusResult,
+
+        rank: getBoardRank({ pipelineRank, createdAt: lead.createdAt }),
+
+        allowedStatuses: getAllowedTransitions(targetStatus),
+      },
     });
   } catch (error) {
-    logError("Error updating lead status", error, {
+    logError("Error moving lead on pipeline", error, {
       leadId: req.params.leadId,
 
       performedBy: req.user?.userId,
@@ -4918,7 +5670,8 @@ exports.getAdminDashboard = async (req, res, next) => {
 
           isStatus: true,
 
-          visitStatus: { $in: ["visited", "follow_up"] },
+          // A booked site visit in any state means the buyer was reached
+          visitStatus: { $in: ["visited", "follow_up", ...SiteVisit.STATUSES] },
         });
 
         const leadContactedPercentage =
@@ -5209,13 +5962,25 @@ exports.getCRMDashboard = async (req, res, next) => {
     const {
       dateRange = "past_24_hours", // past_24_hours, past_7_days, past_30_days
 
-      sortBy = "newest_first", // newest_first, oldest_first, name_asc, name_desc
+      sortBy = "newest_first", // newest_first, oldest_first, name_asc, name_desc, score_high_first, score_low_first
 
       page = 1,
 
       limit = 10,
+
+      minScore,
+
+      maxScore,
     } = req.query;
 
+    const scoreFilter = parseScoreRange(minScore, maxScore);
+
+    if (scoreFilter.error) {
+      return res
+        .status(400)
+        .json({ success: false, message: scoreFilter.error });
+    }
+
     // Check if user is Admin or Super Admin - they should see ALL leads
 
     const isAdminOrSuperAdmin = role === "admin" || role === "super admin";
@@ -5628,11 +6393,17 @@ exports.getCRMDashboard = async (req, res, next) => {
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const totalLeadsCount = await leadModal.countDocuments({
+    // The score range narrows the lead list only, the KPIs still cover every lead
+
+    const listFilter = {
       ...leadFilter,
 
       ...dateFilter,
-    });
+
+      ...(scoreFilter.range ? { score: scoreFilter.range } : {}),
+    };
+
+    const totalLeadsCount = await leadModal.countDocuments(listFilter);
 
     let leads = [];
 
@@ -5640,7 +6411,7 @@ exports.getCRMDashboard = async (req, res, next) => {
       const sortOrder = sortBy === "name_asc" ? 1 : -1;
 
       const leadsAggregation = await leadModal.aggregate([
-        { $match: { ...leadFilter, ...dateFilter } },
+        { $match: listFilter },
 
         {
           $lookup: {
@@ -5716,8 +6487,12 @@ exports.getCRMDashboard = async (req, res, next) => {
 
             visitStatus: item.visitStatus,
 
+            noShowCount: item.noShowCount || 0,
+
             status: item.status,
 
+            score: item.score,
+
             updatedAt: item.updatedAt,
           };
         }),
@@ -5731,16 +6506,16 @@ exports.getCRMDashboard = async (req, res, next) => {
         sortCriteria = { createdAt: -1 };
       } else if (sortBy === "oldest_first") {
         sortCriteria = { createdAt: 1 };
+      } else if (sortBy === "score_high_first") {
+        sortCriteria = { score: -1, createdAt: -1 };
+      } else if (sortBy === "score_low_first") {
+        sortCriteria = { score: 1, createdAt: -1 };
       } else {
         sortCriteria = { createdAt: -1 };
       }
 
       leads = await leadModal
-        .find({
-          ...leadFilter,
-
-          ...dateFilter,
-        })
+        .find(listFilter)
 
         .populate({
           path: "userId",
@@ -6185,8 +6960,12 @@ exports.getCRMDashboard = async (req, res, next) => {
 
           visitStatus: lead.visitStatus || "not_visited",
 
+          noShowCount: lead.noShowCount || 0,
+
           status: lead.status || "pending",
 
+          score: lead.score ?? null,
+
           createdAt: lead.createdAt,
 
           updatedAt: lead.updatedAt,
@@ -6771,6 +7550,8 @@ exports.callNow = async (req, res, next) => {
       },
     });
 
+    await recomputeLeadScore(leadId);
+
     await createNotification(
       leadId,
 
@@ -6872,6 +7653,8 @@ exports.sendWhatsApp = async (req, res, next) => {
       },
     });
 
+    await recomputeLeadScore(leadId);
+
     await createNotification(
       leadId,
 
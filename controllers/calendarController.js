@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const leadModal = require('../models/leadModal');
+const User = require('../models/user');
+const { logInfo, logError } = require('../utils/logger');
+const {
+    buildCalendar,
+    buildFollowUpEvent,
+    createCalendarFeedToken,
+    resolveCalendarFeedToken,
+    buildAgentFeed
+} = require('../utils/calendar');
+
+// Helper function to build the subscribe links of a feed token
+const formatFeedUrls = (req, token) => {
+    const feedUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/calendar/feed/${token}.ics`;
+    return {
+        feedUrl,
+        // Opens the subscribe dialog of Apple / Outlook calendars
+        webcalUrl: feedUrl.replace(/^https?:/, 'webcal:')
+    };
+};
+
+// ===================== ADMIN: CALENDAR =====================
+
+// @desc    Calendar invite (.ics) of a lead's scheduled follow-up
+// @route   GET /api/admin/lead/:leadId/follow-up/calendar.ics
+// @access  Private (Admin)
+exports.getFollowUpCalendarInvite = async (req, res) => {
+    try {
+        const { leadId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(leadId)) {
+            return res.status(400).json({ success: false, message: 'Invalid lead ID' });
+        }
+
+        const lead = await leadModal.findById(leadId)
+            .populate('propertyId', 'projectName')
+            .populate('userId', 'name phoneNumber email')
+            .select('propertyId userId status scheduleDate updatedAt')
+            .lean();
+        if (!lead) {
+            return res.status(404).json({ success: false, message: 'Lead not found' });
+        }
+        if (!lead.scheduleDate) {
+            return res.status(404).json({ success: false, message: 'No follow-up is scheduled for this lead' });
+        }
+
+        res.header('Content-Type', 'text/calendar; charset=utf-8');
+        res.attachment(`follow-up-${leadId}.ics`);
+        res.send(buildCalendar({ events: [buildFollowUpEvent(lead)] }));
+    } catch (error) {
+        logError('Error generating follow-up calendar invite', error, { leadId: req.params.leadId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Private feed URL of the logged in agent's site visits and follow-ups
+// @route   GET /api/admin/calendar/feed-url
+// @access  Private (Admin)
+exports.getCalendarFeedUrl = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('calendarFeedVersion').lean();
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Calendar feed URL fetched successfully',
+            data: formatFeedUrls(req, createCalendarFeedToken(user))
+        });
+    } catch (error) {
+        logError('Error fetching calendar feed URL', error, { userId: req.user?.userId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Revoke the current feed URL (e.g. after it leaked) and issue a new one
+// @route   POST /api/admin/calendar/feed-url/reset
+// @access  Private (Admin)
+exports.resetCalendarFeedUrl = async (req, res) => {
+    try {
+        const user = await User.findByIdAndUpdate(
+            req.user.userId,
+            { $inc: { calendarFeedVersion: 1 } },
+            { new: true }
+        ).select('calendarFeedVersion').lean();
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        logInfo('Calendar feed URL reset', { userId: req.user.userId });
+
+        res.json({
+            success: true,
+            message: 'Calendar feed URL reset successfully. Subscribe again with the new URL',
+            data: formatFeedUrls(req, createCalendarFeedToken(user))
+        });
+    } catch (error) {
+        logError('Error resetting calendar feed URL', error, { userId: req.user?.userId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Subscribed calendar feed - calendar apps cannot send a login, the signed token in the URL is the access
+// @route   GET /api/admin/calendar/feed/:token.ics
+// @access  Public (signed token)
+exports.getCalendarFeed = async (req, res) => {
+    try {
+        const agent = await resolveCalendarFeedToken(req.params.token);
+        if (!agent) {
+            return res.status(404).json({ success: false, message: 'Calendar feed not found' });
+        }
+
+        const ics = await buildAgentFeed(agent);
+
+        res.header('Content-Type', 'text/calendar; charset=utf-8');
+        res.header('Cache-Control', 'private, no-cache');
+        res.send(ics);
+    } catch (error) {
+        logError('Error generating calendar feed', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const DuplicateCandidate = require('../models/duplicateCandidate');
+const User = require('../models/user');
+const { logInfo, logError } = require('../utils/logger');
+const { scanForDuplicates, mergeCandidate } = require('../utils/leadDuplicates');
+
+// Helper function to format one side of a duplicate pair for the review queue
+const formatUserRecord = (user) => user ? {
+    id: user._id,
+    name: user.name || 'N/A',
+    email: user.email || 'N/A',
+    phoneNumber: user.phoneNumber
+        ? `${user.countryCode || '+91'} ${user.phoneNumber}`
+        : 'N/A',
+    isActive: user.isActive !== false,
+    createdAt: user.createdAt
+} : null;
+
+const formatLeadRecord = (lead) => lead ? {
+    id: lead._id,
+    status: lead.status,
+    source: lead.source || 'origin',
+    projectName: lead.propertyId?.projectName || 'General enquiry',
+    score: lead.score ?? null,
+    isOpen: !!lead.isStatus,
+    createdAt: lead.createdAt
+} : null;
+
+// ===================== ADMIN: DUPLICATE REVIEW QUEUE =====================
+
+// @desc    Duplicate buyers / leads waiting for review (filter by status / type)
+// @route   GET /api/admin/duplicates
+// @access  Private (Admin)
+exports.getDuplicates = async (req, res) => {
+    try {
+        const { status = 'pending', type, page = 1, limit = 20 } = req.query;
+        const pageNum = Math.max(parseInt(page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        if (!DuplicateCandidate.STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid status. Must be one of: ${DuplicateCandidate.STATUSES.join(', ')}`
+            });
+        }
+        if (type && !DuplicateCandidate.TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid type. Must be one of: ${DuplicateCandidate.TYPES.join(', ')}`
+            });
+        }
+
+        const filter = { status };
+        if (type) filter.type = type;
+
+        const [candidates, total] = await Promise.all([
+            DuplicateCandidate.find(filter)
+                .populate('userIds', 'name email phoneNumber countryCode isActive createdAt')
+                .populate({
+                    path: 'leadIds',
+                    select: 'status source score isStatus createdAt propertyId',
+                    populate: { path: 'propertyId', select: 'projectName' }
+                })
+                .populate('reviewedBy', 'name')
+                .sort({ confidence: -1, createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .lean(),
+            DuplicateCandidate.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            message: 'Duplicates fetched successfully',
+            data: candidates.map(candidate => ({
+                _id: candidate._id,
+                type: candidate.type,
+                status: candidate.status,
+                reasons: candidate.reasons,
+                confidence: candidate.confidence,
+                nameSimilarity: candidate.nameSimilarity,
+                // For lead pairs both leads belong to the first user
+                users: candidate.userIds.map(formatUserRecord),
+                leads: candidate.leadIds.map(formatLeadRecord),
+                survivorId: candidate.survivorId,
+                mergeSummary: candidate.mergeSummary,
+                reviewedBy: candidate.reviewedBy?.name || null,
+                reviewedAt: candidate.reviewedAt || null,
+                note: candidate.note || '',
+                lastDetectedAt: candidate.lastDetectedAt
+            })),
+            pagination: {
+                total,
+                page: pageNum,
+                limit: limitNum,
+                totalPages: Math.ceil(total / limitNum)
+            }
+        });
+    } catch (error) {
+        logError('Error fetching duplicates', error, { query: req.query });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Run the duplicate detector now instead of waiting for the scheduler
+// @route   POST /api/admin/duplicates/scan
+// @access  Private (Admin)
+exports.runDuplicateScan = async (req, res) => {
+    try {
+        const result = await scanForDuplicates();
+
+        logInfo('Duplicate scan run manually', { ...result, runBy: req.user.userId });
+        res.json({
+            success: true,
+            message: `${result.queued} new duplicate(s) queued for review`,
+            data: result
+        });
+    } catch (error) {
+        logError('Error running duplicate scan', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Merge a duplicate pair into the surviving record (defaults to the older one)
+// @route   POST /api/admin/duplicate/:candidateId/merge
+// @access  Private (Admin)
+exports.mergeDuplicate = async (req, res) => {
+    try {
+        const { candidateId } = req.params;
+        const { survivorId } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(candidateId)) {
+            return res.status(400).json({ success: false, message: 'Invalid duplicate ID' });
+        }
+        if (survivorId && !mongoose.Types.ObjectId.isValid(survivorId)) {
+            return res.status(400).json({ success: false, message: 'Invalid survivor ID' });
+        }
+
+        const performer = await User.findById(req.user.userId).select('name').lean();
+        const result = await mergeCandidate(candidateId, {
+            survivorId,
+            performedBy: req.user.userId,
+            performedByName: performer?.name || 'Admin'
+        });
+        if (result.error) {
+            return res.status(result.statusCode || 400).json({ success: false, message: result.error });
+        }
+
+        res.json({
+            success: true,
+            message: 'Records merged successfully',
+            data: result
+        });
+    } catch (error) {
+        logError('Error merging duplicate', error, { candidateId: req.params.candidateId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Mark a pair as not duplicates so the detector stops raising it
+// @route   POST /api/admin/duplicate/:candidateId/dismiss
+// @access  Private (Admin)
+exports.dismissDuplicate = async (req, res) => {
+    try {
+        const { candidateId } = req.params;
+        const { note } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(candidateId)) {
+            return res.status(400).json({ success: false, message: 'Invalid duplicate ID' });
+        }
+
+        const candidate = await DuplicateCandidate.findOneAndUpdate(
+            { _id: candidateId, status: 'pending' },
+            {
+                $set: {
+                    status: 'dismissed',
+                    reviewedBy: req.user.userId,
+                    reviewedAt: new Date(),
+                    note: note ? String(note).trim() : ''
+                }
+            },
+            { new: true }
+        ).lean();
+
+        if (!candidate) {
+            const exists = await DuplicateCandidate.exists({ _id: candidateId });
+            return res.status(exists ? 409 : 404).json({
+                success: false,
+                message: exists ? 'Duplicate has already been reviewed' : 'Duplicate not found'
+            });
+        }
+
+        logInfo('Duplicate dismissed', { candidateId, dismissedBy: req.user.userId });
+        res.json({
+            success: true,
+            message: 'Duplicate dismissed',
+            data: candidate
+        });
+    } catch (error) {
+        logError('Error dismissing duplicate', error, { candidateId: req.params.candidateId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
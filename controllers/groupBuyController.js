@@ -0,0 +1,388 @@
+const mongoose = require('mongoose');
+const Property = require('../models/property');
+const GroupBuy = require('../models/groupBuy');
+const GroupBuyMember = require('../models/groupBuyMember');
+const { logInfo, logError } = require('../utils/logger');
+const {
+    JOINABLE_STATUSES,
+    getDefaultDeadline,
+    deriveFillStatus,
+    setGroupStatus,
+    refreshGroupMembership,
+    formatGroupSummary,
+    formatCoApplicant,
+    getHouseholdSize
+} = require('../utils/groupBuy');
+
+// Helper function to parse an optional deadline from the request body
+const parseDeadline = (deadline) => {
+    if (deadline === undefined || deadline === null || deadline === '') return { value: null };
+    const parsed = new Date(deadline);
+    if (isNaN(parsed.getTime())) return { error: 'Invalid deadline format' };
+    if (parsed <= new Date()) return { error: 'Deadline must be in the future' };
+    return { value: parsed };
+};
+
+// ===================== ADMIN: GROUP BUYS =====================
+
+// @desc    List all group buys of a property
+// @route   GET /api/admin/property/:propertyId/group-buys
+// @access  Private (Admin)
+exports.getPropertyGroups = async (req, res) => {
+    try {
+        const { propertyId } = req.params;
+        const { status } = req.query;
+
+        if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid property ID' });
+        }
+
+        const filter = { propertyId };
+        if (status) {
+            filter.status = { $in: status.split(',').map(s => s.trim()) };
+        }
+
+        const groups = await GroupBuy.find(filter)
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.json({
+            success: true,
+            message: 'Group buys fetched successfully',
+            data: groups.map(group => ({
+                ...formatGroupSummary(group),
+                closeReason: group.closeReason || null,
+                statusHistory: group.statusHistory || []
+            }))
+        });
+    } catch (error) {
+        logError('Error fetching property group buys', error, { propertyId: req.params.propertyId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Open a new group buy for a property (optionally for a single configuration)
+// @route   POST /api/admin/property/:propertyId/group-buys
+// @access  Private (Admin)
+exports.openGroup = async (req, res) => {
+    try {
+        const { propertyId } = req.params;
+        const { configurationId, minMembers, maxMembers, deadline } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid property ID' });
+        }
+
+        const property = await Property.findById(propertyId)
+            .select('projectName minGroupMembers configurations isStatus')
+            .lean();
+        if (!property || !property.isStatus) {
+            return res.status(404).json({ success: false, message: 'Property not found' });
+        }
+
+        let configuration = null;
+        if (configurationId) {
+            configuration = (property.configurations || []).find(config => config._id?.toString() === configurationId.toString());
+            if (!configuration) {
+                return res.status(400).json({ success: false, message: 'Configuration not found for this property' });
+            }
+        }
+
+        const parsedDeadline = parseDeadline(deadline);
+        if (parsedDeadline.error) {
+            return res.status(400).json({ success: false, message: parsedDeadline.error });
+        }
+
+        const min = minMembers !== undefined ? parseInt(minMembers) : (property.minGroupMembers || 0);
+        const max = maxMembers !== undefined && maxMembers !== null && maxMembers !== '' ? parseInt(maxMembers) : null;
+        if (isNaN(min) || min < 0) {
+            return res.status(400).json({ success: false, message: 'minMembers must be a positive number' });
+        }
+        if (max !== null && (isNaN(max) || max < min)) {
+            return res.status(400).json({ success: false, message: 'maxMembers must be greater than or equal to minMembers' });
+        }
+
+        // Only one running group per property/configuration scope
+        const runningGroup = await GroupBuy.findOne({
+            propertyId,
+            configurationId: configuration ? configuration._id : null,
+            status: { $in: [...JOINABLE_STATUSES, 'locked'] }
+        }).lean();
+        if (runningGroup) {
+            return res.status(409).json({
+                success: false,
+                message: 'A group buy is already running for this property/configuration. Close it before opening a new one.',
+                data: formatGroupSummary(runningGroup)
+            });
+        }
+
+        const group = await GroupBuy.create({
+            propertyId,
+            configurationId: configuration ? configuration._id : null,
+            unitType: configuration ? configuration.unitType : undefined,
+            minMembers: min,
+            maxMembers: max || undefined,
+            deadline: parsedDeadline.value || getDefaultDeadline(),
+            openedBy: req.user.userId,
+            statusHistory: [{ status: 'open', changedAt: new Date(), changedBy: req.user.userId, note: 'Opened by admin' }]
+        });
+
+        logInfo('Group buy opened', { propertyId, groupBuyId: group._id, configurationId, openedBy: req.user.userId });
+        res.status(201).json({
+            success: true,
+            message: 'Group buy opened successfully',
+            data: formatGroupSummary(group)
+        });
+    } catch (error) {
+        logError('Error opening group buy', error, { propertyId: req.params.propertyId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Get members of a group buy with full contact details
+// @route   GET /api/admin/group-buy/:groupBuyId/members
+// @access  Private (Admin)
+exports.getGroupMembers = async (req, res) => {
+    try {
+        const { groupBuyId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(groupBuyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid group buy ID' });
+        }
+
+        const group = await GroupBuy.findById(groupBuyId).lean();
+        if (!group) {
+            return res.status(404).json({ success: false, message: 'Group buy not found' });
+        }
+
+        const members = await GroupBuyMember.find({ groupBuyId })
+            .populate('userId', 'name email phoneNumber countryCode profileImage')
+            .sort({ joinedAt: 1 })
+            .lean();
+
+        res.json({
+            success: true,
+            message: 'Group members fetched successfully',
+            data: {
+                group: formatGroupSummary(group),
+                members: members.map(member => ({
+                    memberId: member._id,
+                    leadId: member.leadId || null,
+                    userId: member.userId?._id || null,
+                    name: member.userId?.name || 'N/A',
+                    email: member.userId?.email || 'N/A',
+                    phoneNumber: member.userId?.phoneNumber
+                        ? `${member.userId.countryCode || '+91'} ${member.userId.phoneNumber}`
+                        : 'N/A',
+                    profileImage: member.userId?.profileImage || null,
+                    unitType: member.unitType || null,
+                    status: member.status,
+                    source: member.source,
+                    joinedAt: member.joinedAt,
+                    withdrawnAt: member.withdrawnAt || null,
+                    withdrawalReason: member.withdrawalReason || null,
+                    householdSize: getHouseholdSize(member),
+                    coApplicants: (member.coApplicants || []).map(formatCoApplicant)
+                }))
+            }
+        });
+    } catch (error) {
+        logError('Error fetching group members', error, { groupBuyId: req.params.groupBuyId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Close a group buy - no further joins
+// @route   PUT /api/admin/group-buy/:groupBuyId/close
+// @access  Private (Admin)
+exports.closeGroup = async (req, res) => {
+    try {
+        const { groupBuyId } = req.params;
+        const { reason } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(groupBuyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid group buy ID' });
+        }
+
+        const group = await GroupBuy.findById(groupBuyId);
+        if (!group) {
+            return res.status(404).json({ success: false, message: 'Group buy not found' });
+        }
+
+        if (group.status === 'closed') {
+            return res.status(400).json({ success: false, message: 'Group buy is already closed' });
+        }
+
+        setGroupStatus(group, 'closed', req.user.userId, reason || 'Closed by admin');
+        group.closedAt = new Date();
+        group.closedBy = req.user.userId;
+        group.closeReason = reason || '';
+        await group.save();
+
+        logInfo('Group buy closed', { groupBuyId, closedBy: req.user.userId, reason });
+        res.json({
+            success: true,
+            message: 'Group buy closed successfully',
+            data: formatGroupSummary(group)
+        });
+    } catch (error) {
+        logError('Error closing group buy', error, { groupBuyId: req.params.groupBuyId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Lock a group buy - membership is frozen while the deal is negotiated
+// @route   PUT /api/admin/group-buy/:groupBuyId/lock
+// @access  Private (Admin)
+exports.lockGroup = async (req, res) => {
+    try {
+        const { groupBuyId } = req.params;
+        const { note } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(groupBuyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid group buy ID' });
+        }
+
+        const group = await GroupBuy.findById(groupBuyId);
+        if (!group) {
+            return res.status(404).json({ success: false, message: 'Group buy not found' });
+        }
+
+        if (!JOINABLE_STATUSES.includes(group.status)) {
+            return res.status(400).json({ success: false, message: `Only running group buys can be locked (status: ${group.status})` });
+        }
+
+        setGroupStatus(group, 'locked', req.user.userId, note || 'Locked by admin');
+        await group.save();
+
+        logInfo('Group buy locked', { groupBuyId, lockedBy: req.user.userId });
+        res.json({
+            success: true,
+            message: 'Group buy locked successfully',
+            data: formatGroupSummary(group)
+        });
+    } catch (error) {
+        logError('Error locking group buy', error, { groupBuyId: req.params.groupBuyId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Reopen a locked, closed or expired group buy
+// @route   PUT /api/admin/group-buy/:groupBuyId/reopen
+// @access  Private (Admin)
+exports.reopenGroup = async (req, res) => {
+    try {
+        const { groupBuyId } = req.params;
+        const { deadline } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(groupBuyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid group buy ID' });
+        }
+
+        const group = await GroupBuy.findById(groupBuyId);
+        if (!group) {
+            return res.status(404).json({ success: false, message: 'Group buy not found' });
+        }
+
+        if (JOINABLE_STATUSES.includes(group.status)) {
+            return res.status(400).json({ success: false, message: 'Group buy is already open' });
+        }
+
+        const parsedDeadline = parseDeadline(deadline);
+        if (parsedDeadline.error) {
+            return res.status(400).json({ success: false, message: parsedDeadline.error });
+        }
+
+        if (parsedDeadline.value) {
+            group.deadline = parsedDeadline.value;
+        } else if (group.deadline && group.deadline <= new Date()) {
+            return res.status(400).json({ success: false, message: 'The previous deadline has passed, please provide a new deadline' });
+        }
+
+        const runningGroup = await GroupBuy.findOne({
+            _id: { $ne: group._id },
+            propertyId: group.propertyId,
+            configurationId: group.configurationId || null,
+            status: { $in: [...JOINABLE_STATUSES, 'locked'] }
+        }).lean();
+        if (runningGroup) {
+            return res.status(409).json({
+                success: false,
+                message: 'Another group buy is already running for this property/configuration',
+                data: formatGroupSummary(runningGroup)
+            });
+        }
+
+        const memberCount = await GroupBuyMember.countDocuments({ groupBuyId: group._id, status: 'active' });
+        setGroupStatus(group, deriveFillStatus(memberCount, group.minMembers), req.user.userId, 'Reopened by admin');
+        group.closedAt = undefined;
+        group.closedBy = undefined;
+        group.closeReason = undefined;
+        group.outcome = null;
+        group.outcomeDecidedAt = undefined;
+        group.outcomeNotifiedAt = undefined;
+        group.refundsInitiatedAt = undefined;
+        await group.save();
+
+        const refreshed = await refreshGroupMembership(group._id);
+
+        logInfo('Group buy reopened', { groupBuyId, reopenedBy: req.user.userId });
+        res.json({
+            success: true,
+            message: 'Group buy reopened successfully',
+            data: formatGroupSummary(refreshed || group)
+        });
+    } catch (error) {
+        logError('Error reopening group buy', error, { groupBuyId: req.params.groupBuyId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Withdrawal reasons breakdown for group buys (optionally per property and date range)
+// @route   GET /api/admin/group-buy/withdrawals
+// @access  Private (Admin)
+exports.getWithdrawalAnalytics = async (req, res) => {
+    try {
+        const { propertyId, from, to } = req.query;
+
+        const match = { status: 'withdrawn' };
+        if (propertyId) {
+            if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+                return res.status(400).json({ success: false, message: 'Invalid property ID' });
+            }
+            match.propertyId = new mongoose.Types.ObjectId(propertyId);
+        }
+        if (from || to) {
+            match.withdrawnAt = {};
+            if (from) match.withdrawnAt.$gte = new Date(from);
+            if (to) match.withdrawnAt.$lte = new Date(to);
+            if (Object.values(match.withdrawnAt).some(date => isNaN(date.getTime()))) {
+                return res.status(400).json({ success: false, message: 'Invalid date format' });
+            }
+        }
+
+        const breakdown = await GroupBuyMember.aggregate([
+            { $match: match },
+            { $group: { _id: { $ifNull: ['$withdrawalReason', 'other'] }, count: { $sum: 1 } } },
+            { $sort: { count: -1 } }
+        ]);
+
+        const totalWithdrawn = breakdown.reduce((sum, item) => sum + item.count, 0);
+
+        res.json({
+            success: true,
+            message: 'Withdrawal analytics fetched successfully',
+            data: {
+                totalWithdrawn,
+                reasons: breakdown.map(item => ({
+                    reason: item._id,
+                    count: item.count,
+                    percentage: totalWithdrawn > 0 ? Math.round((item.count / totalWithdrawn) * 100) : 0
+                }))
+            }
+        });
+    } catch (error) {
+        logError('Error fetching withdrawal analytics', error, { query: req.query });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const GroupBuy = require('../models/groupBuy');
+const GroupBuyMember = require('../models/groupBuyMember');
+const GroupInvite = require('../models/groupInvite');
+const Property = require('../models/property');
+const User = require('../models/user');
+const { logInfo, logError } = require('../utils/logger');
+const { isGroupJoinable, formatGroupSummary } = require('../utils/groupBuy');
+const {
+    INVITE_EXPIRY_HOURS,
+    INVITE_MAX_EXPIRY_HOURS,
+    getInviteExpiry,
+    resolveInviteToken,
+    recordInviteClick,
+    formatInvite
+} = require('../utils/groupInvite');
+
+// Helper function to pick the cover image of a property, falling back to the first one
+const getCoverImage = (images = []) => {
+    const cover = images.find(img => img.isCover) || images[0];
+    return cover ? (cover.url || cover) : null;
+};
+
+// ===================== BUYER: GROUP INVITES =====================
+
+// @desc    Create a shareable invite link for a group the buyer belongs to
+// @route   POST /api/home/group-buy/:groupBuyId/invites
+// @access  Private (authenticated)
+exports.createGroupInvite = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { groupBuyId } = req.params;
+        const { channel, expiresInHours } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(groupBuyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid group buy ID' });
+        }
+
+        let hours = INVITE_EXPIRY_HOURS;
+        if (expiresInHours !== undefined) {
+            hours = Number(expiresInHours);
+            if (!Number.isFinite(hours) || hours <= 0 || hours > INVITE_MAX_EXPIRY_HOURS) {
+                return res.status(400).json({ success: false, message: `expiresInHours must be between 1 and ${INVITE_MAX_EXPIRY_HOURS}` });
+            }
+        }
+
+        const member = await GroupBuyMember.findOne({ groupBuyId, userId, status: 'active' }).select('_id').lean();
+        if (!member) {
+            return res.status(403).json({ success: false, message: 'Only members of this group buy can invite others' });
+        }
+
+        const group = await GroupBuy.findById(groupBuyId).lean();
+        if (!group || !isGroupJoinable(group)) {
+            return res.status(400).json({
+                success: false,
+                message: `This group buy is not accepting new members${group ? ` (status: ${group.status})` : ''}`
+            });
+        }
+
+        const invite = await GroupInvite.create({
+            groupBuyId,
+            propertyId: group.propertyId,
+            inviterId: userId,
+            memberId: member._id,
+            channel: channel ? String(channel).trim().toLowerCase() : 'link',
+            expiresAt: getInviteExpiry(group, hours)
+        });
+
+        logInfo('Group invite created', { inviteId: invite._id, groupBuyId, inviterId: userId });
+        res.status(201).json({
+            success: true,
+            message: 'Invite link created successfully',
+            data: formatInvite(invite)
+        });
+    } catch (error) {
+        logError('Error creating group invite', error, { userId: req.user?.userId, groupBuyId: req.params.groupBuyId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Invites sent by the logged in buyer, with click / join counters
+// @route   GET /api/home/invites
+// @access  Private (authenticated)
+exports.getMyInvites = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { groupBuyId } = req.query;
+
+        const filter = { inviterId: userId };
+        if (groupBuyId) {
+            if (!mongoose.Types.ObjectId.isValid(groupBuyId)) {
+                return res.status(400).json({ success: false, message: 'Invalid group buy ID' });
+            }
+            filter.groupBuyId = groupBuyId;
+        }
+
+        const invites = await GroupInvite.find(filter)
+            .populate('propertyId', 'projectName')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.json({
+            success: true,
+            message: 'Invites fetched successfully',
+            data: invites.map(invite => ({
+                ...formatInvite(invite),
+                projectName: invite.propertyId?.projectName || 'N/A'
+            }))
+        });
+    } catch (error) {
+        logError('Error fetching group invites', error, { userId: req.user?.userId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Landing page of an invite link - property and group details for the token
+// @route   GET /api/home/invite/:token
+// @access  Public (optional auth)
+exports.resolveGroupInvite = async (req, res) => {
+    try {
+        const { invite, error, statusCode } = await resolveInviteToken(req.params.token);
+        if (error) {
+            return res.status(statusCode).json({ success: false, message: error });
+        }
+
+        const [group, property, inviter] = await Promise.all([
+            GroupBuy.findById(invite.groupBuyId).lean(),
+            Property.findById(invite.propertyId)
+                .select('projectName projectId location images offerPrice developerPrice minGroupMembers possessionStatus isStatus')
+                .lean(),
+            User.findById(invite.inviterId).select('name').lean()
+        ]);
+
+        if (!group || !property || !property.isStatus) {
+            return res.status(404).json({ success: false, message: 'Group buy not found' });
+        }
+
+        const viewerId = req.user?.userId || null;
+        const isInviter = viewerId && viewerId.toString() === invite.inviterId.toString();
+        // The inviter previewing their own link is not a click
+        if (!isInviter) {
+            await recordInviteClick(invite._id);
+        }
+
+        const isMember = viewerId
+            ? !!(await GroupBuyMember.exists({ groupBuyId: group._id, userId: viewerId, status: 'active' }))
+            : false;
+
+        res.json({
+            success: true,
+            message: 'Invite fetched successfully',
+            data: {
+                inviteToken: req.params.token,
+                expiresAt: invite.expiresAt,
+                invitedBy: inviter?.name ? inviter.name.split(' ')[0] : 'A buyer',
+                property: {
+                    propertyId: property._id,
+                    projectId: property.projectId,
+                    projectName: property.projectName,
+                    location: property.location,
+                    coverImage: getCoverImage(property.images),
+                    offerPrice: property.offerPrice || null,
+                    developerPrice: property.developerPrice || null,
+                    possessionStatus: property.possessionStatus || null
+                },
+                group: formatGroupSummary(group),
+                isMember,
+                canJoin: isGroupJoinable(group) && !isMember
+            }
+        });
+    } catch (error) {
+        logError('Error resolving group invite', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Revoke an invite link so it can no longer be used
+// @route   POST /api/home/invites/:inviteId/revoke
+// @access  Private (authenticated)
+exports.revokeGroupInvite = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { inviteId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(inviteId)) {
+            return res.status(400).json({ success: false, message: 'Invalid invite ID' });
+        }
+
+        const invite = await GroupInvite.findOneAndUpdate(
+            { _id: inviteId, inviterId: userId, status: 'active' },
+            { $set: { status: 'revoked', revokedAt: new Date() } },
+            { new: true }
+        ).lean();
+
+        if (!invite) {
+            const existing = await GroupInvite.findOne({ _id: inviteId, inviterId: userId }).select('status').lean();
+            if (!existing) {
+                return res.status(404).json({ success: false, message: 'Invite not found' });
+            }
+            return res.status(400).json({ success: false, message: 'Invite is already revoked' });
+        }
+
+        logInfo('Group invite revoked', { inviteId, inviterId: userId });
+        res.json({
+            success: true,
+            message: 'Invite revoked successfully',
+            data: formatInvite(invite)
+        });
+    } catch (error) {
+        logError('Error revoking group invite', error, { inviteId: req.params.inviteId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
@@ -8,9 +8,54 @@ const Notification = require('../models/notification');
 const Blog = require('../models/blog');
 const Category = require('../models/category');
 const User = require('../models/user');
+const OTP = require('../models/otp');
+const GroupBuy = require('../models/groupBuy');
+const GroupBuyMember = require('../models/groupBuyMember');
+const WaitlistEntry = require('../models/waitlistEntry');
+const UnitHold = require('../models/unitHold');
+const SiteVisit = require('../models/siteVisit');
 const mongoose = require('mongoose');
 const crypto = require('crypto');
 const { logInfo, logError } = require('../utils/logger');
+const { generateOTP, sendOTP } = require('../utils/twilio');
+const {
+    isGroupJoinable,
+    isGroupLeavable,
+    findOrCreateJoinableGroup,
+    addMemberToGroup,
+    withdrawMember,
+    MAX_CO_APPLICANTS,
+    findHouseholdMembership,
+    formatCoApplicant,
+    getHouseholdSize,
+    canViewMemberDetails,
+    formatPublicMember,
+    buildJoinMilestones,
+    getActiveMembershipPropertyIds,
+    formatGroupSummary,
+    resolveDiscountTiers,
+    getTierProgress,
+    getMemberCountForConfiguration
+} = require('../utils/groupBuy');
+const {
+    findSubConfiguration,
+    placeHold,
+    releaseMemberHolds,
+    formatHold,
+    getInventoryMap,
+    getAvailableUnits,
+    addToWaitlist,
+    getWaitlistPosition,
+    formatWaitlistEntry,
+    releaseHold,
+    getHoldExpiry
+} = require('../utils/inventory');
+const { findReferrerByCode, attributeReferral } = require('../utils/referral');
+const { resolveInviteToken, recordInviteJoin } = require('../utils/groupInvite');
+const { assignLead } = require('../utils/leadAssignment');
+const { recomputeLeadScore, recomputeUserLeadScores } = require('../utils/leadScoring');
+const { getVisitAvailability, reserveVisitSlot, releaseVisitSlot } = require('../utils/visitSlots');
+const { bookSiteVisit } = require('../utils/siteVisit');
 
 // Helper function to convert connectivity Map to object for JSON response
 const convertConnectivityToObject = (connectivity) => {
@@ -39,20 +84,8 @@ const getFavoritePropertyIds = async (userId) => {
     }
 };
 
-const getJoinedGroupPropertyIds = async (userId) => {
-    if (!userId) return new Set();
-    try {
-        const leads = await leadModal.find({
-            userId: userId,
-            isStatus: true,
-            propertyId: { $exists: true, $ne: null }
-        }).select('propertyId').lean();
-        return new Set(leads.map(lead => lead.propertyId?.toString()).filter(Boolean));
-    } catch (error) {
-        logError('Error fetching joined group properties', error, { userId });
-        return new Set();
-    }
-};
+// Helper function to get property IDs where the user is an active group buy member
+const getJoinedGroupPropertyIds = (userId) => getActiveMembershipPropertyIds(userId);
 
 const getBookedVisitPropertyIds = async (userId) => {
     if (!userId) return new Set();
@@ -1064,6 +1097,8 @@ exports.searchProperties = async (req, res, next) => {
                     });
                 }
 
+                await recomputeUserLeadScores(userId);
+
                 logInfo('Search history saved for user', {
                     userId,
                     searchQuery: trimmedSearchQuery,
@@ -1491,8 +1526,10 @@ exports.getPropertyById = async (req, res, next) => {
             configurations: property.configurations ? property.configurations.map(config => {
                 if (config.subConfigurations && Array.isArray(config.subConfigurations)) {
                     return {
+                        configurationId: config._id,
                         unitType: config.unitType,
                         subConfigurations: config.subConfigurations.map(subConfig => ({
+                            subConfigurationId: subConfig._id,
                             carpetArea: subConfig.carpetArea,
                             price: subConfig.price,
                             availabilityStatus: subConfig.availabilityStatus,
@@ -1513,8 +1550,10 @@ exports.getPropertyById = async (req, res, next) => {
                         return priceNum;
                     };
                     return {
+                        configurationId: config._id,
                         unitType: config.unitType,
                         subConfigurations: [{
+                            subConfigurationId: null,
                             carpetArea: config.carpetArea || '',
                             price: parsePrice(config.price),
                             availabilityStatus: config.availabilityStatus || 'Available',
@@ -1530,10 +1569,34 @@ exports.getPropertyById = async (req, res, next) => {
             updatedAt: property.updatedAt
         };
 
-        const groupBuyData = await getGroupBuyDetails(id, property.minGroupMembers || 0);
+        const groupBuyData = await getGroupBuyDetails(property, req.user);
 
         propertyDetails.groupBuy = groupBuyData;
 
+        const inventoryMap = await getInventoryMap(property._id);
+
+        // Group-buy tier pricing and unit availability per configuration / carpet area
+        propertyDetails.configurations.forEach(config => {
+            const memberCount = getMemberCountForConfiguration(
+                groupBuyData.groups,
+                config.configurationId,
+                groupBuyData.currentGroupMembersCount
+            );
+            config.subConfigurations.forEach(subConfig => {
+                const tiers = resolveDiscountTiers(property, config.configurationId, subConfig.subConfigurationId);
+                subConfig.groupBuyPricing = tiers.length > 0
+                    ? getTierProgress(tiers, memberCount, subConfig.price)
+                    : null;
+
+                const inventory = subConfig.subConfigurationId
+                    ? inventoryMap.get(subConfig.subConfigurationId.toString())
+                    : null;
+                subConfig.inventory = inventory
+                    ? { totalUnits: inventory.totalUnits, availableUnits: getAvailableUnits(inventory) }
+                    : null;
+            });
+        });
+
         const similarProjects = await findSimilarProjects(property, minPrice, maxPrice);
 
         if (req.user && req.user.userId) {
@@ -1584,58 +1647,79 @@ exports.getPropertyById = async (req, res, next) => {
 };
 
 // Helper function to get Group Buy details
-const getGroupBuyDetails = async (propertyId, minGroupMembers) => {
+// The "current" group is the joinable property-wide group, falling back to the most recent one.
+// Member contact details are only returned to admins and the property's RM (see canViewMemberDetails)
+const getGroupBuyDetails = async (property, viewer = null) => {
+    const propertyId = property._id;
+    const fallbackMinMembers = property.minGroupMembers || 0;
+
     try {
-        const groupLeads = await leadModal.find({
-            propertyId: propertyId,
-            isStatus: true
-        })
-            .populate({
-                path: 'userId',
-                select: 'name email phone profileImage'
-            })
-            .populate({
-                path: 'propertyId',
-                select: 'configurations'
-            })
+        const groups = await GroupBuy.find({ propertyId })
             .sort({ createdAt: -1 })
             .lean();
 
-        const uniqueUsers = new Map();
-        groupLeads.forEach(lead => {
-            const userId = lead.userId?._id?.toString();
-            if (userId && !uniqueUsers.has(userId)) {
-                uniqueUsers.set(userId, lead);
-            }
-        });
+        const currentGroup = groups.find(group => !group.configurationId && isGroupJoinable(group))
+            || groups.find(group => isGroupJoinable(group))
+            || groups[0]
+            || null;
 
-        const groupMembers = Array.from(uniqueUsers.values()).map(lead => {
-            const user = lead.userId || {};
-            const property = lead.propertyId || {};
+        const minGroupMembers = currentGroup ? (currentGroup.minMembers || 0) : fallbackMinMembers;
 
-            const propertyTypeInterest = property.configurations?.[0]?.unitType || 'N/A';
+        const memberships = currentGroup
+            ? await GroupBuyMember.find({ groupBuyId: currentGroup._id, status: 'active' })
+                .populate({
+                    path: 'userId',
+                    select: 'name email phoneNumber countryCode profileImage city'
+                })
+                .sort({ joinedAt: -1 })
+                .lean()
+            : [];
+
+        const defaultUnitType = property.configurations?.[0]?.unitType || 'N/A';
+        const showMemberDetails = canViewMemberDetails(viewer, property);
+
+        const groupMembers = memberships.map(member => {
+            const user = member.userId || {};
+
+            if (!showMemberDetails) {
+                return formatPublicMember(member, viewer?.userId);
+            }
 
             return {
                 userId: user._id || null,
                 name: user.name || 'N/A',
                 profilePhoto: user.profileImage || null,
-                contactNumber: user.phone || 'N/A',
+                contactNumber: user.phoneNumber ? `${user.countryCode || '+91'} ${user.phoneNumber}` : 'N/A',
                 email: user.email || 'N/A',
-                propertyTypeInterest: propertyTypeInterest,
-                joinedAt: lead.createdAt || lead.date
+                propertyTypeInterest: member.unitType || defaultUnitType,
+                householdSize: getHouseholdSize(member),
+                joinedAt: member.joinedAt || member.createdAt
             };
         });
 
-        const currentGroupMembersCount = groupMembers.length;
+        const currentGroupMembersCount = currentGroup ? (currentGroup.memberCount || 0) : 0;
 
         const progressPercentage = minGroupMembers > 0
             ? Math.min(100, Math.round((currentGroupMembersCount / minGroupMembers) * 100))
             : 0;
 
-        const isMinimumMet = currentGroupMembersCount >= minGroupMembers;
+        // Once the deadline has decided the group, report the stored outcome instead of recounting
+        const isMinimumMet = currentGroup?.outcome
+            ? currentGroup.outcome === 'minimum_met'
+            : currentGroupMembersCount >= minGroupMembers;
+
+        // Tiers of the group's configuration / carpet area when it has its own, the property's otherwise
+        const currentTiers = resolveDiscountTiers(property, currentGroup?.configurationId, currentGroup?.subConfigurationId);
 
         return {
-            minGroupMembers: minGroupMembers || 0,
+            groupBuyId: currentGroup?._id || null,
+            groupCode: currentGroup?.groupCode || null,
+            status: currentGroup?.status || 'open',
+            isJoinable: currentGroup ? isGroupJoinable(currentGroup) : true,
+            startDate: currentGroup?.startDate || null,
+            deadline: currentGroup?.deadline || null,
+            outcome: currentGroup?.outcome || null,
+            minGroupMembers: minGroupMembers,
             currentGroupMembersCount: currentGroupMembersCount,
             progressPercentage: progressPercentage,
             isMinimumMet: isMinimumMet,
@@ -1643,19 +1727,38 @@ const getGroupBuyDetails = async (propertyId, minGroupMembers) => {
             message: isMinimumMet
                 ? `Great! ${minGroupMembers} members have joined. Enjoy the ultimate deal!`
                 : `Enjoy the ultimate deal after at least ${minGroupMembers} people join!`,
-            members: groupMembers
+            members: groupMembers,
+            membersVisibility: showMemberDetails ? 'full' : 'public',
+            progress: buildJoinMilestones(
+                currentGroup || { minMembers: minGroupMembers },
+                memberships.map(member => member.joinedAt || member.createdAt),
+                currentTiers
+            ),
+            groups: groups.map(formatGroupSummary),
+            tierProgress: getTierProgress(currentTiers, currentGroupMembersCount)
         };
 
     } catch (error) {
         logError('Error fetching group buy details', error, { propertyId });
         return {
-            minGroupMembers: minGroupMembers || 0,
+            groupBuyId: null,
+            groupCode: null,
+            status: 'open',
+            isJoinable: false,
+            startDate: null,
+            deadline: null,
+            outcome: null,
+            minGroupMembers: fallbackMinMembers,
             currentGroupMembersCount: 0,
             progressPercentage: 0,
             isMinimumMet: false,
-            progressText: `0/${minGroupMembers}`,
-            message: `Enjoy the ultimate deal after at least ${minGroupMembers} people join!`,
-            members: []
+            progressText: `0/${fallbackMinMembers}`,
+            message: `Enjoy the ultimate deal after at least ${fallbackMinMembers} people join!`,
+            members: [],
+            membersVisibility: 'public',
+            progress: buildJoinMilestones({ minMembers: fallbackMinMembers }, [], property.discountTiers),
+            groups: [],
+            tierProgress: getTierProgress(property.discountTiers, 0)
         };
     }
 };
@@ -1912,7 +2015,7 @@ exports.addViewedProperty = async (req, res) => {
         if (existing) {
             await UserPropertyActivity.updateOne(
                 { _id: existing._id },
-                { lastViewedAt: new Date() }
+                { lastViewedAt: new Date(), $inc: { viewCount: 1 } }
             );
         } else {
             await UserPropertyActivity.create({
@@ -1923,6 +2026,8 @@ exports.addViewedProperty = async (req, res) => {
             });
         }
 
+        await recomputeUserLeadScores(userId, propertyId);
+
         logInfo('Property view added', { userId, propertyId });
         res.json({ success: true, message: "View added successfully" });
 
@@ -1945,6 +2050,7 @@ exports.toggleFavoriteProperty = async (req, res) => {
 
         if (existing) {
             await UserPropertyActivity.deleteOne({ _id: existing._id });
+            await recomputeUserLeadScores(userId, propertyId);
             logInfo('Property removed from favorites', { userId, propertyId });
             return res.json({
                 success: true,
@@ -1958,6 +2064,7 @@ exports.toggleFavoriteProperty = async (req, res) => {
             activityType: "favorite",
             favoritedAt: new Date()
         });
+        await recomputeUserLeadScores(userId, propertyId);
 
         logInfo('Property added to favorites', { userId, propertyId });
         res.json({ success: true, message: "Added to favorites" });
@@ -2043,17 +2150,101 @@ const createNotification = async (leadId, notificationType, source, sourceId, ti
 exports.joinGroup = async (req, res) => {
     try {
         const userId = req.user.userId;
-        const { propertyId, source = "origin", ipAddress: ipAddressFromBody } = req.body;
+        const { propertyId, configurationId, subConfigurationId, referralCode, inviteToken, ipAddress: ipAddressFromBody } = req.body;
+        let { groupBuyId, source = "origin" } = req.body;
+
+        if (!propertyId || !mongoose.Types.ObjectId.isValid(propertyId)) {
+            return res.status(400).json({ success: false, message: "Valid property ID is required" });
+        }
 
         const property = await Property.findById(propertyId)
             .populate('relationshipManager', 'name email phone')
-            .select('relationshipManager projectName')
+            .select('relationshipManager projectName minGroupMembers configurations referralRewardAmount isStatus')
             .lean();
-        if (!property) {
+        if (!property || !property.isStatus) {
             logInfo('Property not found for join group', { propertyId });
             return res.status(404).json({ success: false, message: "Property not found" });
         }
 
+        // An invite link pins the group and is credited with the join
+        let invite = null;
+        if (inviteToken) {
+            const resolved = await resolveInviteToken(inviteToken);
+            if (resolved.error) {
+                return res.status(resolved.statusCode).json({ success: false, message: resolved.error });
+            }
+            invite = resolved.invite;
+            if (invite.propertyId.toString() !== propertyId.toString()) {
+                return res.status(400).json({ success: false, message: "This invite is for a different property" });
+            }
+            if (invite.inviterId.toString() === userId.toString()) {
+                return res.status(400).json({ success: false, message: "You cannot join through your own invite" });
+            }
+            groupBuyId = invite.groupBuyId.toString();
+            source = "group_invite";
+        }
+
+        let referrer = null;
+        if (referralCode) {
+            referrer = await findReferrerByCode(referralCode);
+            if (!referrer) {
+                return res.status(400).json({ success: false, message: "Invalid referral code" });
+            }
+            if (referrer._id.toString() === userId.toString()) {
+                return res.status(400).json({ success: false, message: "You cannot use your own referral code" });
+            }
+        }
+
+        let configuration = null;
+        if (configurationId) {
+            configuration = (property.configurations || []).find(config => config._id?.toString() === configurationId.toString());
+            if (!configuration) {
+                return res.status(400).json({ success: false, message: "Configuration not found for this property" });
+            }
+        }
+
+        // A specific carpet area also pins the configuration and holds a unit for the buyer
+        let subConfiguration = null;
+        if (subConfigurationId) {
+            const match = findSubConfiguration(property, subConfigurationId);
+            if (!match || (configuration && match.configuration._id.toString() !== configuration._id.toString())) {
+                return res.status(400).json({ success: false, message: "Sub-configuration not found for this property" });
+            }
+            configuration = match.configuration;
+            subConfiguration = match.subConfiguration;
+        }
+
+        let group;
+        if (groupBuyId) {
+            if (!mongoose.Types.ObjectId.isValid(groupBuyId)) {
+                return res.status(400).json({ success: false, message: "Invalid group buy ID" });
+            }
+            group = await GroupBuy.findOne({ _id: groupBuyId, propertyId });
+        } else {
+            group = await findOrCreateJoinableGroup(property, configuration?._id || null);
+        }
+
+        if (!group) {
+            return res.status(400).json({ success: false, message: "There is no open group buy for this property right now" });
+        }
+
+        if (!isGroupJoinable(group)) {
+            return res.status(400).json({
+                success: false,
+                message: `This group buy is not accepting new members (status: ${group.status})`
+            });
+        }
+
+        // Verified co-applicants are already counted with their household
+        const joiningUser = await User.findById(userId).select('phoneNumber').lean();
+        const household = await findHouseholdMembership(group._id, joiningUser?.phoneNumber);
+        if (household && household.userId.toString() !== userId.toString()) {
+            return res.status(409).json({
+                success: false,
+                message: "You are already part of this group buy as a co-applicant"
+            });
+        }
+
         let existingLead = await leadModal.findOne({
             userId,
             propertyId,
@@ -2071,6 +2262,7 @@ exports.joinGroup = async (req, res) => {
         } else {
             const ipAddress = ipAddressFromBody || getClientIpAddress(req);
 
+            // Only buyers new to the property are credited to a referrer
             lead = await leadModal.create({
                 userId,
                 propertyId,
@@ -2078,7 +2270,8 @@ exports.joinGroup = async (req, res) => {
                 rmEmail: property.relationshipManager?.email || "",
                 rmPhone: property.relationshipManager?.phone || "",
                 isStatus: true,
-                source: source || "origin",
+                source: referrer ? "referral" : (source || "origin"),
+                referredBy: referrer?._id,
                 updatedBy: userId,
                 ipAddress: ipAddress
             });
@@ -2086,57 +2279,772 @@ exports.joinGroup = async (req, res) => {
                 leadId: lead._id,
                 userId,
                 propertyId,
-                ipAddress: ipAddress
+                ipAddress: ipAddress,
+                referredBy: referrer?._id
             });
+            await assignLead(lead._id);
         }
 
-        const user = await User.findById(userId).select('name').lean();
-        const performedByName = user?.name || 'User';
+        let unitHold = null;
+        if (subConfiguration) {
+            const holdResult = await placeHold({
+                propertyId: property._id,
+                configurationId: configuration._id,
+                subConfigurationId: subConfiguration._id,
+                userId,
+                leadId: lead._id,
+                groupBuyId: group._id
+            });
+            if (holdResult.soldOut) {
+                const { entry, position } = await addToWaitlist({
+                    propertyId: property._id,
+                    configurationId: configuration._id,
+                    subConfigurationId: subConfiguration._id,
+                    userId,
+                    leadId: lead._id,
+                    groupBuyId: group._id
+                });
 
-        await addTimelineActivity(
-            lead._id,
-            'join_group',
-            userId,
-            performedByName,
-            `${performedByName} joined the group buy for ${property.projectName}`,
-            { propertyId: propertyId.toString(), source }
-        );
+                logInfo('Join group waitlisted - units sold out', { userId, propertyId, subConfigurationId, position });
+                return res.status(202).json({
+                    success: true,
+                    message: entry?.status === 'promoted'
+                        ? "A unit just became available - please confirm to join the group buy"
+                        : `All ${configuration.unitType} ${subConfiguration.carpetArea} units are taken. You are #${position} on the waitlist`,
+                    data: {
+                        leadId: lead._id,
+                        propertyId,
+                        waitlisted: true,
+                        waitlist: entry ? formatWaitlistEntry(entry, position) : null
+                    }
+                });
+            }
+            unitHold = holdResult.hold;
+        }
 
-        await createNotification(
-            lead._id,
-            'join_group',
-            performedByName,
+        const joinResult = await addMemberToGroup({
+            group,
             userId,
-            'Join Group',
-            `${performedByName} joined the group buy for ${property.projectName}`,
-            { propertyId: propertyId.toString(), source }
-        );
+            leadId: lead._id,
+            configurationId: configuration?._id || null,
+            subConfigurationId: subConfiguration?._id || null,
+            unitType: configuration?.unitType || null,
+            source,
+            inviteId: invite?._id || null
+        });
+        if (joinResult.error) {
+            // The last seat went to someone else - give the unit back
+            if (unitHold) {
+                await releaseHold(unitHold._id, { status: 'released', note: 'Group buy was full' });
+            }
+            return res.status(joinResult.statusCode).json({ success: false, message: joinResult.error });
+        }
+        const { member, group: updatedGroup, alreadyMember } = joinResult;
+
+        if (unitHold && !unitHold.memberId) {
+            unitHold.memberId = member._id;
+            await unitHold.save();
+        }
+
+        if (invite && !alreadyMember) {
+            await recordInviteJoin(invite._id);
+        }
+
+        let referral = null;
+        if (lead.referredBy && !alreadyMember) {
+            // A returning lead joins without the code, its referrer is the one already on the lead
+            const leadReferrer = referrer || await User.findById(lead.referredBy).select('referralCode').lean();
+            if (leadReferrer?.referralCode) {
+                referral = await attributeReferral({
+                    referrer: leadReferrer,
+                    refereeId: userId,
+                    lead,
+                    property,
+                    groupBuyId: group._id,
+                    memberId: member._id
+                });
+            }
+        }
+
+        if (!alreadyMember) {
+            const user = await User.findById(userId).select('name').lean();
+            const performedByName = user?.name || 'User';
 
-        logInfo('User joined group', { userId, propertyId, leadId: lead._id });
+            await addTimelineActivity(
+                lead._id,
+                'join_group',
+                userId,
+                performedByName,
+                `${performedByName} joined the group buy for ${property.projectName}`,
+                { propertyId: propertyId.toString(), groupBuyId: group._id.toString(), source }
+            );
+
+            await createNotification(
+                lead._id,
+                'join_group',
+                performedByName,
+                userId,
+                'Join Group',
+                `${performedByName} joined the group buy for ${property.projectName}`,
+                { propertyId: propertyId.toString(), source }
+            );
+
+            await recomputeLeadScore(lead._id);
+        }
+
+        logInfo('User joined group', { userId, propertyId, leadId: lead._id, groupBuyId: group._id, alreadyMember });
         res.json({
             success: true,
-            message: "Successfully joined the group buy",
+            message: alreadyMember ? "You have already joined this group buy" : "Successfully joined the group buy",
             data: {
                 leadId: lead._id,
                 propertyId,
-                joinedAt: new Date()
+                memberId: member._id,
+                joinedAt: member.joinedAt,
+                unitHold: unitHold ? formatHold(unitHold) : null,
+                referralApplied: !!referral,
+                group: formatGroupSummary(updatedGroup || group)
+            }
+        });
+
+    } catch (error) {
+        logError('Error joining group', error, { userId: req.user?.userId, propertyId: req.body.propertyId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Leave a Group Buy / withdraw interest for a property
+// @route   POST /api/home/leave-group
+// @access  Private (authenticated)
+exports.leaveGroup = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { propertyId, groupBuyId, reason = 'other', note = '' } = req.body;
+
+        if (!propertyId && !groupBuyId) {
+            return res.status(400).json({ success: false, message: "Property ID or group buy ID is required" });
+        }
+
+        if ((propertyId && !mongoose.Types.ObjectId.isValid(propertyId)) || (groupBuyId && !mongoose.Types.ObjectId.isValid(groupBuyId))) {
+            return res.status(400).json({ success: false, message: "Invalid property or group buy ID" });
+        }
+
+        if (!GroupBuyMember.WITHDRAWAL_REASONS.includes(reason)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid reason. Must be one of: ${GroupBuyMember.WITHDRAWAL_REASONS.join(', ')}`
+            });
+        }
+
+        const memberFilter = { userId, status: 'active' };
+        if (groupBuyId) memberFilter.groupBuyId = groupBuyId;
+        if (propertyId) memberFilter.propertyId = propertyId;
+
+        const member = await GroupBuyMember.findOne(memberFilter).sort({ joinedAt: -1 });
+        if (!member) {
+            return res.status(404).json({ success: false, message: "You are not a member of this group buy" });
+        }
+
+        const group = await GroupBuy.findById(member.groupBuyId).select('status outcome').lean();
+        // Once a group is locked or decided, leaving would change an outcome that is already settled
+        if (group && !isGroupLeavable(group)) {
+            return res.status(400).json({
+                success: false,
+                message: `This group buy is locked or decided, members cannot leave it now (status: ${group.status})`
+            });
+        }
+
+        const { group: updatedGroup } = await withdrawMember({ member, reason, note: note || '' });
+        await releaseMemberHolds(member._id, 'Buyer left the group');
+
+        const property = await Property.findById(member.propertyId).select('projectName').lean();
+        const projectName = property?.projectName || 'the project';
+
+        if (member.leadId) {
+            const user = await User.findById(userId).select('name').lean();
+            const performedByName = user?.name || 'User';
+            const reasonText = reason.replace(/_/g, ' ');
+
+            await addTimelineActivity(
+                member.leadId,
+                'leave_group',
+                userId,
+                performedByName,
+                `${performedByName} left the group buy for ${projectName} (reason: ${reasonText})${note ? `. ${note}` : ''}`,
+                { propertyId: member.propertyId.toString(), groupBuyId: member.groupBuyId.toString(), reason, note }
+            );
+
+            await createNotification(
+                member.leadId,
+                'leave_group',
+                performedByName,
+                userId,
+                'Left Group',
+                `${performedByName} left the group buy for ${projectName} (reason: ${reasonText})`,
+                { activityDescription: note || '' }
+            );
+
+            await recomputeLeadScore(member.leadId);
+        }
+
+        logInfo('User left group', { userId, groupBuyId: member.groupBuyId, memberId: member._id, reason });
+        res.json({
+            success: true,
+            message: "You have left the group buy",
+            data: {
+                memberId: member._id,
+                propertyId: member.propertyId,
+                withdrawnAt: member.withdrawnAt,
+                group: updatedGroup ? formatGroupSummary(updatedGroup) : null
+            }
+        });
+
+    } catch (error) {
+        logError('Error leaving group', error, { userId: req.user?.userId, propertyId: req.body.propertyId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Get the logged in buyer's waitlist entries
+// @route   GET /api/home/waitlist
+// @access  Private (authenticated)
+exports.getMyWaitlist = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const entries = await WaitlistEntry.find({ userId, status: { $in: ['waiting', 'promoted'] } })
+            .populate('propertyId', 'projectName projectId')
+            .sort({ createdAt: -1 });
+
+        const data = [];
+        for (const entry of entries) {
+            data.push({
+                ...formatWaitlistEntry(entry, await getWaitlistPosition(entry)),
+                propertyId: entry.propertyId?._id || null,
+                projectName: entry.propertyId?.projectName || 'N/A'
+            });
+        }
+
+        res.json({ success: true, message: "Waitlist fetched successfully", data });
+    } catch (error) {
+        logError('Error fetching waitlist', error, { userId: req.user?.userId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Confirm a promoted waitlist spot - joins the group buy with the held unit
+// @route   POST /api/home/waitlist/:entryId/confirm
+// @access  Private (authenticated)
+exports.confirmWaitlistSpot = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { entryId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(entryId)) {
+            return res.status(400).json({ success: false, message: "Invalid waitlist entry ID" });
+        }
+
+        const entry = await WaitlistEntry.findOne({ _id: entryId, userId });
+        if (!entry) {
+            return res.status(404).json({ success: false, message: "Waitlist entry not found" });
+        }
+
+        if (entry.status !== 'promoted') {
+            return res.status(400).json({
+                success: false,
+                message: entry.status === 'waiting'
+                    ? "No unit is available for you yet"
+                    : `This waitlist spot can no longer be confirmed (status: ${entry.status})`
+            });
+        }
+
+        const hold = await UnitHold.findOne({ _id: entry.holdId, status: { $in: ['active', 'reserved'] } });
+        if (!hold) {
+            return res.status(400).json({ success: false, message: "The confirmation window has passed" });
+        }
+
+        const property = await Property.findById(entry.propertyId)
+            .select('projectName minGroupMembers configurations isStatus')
+            .lean();
+        if (!property || !property.isStatus) {
+            return res.status(404).json({ success: false, message: "Property not found" });
+        }
+
+        // Join the group the buyer queued for, or whichever group is open for the configuration now
+        let group = entry.groupBuyId ? await GroupBuy.findById(entry.groupBuyId) : null;
+        if (!isGroupJoinable(group)) {
+            group = await findOrCreateJoinableGroup(property, entry.configurationId);
+        }
+        if (!group) {
+            return res.status(400).json({ success: false, message: "There is no open group buy for this property right now" });
+        }
+
+        const configuration = (property.configurations || []).find(config => config._id?.toString() === entry.configurationId.toString());
+        const joinResult = await addMemberToGroup({
+            group,
+            userId,
+            leadId: entry.leadId,
+            configurationId: entry.configurationId,
+            subConfigurationId: entry.subConfigurationId,
+            unitType: configuration?.unitType || null,
+            source: 'waitlist'
+        });
+        if (joinResult.error) {
+            return res.status(joinResult.statusCode).json({ success: false, message: joinResult.error });
+        }
+        const { member, group: updatedGroup, alreadyMember } = joinResult;
+
+        // From here on the hold behaves like any other group hold
+        hold.memberId = member._id;
+        hold.groupBuyId = group._id;
+        if (hold.status === 'active') hold.expiresAt = getHoldExpiry();
+        await hold.save();
+
+        entry.status = 'confirmed';
+        entry.confirmedAt = new Date();
+        entry.groupBuyId = group._id;
+        await entry.save();
+
+        if (!alreadyMember && entry.leadId) {
+            const user = await User.findById(userId).select('name').lean();
+            const performedByName = user?.name || 'User';
+
+            await addTimelineActivity(
+                entry.leadId,
+                'join_group',
+                userId,
+                performedByName,
+                `${performedByName} joined the group buy for ${property.projectName} from the waitlist`,
+                { propertyId: property._id.toString(), groupBuyId: group._id.toString(), source: 'waitlist' }
+            );
+
+            await createNotification(
+                entry.leadId,
+                'join_group',
+                performedByName,
+                userId,
+                'Join Group',
+                `${performedByName} joined the group buy for ${property.projectName} from the waitlist`,
+                { propertyId: property._id.toString(), source: 'waitlist' }
+            );
+        }
+
+        logInfo('Waitlist spot confirmed', { userId, waitlistEntryId: entry._id, groupBuyId: group._id, memberId: member._id });
+        res.json({
+            success: true,
+            message: "Successfully joined the group buy",
+            data: {
+                leadId: entry.leadId,
+                propertyId: property._id,
+                memberId: member._id,
+                joinedAt: member.joinedAt,
+                unitHold: formatHold(hold),
+                group: formatGroupSummary(updatedGroup || group)
             }
         });
+    } catch (error) {
+        logError('Error confirming waitlist spot', error, { userId: req.user?.userId, entryId: req.params.entryId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Leave the waitlist (a promoted unit is handed to the next buyer)
+// @route   POST /api/home/waitlist/:entryId/cancel
+// @access  Private (authenticated)
+exports.cancelWaitlistEntry = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { entryId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(entryId)) {
+            return res.status(400).json({ success: false, message: "Invalid waitlist entry ID" });
+        }
+
+        const entry = await WaitlistEntry.findOneAndUpdate(
+            { _id: entryId, userId, status: { $in: ['waiting', 'promoted'] } },
+            { $set: { status: 'cancelled', cancelledAt: new Date() } },
+            { new: true }
+        );
+        if (!entry) {
+            return res.status(404).json({ success: false, message: "Active waitlist entry not found" });
+        }
 
+        if (entry.holdId) {
+            await releaseHold(entry.holdId, { status: 'released', note: 'Buyer left the waitlist' });
+        }
+
+        logInfo('Waitlist entry cancelled', { userId, waitlistEntryId: entry._id });
+        res.json({
+            success: true,
+            message: "You have left the waitlist",
+            data: formatWaitlistEntry(entry)
+        });
     } catch (error) {
-        logError('Error joining group', error, { userId, propertyId: req.body.propertyId });
+        logError('Error cancelling waitlist entry', error, { userId: req.user?.userId, entryId: req.params.entryId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// Helper function to send (or resend) the verification OTP to a co-applicant's phone
+const sendCoApplicantOtp = async (userId, coApplicant) => {
+    await OTP.deleteMany({
+        userId,
+        phoneNumber: coApplicant.phoneNumber,
+        type: 'co_applicant',
+        isVerified: false
+    });
+
+    const otp = generateOTP();
+    const expiresAt = new Date();
+    expiresAt.setMinutes(expiresAt.getMinutes() + 10);
+
+    await OTP.create({
+        userId,
+        phoneNumber: coApplicant.phoneNumber,
+        countryCode: coApplicant.countryCode || '+91',
+        otp,
+        type: 'co_applicant',
+        expiresAt
+    });
+
+    const smsResult = await sendOTP(coApplicant.phoneNumber, coApplicant.countryCode || '+91', otp, 'co_applicant');
+    if (!smsResult.success) {
+        logError('Failed to send co-applicant OTP', new Error(smsResult.error || 'SMS failed'), { userId, coApplicantId: coApplicant._id });
+    }
+    return smsResult.success;
+};
+
+// Helper function to load an active membership owned by the logged in buyer
+const findOwnMembership = async (memberId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(memberId)) return null;
+    return GroupBuyMember.findOne({ _id: memberId, userId, status: 'active' });
+};
+
+// @desc    List co-applicants of the buyer's group membership
+// @route   GET /api/home/membership/:memberId/co-applicants
+// @access  Private (authenticated)
+exports.getCoApplicants = async (req, res) => {
+    try {
+        const member = await findOwnMembership(req.params.memberId, req.user.userId);
+        if (!member) {
+            return res.status(404).json({ success: false, message: "Group membership not found" });
+        }
+
+        res.json({
+            success: true,
+            message: "Co-applicants fetched successfully",
+            data: {
+                memberId: member._id,
+                householdSize: getHouseholdSize(member),
+                coApplicants: member.coApplicants.map(formatCoApplicant)
+            }
+        });
+    } catch (error) {
+        logError('Error fetching co-applicants', error, { userId: req.user?.userId, memberId: req.params.memberId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Add a co-applicant (household member) to the buyer's group membership and send them an OTP
+// @route   POST /api/home/membership/:memberId/co-applicants
+// @access  Private (authenticated)
+exports.addCoApplicant = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { name, phoneNumber, countryCode, relationship = 'other', sharePercentage = 0 } = req.body;
+
+        const member = await findOwnMembership(req.params.memberId, userId);
+        if (!member) {
+            return res.status(404).json({ success: false, message: "Group membership not found" });
+        }
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ success: false, message: "Co-applicant name is required" });
+        }
+
+        if (!phoneNumber || !/^\d{10}$/.test(phoneNumber)) {
+            return res.status(400).json({ success: false, message: "Phone number must be 10 digits" });
+        }
+
+        const finalCountryCode = countryCode || '+91';
+        if (!finalCountryCode.startsWith('+')) {
+            return res.status(400).json({ success: false, message: "Country code must start with + (e.g., +91)" });
+        }
+
+        if (!GroupBuyMember.CO_APPLICANT_RELATIONSHIPS.includes(relationship)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid relationship. Must be one of: ${GroupBuyMember.CO_APPLICANT_RELATIONSHIPS.join(', ')}`
+            });
+        }
+
+        const share = Number(sharePercentage);
+        if (isNaN(share) || share < 0 || share >= 100) {
+            return res.status(400).json({ success: false, message: "sharePercentage must be between 0 and 99" });
+        }
+
+        if (member.coApplicants.length >= MAX_CO_APPLICANTS) {
+            return res.status(400).json({ success: false, message: `A membership can have at most ${MAX_CO_APPLICANTS} co-applicants` });
+        }
+
+        const user = await User.findById(userId).select('phoneNumber').lean();
+        if (user?.phoneNumber === phoneNumber) {
+            return res.status(400).json({ success: false, message: "You cannot add yourself as a co-applicant" });
+        }
+
+        if (member.coApplicants.some(coApplicant => coApplicant.phoneNumber === phoneNumber)) {
+            return res.status(409).json({ success: false, message: "This phone number is already a co-applicant" });
+        }
+
+        const totalShare = member.coApplicants.reduce((sum, coApplicant) => sum + (coApplicant.sharePercentage || 0), 0) + share;
+        if (totalShare >= 100) {
+            return res.status(400).json({ success: false, message: "Co-applicant shares must leave a share for the primary buyer" });
+        }
+
+        member.coApplicants.push({
+            name: name.trim(),
+            phoneNumber,
+            countryCode: finalCountryCode,
+            relationship,
+            sharePercentage: share
+        });
+        await member.save();
+
+        const coApplicant = member.coApplicants[member.coApplicants.length - 1];
+        const otpSent = await sendCoApplicantOtp(userId, coApplicant);
+
+        logInfo('Co-applicant added', { userId, memberId: member._id, coApplicantId: coApplicant._id, otpSent });
+        res.status(201).json({
+            success: true,
+            message: otpSent
+                ? `Co-applicant added. OTP sent to ${finalCountryCode}${phoneNumber}`
+                : "Co-applicant added, but the OTP could not be sent. Please resend the OTP.",
+            data: {
+                ...formatCoApplicant(coApplicant),
+                otpSent
+            }
+        });
+    } catch (error) {
+        logError('Error adding co-applicant', error, { userId: req.user?.userId, memberId: req.params.memberId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Resend the verification OTP to a co-applicant
+// @route   POST /api/home/membership/:memberId/co-applicants/:coApplicantId/resend-otp
+// @access  Private (authenticated)
+exports.resendCoApplicantOtp = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const member = await findOwnMembership(req.params.memberId, userId);
+        const coApplicant = member?.coApplicants.id(req.params.coApplicantId);
+        if (!coApplicant) {
+            return res.status(404).json({ success: false, message: "Co-applicant not found" });
+        }
+
+        if (coApplicant.isVerified) {
+            return res.status(400).json({ success: false, message: "Co-applicant is already verified" });
+        }
+
+        const otpSent = await sendCoApplicantOtp(userId, coApplicant);
+        if (!otpSent) {
+            return res.status(500).json({ success: false, message: "Failed to send OTP. Please try again later." });
+        }
+
+        res.json({
+            success: true,
+            message: `OTP sent to ${coApplicant.countryCode}${coApplicant.phoneNumber}`,
+            data: formatCoApplicant(coApplicant)
+        });
+    } catch (error) {
+        logError('Error resending co-applicant OTP', error, { userId: req.user?.userId, coApplicantId: req.params.coApplicantId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Verify a co-applicant with the OTP sent to their phone
+// @route   POST /api/home/membership/:memberId/co-applicants/:coApplicantId/verify
+// @access  Private (authenticated)
+exports.verifyCoApplicant = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { otp } = req.body;
+
+        if (!otp) {
+            return res.status(400).json({ success: false, message: "OTP is required" });
+        }
+
+        const member = await findOwnMembership(req.params.memberId, userId);
+        const coApplicant = member?.coApplicants.id(req.params.coApplicantId);
+        if (!coApplicant) {
+            return res.status(404).json({ success: false, message: "Co-applicant not found" });
+        }
+
+        if (coApplicant.isVerified) {
+            return res.status(400).json({ success: false, message: "Co-applicant is already verified" });
+        }
+
+        const otpRecord = await OTP.findOne({
+            userId,
+            phoneNumber: coApplicant.phoneNumber,
+            type: 'co_applicant',
+            isVerified: false,
+            expiresAt: { $gt: new Date() }
+        });
+
+        if (!otpRecord || otpRecord.otp !== otp.toString()) {
+            if (otpRecord) {
+                otpRecord.attempts += 1;
+                if (otpRecord.attempts >= 5) {
+                    await OTP.deleteOne({ _id: otpRecord._id });
+                    return res.status(400).json({
+                        success: false,
+                        message: "Maximum OTP verification attempts exceeded. Please request a new OTP."
+                    });
+                }
+                await otpRecord.save();
+            }
+            return res.status(400).json({ success: false, message: "Invalid or expired OTP" });
+        }
+
+        // The household counts once - the co-applicant cannot also hold a membership of their own
+        const coApplicantUser = await User.findOne({ phoneNumber: coApplicant.phoneNumber, mergedInto: null }).select('_id').lean();
+        const ownMembership = coApplicantUser
+            ? await GroupBuyMember.exists({ groupBuyId: member.groupBuyId, userId: coApplicantUser._id, status: 'active' })
+            : null;
+        const otherHousehold = await findHouseholdMembership(member.groupBuyId, coApplicant.phoneNumber, member._id);
+        if (ownMembership || otherHousehold) {
+            return res.status(409).json({
+                success: false,
+                message: "This person is already counted in this group buy. They need to leave the group before joining your household."
+            });
+        }
+
+        otpRecord.isVerified = true;
+        await otpRecord.save();
+
+        coApplicant.isVerified = true;
+        coApplicant.verifiedAt = new Date();
+        await member.save();
+
+        logInfo('Co-applicant verified', { userId, memberId: member._id, coApplicantId: coApplicant._id });
+        res.json({
+            success: true,
+            message: "Co-applicant verified successfully",
+            data: {
+                ...formatCoApplicant(coApplicant),
+                householdSize: getHouseholdSize(member)
+            }
+        });
+    } catch (error) {
+        logError('Error verifying co-applicant', error, { userId: req.user?.userId, coApplicantId: req.params.coApplicantId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Remove a co-applicant from the buyer's group membership
+// @route   DELETE /api/home/membership/:memberId/co-applicants/:coApplicantId
+// @access  Private (authenticated)
+exports.removeCoApplicant = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const member = await findOwnMembership(req.params.memberId, userId);
+        const coApplicant = member?.coApplicants.id(req.params.coApplicantId);
+        if (!coApplicant) {
+            return res.status(404).json({ success: false, message: "Co-applicant not found" });
+        }
+
+        coApplicant.deleteOne();
+        await member.save();
+
+        logInfo('Co-applicant removed', { userId, memberId: member._id, coApplicantId: req.params.coApplicantId });
+        res.json({
+            success: true,
+            message: "Co-applicant removed successfully",
+            data: {
+                memberId: member._id,
+                householdSize: getHouseholdSize(member),
+                coApplicants: member.coApplicants.map(formatCoApplicant)
+            }
+        });
+    } catch (error) {
+        logError('Error removing co-applicant', error, { userId: req.user?.userId, coApplicantId: req.params.coApplicantId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Progress of a group buy for a progress widget - anonymised members and join milestones
+// @route   GET /api/home/group-buy/:groupBuyId/progress
+// @access  Public (member details for admins / the property's RM)
+exports.getGroupBuyProgress = async (req, res) => {
+    try {
+        const { groupBuyId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(groupBuyId)) {
+            return res.status(400).json({ success: false, message: "Invalid group buy ID" });
+        }
+
+        const group = await GroupBuy.findById(groupBuyId).lean();
+        if (!group) {
+            return res.status(404).json({ success: false, message: "Group buy not found" });
+        }
+
+        const property = await Property.findById(group.propertyId)
+            .select('projectName relationshipManager discountTiers configurations isStatus')
+            .lean();
+        if (!property || !property.isStatus) {
+            return res.status(404).json({ success: false, message: "Group buy not found" });
+        }
+
+        const memberships = await GroupBuyMember.find({ groupBuyId, status: 'active' })
+            .populate('userId', 'name email phoneNumber countryCode city')
+            .sort({ joinedAt: -1 })
+            .lean();
+
+        const showMemberDetails = canViewMemberDetails(req.user, property);
+        const tiers = resolveDiscountTiers(property, group.configurationId);
+
+        res.json({
+            success: true,
+            message: "Group buy progress fetched successfully",
+            data: {
+                group: formatGroupSummary(group),
+                projectName: property.projectName,
+                progressPercentage: group.minMembers > 0
+                    ? Math.min(100, Math.round(((group.memberCount || 0) / group.minMembers) * 100))
+                    : 0,
+                ...buildJoinMilestones(group, memberships.map(member => member.joinedAt || member.createdAt), tiers),
+                tierProgress: getTierProgress(tiers, group.memberCount || 0),
+                membersVisibility: showMemberDetails ? 'full' : 'public',
+                members: memberships.map(member => (showMemberDetails
+                    ? {
+                        ...formatPublicMember(member, req.user?.userId),
+                        userId: member.userId?._id || null,
+                        name: member.userId?.name || 'N/A',
+                        email: member.userId?.email || 'N/A',
+                        contactNumber: member.userId?.phoneNumber
+                            ? `${member.userId.countryCode || '+91'} ${member.userId.phoneNumber}`
+                            : 'N/A'
+                    }
+                    : formatPublicMember(member, req.user?.userId)))
+            }
+        });
+    } catch (error) {
+        logError('Error fetching group buy progress', error, { groupBuyId: req.params.groupBuyId });
         res.status(500).json({ success: false, message: error.message });
     }
 };
 
 exports.registerVisit = async (req, res) => {
+    // Slot place taken by this request, given back if a later step fails before the visit is booked
+    let newSlot = null;
     try {
         const userId = req.user.userId;
         const { propertyId, visitDate, visitTime, source = "origin", ipAddress: ipAddressFromBody } = req.body;
 
         const property = await Property.findById(propertyId)
             .populate('relationshipManager', 'name email phone')
-            .select('relationshipManager projectName')
+            .select('relationshipManager projectName visitAvailability')
             .lean();
         if (!property) {
             logInfo('Property not found for visit registration', { propertyId });
@@ -2148,6 +3056,22 @@ exports.registerVisit = async (req, res) => {
             return res.status(400).json({ success: false, message: "Invalid visitDate format" });
         }
 
+        // Properties with visit slots only take a booking for a slot that still has room
+        let reservedSlot = null;
+        let previousSlotId = null;
+        if ((visitDate || visitTime) && getVisitAvailability(property)) {
+            const currentLead = await leadModal.findOne({ userId, propertyId, isStatus: true }).select('visitSlot').lean();
+            previousSlotId = currentLead?.visitSlot || null;
+            const reservation = await reserveVisitSlot({ property, userId, visitDate, visitTime });
+            if (reservation.error) {
+                return res.status(reservation.statusCode).json({ success: false, message: reservation.error });
+            }
+            reservedSlot = reservation.slot;
+            if (String(reservedSlot._id) !== String(previousSlotId)) newSlot = reservedSlot;
+            parsedVisitDate = reservedSlot.startsAt;
+        }
+        const bookedVisitTime = reservedSlot ? reservedSlot.start : visitTime;
+
         const existingActivity = await UserPropertyActivity.findOne({
             userId,
             propertyId,
@@ -2157,7 +3081,7 @@ exports.registerVisit = async (req, res) => {
         if (existingActivity) {
             const updateData = {
                 visitedAt: new Date(),
-                visitTime,
+                visitTime: bookedVisitTime,
                 source: source || "origin",
                 updatedBy: userId
             };
@@ -2175,7 +3099,7 @@ exports.registerVisit = async (req, res) => {
                 activityType: "visited",
                 visitedAt: new Date(),
                 visitDate: parsedVisitDate,
-                visitTime,
+                visitTime: bookedVisitTime,
                 source: source || "origin",
                 updatedBy: userId,
                 isStatus: true
@@ -2188,13 +3112,18 @@ exports.registerVisit = async (req, res) => {
             isStatus: true
         }).lean();
 
+        // Dated visits are tracked as a SiteVisit, undated registrations keep the old "visited" flag
+        const legacyVisitFields = parsedVisitDate || SiteVisit.ACTIVE_STATUSES.includes(existingLead?.visitStatus)
+            ? {}
+            : { visitStatus: 'visited' };
+
         let lead;
         if (existingLead) {
             lead = existingLead;
             await leadModal.updateOne(
                 { _id: lead._id },
                 {
-                    visitStatus: 'visited',
+                    ...legacyVisitFields,
                     updatedBy: userId
                 }
             );
@@ -2210,7 +3139,7 @@ exports.registerVisit = async (req, res) => {
                 isStatus: true,
                 source: source || "origin",
                 updatedBy: userId,
-                visitStatus: 'visited',
+                ...legacyVisitFields,
                 ipAddress: ipAddress
             });
             logInfo('New lead created for visit registration', {
@@ -2219,13 +3148,34 @@ exports.registerVisit = async (req, res) => {
                 propertyId,
                 ipAddress: ipAddress
             });
+            await assignLead(lead._id);
         }
 
         const user = await User.findById(userId).select('name').lean();
         const performedByName = user?.name || 'User';
 
+        let siteVisit = null;
+        if (parsedVisitDate) {
+            const booking = await bookSiteVisit({
+                lead,
+                scheduledAt: parsedVisitDate,
+                visitTime: bookedVisitTime,
+                slot: reservedSlot,
+                source,
+                performedBy: userId,
+                performedByName
+            });
+            siteVisit = booking.visit;
+        }
+
+        // The visit is booked - only now give back the slot the buyer held before (reschedule)
+        if (newSlot && previousSlotId) {
+            await releaseVisitSlot(previousSlotId, userId);
+        }
+        newSlot = null;
+
         const visitDateTime = parsedVisitDate
-            ? `${parsedVisitDate.toLocaleDateString('en-IN')} ${visitTime || ''}`.trim()
+            ? `${parsedVisitDate.toLocaleDateString('en-IN')} ${bookedVisitTime || ''}`.trim()
             : new Date().toLocaleString('en-IN');
 
         await addTimelineActivity(
@@ -2237,8 +3187,9 @@ exports.registerVisit = async (req, res) => {
             {
                 propertyId: propertyId.toString(),
                 visitDate: parsedVisitDate,
-                visitTime,
-                source
+                visitTime: bookedVisitTime,
+                source,
+                ...(siteVisit ? { siteVisitId: siteVisit._id.toString() } : {})
             }
         );
 
@@ -2252,22 +3203,30 @@ exports.registerVisit = async (req, res) => {
             {
                 propertyId: propertyId.toString(),
                 visitDate: parsedVisitDate,
-                visitTime,
-                source
+                visitTime: bookedVisitTime,
+                source,
+                ...(siteVisit ? { siteVisitId: siteVisit._id.toString() } : {})
             }
         );
 
+        await recomputeLeadScore(lead._id);
+
         logInfo('Visit registered and lead created/updated', { userId, propertyId, source, leadId: lead._id });
         res.json({
             success: true,
             message: "Visit registered & lead created/updated successfully",
             data: {
-                leadId: lead._id
+                leadId: lead._id,
+                siteVisitId: siteVisit?._id || null,
+                visitStatus: siteVisit?.status || null
             }
         });
 
     } catch (error) {
-        logError('Error registering visit', error, { userId, propertyId });
+        if (newSlot) {
+            await releaseVisitSlot(newSlot._id, req.user.userId);
+        }
+        logError('Error registering visit', error, { userId: req.user?.userId, propertyId: req.body?.propertyId });
         res.status(500).json({ success: false, message: error.message });
     }
 };
@@ -2426,6 +3385,8 @@ exports.contactUs = async (req, res, next) => {
                     notes: notes || ''
                 }
             );
+
+            await assignLead(lead._id);
         }
 
         logInfo('Contact Us lead created', {
@@ -0,0 +1,341 @@
+const mongoose = require('mongoose');
+const Property = require('../models/property');
+const UnitInventory = require('../models/unitInventory');
+const UnitHold = require('../models/unitHold');
+const WaitlistEntry = require('../models/waitlistEntry');
+const { logInfo, logError } = require('../utils/logger');
+const {
+    formatInventory,
+    formatHold,
+    findSubConfiguration,
+    syncAvailabilityStatus,
+    releaseHold,
+    reserveHold,
+    formatWaitlistEntry,
+    promoteFromWaitlist
+} = require('../utils/inventory');
+
+// Helper function to parse a non-negative whole number, undefined when not provided
+const parseUnitCount = (value) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    const parsed = Number(value);
+    return Number.isInteger(parsed) && parsed >= 0 ? parsed : NaN;
+};
+
+// ===================== ADMIN: UNIT INVENTORY =====================
+
+// @desc    Get unit inventory of every sub-configuration of a property
+// @route   GET /api/admin/property/:propertyId/inventory
+// @access  Private (Admin)
+exports.getPropertyInventory = async (req, res) => {
+    try {
+        const { propertyId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid property ID' });
+        }
+
+        const property = await Property.findById(propertyId).select('projectName configurations').lean();
+        if (!property) {
+            return res.status(404).json({ success: false, message: 'Property not found' });
+        }
+
+        const inventories = await UnitInventory.find({ propertyId }).lean();
+        const inventoryMap = new Map(inventories.map(inventory => [inventory.subConfigurationId.toString(), inventory]));
+
+        const items = [];
+        (property.configurations || []).forEach(config => {
+            (config.subConfigurations || []).forEach(sub => {
+                const inventory = inventoryMap.get(sub._id.toString());
+                items.push({
+                    configurationId: config._id,
+                    subConfigurationId: sub._id,
+                    unitType: config.unitType,
+                    carpetArea: sub.carpetArea,
+                    availabilityStatus: sub.availabilityStatus,
+                    isTracked: !!inventory,
+                    ...(inventory ? formatInventory(inventory) : {})
+                });
+            });
+        });
+
+        res.json({
+            success: true,
+            message: 'Inventory fetched successfully',
+            data: {
+                propertyId,
+                projectName: property.projectName,
+                items
+            }
+        });
+    } catch (error) {
+        logError('Error fetching property inventory', error, { propertyId: req.params.propertyId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Set total / sold unit counts per sub-configuration
+// @route   PUT /api/admin/property/:propertyId/inventory
+// @access  Private (Admin)
+exports.updatePropertyInventory = async (req, res) => {
+    try {
+        const { propertyId } = req.params;
+        const { items } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid property ID' });
+        }
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ success: false, message: 'items must be a non-empty array of { subConfigurationId, totalUnits, soldUnits }' });
+        }
+
+        const property = await Property.findById(propertyId).select('configurations').lean();
+        if (!property) {
+            return res.status(404).json({ success: false, message: 'Property not found' });
+        }
+
+        const updated = [];
+        const errors = [];
+
+        for (const item of items) {
+            const match = findSubConfiguration(property, item.subConfigurationId);
+            if (!match) {
+                errors.push({ subConfigurationId: item.subConfigurationId, message: 'Sub-configuration not found for this property' });
+                continue;
+            }
+
+            const totalUnits = parseUnitCount(item.totalUnits);
+            const soldUnits = parseUnitCount(item.soldUnits);
+            if (Number.isNaN(totalUnits) || Number.isNaN(soldUnits)) {
+                errors.push({ subConfigurationId: item.subConfigurationId, message: 'totalUnits and soldUnits must be whole numbers' });
+                continue;
+            }
+
+            const current = await UnitInventory.findOneAndUpdate(
+                { subConfigurationId: match.subConfiguration._id },
+                {
+                    $setOnInsert: {
+                        propertyId,
+                        configurationId: match.configuration._id,
+                        subConfigurationId: match.subConfiguration._id
+                    },
+                    $set: {
+                        unitType: match.configuration.unitType,
+                        carpetArea: match.subConfiguration.carpetArea
+                    }
+                },
+                { new: true, upsert: true }
+            );
+
+            const nextTotal = totalUnits !== undefined ? totalUnits : current.totalUnits;
+            const nextSold = soldUnits !== undefined ? soldUnits : current.soldUnits;
+
+            // Holds and reservations may change concurrently, so the count check is part of the update
+            const inventory = await UnitInventory.findOneAndUpdate(
+                {
+                    _id: current._id,
+                    $expr: { $lte: [{ $add: ['$heldUnits', '$reservedUnits', nextSold] }, nextTotal] }
+                },
+                { $set: { totalUnits: nextTotal, soldUnits: nextSold, updatedBy: req.user.userId } },
+                { new: true }
+            );
+
+            if (!inventory) {
+                errors.push({
+                    subConfigurationId: item.subConfigurationId,
+                    message: `totalUnits must cover held (${current.heldUnits}), reserved (${current.reservedUnits}) and sold units`
+                });
+                continue;
+            }
+
+            await syncAvailabilityStatus(inventory);
+            // New units go to waitlisted buyers first
+            await promoteFromWaitlist(inventory.subConfigurationId);
+            updated.push(formatInventory(await UnitInventory.findById(inventory._id).lean()));
+        }
+
+        logInfo('Property inventory updated', { propertyId, updated: updated.length, failed: errors.length, updatedBy: req.user.userId });
+        res.status(errors.length > 0 && updated.length === 0 ? 400 : 200).json({
+            success: updated.length > 0,
+            message: errors.length > 0 ? 'Inventory updated with errors' : 'Inventory updated successfully',
+            data: { updated, errors }
+        });
+    } catch (error) {
+        logError('Error updating property inventory', error, { propertyId: req.params.propertyId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    List unit holds of a property
+// @route   GET /api/admin/property/:propertyId/unit-holds
+// @access  Private (Admin)
+exports.getPropertyHolds = async (req, res) => {
+    try {
+        const { propertyId } = req.params;
+        const { status, subConfigurationId } = req.query;
+
+        if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid property ID' });
+        }
+
+        const filter = { propertyId };
+        if (status) {
+            filter.status = { $in: status.split(',').map(s => s.trim()) };
+        }
+        if (subConfigurationId) {
+            if (!mongoose.Types.ObjectId.isValid(subConfigurationId)) {
+                return res.status(400).json({ success: false, message: 'Invalid sub-configuration ID' });
+            }
+            filter.subConfigurationId = subConfigurationId;
+        }
+
+        const holds = await UnitHold.find(filter)
+            .populate('userId', 'name email phoneNumber countryCode')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.json({
+            success: true,
+            message: 'Unit holds fetched successfully',
+            data: holds.map(hold => ({
+                ...formatHold(hold),
+                leadId: hold.leadId || null,
+                user: hold.userId ? {
+                    id: hold.userId._id,
+                    name: hold.userId.name || 'N/A',
+                    email: hold.userId.email || 'N/A',
+                    phoneNumber: hold.userId.phoneNumber
+                        ? `${hold.userId.countryCode || '+91'} ${hold.userId.phoneNumber}`
+                        : 'N/A'
+                } : null,
+                note: hold.note || ''
+            }))
+        });
+    } catch (error) {
+        logError('Error fetching unit holds', error, { propertyId: req.params.propertyId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Convert an active unit hold into a reservation
+// @route   PUT /api/admin/unit-hold/:holdId/reserve
+// @access  Private (Admin)
+exports.reserveUnitHold = async (req, res) => {
+    try {
+        const { holdId } = req.params;
+        const { note } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(holdId)) {
+            return res.status(400).json({ success: false, message: 'Invalid hold ID' });
+        }
+
+        const hold = await reserveHold(holdId, { reservedBy: req.user.userId, note: note || '' });
+        if (!hold) {
+            const existing = await UnitHold.findById(holdId).select('status').lean();
+            if (!existing) {
+                return res.status(404).json({ success: false, message: 'Unit hold not found' });
+            }
+            return res.status(400).json({ success: false, message: `Only active holds can be reserved (status: ${existing.status})` });
+        }
+
+        res.json({
+            success: true,
+            message: 'Unit reserved successfully',
+            data: formatHold(hold)
+        });
+    } catch (error) {
+        logError('Error reserving unit hold', error, { holdId: req.params.holdId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Release a held or reserved unit back to the inventory
+// @route   PUT /api/admin/unit-hold/:holdId/release
+// @access  Private (Admin)
+exports.releaseUnitHold = async (req, res) => {
+    try {
+        const { holdId } = req.params;
+        const { note } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(holdId)) {
+            return res.status(400).json({ success: false, message: 'Invalid hold ID' });
+        }
+
+        const hold = await releaseHold(holdId, { status: 'released', releasedBy: req.user.userId, note: note || 'Released by admin' });
+        if (!hold) {
+            const existing = await UnitHold.findById(holdId).select('status').lean();
+            if (!existing) {
+                return res.status(404).json({ success: false, message: 'Unit hold not found' });
+            }
+            return res.status(400).json({ success: false, message: `Hold is already ${existing.status}` });
+        }
+
+        logInfo('Unit hold released by admin', { holdId, releasedBy: req.user.userId });
+        res.json({
+            success: true,
+            message: 'Unit released successfully',
+            data: formatHold(hold)
+        });
+    } catch (error) {
+        logError('Error releasing unit hold', error, { holdId: req.params.holdId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Waitlist of a property, in queue order per sub-configuration
+// @route   GET /api/admin/property/:propertyId/waitlist
+// @access  Private (Admin)
+exports.getPropertyWaitlist = async (req, res) => {
+    try {
+        const { propertyId } = req.params;
+        const { status = 'waiting,promoted', subConfigurationId } = req.query;
+
+        if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid property ID' });
+        }
+
+        const filter = { propertyId, status: { $in: status.split(',').map(s => s.trim()) } };
+        if (subConfigurationId) {
+            if (!mongoose.Types.ObjectId.isValid(subConfigurationId)) {
+                return res.status(400).json({ success: false, message: 'Invalid sub-configuration ID' });
+            }
+            filter.subConfigurationId = subConfigurationId;
+        }
+
+        const entries = await WaitlistEntry.find(filter)
+            .populate('userId', 'name email phoneNumber countryCode')
+            .sort({ subConfigurationId: 1, sequence: 1 })
+            .lean();
+
+        // Positions count only buyers still waiting, per sub-configuration
+        const positions = {};
+        res.json({
+            success: true,
+            message: 'Waitlist fetched successfully',
+            data: entries.map(entry => {
+                const key = entry.subConfigurationId.toString();
+                let position = null;
+                if (entry.status === 'waiting') {
+                    positions[key] = (positions[key] || 0) + 1;
+                    position = positions[key];
+                }
+                return {
+                    ...formatWaitlistEntry(entry, position),
+                    leadId: entry.leadId || null,
+                    user: entry.userId ? {
+                        id: entry.userId._id,
+                        name: entry.userId.name || 'N/A',
+                        email: entry.userId.email || 'N/A',
+                        phoneNumber: entry.userId.phoneNumber
+                            ? `${entry.userId.countryCode || '+91'} ${entry.userId.phoneNumber}`
+                            : 'N/A'
+                    } : null
+                };
+            })
+        });
+    } catch (error) {
+        logError('Error fetching property waitlist', error, { propertyId: req.params.propertyId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
@@ -0,0 +1,378 @@
+const mongoose = require('mongoose');
+const Property = require('../models/property');
+const leadModal = require('../models/leadModal');
+const User = require('../models/user');
+const { logInfo, logError } = require('../utils/logger');
+const {
+    DEFAULT_STRATEGY,
+    resolveStrategy,
+    getAgentPool,
+    assignLead,
+    assignUnassignedLeads,
+    reassignLead: reassignLeadToAgent,
+    bulkTransferLeads
+} = require('../utils/leadAssignment');
+
+const TIME_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Helper function to get the name activities are logged under - the token only carries the user ID
+const getPerformerName = async (userId) => {
+    const performer = await User.findById(userId).select('name').lean();
+    return performer?.name || 'Admin';
+};
+
+// Helper function to validate working hours sent as [{ day, start, end }]
+const parseWorkingHours = (value) => {
+    const slots = typeof value === 'string' ? JSON.parse(value) : value;
+    if (!Array.isArray(slots)) return null;
+
+    const parsed = [];
+    for (const slot of slots) {
+        const day = Number(slot?.day);
+        if (!Number.isInteger(day) || day < 0 || day > 6) return null;
+        if (!TIME_PATTERN.test(slot.start || '') || !TIME_PATTERN.test(slot.end || '') || slot.start === slot.end) return null;
+        parsed.push({ day, start: slot.start, end: slot.end });
+    }
+    return parsed;
+};
+
+// Helper function to format an agent pool entry
+const formatPoolEntry = (entry) => ({
+    agentId: entry.agent._id,
+    name: entry.agent.name || 'N/A',
+    email: entry.agent.email || 'N/A',
+    openLeads: entry.openLeads,
+    maxOpenLeads: entry.maxOpenLeads,
+    weight: entry.weight,
+    lastAssignedAt: entry.lastAssignedAt,
+    isEligible: entry.isEligible,
+    unavailableReason: entry.unavailableReason
+});
+
+// ===================== ADMIN: LEAD ASSIGNMENT =====================
+
+// @desc    Lead assignment settings of an agent
+// @route   GET /api/admin/agent/:agentId/lead-assignment
+// @access  Private (Admin)
+exports.getAgentAssignmentSettings = async (req, res) => {
+    try {
+        const { agentId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(agentId)) {
+            return res.status(400).json({ success: false, message: 'Invalid agent ID' });
+        }
+
+        const agent = await User.findById(agentId).select('name email leadAssignment').lean();
+        if (!agent) {
+            return res.status(404).json({ success: false, message: 'Agent not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Lead assignment settings fetched successfully',
+            data: {
+                agentId: agent._id,
+                name: agent.name || 'N/A',
+                email: agent.email || 'N/A',
+                ...(agent.leadAssignment || {})
+            }
+        });
+    } catch (error) {
+        logError('Error fetching lead assignment settings', error, { agentId: req.params.agentId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Update availability, capacity, weight and working hours of an agent
+// @route   PUT /api/admin/agent/:agentId/lead-assignment
+// @access  Private (Admin)
+exports.updateAgentAssignmentSettings = async (req, res) => {
+    try {
+        const { agentId } = req.params;
+        const { isAvailable, maxOpenLeads, weight, workingHours, acceptsGeneralLeads } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(agentId)) {
+            return res.status(400).json({ success: false, message: 'Invalid agent ID' });
+        }
+
+        const updates = {};
+        if (isAvailable !== undefined) updates['leadAssignment.isAvailable'] = isAvailable === true || isAvailable === 'true';
+        if (acceptsGeneralLeads !== undefined) updates['leadAssignment.acceptsGeneralLeads'] = acceptsGeneralLeads === true || acceptsGeneralLeads === 'true';
+
+        if (maxOpenLeads !== undefined) {
+            const parsed = Number(maxOpenLeads);
+            if (!Number.isInteger(parsed) || parsed < 0) {
+                return res.status(400).json({ success: false, message: 'maxOpenLeads must be a whole number (0 for no limit)' });
+            }
+            updates['leadAssignment.maxOpenLeads'] = parsed;
+        }
+
+        if (weight !== undefined) {
+            const parsed = Number(weight);
+            if (!Number.isFinite(parsed) || parsed < 0) {
+                return res.status(400).json({ success: false, message: 'weight must be a non-negative number' });
+            }
+            updates['leadAssignment.weight'] = parsed;
+        }
+
+        if (workingHours !== undefined) {
+            let parsed = null;
+            try {
+                parsed = parseWorkingHours(workingHours);
+            } catch (error) {
+                parsed = null;
+            }
+            if (!parsed) {
+                return res.status(400).json({ success: false, message: 'workingHours must be an array of { day (0-6), start (HH:mm), end (HH:mm) }' });
+            }
+            updates['leadAssignment.workingHours'] = parsed;
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ success: false, message: 'No lead assignment settings provided' });
+        }
+
+        const agent = await User.findByIdAndUpdate(agentId, { $set: updates }, { new: true })
+            .select('name email leadAssignment')
+            .lean();
+        if (!agent) {
+            return res.status(404).json({ success: false, message: 'Agent not found' });
+        }
+
+        logInfo('Agent lead assignment settings updated', { agentId, updatedBy: req.user.userId });
+        res.json({
+            success: true,
+            message: 'Lead assignment settings updated successfully',
+            data: {
+                agentId: agent._id,
+                name: agent.name || 'N/A',
+                email: agent.email || 'N/A',
+                ...(agent.leadAssignment || {})
+            }
+        });
+    } catch (error) {
+        logError('Error updating lead assignment settings', error, { agentId: req.params.agentId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Agent pool of a property (or the general pool) with current load and availability
+// @route   GET /api/admin/lead-assignment/agents
+// @access  Private (Admin)
+exports.getAssignmentPool = async (req, res) => {
+    try {
+        const { propertyId } = req.query;
+
+        let property = null;
+        if (propertyId) {
+            if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+                return res.status(400).json({ success: false, message: 'Invalid property ID' });
+            }
+            property = await Property.findById(propertyId)
+                .select('projectName relationshipManager leadDistributionAgents leadAssignmentStrategy')
+                .lean();
+            if (!property) {
+                return res.status(404).json({ success: false, message: 'Property not found' });
+            }
+        }
+
+        const pool = await getAgentPool(property);
+
+        res.json({
+            success: true,
+            message: 'Agent pool fetched successfully',
+            data: {
+                propertyId: property?._id || null,
+                projectName: property?.projectName || null,
+                strategy: resolveStrategy(property),
+                defaultStrategy: DEFAULT_STRATEGY,
+                agents: pool.map(formatPoolEntry)
+            }
+        });
+    } catch (error) {
+        logError('Error fetching agent pool', error, { propertyId: req.query.propertyId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Run the assignment engine for one lead or for the unassigned backlog
+// @route   POST /api/admin/lead-assignment/run
+// @access  Private (Admin)
+exports.runLeadAssignment = async (req, res) => {
+    try {
+        const { leadId, propertyId, limit } = req.body;
+        const performedBy = req.user.userId;
+        const performedByName = await getPerformerName(performedBy);
+
+        if (leadId) {
+            if (!mongoose.Types.ObjectId.isValid(leadId)) {
+                return res.status(400).json({ success: false, message: 'Invalid lead ID' });
+            }
+
+            const result = await assignLead(leadId, { performedBy, performedByName });
+            if (!result.agent) {
+                return res.status(result.skipped === 'lead_not_found' ? 404 : 400).json({
+                    success: false,
+                    message: `Lead was not assigned (${result.skipped.replace(/_/g, ' ')})`
+                });
+            }
+
+            return res.json({
+                success: true,
+                message: 'Lead assigned successfully',
+                data: {
+                    leadId,
+                    assignedTo: { id: result.agent._id, name: result.agent.name || 'N/A' },
+                    strategy: result.strategy
+                }
+            });
+        }
+
+        if (propertyId && !mongoose.Types.ObjectId.isValid(propertyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid property ID' });
+        }
+
+        const result = await assignUnassignedLeads({
+            propertyId: propertyId || null,
+            limit: Math.min(Math.max(parseInt(limit) || 100, 1), 500),
+            includeUntried: true,
+            performedBy,
+            performedByName
+        });
+
+        logInfo('Lead assignment backlog run by admin', { propertyId, performedBy, ...result });
+        res.json({
+            success: true,
+            message: `${result.assigned} of ${result.checked} unassigned leads assigned`,
+            data: result
+        });
+    } catch (error) {
+        logError('Error running lead assignment', error, { body: req.body });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// Helper function to load an active agent that leads can be moved to
+const findTargetAgent = (agentId) => User.findOne({ _id: agentId, isActive: { $ne: false } })
+    .select('name email phoneNumber')
+    .lean();
+
+// @desc    Reassign one lead to another agent, or back into the assignment pool
+// @route   PUT /api/admin/lead/:leadId/reassign
+// @access  Private (Admin)
+exports.reassignLead = async (req, res) => {
+    try {
+        const { leadId } = req.params;
+        const { toAgentId, reason } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(leadId)) {
+            return res.status(400).json({ success: false, message: 'Invalid lead ID' });
+        }
+        if (toAgentId && !mongoose.Types.ObjectId.isValid(toAgentId)) {
+            return res.status(400).json({ success: false, message: 'Invalid agent ID' });
+        }
+
+        const lead = await leadModal.findOne({ _id: leadId, isStatus: true })
+            .select('assignedTo relationshipManagerId propertyId')
+            .lean();
+        if (!lead) {
+            return res.status(404).json({ success: false, message: 'Lead not found' });
+        }
+
+        let toAgent = null;
+        if (toAgentId) {
+            toAgent = await findTargetAgent(toAgentId);
+            if (!toAgent) {
+                return res.status(404).json({ success: false, message: 'Agent not found' });
+            }
+        }
+
+        const result = await reassignLeadToAgent(lead, {
+            toAgent,
+            performedBy: req.user.userId,
+            performedByName: await getPerformerName(req.user.userId),
+            reason: reason || ''
+        });
+        if (result.skipped) {
+            return res.status(400).json({ success: false, message: 'Lead is already assigned to this agent' });
+        }
+
+        res.json({
+            success: true,
+            message: result.toAgent
+                ? `Lead reassigned to ${result.toAgent.name || 'agent'}`
+                : 'Lead moved back to the assignment pool - no agent is available right now',
+            data: {
+                leadId,
+                fromAgentId: result.fromAgentId || null,
+                unassigned: result.unassigned,
+                assignedTo: result.toAgent ? { id: result.toAgent._id, name: result.toAgent.name || 'N/A' } : null
+            }
+        });
+    } catch (error) {
+        logError('Error reassigning lead', error, { leadId: req.params.leadId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Transfer open leads of one agent to another agent or back into the assignment pool
+// @route   POST /api/admin/leads/bulk-transfer
+// @access  Private (Admin)
+exports.bulkTransferLeads = async (req, res) => {
+    try {
+        const { fromAgentId, toAgentId, status, propertyId, from, to, reason, limit } = req.body;
+
+        if (!fromAgentId || !mongoose.Types.ObjectId.isValid(fromAgentId)) {
+            return res.status(400).json({ success: false, message: 'Valid fromAgentId is required' });
+        }
+        if (toAgentId && !mongoose.Types.ObjectId.isValid(toAgentId)) {
+            return res.status(400).json({ success: false, message: 'Invalid toAgentId' });
+        }
+        if (toAgentId && toAgentId.toString() === fromAgentId.toString()) {
+            return res.status(400).json({ success: false, message: 'fromAgentId and toAgentId must be different' });
+        }
+        if (propertyId && !mongoose.Types.ObjectId.isValid(propertyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid property ID' });
+        }
+
+        const fromDate = from ? new Date(from) : null;
+        const toDate = to ? new Date(to) : null;
+        if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+            return res.status(400).json({ success: false, message: 'Invalid from / to date' });
+        }
+
+        let toAgent = null;
+        if (toAgentId) {
+            toAgent = await findTargetAgent(toAgentId);
+            if (!toAgent) {
+                return res.status(404).json({ success: false, message: 'Agent not found' });
+            }
+        }
+
+        const result = await bulkTransferLeads({
+            fromAgentId: new mongoose.Types.ObjectId(fromAgentId),
+            toAgent,
+            filters: {
+                status: status ? (Array.isArray(status) ? status : status.split(',').map(s => s.trim())) : null,
+                propertyId: propertyId || null,
+                from: fromDate,
+                to: toDate
+            },
+            limit: Math.min(Math.max(parseInt(limit) || 500, 1), 2000),
+            performedBy: req.user.userId,
+            performedByName: await getPerformerName(req.user.userId),
+            reason: reason || ''
+        });
+
+        logInfo('Leads bulk transferred', { fromAgentId, toAgentId: toAgentId || null, performedBy: req.user.userId, ...result });
+        res.json({
+            success: true,
+            message: `${result.transferred} of ${result.matched} leads transferred`
+                + (result.unassigned > 0 ? `, ${result.unassigned} moved back to the assignment pool with no agent available` : ''),
+            data: result
+        });
+    } catch (error) {
+        logError('Error bulk transferring leads', error, { body: req.body });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
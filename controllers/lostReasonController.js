@@ -0,0 +1,294 @@
+const mongoose = require('mongoose');
+const LostReason = require('../models/lostReason');
+const leadModal = require('../models/leadModal');
+const Developer = require('../models/developer');
+const User = require('../models/user');
+const { logInfo, logError } = require('../utils/logger');
+const { getLostReasons } = require('../utils/lostReason');
+const { LOST_STATUSES, LEGACY_STATUS_MAP } = require('../utils/leadStatus');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_ANALYTICS_DAYS = 90;
+
+// Lost leads, including unmigrated ones still on a legacy status that maps to a lost status
+const LOST_LEAD_STATUSES = [
+    ...LOST_STATUSES,
+    ...Object.keys(LEGACY_STATUS_MAP).filter(status => LOST_STATUSES.includes(LEGACY_STATUS_MAP[status]))
+];
+
+// Helper function to parse a date range query; date-only toDate values include the whole day
+const parseDateRange = (fromDate, toDate) => {
+    const to = toDate ? new Date(toDate) : new Date();
+    const from = fromDate ? new Date(fromDate) : new Date(to.getTime() - DEFAULT_ANALYTICS_DAYS * DAY);
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return { error: 'Invalid date format' };
+    }
+    if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(toDate)) {
+        to.setHours(23, 59, 59, 999);
+    }
+    if (from > to) {
+        return { error: 'fromDate cannot be after toDate' };
+    }
+    return { from, to };
+};
+
+const winLossGroup = (key) => ({
+    $group: {
+        _id: key,
+        won: { $sum: '$isWon' },
+        lost: { $sum: { $subtract: [1, '$isWon'] } }
+    }
+});
+
+// Helper function to turn grouped counts into rows with a win rate, biggest first
+const formatWinLossRows = (rows, getName) => rows
+    .map(row => {
+        const total = row.won + row.lost;
+        return {
+            id: row._id ?? null,
+            name: getName(row._id),
+            won: row.won,
+            lost: row.lost,
+            total,
+            winRate: total > 0 ? Math.round((row.won / total) * 1000) / 10 : 0
+        };
+    })
+    .sort((a, b) => b.total - a.total);
+
+// ===================== ADMIN: LOST REASONS =====================
+
+// @desc    Lost reason taxonomy with the number of leads closed under each reason
+// @route   GET /api/admin/lost-reasons
+// @access  Private (Admin)
+exports.getLostReasons = async (req, res) => {
+    try {
+        const [reasons, usage] = await Promise.all([
+            getLostReasons(),
+            leadModal.aggregate([
+                { $match: { status: { $in: LOST_LEAD_STATUSES }, lostReason: { $ne: null } } },
+                { $group: { _id: '$lostReason', count: { $sum: 1 } } }
+            ])
+        ]);
+        const usageByCode = new Map(usage.map(row => [row._id, row.count]));
+
+        res.json({
+            success: true,
+            message: 'Lost reasons fetched successfully',
+            data: reasons.map(reason => ({
+                ...reason,
+                leadCount: usageByCode.get(reason.code) || 0
+            }))
+        });
+    } catch (error) {
+        logError('Error fetching lost reasons', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Add a lost reason
+// @route   POST /api/admin/lost-reasons
+// @access  Private (Admin)
+exports.createLostReason = async (req, res) => {
+    try {
+        const { code, label, description, sortOrder } = req.body;
+
+        if (!code || !label || !String(label).trim()) {
+            return res.status(400).json({ success: false, message: 'code and label are required' });
+        }
+
+        const normalizedCode = String(code).trim().toLowerCase();
+        if (!/^[a-z0-9_]+$/.test(normalizedCode)) {
+            return res.status(400).json({
+                success: false,
+                message: 'code may only contain lowercase letters, numbers and underscores'
+            });
+        }
+        if (sortOrder !== undefined && !Number.isFinite(Number(sortOrder))) {
+            return res.status(400).json({ success: false, message: 'sortOrder must be a number' });
+        }
+
+        if (await LostReason.exists({ code: normalizedCode })) {
+            return res.status(409).json({ success: false, message: 'A lost reason with this code already exists' });
+        }
+
+        const reason = await LostReason.create({
+            code: normalizedCode,
+            label: String(label).trim(),
+            description: description ? String(description).trim() : '',
+            sortOrder: sortOrder !== undefined ? Number(sortOrder) : 0,
+            createdBy: req.user.userId,
+            updatedBy: req.user.userId
+        });
+
+        logInfo('Lost reason created', { code: reason.code, createdBy: req.user.userId });
+        res.status(201).json({
+            success: true,
+            message: 'Lost reason created successfully',
+            data: reason
+        });
+    } catch (error) {
+        logError('Error creating lost reason', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Rename, reorder or (de)activate a lost reason - the code cannot change
+// @route   PUT /api/admin/lost-reason/:reasonId
+// @access  Private (Admin)
+exports.updateLostReason = async (req, res) => {
+    try {
+        const { reasonId } = req.params;
+        const { label, description, sortOrder, isActive } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(reasonId)) {
+            return res.status(400).json({ success: false, message: 'Invalid lost reason ID' });
+        }
+        if (req.body.code !== undefined) {
+            return res.status(400).json({ success: false, message: 'code cannot be changed - deactivate the reason and add a new one' });
+        }
+
+        const updates = { updatedBy: req.user.userId };
+        if (label !== undefined) {
+            if (!String(label).trim()) {
+                return res.status(400).json({ success: false, message: 'label cannot be empty' });
+            }
+            updates.label = String(label).trim();
+        }
+        if (description !== undefined) updates.description = String(description || '').trim();
+        if (sortOrder !== undefined) {
+            if (!Number.isFinite(Number(sortOrder))) {
+                return res.status(400).json({ success: false, message: 'sortOrder must be a number' });
+            }
+            updates.sortOrder = Number(sortOrder);
+        }
+        if (isActive !== undefined) updates.isActive = isActive === true || isActive === 'true';
+
+        const reason = await LostReason.findByIdAndUpdate(reasonId, { $set: updates }, { new: true });
+        if (!reason) {
+            return res.status(404).json({ success: false, message: 'Lost reason not found' });
+        }
+
+        logInfo('Lost reason updated', { reasonId, updatedBy: req.user.userId });
+        res.json({
+            success: true,
+            message: 'Lost reason updated successfully',
+            data: reason
+        });
+    } catch (error) {
+        logError('Error updating lost reason', error, { reasonId: req.params.reasonId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// ===================== ADMIN: WIN / LOSS ANALYTICS =====================
+
+// @desc    Win / loss rates of leads closed in a date range, broken down by property, developer,
+//          agent, source and lost reason. A lead counts on the day it reached deal_closed or a lost status.
+// @route   GET /api/admin/analytics/win-loss
+// @access  Private (Admin)
+exports.getWinLossAnalytics = async (req, res) => {
+    try {
+        const { fromDate, toDate, propertyId } = req.query;
+
+        const range = parseDateRange(fromDate, toDate);
+        if (range.error) {
+            return res.status(400).json({ success: false, message: range.error });
+        }
+        if (propertyId && !mongoose.Types.ObjectId.isValid(propertyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid property ID' });
+        }
+
+        const [result] = await leadModal.aggregate([
+            {
+                $match: {
+                    isStatus: true,
+                    status: { $in: ['deal_closed', ...LOST_LEAD_STATUSES] },
+                    ...(propertyId ? { propertyId: new mongoose.Types.ObjectId(propertyId) } : {})
+                }
+            },
+            // Leads closed before statusChangedAt existed fall back to their last update
+            { $addFields: { closedAt: { $ifNull: ['$statusChangedAt', '$updatedAt'] } } },
+            { $match: { closedAt: { $gte: range.from, $lte: range.to } } },
+            {
+                $lookup: {
+                    from: 'properties',
+                    localField: 'propertyId',
+                    foreignField: '_id',
+                    as: 'property'
+                }
+            },
+            {
+                $addFields: {
+                    isWon: { $cond: [{ $eq: ['$status', 'deal_closed'] }, 1, 0] },
+                    projectName: { $arrayElemAt: ['$property.projectName', 0] },
+                    developerId: { $arrayElemAt: ['$property.developer', 0] },
+                    agentId: { $ifNull: ['$assignedTo', '$relationshipManagerId'] }
+                }
+            },
+            {
+                $facet: {
+                    totals: [winLossGroup(null)],
+                    byProperty: [
+                        {
+                            $group: {
+                                _id: '$propertyId',
+                                projectName: { $first: '$projectName' },
+                                won: { $sum: '$isWon' },
+                                lost: { $sum: { $subtract: [1, '$isWon'] } }
+                            }
+                        }
+                    ],
+                    byDeveloper: [winLossGroup('$developerId')],
+                    byAgent: [winLossGroup('$agentId')],
+                    bySource: [winLossGroup({ $ifNull: ['$source', 'origin'] })],
+                    byReason: [
+                        { $match: { isWon: 0 } },
+                        { $group: { _id: '$lostReason', count: { $sum: 1 } } },
+                        { $sort: { count: -1 } }
+                    ]
+                }
+            }
+        ]);
+
+        const idsOf = (rows) => rows.map(row => row._id).filter(Boolean);
+        const [developers, agents, reasons] = await Promise.all([
+            Developer.find({ _id: { $in: idsOf(result.byDeveloper) } }).select('developerName').lean(),
+            User.find({ _id: { $in: idsOf(result.byAgent) } }).select('name').lean(),
+            LostReason.find({ code: { $in: idsOf(result.byReason) } }).select('code label').lean()
+        ]);
+        const developerNames = new Map(developers.map(dev => [dev._id.toString(), dev.developerName]));
+        const agentNames = new Map(agents.map(agent => [agent._id.toString(), agent.name]));
+        const reasonLabels = new Map(reasons.map(reason => [reason.code, reason.label]));
+        const projectNames = new Map(result.byProperty.map(row => [String(row._id), row.projectName]));
+
+        const [totalsRow = { won: 0, lost: 0, total: 0, winRate: 0 }] = formatWinLossRows(result.totals, () => null);
+        const lostTotal = result.byReason.reduce((sum, row) => sum + row.count, 0);
+
+        res.json({
+            success: true,
+            message: 'Win / loss analytics fetched successfully',
+            data: {
+                range: { fromDate: range.from, toDate: range.to },
+                totals: {
+                    won: totalsRow.won,
+                    lost: totalsRow.lost,
+                    total: totalsRow.total,
+                    winRate: totalsRow.winRate
+                },
+                byProperty: formatWinLossRows(result.byProperty, id => (id ? projectNames.get(String(id)) : null) || 'General enquiry'),
+                byDeveloper: formatWinLossRows(result.byDeveloper, id => (id && developerNames.get(id.toString())) || 'Unknown'),
+                byAgent: formatWinLossRows(result.byAgent, id => (id && agentNames.get(id.toString())) || 'Unassigned'),
+                bySource: formatWinLossRows(result.bySource, source => source),
+                byReason: result.byReason.map(row => ({
+                    reason: row._id || null,
+                    label: row._id ? (reasonLabels.get(row._id) || row._id) : 'Not recorded',
+                    count: row.count,
+                    share: lostTotal > 0 ? Math.round((row.count / lostTotal) * 1000) / 10 : 0
+                }))
+            }
+        });
+    } catch (error) {
+        logError('Error fetching win / loss analytics', error, { query: req.query });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
@@ -0,0 +1,356 @@
+const mongoose = require('mongoose');
+const Property = require('../models/property');
+const Payment = require('../models/payment');
+const GroupBuyMember = require('../models/groupBuyMember');
+const leadModal = require('../models/leadModal');
+const { logInfo, logError } = require('../utils/logger');
+const { isProduction, getPaymentProvider } = require('../utils/paymentProviders');
+const { findSubConfiguration } = require('../utils/inventory');
+const { assignLead } = require('../utils/leadAssignment');
+const {
+    formatPayment,
+    createTokenPayment,
+    confirmCheckoutPayment,
+    requestRefund,
+    handleWebhookEvent
+} = require('../utils/payment');
+
+// ===================== BUYER: TOKEN BOOKING =====================
+
+// @desc    Start a token amount booking - creates a payment order with the active provider
+// @route   POST /api/payments/token-booking
+// @access  Private (authenticated)
+exports.createTokenBooking = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { propertyId, configurationId, subConfigurationId } = req.body;
+
+        if (!propertyId || !mongoose.Types.ObjectId.isValid(propertyId)) {
+            return res.status(400).json({ success: false, message: 'Valid property ID is required' });
+        }
+
+        const property = await Property.findById(propertyId)
+            .populate('relationshipManager', 'email phone')
+            .select('projectName tokenAmount configurations relationshipManager isStatus')
+            .lean();
+        if (!property || !property.isStatus) {
+            return res.status(404).json({ success: false, message: 'Property not found' });
+        }
+
+        if (!property.tokenAmount || property.tokenAmount <= 0) {
+            return res.status(400).json({ success: false, message: 'Token booking is not available for this property' });
+        }
+
+        const member = await GroupBuyMember.findOne({ userId, propertyId, status: 'active' })
+            .sort({ joinedAt: -1 })
+            .lean();
+
+        // Book the carpet area the buyer asked for, or the one they hold through their group membership
+        let configuration = null;
+        let subConfiguration = null;
+        const requestedSubConfigurationId = subConfigurationId || member?.subConfigurationId;
+        if (requestedSubConfigurationId) {
+            const match = findSubConfiguration(property, requestedSubConfigurationId);
+            if (!match) {
+                return res.status(400).json({ success: false, message: 'Sub-configuration not found for this property' });
+            }
+            configuration = match.configuration;
+            subConfiguration = match.subConfiguration;
+        } else if (configurationId) {
+            configuration = (property.configurations || []).find(config => config._id?.toString() === configurationId.toString());
+            if (!configuration) {
+                return res.status(400).json({ success: false, message: 'Configuration not found for this property' });
+            }
+        }
+
+        const paidPayment = await Payment.findOne({
+            userId,
+            propertyId,
+            purpose: 'token_amount',
+            status: { $in: ['captured', 'refund_pending', 'refund_failed'] }
+        }).lean();
+        if (paidPayment) {
+            return res.status(409).json({
+                success: false,
+                message: 'You have already paid a token amount for this property',
+                data: formatPayment(paidPayment)
+            });
+        }
+
+        // Reuse an unpaid order for the same unit and amount instead of creating a new one
+        const pendingPayment = await Payment.findOne({
+            userId,
+            propertyId,
+            purpose: 'token_amount',
+            status: 'created',
+            subConfigurationId: subConfiguration?._id || null,
+            amount: property.tokenAmount,
+            provider: getPaymentProvider().name
+        }).lean();
+        if (pendingPayment) {
+            return res.json({
+                success: true,
+                message: 'Token booking already started',
+                data: {
+                    ...formatPayment(pendingPayment),
+                    checkout: getPaymentProvider(pendingPayment.provider).getCheckoutConfig()
+                }
+            });
+        }
+
+        let lead = await leadModal.findOne({ userId, propertyId, isStatus: true }).lean();
+        if (!lead) {
+            lead = await leadModal.create({
+                userId,
+                propertyId,
+                relationshipManagerId: property.relationshipManager?._id,
+                rmEmail: property.relationshipManager?.email || '',
+                rmPhone: property.relationshipManager?.phone || '',
+                isStatus: true,
+                source: 'token_booking',
+                updatedBy: userId
+            });
+            logInfo('New lead created for token booking', { leadId: lead._id, userId, propertyId });
+            await assignLead(lead._id);
+        }
+
+        const { payment, checkout } = await createTokenPayment({
+            userId,
+            leadId: lead._id,
+            property,
+            configurationId: configuration?._id || null,
+            subConfigurationId: subConfiguration?._id || null,
+            groupBuyId: member?.groupBuyId || null,
+            memberId: member?._id || null
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Token booking started',
+            data: {
+                ...formatPayment(payment),
+                checkout
+            }
+        });
+    } catch (error) {
+        logError('Error creating token booking', error, { userId: req.user?.userId, propertyId: req.body.propertyId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Confirm a checkout payment with the signature returned by the provider
+// @route   POST /api/payments/verify
+// @access  Private (authenticated)
+exports.verifyTokenPayment = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { orderId, paymentId, signature } = req.body;
+
+        if (!orderId || !paymentId || !signature) {
+            return res.status(400).json({ success: false, message: 'orderId, paymentId and signature are required' });
+        }
+
+        const payment = await Payment.findOne({ providerOrderId: orderId, userId });
+        if (!payment) {
+            return res.status(404).json({ success: false, message: 'Payment not found' });
+        }
+
+        const result = await confirmCheckoutPayment(payment, { paymentId, signature });
+        if (result.error) {
+            logInfo('Token payment signature mismatch', { paymentId: payment._id, userId });
+            return res.status(400).json({ success: false, message: result.error });
+        }
+
+        const isPaid = ['captured', 'refund_pending', 'refunded', 'refund_failed'].includes(result.payment.status);
+        res.status(isPaid ? 200 : 402).json({
+            success: isPaid,
+            message: isPaid ? 'Token amount paid successfully' : (result.payment.failureReason || 'Payment not completed'),
+            data: formatPayment(result.payment)
+        });
+    } catch (error) {
+        logError('Error verifying token payment', error, { userId: req.user?.userId, orderId: req.body.orderId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Get payments of the logged in buyer
+// @route   GET /api/payments/my-payments
+// @access  Private (authenticated)
+exports.getMyPayments = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const payments = await Payment.find({ userId })
+            .populate('propertyId', 'projectName projectId')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.json({
+            success: true,
+            message: 'Payments fetched successfully',
+            data: payments.map(payment => ({
+                ...formatPayment(payment),
+                propertyId: payment.propertyId?._id || null,
+                projectName: payment.propertyId?.projectName || 'N/A'
+            }))
+        });
+    } catch (error) {
+        logError('Error fetching user payments', error, { userId: req.user?.userId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Provider webhook - payment and refund status updates
+// @route   POST /api/payments/webhook
+// @access  Public (signature verified)
+exports.handlePaymentWebhook = async (req, res) => {
+    try {
+        const provider = getPaymentProvider();
+        const signature = req.headers[provider.signatureHeader];
+
+        if (!provider.verifyWebhookSignature(req.rawBody, signature)) {
+            logInfo('Payment webhook rejected - invalid signature', { provider: provider.name });
+            return res.status(400).json({ success: false, message: 'Invalid webhook signature' });
+        }
+
+        const event = provider.parseWebhookEvent(req.body);
+        const result = await handleWebhookEvent(event);
+
+        logInfo('Payment webhook processed', { provider: provider.name, event: event.type, ...result });
+        // Always acknowledge verified events so the provider does not keep retrying unknown ones
+        res.json({ success: true, message: 'Webhook received', data: result });
+    } catch (error) {
+        logError('Error processing payment webhook', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Simulate the hosted checkout when the mock provider is active (development only)
+// @route   POST /api/payments/mock/checkout
+// @access  Private (authenticated)
+exports.mockCheckout = async (req, res) => {
+    try {
+        const { orderId, success = true } = req.body;
+
+        // Never reachable in production, whatever PAYMENT_PROVIDER says
+        if (isProduction() || process.env.PAYMENT_PROVIDER !== 'mock') {
+            return res.status(404).json({ success: false, message: 'Route not found' });
+        }
+        const provider = getPaymentProvider();
+
+        const payment = await Payment.findOne({ providerOrderId: orderId, userId: req.user.userId }).lean();
+        if (!payment) {
+            return res.status(404).json({ success: false, message: 'Payment not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Mock checkout completed - call /api/payments/verify with this data',
+            data: provider.simulatePayment(orderId, success !== false && success !== 'false')
+        });
+    } catch (error) {
+        logError('Error in mock checkout', error, { orderId: req.body.orderId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// ===================== ADMIN: PAYMENTS =====================
+
+// @desc    List payments (filter by status / property)
+// @route   GET /api/admin/payments
+// @access  Private (Admin)
+exports.getPayments = async (req, res) => {
+    try {
+        const { status, propertyId, page = 1, limit = 20 } = req.query;
+        const pageNum = Math.max(parseInt(page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const filter = {};
+        if (status) {
+            filter.status = { $in: status.split(',').map(s => s.trim()) };
+        }
+        if (propertyId) {
+            if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+                return res.status(400).json({ success: false, message: 'Invalid property ID' });
+            }
+            filter.propertyId = propertyId;
+        }
+
+        const [payments, total] = await Promise.all([
+            Payment.find(filter)
+                .populate('userId', 'name email phoneNumber countryCode')
+                .populate('propertyId', 'projectName projectId')
+                .sort({ createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .lean(),
+            Payment.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            message: 'Payments fetched successfully',
+            data: payments.map(payment => ({
+                ...formatPayment(payment),
+                leadId: payment.leadId || null,
+                propertyId: payment.propertyId?._id || null,
+                projectName: payment.propertyId?.projectName || 'N/A',
+                user: payment.userId ? {
+                    id: payment.userId._id,
+                    name: payment.userId.name || 'N/A',
+                    email: payment.userId.email || 'N/A',
+                    phoneNumber: payment.userId.phoneNumber
+                        ? `${payment.userId.countryCode || '+91'} ${payment.userId.phoneNumber}`
+                        : 'N/A'
+                } : null,
+                providerPaymentId: payment.providerPaymentId || null
+            })),
+            pagination: {
+                total,
+                page: pageNum,
+                limit: limitNum,
+                totalPages: Math.ceil(total / limitNum)
+            }
+        });
+    } catch (error) {
+        logError('Error fetching payments', error, { query: req.query });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Refund a token payment
+// @route   PUT /api/admin/payment/:paymentId/refund
+// @access  Private (Admin)
+exports.refundPayment = async (req, res) => {
+    try {
+        const { paymentId } = req.params;
+        const { reason } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+            return res.status(400).json({ success: false, message: 'Invalid payment ID' });
+        }
+
+        const payment = await Payment.findById(paymentId);
+        if (!payment) {
+            return res.status(404).json({ success: false, message: 'Payment not found' });
+        }
+
+        if (!payment.isRefundable || !['captured', 'refund_failed'].includes(payment.status)) {
+            return res.status(400).json({ success: false, message: `Payment cannot be refunded (status: ${payment.status})` });
+        }
+
+        const result = await requestRefund(payment, { reason: reason || 'Refunded by admin', requestedBy: req.user.userId });
+
+        logInfo('Token refund requested by admin', { paymentId, requestedBy: req.user.userId, status: result.payment?.status });
+        res.json({
+            success: result.payment?.status !== 'refund_failed',
+            message: result.payment?.status === 'refund_failed'
+                ? `Refund failed: ${result.payment.refund?.lastError || 'provider error'}`
+                : 'Refund initiated successfully',
+            data: result.payment ? formatPayment(result.payment) : null
+        });
+    } catch (error) {
+        logError('Error refunding payment', error, { paymentId: req.params.paymentId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
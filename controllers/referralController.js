@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const Referral = require('../models/referral');
+const { logInfo, logError } = require('../utils/logger');
+const { notifyUser } = require('../utils/notification');
+const {
+    getOrCreateReferralCode,
+    formatReferral,
+    summarizeReferrals
+} = require('../utils/referral');
+
+// Helper function to format a user reference for admin listings
+const formatUserRef = (user) => user ? {
+    id: user._id,
+    name: user.name || 'N/A',
+    email: user.email || 'N/A',
+    phoneNumber: user.phoneNumber
+        ? `${user.countryCode || '+91'} ${user.phoneNumber}`
+        : 'N/A'
+} : null;
+
+// ===================== BUYER: REFERRALS =====================
+
+// @desc    Referral code, earnings summary and referred buyers of the logged in user
+// @route   GET /api/user_dashboard/referrals
+// @access  Private (User)
+exports.getMyReferrals = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const referralCode = await getOrCreateReferralCode(userId);
+        if (!referralCode) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const referrals = await Referral.find({ referrerId: userId })
+            .populate('refereeId', 'name')
+            .populate('propertyId', 'projectName projectId')
+            .populate('leadId', 'status')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.json({
+            success: true,
+            message: 'Referrals fetched successfully',
+            data: {
+                referralCode,
+                summary: summarizeReferrals(referrals),
+                referrals: referrals.map(referral => ({
+                    ...formatReferral(referral),
+                    // Referrers only see the first name of the buyers they brought in
+                    refereeName: referral.refereeId?.name ? referral.refereeId.name.split(' ')[0] : 'Buyer',
+                    propertyId: referral.propertyId?._id || null,
+                    projectName: referral.propertyId?.projectName || 'N/A',
+                    leadStatus: referral.leadId?.status || null
+                }))
+            }
+        });
+    } catch (error) {
+        logError('Error fetching user referrals', error, { userId: req.user?.userId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// ===================== ADMIN: REFERRALS =====================
+
+// @desc    Referral ledger (filter by status / property / referrer)
+// @route   GET /api/admin/referrals
+// @access  Private (Admin)
+exports.getReferrals = async (req, res) => {
+    try {
+        const { status, propertyId, referrerId, page = 1, limit = 20 } = req.query;
+        const pageNum = Math.max(parseInt(page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const filter = {};
+        if (status) {
+            filter.status = { $in: status.split(',').map(s => s.trim()) };
+        }
+        if (propertyId) {
+            if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+                return res.status(400).json({ success: false, message: 'Invalid property ID' });
+            }
+            filter.propertyId = propertyId;
+        }
+        if (referrerId) {
+            if (!mongoose.Types.ObjectId.isValid(referrerId)) {
+                return res.status(400).json({ success: false, message: 'Invalid referrer ID' });
+            }
+            filter.referrerId = referrerId;
+        }
+
+        const [referrals, total, totals] = await Promise.all([
+            Referral.find(filter)
+                .populate('referrerId', 'name email phoneNumber countryCode')
+                .populate('refereeId', 'name email phoneNumber countryCode')
+                .populate('propertyId', 'projectName projectId')
+                .populate('leadId', 'status')
+                .sort({ createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .lean(),
+            Referral.countDocuments(filter),
+            Referral.find(filter).select('status rewardAmount').lean()
+        ]);
+
+        res.json({
+            success: true,
+            message: 'Referrals fetched successfully',
+            data: referrals.map(referral => ({
+                ...formatReferral(referral),
+                leadId: referral.leadId?._id || null,
+                leadStatus: referral.leadId?.status || null,
+                propertyId: referral.propertyId?._id || null,
+                projectName: referral.propertyId?.projectName || 'N/A',
+                referrer: formatUserRef(referral.referrerId),
+                referee: formatUserRef(referral.refereeId),
+                note: referral.note || ''
+            })),
+            summary: summarizeReferrals(totals),
+            pagination: {
+                total,
+                page: pageNum,
+                limit: limitNum,
+                totalPages: Math.ceil(total / limitNum)
+            }
+        });
+    } catch (error) {
+        logError('Error fetching referrals', error, { query: req.query });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Mark an earned referral reward as paid out
+// @route   PUT /api/admin/referral/:referralId/mark-paid
+// @access  Private (Admin)
+exports.markReferralPaid = async (req, res) => {
+    try {
+        const { referralId } = req.params;
+        const { paymentReference, note } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(referralId)) {
+            return res.status(400).json({ success: false, message: 'Invalid referral ID' });
+        }
+
+        // Only earned rewards can be paid - the status check is part of the update
+        const referral = await Referral.findOneAndUpdate(
+            { _id: referralId, status: 'earned' },
+            {
+                $set: {
+                    status: 'paid',
+                    paidAt: new Date(),
+                    paidBy: req.user.userId,
+                    paymentReference: paymentReference || '',
+                    ...(note ? { note } : {})
+                }
+            },
+            { new: true }
+        ).populate('propertyId', 'projectName').lean();
+
+        if (!referral) {
+            const existing = await Referral.findById(referralId).select('status').lean();
+            if (!existing) {
+                return res.status(404).json({ success: false, message: 'Referral not found' });
+            }
+            return res.status(400).json({ success: false, message: `Only earned rewards can be marked as paid (status: ${existing.status})` });
+        }
+
+        await notifyUser({
+            userId: referral.referrerId,
+            leadId: referral.leadId,
+            propertyId: referral.propertyId?._id || null,
+            groupBuyId: referral.groupBuyId || null,
+            notificationType: 'referral',
+            title: 'Referral Reward Paid',
+            message: `Your referral reward of ₹${referral.rewardAmount} for ${referral.propertyId?.projectName || 'your referral'} has been paid.`,
+            metadata: { referralId: referral._id.toString(), paymentReference: referral.paymentReference }
+        });
+
+        logInfo('Referral reward marked as paid', { referralId, paidBy: req.user.userId });
+        res.json({
+            success: true,
+            message: 'Referral reward marked as paid',
+            data: formatReferral(referral)
+        });
+    } catch (error) {
+        logError('Error marking referral as paid', error, { referralId: req.params.referralId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
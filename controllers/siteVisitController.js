@@ -0,0 +1,288 @@
+const mongoose = require('mongoose');
+const SiteVisit = require('../models/siteVisit');
+const leadModal = require('../models/leadModal');
+const User = require('../models/user');
+const { logInfo, logError } = require('../utils/logger');
+const { buildCalendar, buildVisitEvent } = require('../utils/calendar');
+const { handleReminderReply } = require('../utils/visitReminders');
+const { validateWebhookSignature, buildMessagingReply } = require('../utils/twilio');
+const { RM_VISIT_STATUSES, changeVisitStatus, checkInVisit, canManageVisit, formatSiteVisit } = require('../utils/siteVisit');
+
+const populateVisit = (query) => query
+    .populate('propertyId', 'projectName location')
+    .populate('userId', 'name phoneNumber')
+    .populate('relationshipManagerId', 'name');
+
+// Name visit changes are logged under - the token only carries the user ID
+const getPerformerName = async (userId) => {
+    const performer = await User.findById(userId).select('name').lean();
+    return performer?.name || 'Admin';
+};
+
+// ===================== ADMIN: SITE VISITS =====================
+
+// @desc    Site visits across properties (filter by status, property, RM and date range)
+// @route   GET /api/admin/visits
+// @access  Private (Admin)
+exports.getVisits = async (req, res) => {
+    try {
+        const { status, propertyId, relationshipManagerId, fromDate, toDate, page = 1, limit = 20 } = req.query;
+        const pageNum = Math.max(parseInt(page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        if (status && !SiteVisit.STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid status. Must be one of: ${SiteVisit.STATUSES.join(', ')}`
+            });
+        }
+        if (propertyId && !mongoose.Types.ObjectId.isValid(propertyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid property ID' });
+        }
+        if (relationshipManagerId && !mongoose.Types.ObjectId.isValid(relationshipManagerId)) {
+            return res.status(400).json({ success: false, message: 'Invalid relationship manager ID' });
+        }
+
+        // ObjectIds are cast by hand because the filter is reused in an aggregate
+        const filter = {};
+        if (propertyId) filter.propertyId = new mongoose.Types.ObjectId(propertyId);
+        if (relationshipManagerId) filter.relationshipManagerId = new mongoose.Types.ObjectId(relationshipManagerId);
+        if (fromDate || toDate) {
+            const from = fromDate ? new Date(fromDate) : null;
+            const to = toDate ? new Date(toDate) : null;
+            if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+                return res.status(400).json({ success: false, message: 'Invalid date format' });
+            }
+            if (to && /^\d{4}-\d{2}-\d{2}$/.test(toDate)) to.setHours(23, 59, 59, 999);
+            filter.scheduledAt = {};
+            if (from) filter.scheduledAt.$gte = from;
+            if (to) filter.scheduledAt.$lte = to;
+        }
+
+        // Counts per status ignore the status filter so every tab can show its total
+        const listFilter = status ? { ...filter, status } : filter;
+
+        const [visits, total, counts] = await Promise.all([
+            populateVisit(SiteVisit.find(listFilter))
+                .sort({ scheduledAt: 1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .lean(),
+            SiteVisit.countDocuments(listFilter),
+            SiteVisit.aggregate([
+                { $match: filter },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        res.json({
+            success: true,
+            message: 'Site visits fetched successfully',
+            data: visits.map(formatSiteVisit),
+            statusCounts: Object.fromEntries(SiteVisit.STATUSES.map(visitStatus => [
+                visitStatus,
+                counts.find(row => row._id === visitStatus)?.count || 0
+            ])),
+            pagination: {
+                total,
+                page: pageNum,
+                limit: limitNum,
+                totalPages: Math.ceil(total / limitNum)
+            }
+        });
+    } catch (error) {
+        logError('Error fetching site visits', error, { query: req.query });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Visit history of a lead with its no-show count
+// @route   GET /api/admin/lead/:leadId/visits
+// @access  Private (Admin)
+exports.getLeadVisits = async (req, res) => {
+    try {
+        const { leadId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(leadId)) {
+            return res.status(400).json({ success: false, message: 'Invalid lead ID' });
+        }
+
+        const lead = await leadModal.findById(leadId).select('visitStatus noShowCount lastNoShowAt').lean();
+        if (!lead) {
+            return res.status(404).json({ success: false, message: 'Lead not found' });
+        }
+
+        const visits = await populateVisit(SiteVisit.find({ leadId }))
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.json({
+            success: true,
+            message: 'Lead visits fetched successfully',
+            data: {
+                leadId: lead._id,
+                visitStatus: lead.visitStatus || 'not_visited',
+                noShowCount: lead.noShowCount || 0,
+                lastNoShowAt: lead.lastNoShowAt || null,
+                visits: visits.map(formatSiteVisit)
+            }
+        });
+    } catch (error) {
+        logError('Error fetching lead visits', error, { leadId: req.params.leadId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Confirm, cancel, mark no-show or complete a site visit
+// @route   PUT /api/admin/visit/:visitId/status
+// @access  Private (Admin)
+exports.updateVisitStatus = async (req, res) => {
+    try {
+        const { visitId } = req.params;
+        const { status, reason } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(visitId)) {
+            return res.status(400).json({ success: false, message: 'Invalid visit ID' });
+        }
+        if (!RM_VISIT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid status. Must be one of: ${RM_VISIT_STATUSES.join(', ')}`
+            });
+        }
+
+        const current = await SiteVisit.findById(visitId).select('leadId relationshipManagerId').lean();
+        if (!current) {
+            return res.status(404).json({ success: false, message: 'Site visit not found' });
+        }
+        if (!await canManageVisit(current, req.user)) {
+            return res.status(403).json({ success: false, message: 'You are not allowed to manage this site visit' });
+        }
+
+        const result = await changeVisitStatus({
+            visitId,
+            status,
+            reason,
+            performedBy: req.user.userId,
+            performedByName: await getPerformerName(req.user.userId)
+        });
+        if (result.error) {
+            return res.status(result.statusCode || 400).json({ success: false, message: result.error });
+        }
+
+        const visit = await populateVisit(SiteVisit.findById(visitId)).lean();
+
+        res.json({
+            success: true,
+            message: 'Site visit updated successfully',
+            data: formatSiteVisit(visit)
+        });
+    } catch (error) {
+        logError('Error updating site visit status', error, { visitId: req.params.visitId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Scan a buyer's check-in QR at the site and mark the visit completed
+// @route   POST /api/admin/visit/check-in
+// @access  Private (Admin)
+exports.checkInVisit = async (req, res) => {
+    try {
+        const { token, propertyId } = req.body;
+        const latitude = Number(req.body.latitude);
+        const longitude = Number(req.body.longitude);
+
+        if (!token) {
+            return res.status(400).json({ success: false, message: 'token is required' });
+        }
+        if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid property ID' });
+        }
+        if (req.body.latitude === undefined || req.body.longitude === undefined
+            || !Number.isFinite(latitude) || !Number.isFinite(longitude)
+            || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+            return res.status(400).json({ success: false, message: 'Valid latitude and longitude are required' });
+        }
+
+        const result = await checkInVisit({
+            token: String(token),
+            propertyId,
+            latitude,
+            longitude,
+            user: req.user,
+            performedByName: await getPerformerName(req.user.userId)
+        });
+        if (result.error) {
+            return res.status(result.statusCode || 400).json({ success: false, message: result.error });
+        }
+
+        const visit = await populateVisit(SiteVisit.findById(result.visit._id)).lean();
+
+        res.json({
+            success: true,
+            message: 'Buyer checked in, site visit completed',
+            data: formatSiteVisit(visit)
+        });
+    } catch (error) {
+        logError('Error checking in site visit', error, { propertyId: req.body?.propertyId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Calendar invite (.ics) of a site visit for the RM
+// @route   GET /api/admin/visit/:visitId/calendar.ics
+// @access  Private (Admin)
+exports.getVisitCalendarInvite = async (req, res) => {
+    try {
+        const { visitId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(visitId)) {
+            return res.status(400).json({ success: false, message: 'Invalid visit ID' });
+        }
+
+        const visit = await SiteVisit.findById(visitId)
+            .populate('propertyId', 'projectName location')
+            .populate('userId', 'name phoneNumber email')
+            .populate('visitSlot', 'endsAt')
+            .lean();
+        if (!visit) {
+            return res.status(404).json({ success: false, message: 'Site visit not found' });
+        }
+
+        res.header('Content-Type', 'text/calendar; charset=utf-8');
+        res.attachment(`site-visit-${visitId}.ics`);
+        res.send(buildCalendar({ events: [buildVisitEvent(visit, 'rm')] }));
+    } catch (error) {
+        logError('Error generating visit calendar invite', error, { visitId: req.params.visitId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// ===================== WEBHOOK: VISIT REMINDER REPLIES =====================
+
+// @desc    Buyer's SMS / WhatsApp reply to a visit reminder (YES confirms, CANCEL cancels), answered with TwiML
+// @route   POST /api/home/visit/reminder-reply
+// @access  Public (Twilio signature)
+exports.handleReminderReply = async (req, res) => {
+    try {
+        // Behind a proxy the URL Twilio signed can differ from what Express sees
+        const baseUrl = process.env.TWILIO_WEBHOOK_BASE_URL || `${req.protocol}://${req.get('host')}`;
+        if (!validateWebhookSignature(req.headers['x-twilio-signature'], `${baseUrl}${req.originalUrl}`, req.body)) {
+            logInfo('Visit reminder reply rejected - invalid signature');
+            return res.status(400).json({ success: false, message: 'Invalid webhook signature' });
+        }
+
+        const { From, Body } = req.body;
+        const reply = await handleReminderReply({
+            from: From,
+            body: Body,
+            channel: String(From || '').startsWith('whatsapp:') ? 'whatsapp' : 'sms'
+        });
+
+        res.type('text/xml').send(buildMessagingReply(reply));
+    } catch (error) {
+        logError('Error handling visit reminder reply', error, { messageSid: req.body?.MessageSid });
+        // Twilio only needs a valid answer, the buyer gets no reply text
+        res.type('text/xml').send(buildMessagingReply());
+    }
+};
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const SlaPolicy = require('../models/slaPolicy');
+const leadModal = require('../models/leadModal');
+const { logInfo, logError } = require('../utils/logger');
+const { ensureDefaultPolicies } = require('../utils/leadSla');
+
+// Helper function to validate and pick SLA policy fields from a request body
+const parsePolicyInput = (body, { partial = false } = {}) => {
+    const data = {};
+    const { name, type, leadStatus, thresholdMinutes, escalateTo, propertyId, isActive } = body;
+
+    if (name !== undefined) {
+        if (!String(name).trim()) return { error: 'name cannot be empty' };
+        data.name = String(name).trim();
+    } else if (!partial) {
+        return { error: 'name is required' };
+    }
+
+    if (type !== undefined) {
+        if (!SlaPolicy.TYPES.includes(type)) {
+            return { error: `Invalid type. Must be one of: ${SlaPolicy.TYPES.join(', ')}` };
+        }
+        data.type = type;
+    } else if (!partial) {
+        return { error: 'type is required' };
+    }
+
+    if (thresholdMinutes !== undefined) {
+        const parsed = Number(thresholdMinutes);
+        if (!Number.isInteger(parsed) || parsed < 0) {
+            return { error: 'thresholdMinutes must be a whole number of minutes' };
+        }
+        data.thresholdMinutes = parsed;
+    } else if (!partial) {
+        return { error: 'thresholdMinutes is required' };
+    }
+
+    if (leadStatus !== undefined) {
+        const statuses = leadModal.schema.path('status').enumValues;
+        if (leadStatus && !statuses.includes(leadStatus)) {
+            return { error: `Invalid leadStatus. Must be one of: ${statuses.join(', ')}` };
+        }
+        data.leadStatus = leadStatus || null;
+    }
+
+    if (escalateTo !== undefined) {
+        if (!SlaPolicy.ESCALATION_TARGETS.includes(escalateTo)) {
+            return { error: `Invalid escalateTo. Must be one of: ${SlaPolicy.ESCALATION_TARGETS.join(', ')}` };
+        }
+        data.escalateTo = escalateTo;
+    }
+
+    if (propertyId !== undefined) {
+        if (propertyId && !mongoose.Types.ObjectId.isValid(propertyId)) {
+            return { error: 'Invalid property ID' };
+        }
+        data.propertyId = propertyId || null;
+    }
+
+    if (isActive !== undefined) {
+        data.isActive = isActive === true || isActive === 'true';
+    }
+
+    return { data };
+};
+
+// ===================== ADMIN: SLA POLICIES =====================
+
+// @desc    List SLA policies with the number of leads currently breaching each one
+// @route   GET /api/admin/sla-policies
+// @access  Private (Admin)
+exports.getSlaPolicies = async (req, res) => {
+    try {
+        await ensureDefaultPolicies();
+
+        const [policies, openBreaches] = await Promise.all([
+            SlaPolicy.find().populate('propertyId', 'projectName').sort({ createdAt: 1 }).lean(),
+            leadModal.aggregate([
+                { $match: { slaBreached: true } },
+                { $unwind: '$slaBreaches' },
+                { $match: { 'slaBreaches.resolvedAt': null } },
+                { $group: { _id: '$slaBreaches.policyId', count: { $sum: 1 } } }
+            ])
+        ]);
+        const breachCounts = new Map(openBreaches.map(row => [row._id.toString(), row.count]));
+
+        res.json({
+            success: true,
+            message: 'SLA policies fetched successfully',
+            data: policies.map(policy => ({
+                ...policy,
+                propertyId: policy.propertyId?._id || null,
+                projectName: policy.propertyId?.projectName || null,
+                openBreaches: breachCounts.get(policy._id.toString()) || 0
+            }))
+        });
+    } catch (error) {
+        logError('Error fetching SLA policies', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Create an SLA policy
+// @route   POST /api/admin/sla-policies
+// @access  Private (Admin)
+exports.createSlaPolicy = async (req, res) => {
+    try {
+        const { data, error } = parsePolicyInput(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        if (data.type === 'status_age' && !data.leadStatus) {
+            return res.status(400).json({ success: false, message: 'leadStatus is required for status_age policies' });
+        }
+
+        const policy = await SlaPolicy.create({ ...data, createdBy: req.user.userId, updatedBy: req.user.userId });
+
+        logInfo('SLA policy created', { policyId: policy._id, createdBy: req.user.userId });
+        res.status(201).json({
+            success: true,
+            message: 'SLA policy created successfully',
+            data: policy
+        });
+    } catch (error) {
+        logError('Error creating SLA policy', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Update (or deactivate) an SLA policy
+// @route   PUT /api/admin/sla-policy/:policyId
+// @access  Private (Admin)
+exports.updateSlaPolicy = async (req, res) => {
+    try {
+        const { policyId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(policyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid policy ID' });
+        }
+
+        const { data, error } = parsePolicyInput(req.body, { partial: true });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const policy = await SlaPolicy.findById(policyId);
+        if (!policy) {
+            return res.status(404).json({ success: false, message: 'SLA policy not found' });
+        }
+
+        const reactivated = data.isActive === true && !policy.isActive;
+        Object.assign(policy, data, { updatedBy: req.user.userId });
+        if (reactivated) policy.slaTrackedSince = new Date();
+        if (policy.type === 'status_age' && !policy.leadStatus) {
+            return res.status(400).json({ success: false, message: 'leadStatus is required for status_age policies' });
+        }
+        await policy.save();
+
+        logInfo('SLA policy updated', { policyId, updatedBy: req.user.userId });
+        res.json({
+            success: true,
+            message: 'SLA policy updated successfully',
+            data: policy
+        });
+    } catch (error) {
+        logError('Error updating SLA policy', error, { policyId: req.params.policyId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
@@ -32,7 +32,8 @@ exports.loginOrRegister = async (req, res, next) => {
             });
         }
 
-        let user = await User.findOne({ phoneNumber });
+        // Merged duplicates keep the buyer's phone number, only the surviving account can log in with it
+        let user = await User.findOne({ phoneNumber, mergedInto: null });
 
         if (user && user.isActive === false) {
             return res.status(403).json({
@@ -322,7 +323,7 @@ exports.verifyOTP = async (req, res, next) => {
         const finalCountryCode = countryCode || '+91';
 
         // Find user by phone number
-        const user = await User.findOne({ phoneNumber });
+        const user = await User.findOne({ phoneNumber, mergedInto: null });
         if (!user) {
             return res.status(404).json({
                 success: false,
@@ -340,11 +341,12 @@ exports.verifyOTP = async (req, res, next) => {
 
         const userId = user._id;
 
-        // Find OTP record by phoneNumber and otp (without type filter)
+        // Find OTP record by phoneNumber and otp (any login type - co-applicant OTPs never sign anyone in)
         const otpRecord = await OTP.findOne({
             userId,
             phoneNumber,
             otp,
+            type: { $ne: 'co_applicant' },
             isVerified: false,
             expiresAt: { $gt: new Date() }
         });
@@ -354,6 +356,7 @@ exports.verifyOTP = async (req, res, next) => {
             const existingOTP = await OTP.findOne({
                 userId,
                 phoneNumber,
+                type: { $ne: 'co_applicant' },
                 isVerified: false,
                 expiresAt: { $gt: new Date() }
             });
@@ -456,7 +459,7 @@ exports.resendOTP = async (req, res, next) => {
         const finalCountryCode = countryCode || '+91';
 
         // Find user by phone number
-        const user = await User.findOne({ phoneNumber });
+        const user = await User.findOne({ phoneNumber, mergedInto: null });
         if (!user) {
             return res.status(404).json({
                 success: false,
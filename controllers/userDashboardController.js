@@ -7,29 +7,35 @@ const UserPropertyActivity = require("../models/userPropertyActivity");
 const UserSearchHistory = require("../models/userSearchHistory");
 const ContactPreferences = require("../models/userContactDetails");
 const Developer = require("../models/developer");
+const Notification = require("../models/notification");
+const Payment = require("../models/payment");
+const SiteVisit = require("../models/siteVisit");
 const { uploadToS3 } = require("../utils/s3");
 const { logInfo, logError } = require("../utils/logger");
-
-// Helper function to get joined group property IDs for a user (properties where user has a lead)
-const getJoinedGroupPropertyIds = async (userId) => {
-  if (!userId) return new Set();
-  try {
-    const leads = await leadModal
-      .find({
-        userId: userId,
-        isStatus: true,
-        propertyId: { $exists: true, $ne: null },
-      })
-      .select("propertyId")
-      .lean();
-    return new Set(
-      leads.map((lead) => lead.propertyId?.toString()).filter(Boolean)
-    );
-  } catch (error) {
-    logError("Error fetching joined group properties", error, { userId });
-    return new Set();
-  }
-};
+const { getActiveMembershipPropertyIds } = require("../utils/groupBuy");
+const { assignLead } = require("../utils/leadAssignment");
+const {
+  recomputeLeadScore,
+  recomputeUserLeadScores,
+} = require("../utils/leadScoring");
+const {
+  getVisitAvailability,
+  reserveVisitSlot,
+  releaseVisitSlot,
+} = require("../utils/visitSlots");
+const {
+  findActiveVisit,
+  bookSiteVisit,
+  changeVisitStatus,
+  addVisitActivity,
+  formatSiteVisit,
+  createCheckInToken,
+  getCheckInWindow,
+} = require("../utils/siteVisit");
+const { buildCalendar, buildVisitEvent } = require("../utils/calendar");
+
+// Helper function to get joined group property IDs for a user (properties where user is an active group buy member)
+const getJoinedGroupPropertyIds = (userId) => getActiveMembershipPropertyIds(userId);
 
 // Helper function to get booked visit property IDs for a user (properties where user has booked a visit)
 const getBookedVisitPropertyIds = async (userId) => {
@@ -366,12 +372,38 @@ exports.getUserDashboard = async (req, res) => {
       });
     }
 
-    const [totalViewed, totalFavorited, totalVisited] = await Promise.all([
+    const [totalViewed, totalFavorited, totalVisited, refundPayments] = await Promise.all([
       UserPropertyActivity.countDocuments({ userId, activityType: "viewed" }),
       UserPropertyActivity.countDocuments({ userId, activityType: "favorite" }),
       UserPropertyActivity.countDocuments({ userId, activityType: "visited" }),
+      Payment.find({
+        userId,
+        status: { $in: ["refund_pending", "refunded", "refund_failed"] },
+      })
+        .populate("propertyId", "projectName projectId")
+        .sort({ "refund.requestedAt": -1 })
+        .lean(),
     ]);
 
+    // Token refunds - failed refunds are retried automatically while nextRetryAt is set
+    const refunds = refundPayments.map((payment) => ({
+      paymentId: payment._id,
+      propertyId: payment.propertyId?._id || null,
+      projectName: payment.propertyId?.projectName || "N/A",
+      groupBuyId: payment.groupBuyId || null,
+      amount: payment.refund?.amount || payment.amount,
+      status:
+        payment.status === "refunded"
+          ? "refunded"
+          : payment.status === "refund_failed"
+            ? "failed"
+            : "pending",
+      willRetry: payment.status === "refund_failed" && !!payment.refund?.nextRetryAt,
+      reason: payment.refund?.reason || "",
+      requestedAt: payment.refund?.requestedAt || null,
+      processedAt: payment.refund?.processedAt || null,
+    }));
+
     logInfo("User dashboard data fetched", {
       userId,
       totalViewed,
@@ -385,6 +417,7 @@ exports.getUserDashboard = async (req, res) => {
         totalViewed,
         totalFavorited,
         totalVisited,
+        refunds,
       },
     });
   } catch (error) {
@@ -438,7 +471,7 @@ exports.addViewedProperty = async (req, res) => {
     if (existing) {
       await UserPropertyActivity.updateOne(
         { _id: existing._id },
-        { lastViewedAt: new Date() }
+        { lastViewedAt: new Date(), $inc: { viewCount: 1 } }
       );
     } else {
       await UserPropertyActivity.create({
@@ -449,6 +482,8 @@ exports.addViewedProperty = async (req, res) => {
       });
     }
 
+    await recomputeUserLeadScores(userId, propertyId);
+
     // Format property data using helper function
     const propertyData = await formatPropertyData(property, userId);
 
@@ -504,6 +539,7 @@ exports.toggleFavoriteProperty = async (req, res) => {
 
     if (existing) {
       await UserPropertyActivity.deleteOne({ _id: existing._id });
+      await recomputeUserLeadScores(userId, propertyId);
       logInfo("Property removed from favorites in dashboard", {
         userId,
         propertyId,
@@ -524,6 +560,7 @@ exports.toggleFavoriteProperty = async (req, res) => {
       activityType: "favorite",
       favoritedAt: new Date(),
     });
+    await recomputeUserLeadScores(userId, propertyId);
 
     logInfo("Property added to favorites in dashboard", { userId, propertyId });
 
@@ -570,6 +607,8 @@ const getClientIpAddress = (req) => {
 };
 
 exports.registerVisit = async (req, res) => {
+  // Slot place taken by this request, given back if a later step fails before the visit is booked
+  let newSlot = null;
   try {
     const userId = req.user.userId;
     const { propertyId, visitDate, visitTime, source = "origin", ipAddress: ipAddressFromBody } = req.body;
@@ -588,7 +627,7 @@ exports.registerVisit = async (req, res) => {
         "name email phone phoneNumber countryCode"
       )
       .select(
-        "projectName location latitude longitude configurations images developerPrice offerPrice discountPercentage minGroupMembers projectId possessionStatus developer relationshipManager possessionDate"
+        "projectName location latitude longitude configurations images developerPrice offerPrice discountPercentage minGroupMembers projectId possessionStatus developer relationshipManager possessionDate visitAvailability"
       )
       .lean();
 
@@ -605,6 +644,34 @@ exports.registerVisit = async (req, res) => {
         .json({ success: false, message: "Invalid visitDate format" });
     }
 
+    // Properties with visit slots only take a booking for a slot that still has room
+    let reservedSlot = null;
+    let previousSlotId = null;
+    if ((visitDate || visitTime) && getVisitAvailability(property)) {
+      const currentLead = await leadModal
+        .findOne({ userId, propertyId, isStatus: true })
+        .select("visitSlot")
+        .lean();
+      previousSlotId = currentLead?.visitSlot || null;
+      const reservation = await reserveVisitSlot({
+        property,
+        userId,
+        visitDate,
+        visitTime,
+      });
+      if (reservation.error) {
+        return res
+          .status(reservation.statusCode)
+          .json({ success: false, message: reservation.error });
+      }
+      reservedSlot = reservation.slot;
+      if (String(reservedSlot._id) !== String(previousSlotId)) {
+        newSlot = reservedSlot;
+      }
+      parsedVisitDate = reservedSlot.startsAt;
+    }
+    const bookedVisitTime = reservedSlot ? reservedSlot.start : visitTime;
+
     const existingActivity = await UserPropertyActivity.findOne({
       userId,
       propertyId,
@@ -614,7 +681,7 @@ exports.registerVisit = async (req, res) => {
     if (existingActivity) {
       const updateData = {
         visitedAt: new Date(),
-        visitTime,
+        visitTime: bookedVisitTime,
         source: source || "origin",
         updatedBy: userId,
       };
@@ -632,7 +699,7 @@ exports.registerVisit = async (req, res) => {
         activityType: "visited",
         visitedAt: new Date(),
         visitDate: parsedVisitDate,
-        visitTime,
+        visitTime: bookedVisitTime,
         source: source || "origin",
         updatedBy: userId,
         isStatus: true,
@@ -646,11 +713,18 @@ exports.registerVisit = async (req, res) => {
       isStatus: true,
     }).lean();
 
+    // Dated visits are tracked as a SiteVisit, undated registrations keep the old "visited" flag
+    const legacyVisitFields =
+      parsedVisitDate || SiteVisit.ACTIVE_STATUSES.includes(existingLead?.visitStatus)
+        ? {}
+        : { visitStatus: "visited" };
+
+    let visitLead = existingLead;
     if (!existingLead) {
       // Get IP address: prefer from request body, fallback to extracting from request headers
       const ipAddress = ipAddressFromBody || getClientIpAddress(req);
 
-      await leadModal.create({
+      const lead = await leadModal.create({
         userId,
         propertyId,
         relationshipManagerId: property.relationshipManager?._id,
@@ -662,7 +736,7 @@ exports.registerVisit = async (req, res) => {
         isStatus: true,
         source: source || "origin",
         updatedBy: userId,
-        visitStatus: 'visited',
+        ...legacyVisitFields,
         ipAddress: ipAddress, // Store IP address only on first lead creation
       });
       logInfo('New lead created for visit registration', {
@@ -670,18 +744,49 @@ exports.registerVisit = async (req, res) => {
         propertyId,
         ipAddress: ipAddress
       });
+      await assignLead(lead._id);
+      visitLead = await leadModal.findById(lead._id).lean();
     } else {
       // Update existing lead without modifying IP address
       await leadModal.updateOne(
         { _id: existingLead._id },
         {
-          visitStatus: 'visited',
+          ...legacyVisitFields,
           updatedBy: userId
           // IP address should not be updated for existing leads
         }
       );
     }
 
+    if (parsedVisitDate) {
+      const user = await User.findById(userId).select("name firstName").lean();
+      const userName = user?.name || user?.firstName || "User";
+      const { visit, isReschedule } = await bookSiteVisit({
+        lead: visitLead,
+        scheduledAt: parsedVisitDate,
+        visitTime: bookedVisitTime,
+        slot: reservedSlot,
+        source,
+        performedBy: userId,
+        performedByName: userName,
+      });
+      await addVisitActivity(visit, {
+        performedBy: userId,
+        performedByName: userName,
+        description: isReschedule
+          ? `Site visit rescheduled by ${userName} to ${parsedVisitDate.toLocaleDateString("en-IN")} ${bookedVisitTime || ""}`.trim()
+          : `Site visit booked by ${userName} for ${parsedVisitDate.toLocaleDateString("en-IN")} ${bookedVisitTime || ""}`.trim(),
+      });
+    }
+
+    // The visit is booked - only now give back the slot the buyer held before (reschedule)
+    if (newSlot && previousSlotId) {
+      await releaseVisitSlot(previousSlotId, userId);
+    }
+    newSlot = null;
+
+    await recomputeUserLeadScores(userId, propertyId);
+
     // Format and return property data
     const propertyData = await formatPropertyData(property, userId);
 
@@ -691,6 +796,9 @@ exports.registerVisit = async (req, res) => {
       data: propertyData,
     });
   } catch (error) {
+    if (newSlot) {
+      await releaseVisitSlot(newSlot._id, req.user.userId);
+    }
     logError("Error registering visit in dashboard", error, {
       userId: req.user?.userId,
       propertyId: req.body?.propertyId,
@@ -768,7 +876,7 @@ exports.rescheduleVisit = async (req, res) => {
         "name email phone phoneNumber countryCode"
       )
       .select(
-        "projectName location latitude longitude configurations images developerPrice offerPrice discountPercentage minGroupMembers projectId possessionStatus developer relationshipManager possessionDate"
+        "projectName location latitude longitude configurations images developerPrice offerPrice discountPercentage minGroupMembers projectId possessionStatus developer relationshipManager possessionDate visitAvailability"
       )
       .lean();
 
@@ -793,6 +901,32 @@ exports.rescheduleVisit = async (req, res) => {
       });
     }
 
+    // Move the buyer's slot booking, the old slot is freed once the new one is taken
+    let bookedVisitDate = parsedVisitDate;
+    let bookedVisitTime = visitTime;
+    let rescheduledSlot = null;
+    if (getVisitAvailability(property)) {
+      const reservation = await reserveVisitSlot({
+        property,
+        userId,
+        visitDate,
+        visitTime,
+        currentSlotId: existingLead.visitSlot,
+      });
+      if (reservation.error) {
+        return res.status(reservation.statusCode).json({
+          success: false,
+          message: reservation.error
+        });
+      }
+      bookedVisitDate = reservation.slot.startsAt;
+      bookedVisitTime = reservation.slot.start;
+      rescheduledSlot = reservation.slot;
+    } else if (existingLead.visitSlot) {
+      // Slots were switched off since the visit was booked
+      await releaseVisitSlot(existingLead.visitSlot, userId);
+    }
+
     // Find existing visit activity
     const existingActivity = await UserPropertyActivity.findOne({
       userId,
@@ -805,8 +939,8 @@ exports.rescheduleVisit = async (req, res) => {
       await UserPropertyActivity.updateOne(
         { _id: existingActivity._id },
         {
-          visitDate: parsedVisitDate,
-          visitTime: visitTime,
+          visitDate: bookedVisitDate,
+          visitTime: bookedVisitTime,
           visitedAt: new Date(),
           updatedBy: userId
         }
@@ -816,8 +950,8 @@ exports.rescheduleVisit = async (req, res) => {
         userId,
         propertyId,
         activityType: "visited",
-        visitDate: parsedVisitDate,
-        visitTime: visitTime,
+        visitDate: bookedVisitDate,
+        visitTime: bookedVisitTime,
         visitedAt: new Date(),
         updatedBy: userId,
         isStatus: true
@@ -828,7 +962,7 @@ exports.rescheduleVisit = async (req, res) => {
     await leadModal.updateOne(
       { _id: existingLead._id },
       {
-        scheduleDate: parsedVisitDate,
+        scheduleDate: bookedVisitDate,
         updatedBy: userId
       }
     );
@@ -837,6 +971,17 @@ exports.rescheduleVisit = async (req, res) => {
     const user = await User.findById(userId).select('name firstName lastName').lean();
     const userName = user?.name || user?.firstName || 'User';
 
+    // Moves the upcoming SiteVisit, or books a new one when the last visit is already closed
+    const { visit } = await bookSiteVisit({
+      lead: existingLead,
+      scheduledAt: bookedVisitDate,
+      visitTime: bookedVisitTime,
+      slot: rescheduledSlot,
+      source: existingLead.source,
+      performedBy: userId,
+      performedByName: userName
+    });
+
     // Find previous visit activity to get old date/time for description
     const previousVisitActivity = await LeadActivity.findOne({
       leadId: existingLead._id,
@@ -844,7 +989,7 @@ exports.rescheduleVisit = async (req, res) => {
     }).sort({ createdAt: -1 }).lean();
 
     // Create new visit activity entry for reschedule (to maintain history)
-    const visitDateFormatted = parsedVisitDate.toLocaleDateString('en-IN', {
+    const visitDateFormatted = bookedVisitDate.toLocaleDateString('en-IN', {
       day: 'numeric',
       month: 'short',
       year: 'numeric'
@@ -859,9 +1004,9 @@ exports.rescheduleVisit = async (req, res) => {
         year: 'numeric'
       });
       const oldTime = previousVisitActivity.visitTime || 'TBD';
-      description = `Site visit rescheduled from ${oldDateFormatted} ${oldTime} to ${visitDateFormatted} ${visitTime}`;
+      description = `Site visit rescheduled from ${oldDateFormatted} ${oldTime} to ${visitDateFormatted} ${bookedVisitTime}`;
     } else {
-      description = `Site visit rescheduled to ${visitDateFormatted} at ${visitTime}`;
+      description = `Site visit rescheduled to ${visitDateFormatted} at ${bookedVisitTime}`;
     }
 
     await LeadActivity.create({
@@ -869,17 +1014,21 @@ exports.rescheduleVisit = async (req, res) => {
       activityType: 'visit',
       performedBy: userId,
       performedByName: userName,
-      visitDate: parsedVisitDate,
-      visitTime: visitTime,
+      visitDate: bookedVisitDate,
+      visitTime: bookedVisitTime,
       description: description,
-      activityDate: new Date()
+      activityDate: new Date(),
+      metadata: {
+        siteVisitId: visit._id.toString(),
+        visitStatus: visit.status
+      }
     });
 
     // Format property data for response
     const propertyData = await formatPropertyData(property, userId);
 
     // Format visit date for response
-    const formattedVisitDate = parsedVisitDate.toLocaleDateString('en-IN', {
+    const formattedVisitDate = bookedVisitDate.toLocaleDateString('en-IN', {
       day: 'numeric',
       month: 'long',
       year: 'numeric'
@@ -889,8 +1038,8 @@ exports.rescheduleVisit = async (req, res) => {
       userId,
       propertyId,
       leadId: existingLead._id,
-      visitDate: parsedVisitDate,
-      visitTime
+      visitDate: bookedVisitDate,
+      visitTime: bookedVisitTime
     });
 
     res.json({
@@ -899,10 +1048,12 @@ exports.rescheduleVisit = async (req, res) => {
       data: {
         ...propertyData,
         visitDetails: {
-          visitDate: parsedVisitDate,
+          visitDate: bookedVisitDate,
           visitDateFormatted: formattedVisitDate,
-          visitTime: visitTime,
-          leadId: existingLead._id
+          visitTime: bookedVisitTime,
+          leadId: existingLead._id,
+          siteVisitId: visit._id,
+          visitStatus: visit.status
         }
       }
     });
@@ -919,6 +1070,198 @@ exports.rescheduleVisit = async (req, res) => {
   }
 };
 
+// @desc    Cancel a booked site visit and free its slot
+// @route   PUT /api/user_dashboard/property/cancel-visit
+// @access  Private (authenticated)
+exports.cancelVisit = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { propertyId, reason } = req.body;
+
+    if (!propertyId || !mongoose.Types.ObjectId.isValid(propertyId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Valid property ID is required"
+      });
+    }
+
+    const existingLead = await leadModal.findOne({
+      userId,
+      propertyId,
+      isStatus: true
+    }).lean();
+
+    const activeVisit = existingLead ? await findActiveVisit(existingLead._id) : null;
+    if (!activeVisit) {
+      return res.status(404).json({
+        success: false,
+        message: "No upcoming visit found for this property"
+      });
+    }
+
+    const user = await User.findById(userId).select('name firstName lastName').lean();
+    const userName = user?.name || user?.firstName || 'User';
+
+    const result = await changeVisitStatus({
+      visitId: activeVisit._id,
+      status: "cancelled_by_user",
+      reason,
+      performedBy: userId,
+      performedByName: userName
+    });
+    if (result.error) {
+      return res.status(result.statusCode || 400).json({ success: false, message: result.error });
+    }
+
+    // scheduleDate is shared with follow-ups, only clear it when it held this visit
+    if (
+      existingLead.scheduleDate &&
+      new Date(existingLead.scheduleDate).getTime() === new Date(activeVisit.scheduledAt).getTime()
+    ) {
+      await leadModal.updateOne({ _id: existingLead._id }, { scheduleDate: null, updatedBy: userId });
+    }
+
+    logInfo('Site visit cancelled', {
+      userId,
+      propertyId,
+      leadId: existingLead._id,
+      siteVisitId: activeVisit._id
+    });
+
+    res.json({
+      success: true,
+      message: "Site visit cancelled successfully",
+      data: formatSiteVisit(result.visit)
+    });
+  } catch (error) {
+    logError("Error cancelling visit", error, {
+      userId: req.user?.userId,
+      propertyId: req.body?.propertyId
+    });
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Site visits of the logged in buyer, upcoming first
+// @route   GET /api/user_dashboard/visits
+// @access  Private (User)
+exports.getMyVisits = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { status } = req.query;
+
+    if (status && !SiteVisit.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${SiteVisit.STATUSES.join(", ")}`
+      });
+    }
+
+    const filter = { userId };
+    if (status) filter.status = status;
+
+    const visits = await SiteVisit.find(filter)
+      .populate("propertyId", "projectName location")
+      .populate("relationshipManagerId", "name")
+      .sort({ scheduledAt: -1 })
+      .limit(100)
+      .lean();
+
+    const now = new Date();
+    const isUpcoming = (visit) => SiteVisit.ACTIVE_STATUSES.includes(visit.status) && new Date(visit.scheduledAt) >= now;
+
+    res.json({
+      success: true,
+      message: "Site visits fetched successfully",
+      data: {
+        upcoming: visits.filter(isUpcoming).reverse().map(formatSiteVisit),
+        past: visits.filter((visit) => !isUpcoming(visit)).map(formatSiteVisit)
+      }
+    });
+  } catch (error) {
+    logError("Error fetching my visits", error, { userId: req.user?.userId });
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Check-in pass of an upcoming visit - the app shows the code as a QR for the RM to scan at the site
+// @route   GET /api/user_dashboard/visit/:visitId/check-in-pass
+// @access  Private (User)
+exports.getVisitCheckInPass = async (req, res) => {
+  try {
+    const { visitId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(visitId)) {
+      return res.status(400).json({ success: false, message: "Invalid visit ID" });
+    }
+
+    const visit = await SiteVisit.findOne({ _id: visitId, userId: req.user.userId })
+      .populate("propertyId", "projectName location")
+      .populate("relationshipManagerId", "name")
+      .lean();
+    if (!visit) {
+      return res.status(404).json({ success: false, message: "Site visit not found" });
+    }
+    if (!SiteVisit.ACTIVE_STATUSES.includes(visit.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Visit is ${visit.status}, check-in passes are only issued for upcoming visits`
+      });
+    }
+
+    const { opensAt, closesAt } = getCheckInWindow(visit);
+
+    res.json({
+      success: true,
+      message: "Check-in pass fetched successfully",
+      data: {
+        checkInCode: createCheckInToken(visit),
+        validFrom: opensAt,
+        validUntil: closesAt,
+        visit: formatSiteVisit(visit)
+      }
+    });
+  } catch (error) {
+    logError("Error fetching visit check-in pass", error, {
+      userId: req.user?.userId,
+      visitId: req.params?.visitId
+    });
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Calendar invite (.ics) for one of the buyer's site visits - re-download after a reschedule or cancellation to update it
+// @route   GET /api/user_dashboard/visit/:visitId/calendar.ics
+// @access  Private (User)
+exports.getVisitCalendarInvite = async (req, res) => {
+  try {
+    const { visitId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(visitId)) {
+      return res.status(400).json({ success: false, message: "Invalid visit ID" });
+    }
+
+    const visit = await SiteVisit.findOne({ _id: visitId, userId: req.user.userId })
+      .populate("propertyId", "projectName location")
+      .populate("relationshipManagerId", "name phoneNumber email")
+      .populate("visitSlot", "endsAt")
+      .lean();
+    if (!visit) {
+      return res.status(404).json({ success: false, message: "Site visit not found" });
+    }
+
+    res.header("Content-Type", "text/calendar; charset=utf-8");
+    res.attachment(`site-visit-${visitId}.ics`);
+    res.send(buildCalendar({ events: [buildVisitEvent(visit, "buyer")] }));
+  } catch (error) {
+    logError("Error generating visit calendar invite", error, {
+      userId: req.user?.userId,
+      visitId: req.params?.visitId
+    });
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
 exports.getSearchHistory = async (req, res) => {
   try {
     const userId = req.user.userId;
@@ -1137,6 +1480,9 @@ exports.saveContactPreferences = async (req, res) => {
       result = await ContactPreferences.create(updateData);
     }
 
+    // Budget changes move the budget fit of every lead the buyer has
+    await recomputeUserLeadScores(userId);
+
     logInfo("Contact preferences saved", { userId, preferences: updateData });
 
     return res.status(200).json({
@@ -1768,3 +2114,90 @@ exports.getVisitedProperties = async (req, res) => {
     res.json({ success: false, message: error.message });
   }
 };
+
+// @desc    Get in-app notifications for the logged-in buyer (group buy updates, etc.)
+// @route   GET /api/user_dashboard/notifications
+// @access  Private (User)
+exports.getMyNotifications = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { userId };
+    if (req.query.unreadOnly === "true") {
+      filter.isRead = false;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .populate("propertyId", "projectName projectId")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ userId, isRead: false }),
+    ]);
+
+    res.json({
+      success: true,
+      message: "Notifications fetched successfully",
+      data: notifications.map((notification) => ({
+        _id: notification._id,
+        title: notification.title,
+        message: notification.message,
+        notificationType: notification.notificationType,
+        isRead: notification.isRead,
+        property: notification.propertyId
+          ? {
+            id: notification.propertyId._id,
+            projectName: notification.propertyId.projectName,
+            projectId: notification.propertyId.projectId,
+          }
+          : null,
+        groupBuyId: notification.groupBuyId || null,
+        metadata: notification.metadata,
+        createdAt: notification.createdAt,
+      })),
+      unreadCount,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    logError("Error fetching user notifications", error, {
+      userId: req.user?.userId,
+    });
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Mark all notifications of the logged-in buyer as read
+// @route   PUT /api/user_dashboard/notifications/mark-all-read
+// @access  Private (User)
+exports.markMyNotificationsAsRead = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const result = await Notification.updateMany(
+      { userId, isRead: false },
+      { $set: { isRead: true } }
+    );
+
+    res.json({
+      success: true,
+      message: "All notifications marked as read",
+      data: { updatedCount: result.modifiedCount || 0 },
+    });
+  } catch (error) {
+    logError("Error marking user notifications as read", error, {
+      userId: req.user?.userId,
+    });
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
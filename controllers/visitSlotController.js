@@ -0,0 +1,247 @@
+const mongoose = require('mongoose');
+const Property = require('../models/property');
+const VisitSlot = require('../models/visitSlot');
+const { logInfo, logError } = require('../utils/logger');
+const {
+    VISIT_TIMEZONE,
+    TIME_PATTERN,
+    DATE_KEY_PATTERN,
+    toDateKey,
+    listOpenSlots
+} = require('../utils/visitSlots');
+
+// Helper function to validate visit slots sent as [{ start, end }] - same day, no overlaps
+const parseVisitSlots = (value) => {
+    const slots = typeof value === 'string' ? JSON.parse(value) : value;
+    if (!Array.isArray(slots)) return null;
+
+    const parsed = [];
+    for (const slot of slots) {
+        if (!TIME_PATTERN.test(slot?.start || '') || !TIME_PATTERN.test(slot?.end || '') || slot.end <= slot.start) return null;
+        parsed.push({ start: slot.start, end: slot.end });
+    }
+    parsed.sort((a, b) => a.start.localeCompare(b.start));
+    for (let i = 1; i < parsed.length; i++) {
+        if (parsed[i].start < parsed[i - 1].end) return null;
+    }
+    return parsed;
+};
+
+const parseVisitDays = (value) => {
+    const days = typeof value === 'string' ? JSON.parse(value) : value;
+    if (!Array.isArray(days)) return null;
+    const parsed = days.map(Number);
+    if (parsed.some(day => !Number.isInteger(day) || day < 0 || day > 6)) return null;
+    return [...new Set(parsed)].sort((a, b) => a - b);
+};
+
+const parseBlackoutDates = (value) => {
+    const dates = typeof value === 'string' ? JSON.parse(value) : value;
+    if (!Array.isArray(dates)) return null;
+    if (dates.some(date => !DATE_KEY_PATTERN.test(String(date)) || isNaN(new Date(`${date}T00:00:00Z`).getTime()))) return null;
+    return [...new Set(dates.map(String))].sort();
+};
+
+// Helper function to format a property's visit availability
+const formatAvailability = (property) => ({
+    propertyId: property._id,
+    projectName: property.projectName,
+    timezone: VISIT_TIMEZONE,
+    ...(property.visitAvailability || {})
+});
+
+// ===================== SITE VISIT SLOTS =====================
+
+// @desc    Open site-visit slots of a property between two dates (defaults to the next 7 days)
+// @route   GET /api/home/property/:propertyId/visit-slots
+// @access  Public
+exports.getPropertyVisitSlots = async (req, res) => {
+    try {
+        const { propertyId } = req.params;
+        const { fromDate, toDate } = req.query;
+
+        if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid property ID' });
+        }
+        if ((fromDate && !DATE_KEY_PATTERN.test(fromDate)) || (toDate && !DATE_KEY_PATTERN.test(toDate))) {
+            return res.status(400).json({ success: false, message: 'fromDate and toDate must be YYYY-MM-DD' });
+        }
+        if (fromDate && toDate && fromDate > toDate) {
+            return res.status(400).json({ success: false, message: 'fromDate cannot be after toDate' });
+        }
+
+        const property = await Property.findOne({ _id: propertyId, isStatus: true })
+            .select('projectName visitAvailability')
+            .lean();
+        if (!property) {
+            return res.status(404).json({ success: false, message: 'Property not found' });
+        }
+
+        const days = await listOpenSlots(property, fromDate, toDate);
+
+        res.json({
+            success: true,
+            message: days ? 'Visit slots fetched successfully' : 'Visit slots are not enabled for this property',
+            data: {
+                propertyId: property._id,
+                projectName: property.projectName,
+                timezone: VISIT_TIMEZONE,
+                // false means any date and time can be requested
+                slotsEnabled: !!days,
+                days: days || []
+            }
+        });
+    } catch (error) {
+        logError('Error fetching visit slots', error, { propertyId: req.params.propertyId, query: req.query });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// ===================== ADMIN: VISIT AVAILABILITY =====================
+
+// @desc    Site-visit availability of a property and the bookings in a date range
+// @route   GET /api/admin/property/:propertyId/visit-availability
+// @access  Private (Admin)
+exports.getVisitAvailability = async (req, res) => {
+    try {
+        const { propertyId } = req.params;
+        const { fromDate, toDate } = req.query;
+
+        if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid property ID' });
+        }
+        if ((fromDate && !DATE_KEY_PATTERN.test(fromDate)) || (toDate && !DATE_KEY_PATTERN.test(toDate))) {
+            return res.status(400).json({ success: false, message: 'fromDate and toDate must be YYYY-MM-DD' });
+        }
+
+        const property = await Property.findById(propertyId).select('projectName visitAvailability').lean();
+        if (!property) {
+            return res.status(404).json({ success: false, message: 'Property not found' });
+        }
+
+        const from = fromDate || toDateKey(new Date());
+        const bookingFilter = { propertyId, date: { $gte: from }, bookedCount: { $gt: 0 } };
+        if (toDate) bookingFilter.date.$lte = toDate;
+
+        const bookings = await VisitSlot.find(bookingFilter)
+            .populate('userIds', 'name email phoneNumber countryCode')
+            .sort({ startsAt: 1 })
+            .limit(500)
+            .lean();
+
+        res.json({
+            success: true,
+            message: 'Visit availability fetched successfully',
+            data: {
+                ...formatAvailability(property),
+                bookings: bookings.map(slot => ({
+                    slotId: slot._id,
+                    date: slot.date,
+                    start: slot.start,
+                    end: slot.end,
+                    startsAt: slot.startsAt,
+                    booked: slot.bookedCount,
+                    buyers: slot.userIds.map(user => ({
+                        id: user._id,
+                        name: user.name || 'N/A',
+                        email: user.email || 'N/A',
+                        phoneNumber: user.phoneNumber ? `${user.countryCode || '+91'} ${user.phoneNumber}` : 'N/A'
+                    }))
+                }))
+            }
+        });
+    } catch (error) {
+        logError('Error fetching visit availability', error, { propertyId: req.params.propertyId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// @desc    Set site-visit days, slots, RM capacity and blackout dates of a property.
+//          Lowering the capacity or removing a slot keeps visits that are already booked.
+// @route   PUT /api/admin/property/:propertyId/visit-availability
+// @access  Private (Admin)
+exports.updateVisitAvailability = async (req, res) => {
+    try {
+        const { propertyId } = req.params;
+        const { isEnabled, days, slots, capacity, blackoutDates, bookingWindowDays, minNoticeHours } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid property ID' });
+        }
+
+        const updates = {};
+        if (isEnabled !== undefined) updates['visitAvailability.isEnabled'] = isEnabled === true || isEnabled === 'true';
+
+        const parsers = [
+            ['days', days, parseVisitDays, 'days must be an array of weekdays (0 = Sunday ... 6 = Saturday)'],
+            ['slots', slots, parseVisitSlots, 'slots must be an array of non-overlapping { start (HH:mm), end (HH:mm) } with end after start'],
+            ['blackoutDates', blackoutDates, parseBlackoutDates, 'blackoutDates must be an array of YYYY-MM-DD dates']
+        ];
+        for (const [field, value, parse, message] of parsers) {
+            if (value === undefined) continue;
+            let parsed = null;
+            try {
+                parsed = parse(value);
+            } catch (error) {
+                parsed = null;
+            }
+            if (!parsed) {
+                return res.status(400).json({ success: false, message });
+            }
+            updates[`visitAvailability.${field}`] = parsed;
+        }
+
+        if (capacity !== undefined) {
+            const parsed = Number(capacity);
+            if (!Number.isInteger(parsed) || parsed < 1) {
+                return res.status(400).json({ success: false, message: 'capacity must be a whole number of at least 1' });
+            }
+            updates['visitAvailability.capacity'] = parsed;
+        }
+        if (bookingWindowDays !== undefined) {
+            const parsed = Number(bookingWindowDays);
+            if (!Number.isInteger(parsed) || parsed < 1 || parsed > 365) {
+                return res.status(400).json({ success: false, message: 'bookingWindowDays must be a whole number between 1 and 365' });
+            }
+            updates['visitAvailability.bookingWindowDays'] = parsed;
+        }
+        if (minNoticeHours !== undefined) {
+            const parsed = Number(minNoticeHours);
+            if (!Number.isFinite(parsed) || parsed < 0) {
+                return res.status(400).json({ success: false, message: 'minNoticeHours must be a non-negative number' });
+            }
+            updates['visitAvailability.minNoticeHours'] = parsed;
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ success: false, message: 'No visit availability settings provided' });
+        }
+
+        const existing = await Property.findById(propertyId).select('visitAvailability').lean();
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Property not found' });
+        }
+
+        // Slot booking needs somewhere to book
+        const enabled = updates['visitAvailability.isEnabled'] ?? existing.visitAvailability?.isEnabled;
+        const finalDays = updates['visitAvailability.days'] ?? existing.visitAvailability?.days ?? [];
+        const finalSlots = updates['visitAvailability.slots'] ?? existing.visitAvailability?.slots ?? [];
+        if (enabled && (finalDays.length === 0 || finalSlots.length === 0)) {
+            return res.status(400).json({ success: false, message: 'At least one visit day and one slot are required to enable visit slots' });
+        }
+
+        const property = await Property.findByIdAndUpdate(propertyId, { $set: updates }, { new: true, runValidators: true })
+            .select('projectName visitAvailability')
+            .lean();
+
+        logInfo('Property visit availability updated', { propertyId, updatedBy: req.user.userId });
+        res.json({
+            success: true,
+            message: 'Visit availability updated successfully',
+            data: formatAvailability(property)
+        });
+    } catch (error) {
+        logError('Error updating visit availability', error, { propertyId: req.params.propertyId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// user -> two buyer accounts that look like the same person
+// lead -> two open leads of the same buyer for the same property (or both general enquiries)
+const DUPLICATE_TYPES = ['user', 'lead'];
+
+// pending   -> waiting for an admin to review
+// merged    -> records were consolidated into survivorId
+// dismissed -> reviewed and kept apart, the detector will not raise the pair again
+const DUPLICATE_STATUSES = ['pending', 'merged', 'dismissed'];
+
+// Signals that matched between the two records
+const MATCH_REASONS = ['phone', 'email', 'name', 'local_phone', 'same_property'];
+
+const duplicateCandidateSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: DUPLICATE_TYPES,
+        required: true
+    },
+    // Sorted record ids joined with ':' - one candidate per pair
+    pairKey: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // The two users (type user) or the two leads' buyer (type lead)
+    userIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    leadIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead'
+    }],
+    reasons: [{
+        type: String,
+        enum: MATCH_REASONS
+    }],
+    // 0-1, how sure the detector is that both records are the same person
+    confidence: {
+        type: Number,
+        default: 0
+    },
+    nameSimilarity: {
+        type: Number,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: DUPLICATE_STATUSES,
+        default: 'pending'
+    },
+    survivorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: {
+        type: Date
+    },
+    note: {
+        type: String,
+        default: ''
+    },
+    // What the merge moved onto the survivor
+    mergeSummary: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    lastDetectedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+duplicateCandidateSchema.index({ status: 1, type: 1, confidence: -1 });
+duplicateCandidateSchema.index({ userIds: 1, status: 1 });
+duplicateCandidateSchema.index({ leadIds: 1, status: 1 });
+
+const DuplicateCandidate = mongoose.model('DuplicateCandidate', duplicateCandidateSchema);
+DuplicateCandidate.TYPES = DUPLICATE_TYPES;
+DuplicateCandidate.STATUSES = DUPLICATE_STATUSES;
+DuplicateCandidate.MATCH_REASONS = MATCH_REASONS;
+
+module.exports = DuplicateCandidate;
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const GROUP_BUY_STATUSES = ['open', 'filling', 'minimum_met', 'locked', 'closed', 'expired'];
+
+const statusHistorySchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: GROUP_BUY_STATUSES,
+        required: true
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    note: {
+        type: String,
+        default: ''
+    }
+}, { _id: false });
+
+const groupBuySchema = new mongoose.Schema({
+    groupCode: {
+        type: String,
+        unique: true
+    },
+    propertyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true,
+        index: true
+    },
+    // Optional - a group scoped to a single configuration (e.g. 2BHK) of the property.
+    // Property-wide groups leave this empty.
+    configurationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    unitType: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: GROUP_BUY_STATUSES,
+        default: 'open',
+        index: true
+    },
+    minMembers: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    maxMembers: {
+        type: Number,
+        min: 0
+    },
+    memberCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    startDate: {
+        type: Date,
+        default: Date.now
+    },
+    deadline: {
+        type: Date
+    },
+    openedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    closedAt: {
+        type: Date
+    },
+    closeReason: {
+        type: String
+    },
+    // Decided by the deadline scheduler once the deadline passes
+    outcome: {
+        type: String,
+        enum: ['minimum_met', 'expired'],
+        default: null
+    },
+    outcomeDecidedAt: {
+        type: Date
+    },
+    outcomeNotifiedAt: {
+        type: Date
+    },
+    // Set once token refunds have been issued for an expired group
+    refundsInitiatedAt: {
+        type: Date
+    },
+    statusHistory: [statusHistorySchema]
+}, {
+    timestamps: true
+});
+
+groupBuySchema.index({ propertyId: 1, configurationId: 1, status: 1 });
+groupBuySchema.index({ status: 1, deadline: 1, outcome: 1 });
+
+// Generate a human readable group code (e.g. GB-3F9A1C-48213)
+groupBuySchema.pre('save', function (next) {
+    if (!this.groupCode) {
+        const random = crypto.randomInt(10000, 99999);
+        this.groupCode = `GB-${this._id.toString().slice(-6).toUpperCase()}-${random}`;
+    }
+    next();
+});
+
+const GroupBuy = mongoose.model('GroupBuy', groupBuySchema);
+GroupBuy.STATUSES = GROUP_BUY_STATUSES;
+
+module.exports = GroupBuy;
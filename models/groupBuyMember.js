@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+const WITHDRAWAL_REASONS = [
+    'price_too_high',
+    'found_another_property',
+    'financing_issue',
+    'location',
+    'possession_timeline',
+    'group_taking_too_long',
+    'personal_reasons',
+    'other'
+];
+
+const CO_APPLICANT_RELATIONSHIPS = ['spouse', 'parent', 'child', 'sibling', 'other'];
+
+// Household member buying the same unit with the primary buyer - the household counts once
+const coApplicantSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    phoneNumber: {
+        type: String,
+        required: true
+    },
+    countryCode: {
+        type: String,
+        default: '+91'
+    },
+    relationship: {
+        type: String,
+        enum: CO_APPLICANT_RELATIONSHIPS,
+        default: 'other'
+    },
+    // Ownership share in percent - the primary buyer keeps the remainder
+    sharePercentage: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0
+    },
+    isVerified: {
+        type: Boolean,
+        default: false
+    },
+    verifiedAt: {
+        type: Date
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: true });
+
+const groupBuyMemberSchema = new mongoose.Schema({
+    groupBuyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GroupBuy',
+        required: true
+    },
+    propertyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    leadId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead'
+    },
+    // Configuration the buyer is interested in (unitType sub-document of the property)
+    configurationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    unitType: {
+        type: String
+    },
+    // Carpet area (sub-configuration) the buyer holds a unit of, if any
+    subConfigurationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ['active', 'withdrawn'],
+        default: 'active'
+    },
+    source: {
+        type: String,
+        default: 'origin'
+    },
+    // Invite link the buyer joined through, if any
+    inviteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GroupInvite',
+        default: null
+    },
+    joinedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Filled when the buyer leaves the group
+    withdrawnAt: {
+        type: Date
+    },
+    withdrawalReason: {
+        type: String,
+        enum: WITHDRAWAL_REASONS
+    },
+    withdrawalNote: {
+        type: String,
+        default: ''
+    },
+    coApplicants: {
+        type: [coApplicantSchema],
+        default: []
+    },
+    // Refund of the member's token payment when the group fails (mirrors the Payment status)
+    refundStatus: {
+        type: String,
+        enum: ['pending', 'refunded', 'failed'],
+        default: null
+    },
+    refundUpdatedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+groupBuyMemberSchema.index({ groupBuyId: 1, userId: 1 }, { unique: true });
+groupBuyMemberSchema.index({ userId: 1, status: 1 });
+groupBuyMemberSchema.index({ propertyId: 1, status: 1 });
+groupBuyMemberSchema.index({ groupBuyId: 1, 'coApplicants.phoneNumber': 1 });
+
+const GroupBuyMember = mongoose.model('GroupBuyMember', groupBuyMemberSchema);
+GroupBuyMember.WITHDRAWAL_REASONS = WITHDRAWAL_REASONS;
+GroupBuyMember.CO_APPLICANT_RELATIONSHIPS = CO_APPLICANT_RELATIONSHIPS;
+
+module.exports = GroupBuyMember;
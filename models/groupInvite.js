@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// active  -> link can be opened and used to join
+// revoked -> switched off by the inviter
+// Expiry is time based (expiresAt), so an active invite may still be expired.
+const INVITE_STATUSES = ['active', 'revoked'];
+
+const groupInviteSchema = new mongoose.Schema({
+    groupBuyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GroupBuy',
+        required: true
+    },
+    propertyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true
+    },
+    inviterId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    memberId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GroupBuyMember'
+    },
+    // Where the inviter shared the link (whatsapp, sms, copy_link ...)
+    channel: {
+        type: String,
+        default: 'link',
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: INVITE_STATUSES,
+        default: 'active'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    clickCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    joinCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    lastClickedAt: {
+        type: Date
+    },
+    lastJoinedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+groupInviteSchema.index({ inviterId: 1, createdAt: -1 });
+groupInviteSchema.index({ groupBuyId: 1 });
+
+const GroupInvite = mongoose.model('GroupInvite', groupInviteSchema);
+GroupInvite.STATUSES = INVITE_STATUSES;
+
+module.exports = GroupInvite;
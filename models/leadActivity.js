@@ -8,7 +8,7 @@ const leadActivitySchema = new mongoose.Schema({
     },
     activityType: {
         type: String,
-        enum: ['phone_call', 'whatsapp', 'email', 'visit', 'follow_up', 'join_group', 'status_update', 'remark_update'],
+        enum: ['phone_call', 'whatsapp', 'email', 'visit', 'follow_up', 'join_group', 'leave_group', 'payment', 'status_update', 'remark_update', 'lead_assigned', 'lead_merged'],
         required: true
     },
     activityDate: {
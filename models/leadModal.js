@@ -1,5 +1,46 @@
 const mongoose = require('mongoose');
 
+const slaBreachSchema = new mongoose.Schema({
+    policyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SlaPolicy",
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    policyName: {
+        type: String
+    },
+    dueAt: {
+        type: Date
+    },
+    breachedAt: {
+        type: Date,
+        default: Date.now
+    },
+    escalatedTo: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }],
+    resolvedAt: {
+        type: Date,
+        default: null
+    }
+}, { _id: false });
+
+// Points each behavioural signal contributed to the lead score (see utils/leadScoring.js)
+const scoreBreakdownSchema = new mongoose.Schema({
+    budgetFit: { type: Number, default: 0 },
+    views: { type: Number, default: 0 },
+    searchIntent: { type: Number, default: 0 },
+    favorite: { type: Number, default: 0 },
+    visit: { type: Number, default: 0 },
+    responsiveness: { type: Number, default: 0 },
+    commitment: { type: Number, default: 0 }
+}, { _id: false });
+
 const leadSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -36,11 +77,36 @@ const leadSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: "User"
     },
+    // Mirrors the status of the latest SiteVisit; visited / follow_up are from before visits were tracked
     visitStatus: {
         type: String,
-        enum: ['not_visited', 'visited', 'follow_up'],
+        enum: ['not_visited', 'visited', 'follow_up', 'scheduled', 'confirmed', 'rescheduled', 'cancelled_by_user', 'cancelled_by_rm', 'no_show', 'completed'],
         default: 'not_visited'
     },
+    // Latest SiteVisit of the lead
+    siteVisit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SiteVisit",
+        default: null
+    },
+    // Site-visit slot the buyer currently holds on a property with visit slots enabled
+    visitSlot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "VisitSlot",
+        default: null
+    },
+    visitScheduledAt: {
+        type: Date,
+        default: null
+    },
+    // Visits the buyer did not turn up for
+    noShowCount: {
+        type: Number,
+        default: 0
+    },
+    lastNoShowAt: {
+        type: Date
+    },
     status: {
         type: String,
         enum: [
@@ -56,17 +122,91 @@ const leadSchema = new mongoose.Schema({
             'deal_closed',
             'declined_interest',
             'does_not_meet_requirements',
+            // Legacy approval statuses - rewritten by scripts/migrate-lead-statuses.js
             'pending',
             'approved',
             'rejected'
         ],
         default: 'lead_received'
     },
+    // LostReason code of a lead closed as lost (declined_interest / does_not_meet_requirements)
+    lostReason: {
+        type: String,
+        default: null
+    },
+    lostReasonNote: {
+        type: String,
+        default: ''
+    },
     ipAddress: {
         type: String
+    },
+    // Buyer whose referral link brought this lead in
+    referredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    // Agent working the lead, picked by the assignment engine or an admin
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null
+    },
+    assignedAt: {
+        type: Date
+    },
+    // Last time the assignment engine tried this lead - the backlog job retries the least recently
+    // tried first and leaves leads from before the engine (never tried) alone
+    lastAssignmentAttemptAt: {
+        type: Date,
+        default: null
+    },
+    // Agents the lead was taken away from - the engine never hands it back to them
+    assignmentExcludedAgents: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }],
+    // When status last changed - drives status based SLAs
+    statusChangedAt: {
+        type: Date
+    },
+    // SLA breaches flagged by the background checker; open ones have no resolvedAt
+    slaBreaches: [slaBreachSchema],
+    slaBreached: {
+        type: Boolean,
+        default: false
+    },
+    // 0-100, recomputed whenever the buyer or an agent does something on the lead
+    score: {
+        type: Number,
+        default: null
+    },
+    scoreBreakdown: scoreBreakdownSchema,
+    scoreUpdatedAt: {
+        type: Date,
+        default: null
+    },
+    // Card position inside its status column on the CRM board (lower is higher up)
+    pipelineRank: {
+        type: Number,
+        default: null
+    },
+    // Set when this lead was folded into another one by the duplicate merge tool
+    mergedInto: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Lead",
+        default: null
+    },
+    mergedAt: {
+        type: Date
     }
 }, {
     timestamps: true
 });
 
+leadSchema.index({ assignedTo: 1, status: 1 });
+leadSchema.index({ assignedTo: 1, lastAssignmentAttemptAt: 1 });
+leadSchema.index({ slaBreached: 1, createdAt: -1 });
+leadSchema.index({ score: -1 });
+
 module.exports = mongoose.model("Lead", leadSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Reasons a lead can be closed as lost (declined_interest / does_not_meet_requirements).
+// Leads store the code, so codes never change once created - deactivate a reason instead.
+const lostReasonSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z0-9_]+$/, 'Code may only contain lowercase letters, numbers and underscores']
+    },
+    label: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    // Inactive reasons stay on old leads but cannot be picked any more
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    sortOrder: {
+        type: Number,
+        default: 0
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+lostReasonSchema.index({ isActive: 1, sortOrder: 1 });
+
+module.exports = mongoose.model('LostReason', lostReasonSchema);
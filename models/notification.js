@@ -7,10 +7,18 @@ const notificationSchema = new mongoose.Schema({
         required: true,
         index: true
     },
+    // Group buy notifications sent to a relationship manager and bulk lead transfer
+    // summaries are not tied to a single lead
     leadId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Lead',
-        required: true
+        required: function () {
+            return !this.groupBuyId && this.notificationType !== 'lead_assignment';
+        }
+    },
+    groupBuyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GroupBuy'
     },
     propertyId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -18,7 +26,7 @@ const notificationSchema = new mongoose.Schema({
     },
     notificationType: {
         type: String,
-        enum: ['follow_up', 'phone_call', 'whatsapp', 'email', 'visit', 'status_update', 'remark_update', 'join_group'],
+        enum: ['follow_up', 'phone_call', 'whatsapp', 'email', 'visit', 'status_update', 'remark_update', 'join_group', 'leave_group', 'group_buy', 'payment', 'waitlist', 'referral', 'lead_assignment', 'sla_breach'],
         required: true
     },
     title: {
@@ -50,7 +58,10 @@ const notificationSchema = new mongoose.Schema({
         leadContactName: String,
         activityDescription: String,
         oldStatus: String,
-        newStatus: String
+        newStatus: String,
+        groupStatus: String,
+        memberCount: Number,
+        minMembers: Number
     }
 }, {
     timestamps: true
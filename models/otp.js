@@ -23,7 +23,7 @@ const otpSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['registration', 'forgot_password', 'login'],
+        enum: ['registration', 'forgot_password', 'login', 'co_applicant'],
         required: true,
         default: 'registration'
     },
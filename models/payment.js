@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+
+// created        -> order created with the provider, buyer has not paid yet
+// captured       -> money received
+// failed         -> payment attempt failed at the provider
+// refund_pending -> refund requested, waiting for the provider
+// refunded       -> refund processed by the provider
+// refund_failed  -> provider rejected the refund, needs a retry
+const PAYMENT_STATUSES = ['created', 'captured', 'failed', 'refund_pending', 'refunded', 'refund_failed'];
+
+const refundSchema = new mongoose.Schema({
+    providerRefundId: {
+        type: String
+    },
+    amount: {
+        type: Number,
+        min: 0
+    },
+    reason: {
+        type: String,
+        default: ''
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    requestedAt: {
+        type: Date
+    },
+    processedAt: {
+        type: Date
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastError: {
+        type: String
+    },
+    // Failed refunds are retried by the scheduler from this time on
+    nextRetryAt: {
+        type: Date
+    }
+}, { _id: false });
+
+const paymentEventSchema = new mongoose.Schema({
+    event: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: PAYMENT_STATUSES
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    },
+    note: {
+        type: String,
+        default: ''
+    }
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    leadId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead'
+    },
+    propertyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true
+    },
+    configurationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    subConfigurationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    groupBuyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GroupBuy',
+        default: null
+    },
+    memberId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GroupBuyMember',
+        default: null
+    },
+    purpose: {
+        type: String,
+        enum: ['token_amount'],
+        default: 'token_amount'
+    },
+    // Amount in rupees - providers convert to their own unit (e.g. paise)
+    amount: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    providerOrderId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    providerPaymentId: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: PAYMENT_STATUSES,
+        default: 'created'
+    },
+    isRefundable: {
+        type: Boolean,
+        default: true
+    },
+    paidAt: {
+        type: Date
+    },
+    failureReason: {
+        type: String
+    },
+    // Only present once a refund has been requested
+    refund: {
+        type: refundSchema
+    },
+    events: [paymentEventSchema]
+}, {
+    timestamps: true
+});
+
+paymentSchema.index({ userId: 1, createdAt: -1 });
+paymentSchema.index({ leadId: 1 });
+paymentSchema.index({ groupBuyId: 1, status: 1 });
+paymentSchema.index({ propertyId: 1, status: 1 });
+paymentSchema.index({ status: 1, 'refund.nextRetryAt': 1 });
+paymentSchema.index({ memberId: 1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+Payment.STATUSES = PAYMENT_STATUSES;
+
+module.exports = Payment;
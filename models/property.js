@@ -23,6 +23,46 @@ const parsePriceToNumber = (priceStr) => {
   return priceNum;
 };
 
+// Group-buy discount tier - unlocked once the group reaches minMembers
+const discountTierSchema = new mongoose.Schema(
+  {
+    minMembers: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    discountPercentage: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+    label: String,
+  },
+  { _id: false },
+);
+
+// Tiers need distinct member thresholds, and a bigger group never gets a smaller discount
+const validateDiscountTiers = (tiers) => {
+  if (!Array.isArray(tiers) || tiers.length === 0) return true;
+  const sorted = [...tiers].sort((a, b) => a.minMembers - b.minMembers);
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].minMembers === sorted[i - 1].minMembers) return false;
+    if (sorted[i].discountPercentage < sorted[i - 1].discountPercentage) return false;
+  }
+  return true;
+};
+
+const discountTiersField = {
+  type: [discountTierSchema],
+  default: [],
+  validate: {
+    validator: validateDiscountTiers,
+    message:
+      "Discount tiers must have unique member counts and discounts that grow with the member count",
+  },
+};
+
 // Sub-configuration schema - each unitType can have multiple carpetArea/price combinations
 const subConfigurationSchema = new mongoose.Schema(
   {
@@ -45,6 +85,8 @@ const subConfigurationSchema = new mongoose.Schema(
         type: String,
       },
     ],
+    // Overrides the configuration/property tiers for this carpet area
+    discountTiers: discountTiersField,
   },
   { _id: true },
 );
@@ -57,6 +99,66 @@ subConfigurationSchema.pre("save", function (next) {
   next();
 });
 
+// One bookable site-visit slot, "HH:mm" on a 24 hour clock in the visit timezone
+const visitSlotTimeSchema = new mongoose.Schema(
+  {
+    start: {
+      type: String,
+      match: [/^([01][0-9]|2[0-3]):[0-5][0-9]$/, "start must be HH:mm"],
+      required: true,
+    },
+    end: {
+      type: String,
+      match: [/^([01][0-9]|2[0-3]):[0-5][0-9]$/, "end must be HH:mm"],
+      required: true,
+    },
+  },
+  { _id: false },
+);
+
+// When buyers can book site visits - see utils/visitSlots.js
+const visitAvailabilitySchema = new mongoose.Schema(
+  {
+    // Off means visits are still taken with a free-text date and time
+    isEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    // 0 = Sunday ... 6 = Saturday
+    days: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: [],
+    },
+    slots: {
+      type: [visitSlotTimeSchema],
+      default: [],
+    },
+    // Visits the relationship manager can take in the same slot
+    capacity: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    // "YYYY-MM-DD" dates with no visits (holidays, RM leave)
+    blackoutDates: {
+      type: [String],
+      default: [],
+    },
+    // How far ahead, and how soon, a slot can be booked
+    bookingWindowDays: {
+      type: Number,
+      default: 30,
+      min: 1,
+    },
+    minNoticeHours: {
+      type: Number,
+      default: 2,
+      min: 0,
+    },
+  },
+  { _id: false },
+);
+
 // Configuration schema - each property can have multiple unitTypes
 const configurationSchema = new mongoose.Schema(
   {
@@ -65,6 +167,8 @@ const configurationSchema = new mongoose.Schema(
       required: true,
     },
     subConfigurations: [subConfigurationSchema],
+    // Overrides the property tiers for every carpet area of this unitType
+    discountTiers: discountTiersField,
   },
   { _id: true },
 );
@@ -108,6 +212,20 @@ const propertySchema = new mongoose.Schema(
     },
     discountPercentage: { type: String, default: "00.00%" },
     minGroupMembers: Number,
+    // Default group-buy discount tiers for the whole property
+    discountTiers: discountTiersField,
+    // Refundable token amount (in rupees) a buyer pays to book through the platform. 0 disables booking.
+    tokenAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Reward (in rupees) for a referrer once the referred buyer's deal closes
+    referralRewardAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
 
     reraId: String,
     reraQrImage: String,
@@ -149,6 +267,17 @@ const propertySchema = new mongoose.Schema(
         ref: "User",
       },
     ],
+    // How new leads are spread across leadDistributionAgents (falls back to LEAD_ASSIGNMENT_STRATEGY)
+    leadAssignmentStrategy: {
+      type: String,
+      enum: ["round_robin", "least_loaded", "weighted", "manual"],
+      default: null,
+    },
+    // Site-visit days, slots and RM capacity
+    visitAvailability: {
+      type: visitAvailabilitySchema,
+      default: () => ({}),
+    },
 
     isStatus: {
       type: Boolean,
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// pending   -> referred buyer joined a group, deal not closed yet
+// earned    -> referred lead reached deal_closed, reward is owed
+// paid      -> reward paid out to the referrer
+// cancelled -> referral voided by an admin
+const REFERRAL_STATUSES = ['pending', 'earned', 'paid', 'cancelled'];
+
+const referralSchema = new mongoose.Schema({
+    referrerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    refereeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    referralCode: {
+        type: String,
+        required: true
+    },
+    leadId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead',
+        required: true
+    },
+    propertyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true
+    },
+    groupBuyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GroupBuy'
+    },
+    memberId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GroupBuyMember'
+    },
+    status: {
+        type: String,
+        enum: REFERRAL_STATUSES,
+        default: 'pending'
+    },
+    // Reward in rupees, fixed from the property when the referral is recorded
+    rewardAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    earnedAt: {
+        type: Date
+    },
+    paidAt: {
+        type: Date
+    },
+    paidBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    paymentReference: {
+        type: String,
+        default: ''
+    },
+    note: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+// A buyer is attributed to at most one referrer per property
+referralSchema.index({ refereeId: 1, propertyId: 1 }, { unique: true });
+referralSchema.index({ referrerId: 1, createdAt: -1 });
+referralSchema.index({ leadId: 1 });
+referralSchema.index({ status: 1 });
+
+const Referral = mongoose.model('Referral', referralSchema);
+Referral.STATUSES = REFERRAL_STATUSES;
+
+module.exports = Referral;
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+// scheduled         -> booked by the buyer, waiting for the RM to confirm
+// confirmed         -> RM confirmed the visit
+// rescheduled       -> moved to a new time, waiting for the RM to confirm again
+// cancelled_by_user -> buyer cancelled
+// cancelled_by_rm   -> RM / admin cancelled
+// no_show           -> buyer did not turn up
+// completed         -> visit happened
+const VISIT_STATUSES = ['scheduled', 'confirmed', 'rescheduled', 'cancelled_by_user', 'cancelled_by_rm', 'no_show', 'completed'];
+
+// Upcoming visits - the buyer holds the slot and can still reschedule or cancel
+const ACTIVE_VISIT_STATUSES = ['scheduled', 'confirmed', 'rescheduled'];
+
+// Reminders sent to the buyer ahead of the visit (24 hours and 2 hours before)
+const VISIT_REMINDER_TYPES = ['24h', '2h'];
+
+const statusHistorySchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: VISIT_STATUSES,
+        required: true
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    changedByName: {
+        type: String
+    },
+    reason: {
+        type: String,
+        default: ''
+    },
+    // Visit time before a reschedule
+    previousScheduledAt: {
+        type: Date
+    }
+}, { _id: false });
+
+// Where and when the RM scanned the buyer's check-in QR code at the site
+const checkInSchema = new mongoose.Schema({
+    checkedInAt: {
+        type: Date,
+        required: true
+    },
+    checkedInBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    latitude: {
+        type: Number
+    },
+    longitude: {
+        type: Number
+    },
+    // Distance from Property.latitude / longitude, null when the property has no coordinates
+    distanceMeters: {
+        type: Number,
+        default: null
+    }
+}, { _id: false });
+
+const siteVisitSchema = new mongoose.Schema({
+    leadId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    propertyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true
+    },
+    relationshipManagerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Set on properties with visit slots enabled
+    visitSlot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'VisitSlot',
+        default: null
+    },
+    scheduledAt: {
+        type: Date,
+        required: true
+    },
+    // Time as the buyer picked it ("HH:mm" for slot bookings, free text otherwise)
+    visitTime: {
+        type: String,
+        default: ''
+    },
+    status: {
+        type: String,
+        enum: VISIT_STATUSES,
+        default: 'scheduled'
+    },
+    statusHistory: [statusHistorySchema],
+    source: {
+        type: String,
+        default: 'origin'
+    },
+    confirmedAt: {
+        type: Date
+    },
+    rescheduledAt: {
+        type: Date
+    },
+    rescheduleCount: {
+        type: Number,
+        default: 0
+    },
+    cancelledAt: {
+        type: Date
+    },
+    cancelReason: {
+        type: String,
+        default: ''
+    },
+    noShowAt: {
+        type: Date
+    },
+    completedAt: {
+        type: Date
+    },
+    checkIn: {
+        type: checkInSchema,
+        default: null
+    },
+    // Reminders already sent for the current visit time, cleared on reschedule
+    remindersSent: [{
+        type: String,
+        enum: VISIT_REMINDER_TYPES
+    }],
+    lastReminderAt: {
+        type: Date
+    },
+    // Buyer replied YES to a reminder
+    buyerConfirmedAt: {
+        type: Date,
+        default: null
+    },
+    // RM / admin who closed the visit (cancelled_by_rm, no_show, completed)
+    closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+siteVisitSchema.index({ leadId: 1, createdAt: -1 });
+siteVisitSchema.index({ status: 1, scheduledAt: 1 });
+siteVisitSchema.index({ propertyId: 1, scheduledAt: 1 });
+
+const SiteVisit = mongoose.model('SiteVisit', siteVisitSchema);
+SiteVisit.STATUSES = VISIT_STATUSES;
+SiteVisit.ACTIVE_STATUSES = ACTIVE_VISIT_STATUSES;
+SiteVisit.REMINDER_TYPES = VISIT_REMINDER_TYPES;
+
+module.exports = SiteVisit;
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// first_contact -> no phone call / WhatsApp / email / visit within thresholdMinutes of the lead coming in
+// status_age    -> lead stayed in leadStatus for more than thresholdMinutes
+// follow_up     -> scheduled follow-up (Lead.scheduleDate) is overdue by more than thresholdMinutes
+const SLA_TYPES = ['first_contact', 'status_age', 'follow_up'];
+const SLA_ESCALATION_TARGETS = ['relationship_manager', 'admins'];
+
+const slaPolicySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: SLA_TYPES,
+        required: true
+    },
+    // Status the policy watches - not used by follow_up policies
+    leadStatus: {
+        type: String,
+        default: null
+    },
+    thresholdMinutes: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    escalateTo: {
+        type: String,
+        enum: SLA_ESCALATION_TARGETS,
+        default: 'relationship_manager'
+    },
+    // Limit the policy to one property, null applies it to every lead
+    propertyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        default: null
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    // When the policy went live (again) - only SLAs falling due since then are checked,
+    // so a new policy does not flag the whole historical backlog
+    slaTrackedSince: {
+        type: Date,
+        default: Date.now
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+slaPolicySchema.index({ isActive: 1, type: 1 });
+
+const SlaPolicy = mongoose.model('SlaPolicy', slaPolicySchema);
+SlaPolicy.TYPES = SLA_TYPES;
+SlaPolicy.ESCALATION_TARGETS = SLA_ESCALATION_TARGETS;
+
+module.exports = SlaPolicy;
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// active   -> unit is held for the buyer until expiresAt
+// reserved -> converted by an admin, no longer expires
+// released -> given back by the buyer or an admin
+// expired  -> given back automatically by the hold expiry job
+const UNIT_HOLD_STATUSES = ['active', 'reserved', 'released', 'expired'];
+
+const unitHoldSchema = new mongoose.Schema({
+    inventoryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'UnitInventory',
+        required: true
+    },
+    propertyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true
+    },
+    configurationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    subConfigurationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    leadId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead'
+    },
+    groupBuyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GroupBuy'
+    },
+    memberId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GroupBuyMember'
+    },
+    status: {
+        type: String,
+        enum: UNIT_HOLD_STATUSES,
+        default: 'active'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    reservedAt: {
+        type: Date
+    },
+    reservedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    releasedAt: {
+        type: Date
+    },
+    releasedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    note: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+// A buyer holds at most one unit of the same sub-configuration at a time
+unitHoldSchema.index(
+    { userId: 1, subConfigurationId: 1 },
+    { unique: true, partialFilterExpression: { status: { $in: ['active', 'reserved'] } } }
+);
+unitHoldSchema.index({ status: 1, expiresAt: 1 });
+unitHoldSchema.index({ propertyId: 1, status: 1 });
+unitHoldSchema.index({ memberId: 1, status: 1 });
+
+const UnitHold = mongoose.model('UnitHold', unitHoldSchema);
+UnitHold.STATUSES = UNIT_HOLD_STATUSES;
+
+module.exports = UnitHold;
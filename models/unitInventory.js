@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Unit counts for one sub-configuration (unitType + carpet area) of a property.
+// held/reserved/sold are only ever changed with atomic $inc updates (see utils/inventory.js).
+const unitInventorySchema = new mongoose.Schema({
+    propertyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true,
+        index: true
+    },
+    configurationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    subConfigurationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        unique: true
+    },
+    unitType: {
+        type: String
+    },
+    carpetArea: {
+        type: String
+    },
+    totalUnits: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    heldUnits: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    reservedUnits: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    soldUnits: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Last waitlist position handed out for this sub-configuration
+    waitlistSequence: {
+        type: Number,
+        default: 0
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+const UnitInventory = mongoose.model('UnitInventory', unitInventorySchema);
+
+module.exports = UnitInventory;
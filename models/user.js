@@ -2,6 +2,60 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const workingHoursSchema = new mongoose.Schema({
+    // 0 = Sunday ... 6 = Saturday
+    day: {
+        type: Number,
+        min: 0,
+        max: 6,
+        required: true
+    },
+    // "HH:mm", 24 hour clock in the assignment timezone
+    start: {
+        type: String,
+        match: [/^([01][0-9]|2[0-3]):[0-5][0-9]$/, 'start must be HH:mm'],
+        required: true
+    },
+    end: {
+        type: String,
+        match: [/^([01][0-9]|2[0-3]):[0-5][0-9]$/, 'end must be HH:mm'],
+        required: true
+    }
+}, { _id: false });
+
+const leadAssignmentSchema = new mongoose.Schema({
+    // Switched off while the agent is on leave
+    isAvailable: {
+        type: Boolean,
+        default: true
+    },
+    // Most open leads the agent can carry, 0 means no limit
+    maxOpenLeads: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Relative share of leads under the weighted strategy
+    weight: {
+        type: Number,
+        default: 1,
+        min: 0
+    },
+    // Empty means the agent can be assigned leads at any time
+    workingHours: {
+        type: [workingHoursSchema],
+        default: []
+    },
+    // Also receives leads that are not tied to a property (e.g. Contact Us)
+    acceptsGeneralLeads: {
+        type: Boolean,
+        default: false
+    },
+    lastAssignedAt: {
+        type: Date
+    }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
     profileImage: {
         type: String,
@@ -75,6 +129,31 @@ const userSchema = new mongoose.Schema({
     isActive: {
         type: Boolean,
         default: true
+    },
+    // Personal code shared in referral links - generated on first use
+    referralCode: {
+        type: String,
+        uppercase: true,
+        trim: true
+    },
+    // Lead assignment settings for agents / relationship managers
+    leadAssignment: {
+        type: leadAssignmentSchema,
+        default: () => ({})
+    },
+    // Bumped to revoke the private calendar feed URL handed out before
+    calendarFeedVersion: {
+        type: Number,
+        default: 0
+    },
+    // Set when this account was merged into another buyer as a duplicate
+    mergedInto: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    mergedAt: {
+        type: Date
     }
 }, {
     timestamps: true
@@ -90,6 +169,14 @@ userSchema.index(
     }
 );
 
+userSchema.index(
+    { referralCode: 1 },
+    {
+        unique: true,
+        partialFilterExpression: { referralCode: { $type: 'string' } }
+    }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
     if (!this.isModified('password')) return next();
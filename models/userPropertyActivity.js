@@ -11,6 +11,7 @@ const userPropertyActivitySchema = new mongoose.Schema({
     },
 
     lastViewedAt: { type: Date }, 
+    viewCount: { type: Number, default: 1 },
     favoritedAt: { type: Date },
     visitedAt: { type: Date },
     
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Bookings of one site-visit slot of a property. Created on the first booking;
+// bookedCount never passes the property's visitAvailability.capacity.
+const visitSlotSchema = new mongoose.Schema({
+    propertyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true
+    },
+    startsAt: {
+        type: Date,
+        required: true
+    },
+    endsAt: {
+        type: Date,
+        required: true
+    },
+    // Local "YYYY-MM-DD" and "HH:mm" the slot was offered as
+    date: {
+        type: String,
+        required: true
+    },
+    start: {
+        type: String,
+        required: true
+    },
+    end: {
+        type: String,
+        required: true
+    },
+    // Buyers holding a place in this slot
+    userIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    bookedCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, {
+    timestamps: true
+});
+
+visitSlotSchema.index({ propertyId: 1, startsAt: 1 }, { unique: true });
+
+module.exports = mongoose.model('VisitSlot', visitSlotSchema);
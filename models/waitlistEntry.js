@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// waiting   -> in the queue for a unit of the sub-configuration
+// promoted  -> a unit is held for the buyer until confirmBy
+// confirmed -> buyer confirmed and joined the group
+// expired   -> buyer did not confirm in time, the unit moved on
+// cancelled -> buyer left the waitlist
+const WAITLIST_STATUSES = ['waiting', 'promoted', 'confirmed', 'expired', 'cancelled'];
+
+const waitlistEntrySchema = new mongoose.Schema({
+    propertyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true
+    },
+    configurationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    subConfigurationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    leadId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead'
+    },
+    // Group the buyer tried to join - confirmation joins it (or the current open group)
+    groupBuyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GroupBuy'
+    },
+    // Queue order within the sub-configuration (taken from UnitInventory.waitlistSequence)
+    sequence: {
+        type: Number,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: WAITLIST_STATUSES,
+        default: 'waiting'
+    },
+    holdId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'UnitHold'
+    },
+    promotedAt: {
+        type: Date
+    },
+    confirmBy: {
+        type: Date
+    },
+    confirmedAt: {
+        type: Date
+    },
+    cancelledAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// A buyer is queued at most once per sub-configuration
+waitlistEntrySchema.index(
+    { userId: 1, subConfigurationId: 1 },
+    { unique: true, partialFilterExpression: { status: { $in: ['waiting', 'promoted'] } } }
+);
+waitlistEntrySchema.index({ subConfigurationId: 1, status: 1, sequence: 1 });
+waitlistEntrySchema.index({ holdId: 1 });
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+WaitlistEntry.STATUSES = WAITLIST_STATUSES;
+
+module.exports = WaitlistEntry;
@@ -1,6 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
+const groupBuyController = require('../controllers/groupBuyController');
+const inventoryController = require('../controllers/inventoryController');
+const paymentController = require('../controllers/paymentController');
+const referralController = require('../controllers/referralController');
+const leadAssignmentController = require('../controllers/leadAssignmentController');
+const slaPolicyController = require('../controllers/slaPolicyController');
+const duplicateController = require('../controllers/duplicateController');
+const lostReasonController = require('../controllers/lostReasonController');
+const visitSlotController = require('../controllers/visitSlotController');
+const siteVisitController = require('../controllers/siteVisitController');
+const calendarController = require('../controllers/calendarController');
 const validate = require('../middleware/validator');
 const { body } = require('express-validator');
 const { authenticate, authorizeAdmin, authorizeSuperAdmin, authorizeBlogAdd, authorizeBlogEdit, authorizeBlogView, authorizeBlogDelete, optionalAuthenticate } = require('../middleware/auth');
@@ -70,6 +81,31 @@ router.put('/update_property/:id', authenticate, authorizeAdmin, uploadMiddlewar
 
 router.delete('/delete_property/:id', authenticate, authorizeAdmin, adminController.deleteProperty);
 
+// GROUP BUY ROUTES
+router.get('/property/:propertyId/group-buys', authenticate, authorizeAdmin, groupBuyController.getPropertyGroups);
+router.post('/property/:propertyId/group-buys', authenticate, authorizeAdmin, groupBuyController.openGroup);
+router.get('/group-buy/:groupBuyId/members', authenticate, authorizeAdmin, groupBuyController.getGroupMembers);
+router.put('/group-buy/:groupBuyId/close', authenticate, authorizeAdmin, groupBuyController.closeGroup);
+router.put('/group-buy/:groupBuyId/lock', authenticate, authorizeAdmin, groupBuyController.lockGroup);
+router.put('/group-buy/:groupBuyId/reopen', authenticate, authorizeAdmin, groupBuyController.reopenGroup);
+router.get('/group-buy/withdrawals', authenticate, authorizeAdmin, groupBuyController.getWithdrawalAnalytics);
+
+// UNIT INVENTORY ROUTES
+router.get('/property/:propertyId/inventory', authenticate, authorizeAdmin, inventoryController.getPropertyInventory);
+router.put('/property/:propertyId/inventory', authenticate, authorizeAdmin, inventoryController.updatePropertyInventory);
+router.get('/property/:propertyId/unit-holds', authenticate, authorizeAdmin, inventoryController.getPropertyHolds);
+router.put('/unit-hold/:holdId/reserve', authenticate, authorizeAdmin, inventoryController.reserveUnitHold);
+router.put('/unit-hold/:holdId/release', authenticate, authorizeAdmin, inventoryController.releaseUnitHold);
+router.get('/property/:propertyId/waitlist', authenticate, authorizeAdmin, inventoryController.getPropertyWaitlist);
+
+// PAYMENT ROUTES
+router.get('/payments', authenticate, authorizeAdmin, paymentController.getPayments);
+router.put('/payment/:paymentId/refund', authenticate, authorizeAdmin, paymentController.refundPayment);
+
+// REFERRAL ROUTES
+router.get('/referrals', authenticate, authorizeAdmin, referralController.getReferrals);
+router.put('/referral/:referralId/mark-paid', authenticate, authorizeAdmin, referralController.markReferralPaid);
+
 // DEVELOPER ROUTES 
 router.post('/create_developer', authenticate, upload.single('logo'), authorizeAdmin, adminController.createDeveloper);
 router.get('/get_all_developer', authenticate, authorizeAdmin, adminController.getAllDevelopers);
@@ -89,12 +125,58 @@ router.get('/export_all_leads_csv', authenticate, adminController.exportAllLeads
 // Lead Timeline/Activity Routes
 router.post('/lead/:leadId/activity', authenticate, adminController.addLeadActivity);
 router.put('/lead/:leadId/status', authenticate, adminController.updateLeadStatus);
+router.get('/lead-statuses', authenticate, adminController.getLeadStatusPipeline);
+router.get('/leads/pipeline', authenticate, authorizeAdmin, adminController.getLeadPipelineBoard);
+router.put('/lead/:leadId/move', authenticate, authorizeAdmin, adminController.moveLeadOnPipeline);
 router.put('/lead/:leadId/remark', authenticate, adminController.updateLeadRemark);
 router.get('/lead/:leadId/timeline', authenticate, adminController.getLeadTimeline);
 router.post('/lead/:leadId/follow-up', authenticate, adminController.scheduleFollowUp);
 router.post('/lead/:leadId/call', authenticate, adminController.callNow);
 router.post('/lead/:leadId/whatsapp', authenticate, adminController.sendWhatsApp);
 
+// LEAD ASSIGNMENT ROUTES
+router.get('/lead-assignment/agents', authenticate, authorizeAdmin, leadAssignmentController.getAssignmentPool);
+router.post('/lead-assignment/run', authenticate, authorizeAdmin, leadAssignmentController.runLeadAssignment);
+router.get('/agent/:agentId/lead-assignment', authenticate, authorizeAdmin, leadAssignmentController.getAgentAssignmentSettings);
+router.put('/agent/:agentId/lead-assignment', authenticate, authorizeAdmin, leadAssignmentController.updateAgentAssignmentSettings);
+router.put('/lead/:leadId/reassign', authenticate, authorizeAdmin, leadAssignmentController.reassignLead);
+router.post('/leads/bulk-transfer', authenticate, authorizeAdmin, leadAssignmentController.bulkTransferLeads);
+
+// LEAD SLA ROUTES
+router.get('/sla-policies', authenticate, authorizeAdmin, slaPolicyController.getSlaPolicies);
+router.post('/sla-policies', authenticate, authorizeAdmin, slaPolicyController.createSlaPolicy);
+router.put('/sla-policy/:policyId', authenticate, authorizeAdmin, slaPolicyController.updateSlaPolicy);
+
+// DUPLICATE LEAD ROUTES
+router.get('/duplicates', authenticate, authorizeAdmin, duplicateController.getDuplicates);
+router.post('/duplicates/scan', authenticate, authorizeAdmin, duplicateController.runDuplicateScan);
+router.post('/duplicate/:candidateId/merge', authenticate, authorizeAdmin, duplicateController.mergeDuplicate);
+router.post('/duplicate/:candidateId/dismiss', authenticate, authorizeAdmin, duplicateController.dismissDuplicate);
+
+// LOST REASON & WIN / LOSS ROUTES
+router.get('/lost-reasons', authenticate, authorizeAdmin, lostReasonController.getLostReasons);
+router.post('/lost-reasons', authenticate, authorizeAdmin, lostReasonController.createLostReason);
+router.put('/lost-reason/:reasonId', authenticate, authorizeAdmin, lostReasonController.updateLostReason);
+router.get('/analytics/win-loss', authenticate, authorizeAdmin, lostReasonController.getWinLossAnalytics);
+
+// SITE VISIT AVAILABILITY ROUTES
+router.get('/property/:propertyId/visit-availability', authenticate, authorizeAdmin, visitSlotController.getVisitAvailability);
+router.put('/property/:propertyId/visit-availability', authenticate, authorizeAdmin, visitSlotController.updateVisitAvailability);
+
+// SITE VISIT ROUTES
+router.get('/visits', authenticate, authorizeAdmin, siteVisitController.getVisits);
+router.get('/lead/:leadId/visits', authenticate, authorizeAdmin, siteVisitController.getLeadVisits);
+router.put('/visit/:visitId/status', authenticate, authorizeAdmin, siteVisitController.updateVisitStatus);
+router.post('/visit/check-in', authenticate, authorizeAdmin, siteVisitController.checkInVisit);
+router.get('/visit/:visitId/calendar.ics', authenticate, authorizeAdmin, siteVisitController.getVisitCalendarInvite);
+
+// CALENDAR ROUTES
+router.get('/lead/:leadId/follow-up/calendar.ics', authenticate, authorizeAdmin, calendarController.getFollowUpCalendarInvite);
+router.get('/calendar/feed-url', authenticate, authorizeAdmin, calendarController.getCalendarFeedUrl);
+router.post('/calendar/feed-url/reset', authenticate, authorizeAdmin, calendarController.resetCalendarFeedUrl);
+// Calendar apps poll this without a login (signed token, no auth)
+router.get('/calendar/feed/:token.ics', calendarController.getCalendarFeed);
+
 // ROLE MANAGEMENT ROUTES
 router.get('/get_agent_role', authenticate, authorizeAdmin, adminController.getAgentRoles);
 router.get('/get_relationship_manager', authenticate, authorizeAdmin, adminController.getRelationshipManagers);
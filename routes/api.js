@@ -7,6 +7,7 @@ const adminRoutes = require('./adminRoutes');
 const productRoutes = require('./productRoutes');
 const userDashboardRoutes = require('./userDashboardRoutes');
 const homePageRoutes = require('./homePageRoutes');
+const paymentRoutes = require('./paymentRoutes');
 
 // Route definitions
 router.use('/users', userRoutes);
@@ -14,6 +15,7 @@ router.use('/admin',adminRoutes);
 router.use('/products', productRoutes);
 router.use('/user_dashboard', userDashboardRoutes);
 router.use('/home', homePageRoutes);
+router.use('/payments', paymentRoutes);
 
 // API info route
 router.get('/', (req, res) => {
@@ -24,7 +26,8 @@ router.get('/', (req, res) => {
         endpoints: {
             users: '/api/users',
             products: '/api/products',
-            admin : '/api/admin'
+            admin : '/api/admin',
+            payments: '/api/payments'
         }
     });
 });
@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { authenticate, optionalAuthenticate } = require('../middleware/auth');
 const homePageController = require('../controllers/homePageController');
+const groupInviteController = require('../controllers/groupInviteController');
+const visitSlotController = require('../controllers/visitSlotController');
+const siteVisitController = require('../controllers/siteVisitController');
 
 router.get('/getTopProperty', optionalAuthenticate, homePageController.getTopVisitedProperties);
 
@@ -21,9 +24,30 @@ router.get('/getPropertyById/:id', optionalAuthenticate, homePageController.getP
 router.post('/property/view', authenticate, homePageController.addViewedProperty);
 router.post('/property/favorite', authenticate, homePageController.toggleFavoriteProperty);
 router.post('/property/visit', authenticate, homePageController.registerVisit);
+router.get('/property/:propertyId/visit-slots', visitSlotController.getPropertyVisitSlots);
+// Twilio inbound SMS / WhatsApp webhook for visit reminder replies (signature verified, no auth)
+router.post('/visit/reminder-reply', siteVisitController.handleReminderReply);
 
 // Join Group Buy
 router.post('/join-group', authenticate, homePageController.joinGroup);
+router.post('/leave-group', authenticate, homePageController.leaveGroup);
+router.get('/group-buy/:groupBuyId/progress', optionalAuthenticate, homePageController.getGroupBuyProgress);
+router.get('/waitlist', authenticate, homePageController.getMyWaitlist);
+router.post('/waitlist/:entryId/confirm', authenticate, homePageController.confirmWaitlistSpot);
+router.post('/waitlist/:entryId/cancel', authenticate, homePageController.cancelWaitlistEntry);
+
+// Group invite links
+router.post('/group-buy/:groupBuyId/invites', authenticate, groupInviteController.createGroupInvite);
+router.get('/invites', authenticate, groupInviteController.getMyInvites);
+router.post('/invites/:inviteId/revoke', authenticate, groupInviteController.revokeGroupInvite);
+router.get('/invite/:token', optionalAuthenticate, groupInviteController.resolveGroupInvite);
+
+// Co-applicants on a group membership
+router.get('/membership/:memberId/co-applicants', authenticate, homePageController.getCoApplicants);
+router.post('/membership/:memberId/co-applicants', authenticate, homePageController.addCoApplicant);
+router.post('/membership/:memberId/co-applicants/:coApplicantId/resend-otp', authenticate, homePageController.resendCoApplicantOtp);
+router.post('/membership/:memberId/co-applicants/:coApplicantId/verify', authenticate, homePageController.verifyCoApplicant);
+router.delete('/membership/:memberId/co-applicants/:coApplicantId', authenticate, homePageController.removeCoApplicant);
 
 // Property Comparison
 router.post('/compare', optionalAuthenticate, homePageController.compareProperties);
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+const { authenticate } = require('../middleware/auth');
+
+// Provider webhook (signature verified, no auth)
+router.post('/webhook', paymentController.handlePaymentWebhook);
+
+// Token booking
+router.post('/token-booking', authenticate, paymentController.createTokenBooking);
+router.post('/verify', authenticate, paymentController.verifyTokenPayment);
+router.get('/my-payments', authenticate, paymentController.getMyPayments);
+
+// Local mock checkout (only when PAYMENT_PROVIDER=mock, never in production)
+router.post('/mock/checkout', authenticate, paymentController.mockCheckout);
+
+module.exports = router;
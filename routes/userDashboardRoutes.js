@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const userDashboardController = require('../controllers/userDashboardController');
+const referralController = require('../controllers/referralController');
 const { authenticate, authorizeUser } = require('../middleware/auth');
 const upload = require('../utils/multer');
 
@@ -12,6 +13,10 @@ router.post('/property/view', authenticate, userDashboardController.addViewedPro
 router.post('/property/favorite', authenticate, userDashboardController.toggleFavoriteProperty);
 router.post('/property/visit', authenticate, userDashboardController.registerVisit);
 router.put('/property/reschedule-visit', authenticate, userDashboardController.rescheduleVisit);
+router.put('/property/cancel-visit', authenticate, userDashboardController.cancelVisit);
+router.get('/visits', authenticate, authorizeUser, userDashboardController.getMyVisits);
+router.get('/visit/:visitId/check-in-pass', authenticate, authorizeUser, userDashboardController.getVisitCheckInPass);
+router.get('/visit/:visitId/calendar.ics', authenticate, authorizeUser, userDashboardController.getVisitCalendarInvite);
 router.put('/property/update_visit/:leadId', authenticate, userDashboardController.registerUpdateVisit);
 
 router.get('/get_search', authenticate, authorizeUser, userDashboardController.getSearchHistory);
@@ -27,4 +32,11 @@ router.get('/my-properties/viewed', authenticate, authorizeUser, userDashboardCo
 router.get('/my-properties/favorited', authenticate, authorizeUser, userDashboardController.getFavoritedProperties);
 router.get('/my-properties/visited', authenticate, authorizeUser, userDashboardController.getVisitedProperties);
 
+// Notifications
+router.get('/notifications', authenticate, authorizeUser, userDashboardController.getMyNotifications);
+router.put('/notifications/mark-all-read', authenticate, authorizeUser, userDashboardController.markMyNotificationsAsRead);
+
+// Referrals
+router.get('/referrals', authenticate, authorizeUser, referralController.getMyReferrals);
+
 module.exports = router;
@@ -0,0 +1,103 @@
+/**
+ * Script to backfill GroupBuy / GroupBuyMember records from existing leads
+ * Run: node scripts/migrate-group-buys.js
+ *
+ * Before group buys were stored, a property's "group" was every unique user with an
+ * active lead on it. This script opens one property-wide group per property that has
+ * such leads and adds those users as members, so counts shown to buyers stay the same.
+ * Properties that already have a group are skipped, so the script is safe to re-run.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Property = require('../models/property');
+const leadModal = require('../models/leadModal');
+const GroupBuy = require('../models/groupBuy');
+const GroupBuyMember = require('../models/groupBuyMember');
+const { refreshGroupMembership } = require('../utils/groupBuy');
+
+async function migrateGroupBuys() {
+    try {
+        console.log('🔄 Connecting to database...');
+        await connectDB();
+        console.log('✅ Database connected successfully\n');
+
+        const propertyIds = await leadModal.distinct('propertyId', {
+            isStatus: true,
+            propertyId: { $exists: true, $ne: null }
+        });
+
+        let createdGroups = 0;
+        let createdMembers = 0;
+        let skipped = 0;
+
+        for (const propertyId of propertyIds) {
+            const property = await Property.findById(propertyId).select('projectName minGroupMembers').lean();
+            if (!property) {
+                skipped++;
+                continue;
+            }
+
+            const hasGroup = await GroupBuy.exists({ propertyId });
+            if (hasGroup) {
+                console.log(`⏭️  ${property.projectName}: group already exists`);
+                skipped++;
+                continue;
+            }
+
+            const leads = await leadModal.find({ propertyId, isStatus: true })
+                .select('_id userId source createdAt date')
+                .sort({ createdAt: 1 })
+                .lean();
+
+            const firstLeadDate = leads[0]?.createdAt || new Date();
+            const group = await GroupBuy.create({
+                propertyId,
+                minMembers: property.minGroupMembers || 0,
+                startDate: firstLeadDate,
+                statusHistory: [{ status: 'open', changedAt: firstLeadDate, note: 'Backfilled from existing leads' }]
+            });
+            createdGroups++;
+
+            const seenUsers = new Set();
+            for (const lead of leads) {
+                const userKey = lead.userId?.toString();
+                if (!userKey || seenUsers.has(userKey)) continue;
+                seenUsers.add(userKey);
+
+                await GroupBuyMember.create({
+                    groupBuyId: group._id,
+                    propertyId,
+                    userId: lead.userId,
+                    leadId: lead._id,
+                    source: lead.source || 'origin',
+                    joinedAt: lead.createdAt || lead.date || new Date()
+                });
+                createdMembers++;
+            }
+
+            const refreshed = await refreshGroupMembership(group._id);
+            console.log(`   ✅ ${property.projectName}: ${refreshed.memberCount} member(s), status ${refreshed.status}`);
+        }
+
+        console.log('\n' + '='.repeat(60));
+        console.log('📊 SUMMARY');
+        console.log('='.repeat(60));
+        console.log(`✅ Groups created: ${createdGroups}`);
+        console.log(`✅ Members created: ${createdMembers}`);
+        console.log(`⏭️  Properties skipped: ${skipped}`);
+
+        await mongoose.connection.close();
+        console.log('\n🔌 Database connection closed');
+        process.exit(0);
+
+    } catch (error) {
+        console.error('\n❌ Fatal error:', error);
+        await mongoose.connection.close();
+        process.exit(1);
+    }
+}
+
+// Run the script
+migrateGroupBuys();
@@ -0,0 +1,92 @@
+/**
+ * Script to move leads off the legacy approval statuses
+ * Run: node scripts/migrate-lead-statuses.js [--dry-run]
+ *
+ * Leads created before the status pipeline can still be pending / approved / rejected.
+ * Those statuses have no place in the pipeline, so they are rewritten to their equivalent
+ * (pending -> lead_received, approved -> interested, rejected -> declined_interest) and a
+ * status_update activity is added to each lead's timeline. Safe to re-run.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const leadModal = require('../models/leadModal');
+const LeadActivity = require('../models/leadActivity');
+const Role = require('../models/role');
+const User = require('../models/user');
+const { LEGACY_STATUS_MAP } = require('../utils/leadStatus');
+
+const isDryRun = process.argv.includes('--dry-run');
+
+async function migrateLeadStatuses() {
+    try {
+        console.log('🔄 Connecting to database...');
+        await connectDB();
+        console.log('✅ Database connected successfully\n');
+
+        // Timeline entries need a performer - use the first super admin
+        const superAdminRole = await Role.findOne({ name: 'Super Admin' }).select('_id').lean();
+        const superAdmin = superAdminRole
+            ? await User.findOne({ role: superAdminRole._id }).select('_id name').lean()
+            : null;
+        if (!superAdmin) {
+            throw new Error('No Super Admin user found to record the migration against');
+        }
+
+        const now = new Date();
+        const summary = {};
+
+        for (const [legacyStatus, newStatus] of Object.entries(LEGACY_STATUS_MAP)) {
+            const leads = await leadModal.find({ status: legacyStatus }).select('_id').lean();
+            summary[legacyStatus] = leads.length;
+            console.log(`📝 ${legacyStatus} -> ${newStatus}: ${leads.length} lead(s)`);
+
+            if (isDryRun || leads.length === 0) continue;
+
+            for (const lead of leads) {
+                const updated = await leadModal.updateOne(
+                    { _id: lead._id, status: legacyStatus },
+                    {
+                        $set: {
+                            status: newStatus,
+                            statusChangedAt: now,
+                            ...(newStatus === 'declined_interest' ? { lostReason: 'legacy_rejected' } : {})
+                        }
+                    }
+                );
+                if (!updated.modifiedCount) continue;
+
+                await LeadActivity.create({
+                    leadId: lead._id,
+                    activityType: 'status_update',
+                    performedBy: superAdmin._id,
+                    performedByName: 'System',
+                    description: `Status migrated from ${legacyStatus} to ${newStatus}`,
+                    oldStatus: legacyStatus,
+                    newStatus,
+                    metadata: { migration: 'lead-status-pipeline' }
+                });
+            }
+        }
+
+        console.log('\n' + '='.repeat(60));
+        console.log(`📊 SUMMARY${isDryRun ? ' (dry run - nothing was changed)' : ''}`);
+        console.log('='.repeat(60));
+        Object.entries(summary).forEach(([status, count]) => {
+            console.log(`✅ ${status}: ${count}`);
+        });
+
+        await mongoose.connection.close();
+        console.log('\n🔌 Database connection closed');
+        process.exit(0);
+
+    } catch (error) {
+        console.error('\n❌ Fatal error:', error);
+        await mongoose.connection.close();
+        process.exit(1);
+    }
+}
+
+// Run the script
+migrateLeadStatuses();
@@ -8,9 +8,10 @@ require('dotenv').config();
 const connectDB = require('./config/database');
 const { logInfo, logError } = require('./utils/logger');
 const apiLogger = require('./middleware/logger');
+const { startScheduler } = require('./utils/scheduler');
 
-// Connect to database
-connectDB();
+// Connect to database, then start background jobs (group buy deadlines, etc.)
+connectDB().then(() => startScheduler());
 
 const app = express();
 
@@ -50,7 +51,15 @@ app.use(cors({
 
 app.use(compression());
 app.use(morgan('dev'));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Payment webhooks are signed over the exact bytes received
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/payments/webhook')) {
+            req.rawBody = buf.toString('utf8');
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(apiLogger);
 
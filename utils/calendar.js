@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const SiteVisit = require('../models/siteVisit');
+const leadModal = require('../models/leadModal');
+const User = require('../models/user');
+const jwtConfig = require('../config/jwt');
+const { toDateKey, parseVisitTime } = require('./visitSlots');
+
+// Separate secret when configured, so feed URLs can be rotated without logging everyone out
+const FEED_SECRET = process.env.CALENDAR_FEED_SECRET || jwtConfig.secret;
+// Right hand side of event UIDs - keeps them unique across calendars
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'milke-khareedo';
+const PRODUCT_ID = '-//Milke Khareedo//Site Visits and Follow-ups//EN';
+
+// Length of a visit without a slot end time, and of a follow-up call
+const VISIT_DURATION_MINUTES = Math.max(parseInt(process.env.VISIT_DURATION_MINUTES) || 60, 15);
+const FOLLOW_UP_DURATION_MINUTES = 15;
+// Feeds also carry recent past events so cancellations and completed visits stay visible
+const FEED_PAST_DAYS = 30;
+const FEED_MAX_EVENTS = 500;
+
+const CANCELLED_VISIT_STATUSES = ['cancelled_by_user', 'cancelled_by_rm'];
+const TENTATIVE_VISIT_STATUSES = ['scheduled', 'rescheduled'];
+
+const VISIT_STATUS_LABELS = {
+    scheduled: 'Waiting for confirmation',
+    confirmed: 'Confirmed',
+    rescheduled: 'Rescheduled, waiting for confirmation',
+    cancelled_by_user: 'Cancelled by buyer',
+    cancelled_by_rm: 'Cancelled by relationship manager',
+    no_show: 'Buyer did not turn up',
+    completed: 'Completed'
+};
+
+// ===================== RFC 5545 FORMATTING =====================
+
+// 20261019T053000Z
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// "YYYY-MM-DD" -> 20261019
+const formatDateKey = (dateKey) => dateKey.replace(/-/g, '');
+
+const nextDateKey = (dateKey) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+};
+
+const escapeText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Content lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+    const folded = [];
+    let current = '';
+    for (const char of line) {
+        const limit = folded.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            folded.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    folded.push(current);
+    return folded.join('\r\n ');
+};
+
+const formatContact = (user) => {
+    if (!user) return '';
+    return [user.name, user.phoneNumber, user.email].filter(Boolean).join(', ');
+};
+
+// Event as content lines. Timed events take { start, end }, all-day events { dateKey }.
+const buildEvent = ({ uid, sequence, updatedAt, start, end, dateKey, summary, location, description, status }) => {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${formatDateTime(updatedAt || new Date())}`,
+        `SEQUENCE:${sequence || 0}`
+    ];
+    if (dateKey) {
+        lines.push(`DTSTART;VALUE=DATE:${formatDateKey(dateKey)}`, `DTEND;VALUE=DATE:${formatDateKey(nextDateKey(dateKey))}`);
+    } else {
+        lines.push(`DTSTART:${formatDateTime(start)}`, `DTEND:${formatDateTime(end)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(summary)}`);
+    if (location) lines.push(`LOCATION:${escapeText(location)}`);
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    lines.push(`STATUS:${status || 'CONFIRMED'}`, 'END:VEVENT');
+    return lines;
+};
+
+// Whole VCALENDAR object with CRLF line endings
+const buildCalendar = ({ name, events }) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...events.flat(),
+    'END:VCALENDAR'
+].map(foldLine).join('\r\n') + '\r\n';
+
+// ===================== EVENTS =====================
+
+// Site visit with propertyId, userId, relationshipManagerId and visitSlot populated.
+// The UID stays the same across reschedules and cancellation, every status change raises SEQUENCE
+// so calendar apps replace the earlier copy.
+const buildVisitEvent = (visit, audience = 'buyer') => {
+    const property = visit.propertyId || {};
+    const buyer = visit.userId || {};
+    const rm = visit.relationshipManagerId || {};
+    const projectName = property.projectName || 'property';
+
+    const timing = {};
+    if (parseVisitTime(visit.visitTime)) {
+        const start = new Date(visit.scheduledAt);
+        const slotEnd = visit.visitSlot?.endsAt ? new Date(visit.visitSlot.endsAt) : null;
+        timing.start = start;
+        timing.end = slotEnd && slotEnd > start ? slotEnd : new Date(start.getTime() + VISIT_DURATION_MINUTES * 60 * 1000);
+    } else {
+        // Booked with a date only
+        timing.dateKey = toDateKey(new Date(visit.scheduledAt));
+    }
+
+    const details = [`Status: ${VISIT_STATUS_LABELS[visit.status] || visit.status}`];
+    if (visit.visitTime && !parseVisitTime(visit.visitTime)) details.push(`Preferred time: ${visit.visitTime}`);
+    if (audience === 'rm') {
+        details.push(`Buyer: ${formatContact(buyer) || 'N/A'}`);
+    } else if (rm.name) {
+        details.push(`Relationship manager: ${formatContact(rm)}`);
+    }
+    if (visit.cancelReason) details.push(`Reason: ${visit.cancelReason}`);
+
+    let status = 'CONFIRMED';
+    if (CANCELLED_VISIT_STATUSES.includes(visit.status)) status = 'CANCELLED';
+    else if (TENTATIVE_VISIT_STATUSES.includes(visit.status)) status = 'TENTATIVE';
+
+    return buildEvent({
+        uid: `site-visit-${visit._id}@${UID_DOMAIN}`,
+        sequence: Math.max((visit.statusHistory?.length || 1) - 1, 0),
+        updatedAt: visit.updatedAt,
+        ...timing,
+        summary: audience === 'rm'
+            ? `Site visit: ${buyer.name || 'Buyer'} at ${projectName}`
+            : `Site visit: ${projectName}`,
+        location: property.location || '',
+        description: details.join('\n'),
+        status
+    });
+};
+
+// Follow-up of a lead with propertyId and userId populated. A lead has one follow-up at a time,
+// so the lead ID is the UID and its last update orders the revisions.
+const buildFollowUpEvent = (lead) => {
+    const property = lead.propertyId || {};
+    const buyer = lead.userId || {};
+    const start = new Date(lead.scheduleDate);
+
+    return buildEvent({
+        uid: `follow-up-${lead._id}@${UID_DOMAIN}`,
+        sequence: Math.floor(new Date(lead.updatedAt || start).getTime() / 1000),
+        updatedAt: lead.updatedAt,
+        start,
+        end: new Date(start.getTime() + FOLLOW_UP_DURATION_MINUTES * 60 * 1000),
+        summary: `Follow-up: ${buyer.name || 'Buyer'} - ${property.projectName || 'N/A'}`,
+        description: [
+            `Buyer: ${formatContact(buyer) || 'N/A'}`,
+            `Project: ${property.projectName || 'N/A'}`,
+            `Lead status: ${lead.status || 'N/A'}`
+        ].join('\n')
+    });
+};
+
+// ===================== PRIVATE AGENT FEED =====================
+
+// The version is bumped to revoke every URL issued before
+const signFeed = (userId, version) => crypto
+    .createHmac('sha256', FEED_SECRET)
+    .update(`calendar_feed:${userId}:${version || 0}`)
+    .digest('base64url');
+
+// Token in the feed URL: "<userId>.<signature>"
+const createCalendarFeedToken = (user) => `${user._id}.${signFeed(user._id, user.calendarFeedVersion)}`;
+
+// Agent of a correctly signed, unrevoked token, null otherwise
+const resolveCalendarFeedToken = async (token) => {
+    const [userId, signature] = String(token || '').split('.');
+    if (!userId || !signature || !mongoose.Types.ObjectId.isValid(userId)) return null;
+
+    const user = await User.findById(userId).select('name calendarFeedVersion isActive').lean();
+    if (!user || user.isActive === false) return null;
+
+    const expected = Buffer.from(signFeed(user._id, user.calendarFeedVersion));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+
+    return user;
+};
+
+// Visits the agent runs and follow-ups on the leads they work, from FEED_PAST_DAYS ago onwards
+const buildAgentFeed = async (agent, now = new Date()) => {
+    const since = new Date(now.getTime() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+    const agentId = agent._id;
+
+    const [visits, leads] = await Promise.all([
+        SiteVisit.find({ relationshipManagerId: agentId, scheduledAt: { $gte: since } })
+            .populate('propertyId', 'projectName location')
+            .populate('userId', 'name phoneNumber email')
+            .populate('visitSlot', 'endsAt')
+            .select('propertyId userId visitSlot scheduledAt visitTime status statusHistory.status cancelReason updatedAt')
+            .sort({ scheduledAt: 1 })
+            .limit(FEED_MAX_EVENTS)
+            .lean(),
+        leadModal.find({
+            scheduleDate: { $gte: since },
+            isStatus: { $ne: false },
+            $or: [
+                { assignedTo: agentId },
+                { assignedTo: null, relationshipManagerId: agentId }
+            ]
+        })
+            .populate('propertyId', 'projectName')
+            .populate('userId', 'name phoneNumber email')
+            .select('propertyId userId status scheduleDate visitScheduledAt updatedAt')
+            .sort({ scheduleDate: 1 })
+            .limit(FEED_MAX_EVENTS)
+            .lean()
+    ]);
+
+    // scheduleDate also holds booked visit times, those are already in the feed as visits
+    const followUps = leads.filter(lead => !lead.visitScheduledAt
+        || new Date(lead.visitScheduledAt).getTime() !== new Date(lead.scheduleDate).getTime());
+
+    return buildCalendar({
+        name: `${agent.name || 'Agent'} - Site visits & follow-ups`,
+        events: [
+            ...visits.map(visit => buildVisitEvent(visit, 'rm')),
+            ...followUps.map(buildFollowUpEvent)
+        ]
+    });
+};
+
+module.exports = {
+    buildCalendar,
+    buildVisitEvent,
+    buildFollowUpEvent,
+    createCalendarFeedToken,
+    resolveCalendarFeedToken,
+    buildAgentFeed
+};
@@ -0,0 +1,613 @@
+const GroupBuy = require('../models/groupBuy');
+const GroupBuyMember = require('../models/groupBuyMember');
+const Property = require('../models/property');
+const { notifyUser } = require('./notification');
+const { refundGroupPayments } = require('./payment');
+const { logInfo, logError } = require('./logger');
+
+// Statuses in which a group still accepts new members
+const JOINABLE_STATUSES = ['open', 'filling', 'minimum_met'];
+
+// Groups opened without an explicit deadline run for this many days
+const DEFAULT_GROUP_DURATION_DAYS = parseInt(process.env.GROUP_BUY_DEFAULT_DURATION_DAYS) || 30;
+
+const getDefaultDeadline = (from = new Date()) =>
+    new Date(from.getTime() + DEFAULT_GROUP_DURATION_DAYS * 24 * 60 * 60 * 1000);
+
+const isGroupJoinable = (group) => {
+    if (!group || !JOINABLE_STATUSES.includes(group.status)) return false;
+    if (group.deadline && new Date(group.deadline) <= new Date()) return false;
+    if (group.maxMembers && group.memberCount >= group.maxMembers) return false;
+    return true;
+};
+
+// Members may leave while the group is still filling up (open, filling or minimum_met).
+// Locked, closed, expired or decided groups keep their members.
+const isGroupLeavable = (group) => !!group && JOINABLE_STATUSES.includes(group.status) && !group.outcome;
+
+// open -> filling -> minimum_met is driven by member count.
+// locked, closed and expired are only ever set explicitly.
+const deriveFillStatus = (memberCount, minMembers) => {
+    if (!memberCount) return 'open';
+    if (memberCount >= (minMembers || 0)) return 'minimum_met';
+    return 'filling';
+};
+
+// Apply a status change on a group document and record it in statusHistory
+const setGroupStatus = (group, status, changedBy = null, note = '') => {
+    if (group.status === status) return false;
+    group.status = status;
+    group.statusHistory.push({
+        status,
+        changedAt: new Date(),
+        changedBy,
+        note
+    });
+    return true;
+};
+
+// Recount active members and move the group along open/filling/minimum_met.
+// Joins and leaves pass recount: false - claimGroupSeat / releaseGroupSeat already counted their
+// seat, and a recount could drop seats other joins have claimed but not written yet.
+const refreshGroupMembership = async (groupBuyId, { recount = true } = {}) => {
+    const group = await GroupBuy.findById(groupBuyId);
+    if (!group) return null;
+
+    if (recount) {
+        group.memberCount = await GroupBuyMember.countDocuments({ groupBuyId, status: 'active' });
+    }
+
+    // Groups already decided by their deadline keep their outcome status
+    if (JOINABLE_STATUSES.includes(group.status) && !group.outcome) {
+        setGroupStatus(group, deriveFillStatus(group.memberCount, group.minMembers));
+    }
+
+    await group.save();
+    return group;
+};
+
+// Pick the group a buyer should land in for a property (and optional configuration).
+// Configuration-scoped groups win over the property-wide group.
+const findJoinableGroup = async (propertyId, configurationId = null) => {
+    const candidates = await GroupBuy.find({
+        propertyId,
+        status: { $in: JOINABLE_STATUSES },
+        configurationId: configurationId ? { $in: [configurationId, null] } : null
+    }).sort({ createdAt: -1 });
+
+    const joinable = candidates.filter(isGroupJoinable);
+    if (configurationId) {
+        const scoped = joinable.find(group => group.configurationId?.toString() === configurationId.toString());
+        if (scoped) return scoped;
+    }
+    return joinable.find(group => !group.configurationId) || null;
+};
+
+// Properties that never had a group get a property-wide group opened on first join,
+// so existing listings keep working without an admin opening one first.
+const findOrCreateJoinableGroup = async (property, configurationId = null) => {
+    const group = await findJoinableGroup(property._id, configurationId);
+    if (group) return group;
+
+    const hasAnyGroup = await GroupBuy.exists({ propertyId: property._id });
+    if (hasAnyGroup) return null;
+
+    const created = await GroupBuy.create({
+        propertyId: property._id,
+        minMembers: property.minGroupMembers || 0,
+        deadline: getDefaultDeadline(),
+        statusHistory: [{ status: 'open', changedAt: new Date(), note: 'Opened automatically on first join' }]
+    });
+    logInfo('Group buy opened automatically', { propertyId: property._id, groupBuyId: created._id });
+    return created;
+};
+
+// Take a place in the group. The capacity and deadline checks and the increment are one write,
+// so concurrent joins cannot push the group past maxMembers or land after the deadline.
+const claimGroupSeat = (group) => GroupBuy.findOneAndUpdate(
+    {
+        _id: group._id,
+        status: { $in: JOINABLE_STATUSES },
+        outcome: null,
+        $or: [{ deadline: null }, { deadline: { $gt: new Date() } }],
+        ...(group.maxMembers ? { memberCount: { $lt: group.maxMembers } } : {})
+    },
+    { $inc: { memberCount: 1 } },
+    { new: true }
+);
+
+const releaseGroupSeat = (groupBuyId) => GroupBuy.updateOne(
+    { _id: groupBuyId, memberCount: { $gt: 0 } },
+    { $inc: { memberCount: -1 } }
+);
+
+// Add (or re-activate) a buyer's membership and refresh the group counters.
+// Returns { member, group, alreadyMember } or { error, statusCode } when the group is full.
+const addMemberToGroup = async ({ group, userId, leadId, configurationId = null, subConfigurationId = null, unitType = null, source = 'origin', inviteId = null }) => {
+    let member = await GroupBuyMember.findOne({ groupBuyId: group._id, userId });
+    let alreadyMember = false;
+
+    if (member && member.status === 'active') {
+        return { member, group: await refreshGroupMembership(group._id, { recount: false }), alreadyMember: true };
+    }
+
+    if (!await claimGroupSeat(group)) {
+        return { error: 'This group buy is full or no longer accepting members', statusCode: 409 };
+    }
+
+    if (member) {
+        member.status = 'active';
+        member.joinedAt = new Date();
+        member.withdrawnAt = undefined;
+        member.withdrawalReason = undefined;
+        member.withdrawalNote = '';
+        member.leadId = leadId || member.leadId;
+        member.configurationId = configurationId;
+        member.subConfigurationId = subConfigurationId;
+        member.unitType = unitType;
+        member.source = source;
+        member.inviteId = inviteId;
+        try {
+            await member.save();
+        } catch (error) {
+            await releaseGroupSeat(group._id);
+            throw error;
+        }
+    } else {
+        try {
+            member = await GroupBuyMember.create({
+                groupBuyId: group._id,
+                propertyId: group.propertyId,
+                userId,
+                leadId,
+                configurationId,
+                subConfigurationId,
+                unitType,
+                source,
+                inviteId
+            });
+        } catch (error) {
+            // Concurrent join by the same user - the unique index already holds the membership
+            await releaseGroupSeat(group._id);
+            if (error.code !== 11000) throw error;
+            member = await GroupBuyMember.findOne({ groupBuyId: group._id, userId });
+            alreadyMember = true;
+        }
+    }
+
+    const updatedGroup = await refreshGroupMembership(group._id, { recount: false });
+    return { member, group: updatedGroup, alreadyMember };
+};
+
+// Mark a membership as withdrawn and refresh the group counters
+const withdrawMember = async ({ member, reason = 'other', note = '' }) => {
+    const withdrawnAt = new Date();
+    // Only the request that actually ends the membership gives its seat back
+    const withdrawn = await GroupBuyMember.updateOne(
+        { _id: member._id, status: 'active' },
+        { $set: { status: 'withdrawn', withdrawnAt, withdrawalReason: reason, withdrawalNote: note } }
+    );
+    if (withdrawn.modifiedCount > 0) {
+        await releaseGroupSeat(member.groupBuyId);
+    }
+    Object.assign(member, { status: 'withdrawn', withdrawnAt, withdrawalReason: reason, withdrawalNote: note });
+
+    // Counted by releaseGroupSeat - a recount could drop seats concurrent joins have just claimed
+    const group = await refreshGroupMembership(member.groupBuyId, { recount: false });
+    return { member, group };
+};
+
+// ===================== CO-APPLICANTS =====================
+
+const MAX_CO_APPLICANTS = parseInt(process.env.GROUP_BUY_MAX_CO_APPLICANTS) || 3;
+
+// Active membership in the group that already lists this phone as a verified co-applicant.
+// A household counts once, so such a buyer cannot also join (or be verified) on their own.
+const findHouseholdMembership = async (groupBuyId, phoneNumber, excludeMemberId = null) => {
+    if (!phoneNumber) return null;
+    const filter = {
+        groupBuyId,
+        status: 'active',
+        coApplicants: { $elemMatch: { phoneNumber, isVerified: true } }
+    };
+    if (excludeMemberId) filter._id = { $ne: excludeMemberId };
+    return GroupBuyMember.findOne(filter).lean();
+};
+
+const formatCoApplicant = (coApplicant) => ({
+    coApplicantId: coApplicant._id,
+    name: coApplicant.name,
+    phoneNumber: coApplicant.phoneNumber,
+    countryCode: coApplicant.countryCode,
+    relationship: coApplicant.relationship,
+    sharePercentage: coApplicant.sharePercentage,
+    isVerified: coApplicant.isVerified,
+    verifiedAt: coApplicant.verifiedAt || null
+});
+
+// Primary buyer + verified co-applicants
+const getHouseholdSize = (member) =>
+    1 + (member.coApplicants || []).filter(coApplicant => coApplicant.isVerified).length;
+
+// ===================== PUBLIC PROGRESS =====================
+
+// Roles that may see member contact details (the property's RM is allowed as well)
+const MEMBER_DETAIL_ROLES = ['super admin', 'admin'];
+
+const canViewMemberDetails = (viewer, property) => {
+    if (!viewer?.userId) return false;
+    if (MEMBER_DETAIL_ROLES.includes((viewer.roleName || '').toLowerCase())) return true;
+    const rmId = property?.relationshipManager?._id || property?.relationshipManager;
+    return !!rmId && rmId.toString() === viewer.userId.toString();
+};
+
+// "Rahul Kumar Sharma" -> "R. S."
+const getInitials = (name) => {
+    const parts = (name || '').trim().split(/\s+/).filter(Boolean);
+    if (parts.length === 0) return 'N/A';
+    const first = parts[0][0].toUpperCase();
+    if (parts.length === 1) return `${first}.`;
+    return `${first}. ${parts[parts.length - 1][0].toUpperCase()}.`;
+};
+
+// Anonymised member entry safe to show to anyone
+const formatPublicMember = (member, viewerUserId = null) => {
+    const user = member.userId || {};
+    return {
+        initials: getInitials(user.name),
+        city: user.city || null,
+        unitTypeInterest: member.unitType || null,
+        householdSize: getHouseholdSize(member),
+        joinedAt: member.joinedAt || member.createdAt,
+        isYou: !!viewerUserId && !!user._id && user._id.toString() === viewerUserId.toString()
+    };
+};
+
+// Milestones for a progress widget: first member, 25/50/75% of the minimum, the minimum itself
+// and every discount tier. reachedAt comes from the join dates of the members still in the group.
+const buildJoinMilestones = (group, joinDates = [], tiers = []) => {
+    const sortedDates = [...joinDates].map(date => new Date(date)).sort((a, b) => a - b);
+    const minMembers = group?.minMembers || 0;
+    const milestones = new Map();
+
+    const addMilestone = (memberCount, label, type) => {
+        if (!memberCount || memberCount < 1) return;
+        const existing = milestones.get(memberCount);
+        // A tier on the same count as the minimum keeps the minimum label and records the tier
+        if (existing) {
+            if (type === 'discount_tier') existing.discountPercentage = label.discountPercentage;
+            return;
+        }
+        milestones.set(memberCount, {
+            memberCount,
+            type,
+            label: typeof label === 'string' ? label : label.text,
+            discountPercentage: typeof label === 'string' ? null : label.discountPercentage,
+            isReached: sortedDates.length >= memberCount,
+            reachedAt: sortedDates[memberCount - 1] || null
+        });
+    };
+
+    addMilestone(1, 'First member joined', 'first_member');
+    [0.25, 0.5, 0.75].forEach(fraction => {
+        const count = Math.ceil(minMembers * fraction);
+        if (count > 1 && count < minMembers) {
+            addMilestone(count, `${Math.round(fraction * 100)}% of the group filled`, 'progress');
+        }
+    });
+    addMilestone(minMembers, 'Minimum members reached', 'minimum_met');
+    sortTiers(tiers).forEach(tier => {
+        addMilestone(tier.minMembers, {
+            text: tier.label || `${tier.discountPercentage}% discount unlocked`,
+            discountPercentage: tier.discountPercentage
+        }, 'discount_tier');
+    });
+
+    // Joins per day, for a cumulative progress chart
+    const daily = [];
+    sortedDates.forEach(date => {
+        const day = date.toISOString().slice(0, 10);
+        const last = daily[daily.length - 1];
+        if (last && last.date === day) {
+            last.joins++;
+            last.cumulative++;
+        } else {
+            daily.push({ date: day, joins: 1, cumulative: (last?.cumulative || 0) + 1 });
+        }
+    });
+
+    return {
+        milestones: [...milestones.values()].sort((a, b) => a.memberCount - b.memberCount),
+        dailyJoins: daily
+    };
+};
+
+// Property IDs where the user holds an active group membership
+const getActiveMembershipPropertyIds = async (userId) => {
+    if (!userId) return new Set();
+    try {
+        const memberships = await GroupBuyMember.find({ userId, status: 'active' })
+            .select('propertyId')
+            .lean();
+        return new Set(memberships.map(member => member.propertyId?.toString()).filter(Boolean));
+    } catch (error) {
+        logError('Error fetching group memberships', error, { userId });
+        return new Set();
+    }
+};
+
+// Compact representation used in listings and property details
+const formatGroupSummary = (group) => ({
+    groupBuyId: group._id,
+    groupCode: group.groupCode,
+    configurationId: group.configurationId || null,
+    unitType: group.unitType || null,
+    status: group.status,
+    isJoinable: isGroupJoinable(group),
+    minMembers: group.minMembers || 0,
+    maxMembers: group.maxMembers || null,
+    memberCount: group.memberCount || 0,
+    startDate: group.startDate,
+    deadline: group.deadline || null,
+    outcome: group.outcome || null,
+    closedAt: group.closedAt || null
+});
+
+// ===================== DEADLINES =====================
+
+// Flip a group whose deadline has passed to minimum_met or expired.
+// The update is conditional on outcome still being empty so concurrent runs decide only once.
+const decideGroupOutcome = async (group) => {
+    const memberCount = await GroupBuyMember.countDocuments({ groupBuyId: group._id, status: 'active' });
+    const outcome = memberCount >= (group.minMembers || 0) ? 'minimum_met' : 'expired';
+    const now = new Date();
+
+    const update = {
+        $set: {
+            status: outcome,
+            outcome,
+            outcomeDecidedAt: now,
+            memberCount
+        }
+    };
+    if (group.status !== outcome) {
+        update.$push = { statusHistory: { status: outcome, changedAt: now, note: 'Deadline reached' } };
+    }
+
+    return GroupBuy.findOneAndUpdate(
+        { _id: group._id, outcome: null, status: { $in: JOINABLE_STATUSES } },
+        update,
+        { new: true }
+    );
+};
+
+// Tell every active member and the property's relationship manager how the group ended
+const notifyGroupOutcome = async (group) => {
+    const property = await Property.findById(group.propertyId)
+        .select('projectName projectId relationshipManager')
+        .lean();
+    const projectName = property?.projectName || 'the project';
+    const isMet = group.outcome === 'minimum_met';
+    const deadlineFormatted = new Date(group.deadline || group.outcomeDecidedAt).toLocaleDateString('en-IN', {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric'
+    });
+
+    const metadata = {
+        projectName,
+        projectId: property?.projectId || 'N/A',
+        groupStatus: group.status,
+        memberCount: group.memberCount,
+        minMembers: group.minMembers
+    };
+
+    const memberTitle = isMet ? 'Group Buy Successful' : 'Group Buy Expired';
+    const memberMessage = isMet
+        ? `The group buy for ${projectName} closed on ${deadlineFormatted} with ${group.memberCount} members. The group deal is confirmed and your relationship manager will contact you with the next steps.`
+        : `The group buy for ${projectName} ended on ${deadlineFormatted} with ${group.memberCount} of ${group.minMembers} members, so the group deal could not be unlocked.`;
+
+    const members = await GroupBuyMember.find({ groupBuyId: group._id, status: 'active' })
+        .select('userId leadId')
+        .lean();
+
+    for (const member of members) {
+        await notifyUser({
+            userId: member.userId,
+            leadId: member.leadId,
+            propertyId: group.propertyId,
+            groupBuyId: group._id,
+            notificationType: 'group_buy',
+            title: memberTitle,
+            message: memberMessage,
+            metadata,
+            smsMessage: `${memberMessage}\n\n- Milke Khareedo Team`
+        });
+    }
+
+    if (property?.relationshipManager) {
+        const rmMessage = `Group ${group.groupCode} for ${projectName} ${isMet ? 'reached the minimum' : 'expired'} with ${group.memberCount}/${group.minMembers} members.`;
+        await notifyUser({
+            userId: property.relationshipManager,
+            propertyId: group.propertyId,
+            groupBuyId: group._id,
+            notificationType: 'group_buy',
+            title: isMet ? 'Group Buy Minimum Met' : 'Group Buy Expired',
+            message: rmMessage,
+            metadata,
+            smsMessage: rmMessage
+        });
+    }
+
+    return members.length;
+};
+
+// Scheduler job: decide groups past their deadline, then send any outcome notifications still owed
+const processGroupDeadlines = async () => {
+    const dueGroups = await GroupBuy.find({
+        status: { $in: JOINABLE_STATUSES },
+        deadline: { $lte: new Date() },
+        outcome: null
+    }).lean();
+
+    let decided = 0;
+    for (const group of dueGroups) {
+        try {
+            const updated = await decideGroupOutcome(group);
+            if (updated) {
+                decided++;
+                logInfo('Group buy deadline reached', {
+                    groupBuyId: group._id,
+                    outcome: updated.outcome,
+                    memberCount: updated.memberCount,
+                    minMembers: updated.minMembers
+                });
+            }
+        } catch (error) {
+            logError('Error deciding group buy outcome', error, { groupBuyId: group._id });
+        }
+    }
+
+    const pendingNotifications = await GroupBuy.find({
+        outcome: { $ne: null },
+        outcomeNotifiedAt: null
+    }).select('_id').lean();
+
+    let notified = 0;
+    for (const { _id } of pendingNotifications) {
+        // Claim the group first so two instances never notify the same members twice
+        const group = await GroupBuy.findOneAndUpdate(
+            { _id, outcomeNotifiedAt: null },
+            { $set: { outcomeNotifiedAt: new Date() } },
+            { new: true }
+        ).lean();
+        if (!group) continue;
+
+        try {
+            await notifyGroupOutcome(group);
+            notified++;
+        } catch (error) {
+            logError('Error notifying group buy outcome', error, { groupBuyId: _id });
+        }
+    }
+
+    // Groups that failed to reach the minimum give every member's token back
+    const pendingRefunds = await GroupBuy.find({
+        outcome: 'expired',
+        refundsInitiatedAt: null
+    }).select('_id').lean();
+
+    let refunded = 0;
+    for (const { _id } of pendingRefunds) {
+        const group = await GroupBuy.findOneAndUpdate(
+            { _id, outcome: 'expired', refundsInitiatedAt: null },
+            { $set: { refundsInitiatedAt: new Date() } },
+            { new: true }
+        ).lean();
+        if (!group) continue;
+
+        try {
+            const result = await refundGroupPayments(group);
+            refunded += result.requested;
+        } catch (error) {
+            logError('Error refunding expired group buy', error, { groupBuyId: _id });
+        }
+    }
+
+    return { decided, notified, refunded };
+};
+
+// ===================== DISCOUNT TIERS =====================
+
+const sortTiers = (tiers) => (Array.isArray(tiers) ? tiers : [])
+    .filter(tier => tier && tier.minMembers > 0)
+    .sort((a, b) => a.minMembers - b.minMembers);
+
+// Most specific tiers win: sub-configuration, then configuration, then property defaults
+const resolveDiscountTiers = (property, configurationId = null, subConfigurationId = null) => {
+    const configuration = configurationId
+        ? (property.configurations || []).find(config => config._id?.toString() === configurationId.toString())
+        : null;
+    const subConfiguration = configuration && subConfigurationId
+        ? (configuration.subConfigurations || []).find(sub => sub._id?.toString() === subConfigurationId.toString())
+        : null;
+
+    if (subConfiguration?.discountTiers?.length) return sortTiers(subConfiguration.discountTiers);
+    if (configuration?.discountTiers?.length) return sortTiers(configuration.discountTiers);
+    return sortTiers(property.discountTiers);
+};
+
+// Where a group stands on its tier ladder for the given member count
+const getTierProgress = (tiers, memberCount = 0, basePrice = null) => {
+    const sorted = sortTiers(tiers);
+    let currentTier = null;
+    let nextTier = null;
+
+    for (const tier of sorted) {
+        if (memberCount >= tier.minMembers) {
+            currentTier = tier;
+        } else {
+            nextTier = tier;
+            break;
+        }
+    }
+
+    const formatTier = (tier) => {
+        if (!tier) return null;
+        const formatted = {
+            minMembers: tier.minMembers,
+            discountPercentage: tier.discountPercentage,
+            label: tier.label || `${tier.discountPercentage}% off at ${tier.minMembers} members`
+        };
+        if (basePrice) {
+            formatted.discountedPrice = Math.round(basePrice * (1 - tier.discountPercentage / 100));
+        }
+        return formatted;
+    };
+
+    return {
+        memberCount,
+        tiers: sorted.map(tier => ({ ...formatTier(tier), isUnlocked: memberCount >= tier.minMembers })),
+        currentTier: formatTier(currentTier),
+        nextTier: formatTier(nextTier),
+        membersToNextTier: nextTier ? nextTier.minMembers - memberCount : 0
+    };
+};
+
+// Member count that drives a configuration's tiers: its own running group if it has one,
+// otherwise the property-wide group
+const getMemberCountForConfiguration = (groups, configurationId, fallbackCount = 0) => {
+    if (!configurationId) return fallbackCount;
+    const scoped = (groups || []).find(group =>
+        group.configurationId?.toString() === configurationId.toString() && isGroupJoinable(group)
+    );
+    return scoped ? (scoped.memberCount || 0) : fallbackCount;
+};
+
+module.exports = {
+    JOINABLE_STATUSES,
+    isGroupLeavable,
+    getDefaultDeadline,
+    isGroupJoinable,
+    deriveFillStatus,
+    setGroupStatus,
+    refreshGroupMembership,
+    findJoinableGroup,
+    findOrCreateJoinableGroup,
+    addMemberToGroup,
+    withdrawMember,
+    MAX_CO_APPLICANTS,
+    findHouseholdMembership,
+    formatCoApplicant,
+    getHouseholdSize,
+    canViewMemberDetails,
+    getInitials,
+    formatPublicMember,
+    buildJoinMilestones,
+    getActiveMembershipPropertyIds,
+    formatGroupSummary,
+    processGroupDeadlines,
+    resolveDiscountTiers,
+    getTierProgress,
+    getMemberCountForConfiguration
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const GroupInvite = require('../models/groupInvite');
+const jwtConfig = require('../config/jwt');
+
+const INVITE_EXPIRY_HOURS = Math.max(parseInt(process.env.GROUP_INVITE_EXPIRY_HOURS) || 168, 1);
+const INVITE_MAX_EXPIRY_HOURS = 30 * 24;
+// Separate secret when configured, so invite links can be rotated without logging everyone out
+const INVITE_SECRET = process.env.GROUP_INVITE_SECRET || jwtConfig.secret;
+
+const signInviteId = (inviteId) => crypto
+    .createHmac('sha256', INVITE_SECRET)
+    .update(`group_invite:${inviteId}`)
+    .digest('base64url');
+
+// Token shared in the link: "<inviteId>.<signature>"
+const createInviteToken = (inviteId) => `${inviteId}.${signInviteId(inviteId)}`;
+
+// Invite ID of a correctly signed token, null otherwise
+const verifyInviteToken = (token) => {
+    const [inviteId, signature] = String(token || '').split('.');
+    if (!inviteId || !signature || !mongoose.Types.ObjectId.isValid(inviteId)) return null;
+
+    const expected = Buffer.from(signInviteId(inviteId));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+
+    return inviteId;
+};
+
+// An invite never outlives the group it points to
+const getInviteExpiry = (group, hours = INVITE_EXPIRY_HOURS, from = new Date()) => {
+    const expiresAt = new Date(from.getTime() + Math.min(hours, INVITE_MAX_EXPIRY_HOURS) * 60 * 60 * 1000);
+    if (group?.deadline && new Date(group.deadline) < expiresAt) {
+        return new Date(group.deadline);
+    }
+    return expiresAt;
+};
+
+const getInviteState = (invite, now = new Date()) => {
+    if (invite.status === 'revoked') return 'revoked';
+    if (new Date(invite.expiresAt) <= now) return 'expired';
+    return 'active';
+};
+
+// Look up a usable invite from a shared token.
+// Returns { invite } or { error, statusCode } for bad, revoked and expired links.
+const resolveInviteToken = async (token) => {
+    const inviteId = verifyInviteToken(token);
+    if (!inviteId) {
+        return { error: 'Invalid invite link', statusCode: 400 };
+    }
+
+    const invite = await GroupInvite.findById(inviteId).lean();
+    if (!invite) {
+        return { error: 'Invite not found', statusCode: 404 };
+    }
+
+    const state = getInviteState(invite);
+    if (state !== 'active') {
+        return {
+            invite,
+            error: state === 'revoked' ? 'This invite has been withdrawn by the sender' : 'This invite link has expired',
+            statusCode: 410
+        };
+    }
+
+    return { invite };
+};
+
+const recordInviteClick = (inviteId) => GroupInvite.updateOne(
+    { _id: inviteId },
+    { $inc: { clickCount: 1 }, $set: { lastClickedAt: new Date() } }
+);
+
+const recordInviteJoin = (inviteId) => GroupInvite.updateOne(
+    { _id: inviteId },
+    { $inc: { joinCount: 1 }, $set: { lastJoinedAt: new Date() } }
+);
+
+const formatInvite = (invite) => ({
+    id: invite._id,
+    token: createInviteToken(invite._id.toString()),
+    groupBuyId: invite.groupBuyId?._id || invite.groupBuyId,
+    propertyId: invite.propertyId?._id || invite.propertyId,
+    channel: invite.channel || 'link',
+    status: getInviteState(invite),
+    expiresAt: invite.expiresAt,
+    revokedAt: invite.revokedAt || null,
+    clickCount: invite.clickCount || 0,
+    joinCount: invite.joinCount || 0,
+    conversionRate: invite.clickCount > 0
+        ? Math.round(((invite.joinCount || 0) / invite.clickCount) * 10000) / 100
+        : 0,
+    lastClickedAt: invite.lastClickedAt || null,
+    lastJoinedAt: invite.lastJoinedAt || null,
+    createdAt: invite.createdAt
+});
+
+module.exports = {
+    INVITE_EXPIRY_HOURS,
+    INVITE_MAX_EXPIRY_HOURS,
+    createInviteToken,
+    verifyInviteToken,
+    getInviteExpiry,
+    getInviteState,
+    resolveInviteToken,
+    recordInviteClick,
+    recordInviteJoin,
+    formatInvite
+};
@@ -0,0 +1,406 @@
+const mongoose = require('mongoose');
+const UnitInventory = require('../models/unitInventory');
+const UnitHold = require('../models/unitHold');
+const WaitlistEntry = require('../models/waitlistEntry');
+const Property = require('../models/property');
+const { notifyUser } = require('./notification');
+const { logInfo, logError } = require('./logger');
+
+// How long a unit stays held for a buyer after joining a group
+const HOLD_DURATION_HOURS = parseInt(process.env.UNIT_HOLD_DURATION_HOURS) || 48;
+
+// How long a promoted waitlist buyer has to confirm before the unit moves to the next in line
+const WAITLIST_CONFIRM_HOURS = parseInt(process.env.WAITLIST_CONFIRM_HOURS) || 24;
+
+const getHoldExpiry = (from = new Date()) =>
+    new Date(from.getTime() + HOLD_DURATION_HOURS * 60 * 60 * 1000);
+
+const getAvailableUnits = (inventory) => {
+    if (!inventory) return 0;
+    const taken = (inventory.heldUnits || 0) + (inventory.reservedUnits || 0) + (inventory.soldUnits || 0);
+    return Math.max(0, (inventory.totalUnits || 0) - taken);
+};
+
+const formatInventory = (inventory) => ({
+    inventoryId: inventory._id,
+    subConfigurationId: inventory.subConfigurationId,
+    configurationId: inventory.configurationId,
+    unitType: inventory.unitType || null,
+    carpetArea: inventory.carpetArea || null,
+    totalUnits: inventory.totalUnits,
+    heldUnits: inventory.heldUnits,
+    reservedUnits: inventory.reservedUnits,
+    soldUnits: inventory.soldUnits,
+    availableUnits: getAvailableUnits(inventory)
+});
+
+const formatHold = (hold) => ({
+    holdId: hold._id,
+    propertyId: hold.propertyId,
+    configurationId: hold.configurationId,
+    subConfigurationId: hold.subConfigurationId,
+    groupBuyId: hold.groupBuyId || null,
+    status: hold.status,
+    expiresAt: hold.expiresAt,
+    reservedAt: hold.reservedAt || null,
+    releasedAt: hold.releasedAt || null
+});
+
+// Locate a sub-configuration (and its parent configuration) inside a property document
+const findSubConfiguration = (property, subConfigurationId) => {
+    for (const configuration of property?.configurations || []) {
+        const subConfiguration = (configuration.subConfigurations || [])
+            .find(sub => sub._id?.toString() === subConfigurationId?.toString());
+        if (subConfiguration) return { configuration, subConfiguration };
+    }
+    return null;
+};
+
+// Keep the legacy availabilityStatus on the property in line with the unit counts
+const syncAvailabilityStatus = async (inventory) => {
+    if (!inventory) return;
+    try {
+        const available = getAvailableUnits(inventory);
+        const path = 'configurations.$[config].subConfigurations.$[sub].availabilityStatus';
+        const subFilter = { 'sub._id': inventory.subConfigurationId };
+
+        if (available === 0 && inventory.totalUnits > 0) {
+            subFilter['sub.availabilityStatus'] = { $ne: 'Ready' };
+            await Property.updateOne(
+                { _id: inventory.propertyId },
+                { $set: { [path]: inventory.soldUnits >= inventory.totalUnits ? 'Sold' : 'Reserved' } },
+                { arrayFilters: [{ 'config._id': inventory.configurationId }, subFilter] }
+            );
+        } else if (available > 0) {
+            subFilter['sub.availabilityStatus'] = { $in: ['Sold', 'Reserved'] };
+            await Property.updateOne(
+                { _id: inventory.propertyId },
+                { $set: { [path]: 'Available' } },
+                { arrayFilters: [{ 'config._id': inventory.configurationId }, subFilter] }
+            );
+        }
+    } catch (error) {
+        logError('Error syncing availability status', error, { inventoryId: inventory._id });
+    }
+};
+
+// Hold one unit of a sub-configuration for a buyer.
+// Returns { hold: null, tracked: false } when no inventory is kept for the sub-configuration,
+// and { hold: null, soldOut: true } when every unit is already held, reserved or sold.
+// Units freed while buyers are waitlisted go to the waitlist first (respectWaitlist).
+const placeHold = async ({
+    propertyId,
+    configurationId,
+    subConfigurationId,
+    userId,
+    leadId = null,
+    groupBuyId = null,
+    memberId = null,
+    expiresAt = null,
+    respectWaitlist = true
+}) => {
+    const existing = await UnitHold.findOne({
+        userId,
+        subConfigurationId,
+        status: { $in: ['active', 'reserved'] }
+    });
+    if (existing) {
+        return { hold: existing, tracked: true, alreadyHeld: true };
+    }
+
+    if (respectWaitlist && await WaitlistEntry.exists({ subConfigurationId, status: 'waiting' })) {
+        return { hold: null, tracked: true, soldOut: true };
+    }
+
+    const inventory = await UnitInventory.findOneAndUpdate(
+        {
+            subConfigurationId,
+            $expr: { $lt: [{ $add: ['$heldUnits', '$reservedUnits', '$soldUnits'] }, '$totalUnits'] }
+        },
+        { $inc: { heldUnits: 1 } },
+        { new: true }
+    );
+
+    if (!inventory) {
+        const tracked = await UnitInventory.exists({ subConfigurationId });
+        return { hold: null, tracked: !!tracked, soldOut: !!tracked };
+    }
+
+    let hold;
+    try {
+        hold = await UnitHold.create({
+            inventoryId: inventory._id,
+            propertyId,
+            configurationId,
+            subConfigurationId,
+            userId,
+            leadId,
+            groupBuyId,
+            memberId,
+            expiresAt: expiresAt || getHoldExpiry()
+        });
+    } catch (error) {
+        // Give the unit back if the hold could not be recorded (e.g. concurrent hold by the same user)
+        await UnitInventory.updateOne({ _id: inventory._id }, { $inc: { heldUnits: -1 } });
+        if (error.code !== 11000) throw error;
+        hold = await UnitHold.findOne({ userId, subConfigurationId, status: { $in: ['active', 'reserved'] } });
+        return { hold, tracked: true, alreadyHeld: true };
+    }
+
+    await syncAvailabilityStatus(inventory);
+    logInfo('Unit hold placed', { holdId: hold._id, subConfigurationId, userId, expiresAt: hold.expiresAt });
+    return { hold, tracked: true, alreadyHeld: false };
+};
+
+// Give a held or reserved unit back to the inventory.
+// status is 'released' (buyer/admin) or 'expired' (hold expiry job).
+const releaseHold = async (holdId, { status = 'released', releasedBy = null, note = '' } = {}) => {
+    const previous = await UnitHold.findOneAndUpdate(
+        { _id: holdId, status: { $in: ['active', 'reserved'] } },
+        { $set: { status, releasedAt: new Date(), releasedBy, note } }
+    );
+    if (!previous) return null;
+
+    const counter = previous.status === 'reserved' ? 'reservedUnits' : 'heldUnits';
+    const inventory = await UnitInventory.findOneAndUpdate(
+        { _id: previous.inventoryId, [counter]: { $gt: 0 } },
+        { $inc: { [counter]: -1 } },
+        { new: true }
+    );
+    await syncAvailabilityStatus(inventory);
+
+    // A promoted waitlist buyer who let the hold lapse loses their turn
+    await WaitlistEntry.updateOne(
+        { holdId, status: 'promoted' },
+        { $set: { status: 'expired' } }
+    );
+    await promoteFromWaitlist(previous.subConfigurationId);
+
+    return UnitHold.findById(holdId);
+};
+
+// Convert an active hold into a reservation - the unit no longer expires
+const reserveHold = async (holdId, { reservedBy = null, note = '' } = {}) => {
+    const hold = await UnitHold.findOneAndUpdate(
+        { _id: holdId, status: 'active' },
+        { $set: { status: 'reserved', reservedAt: new Date(), reservedBy, note } },
+        { new: true }
+    );
+    if (!hold) return null;
+
+    const inventory = await UnitInventory.findOneAndUpdate(
+        { _id: hold.inventoryId },
+        { $inc: { heldUnits: -1, reservedUnits: 1 } },
+        { new: true }
+    );
+    await syncAvailabilityStatus(inventory);
+
+    logInfo('Unit hold reserved', { holdId, reservedBy });
+    return hold;
+};
+
+// Release every active hold of a group membership (e.g. when the buyer leaves the group)
+const releaseMemberHolds = async (memberId, note = '') => {
+    const holds = await UnitHold.find({ memberId, status: 'active' }).select('_id').lean();
+    for (const hold of holds) {
+        await releaseHold(hold._id, { status: 'released', note });
+    }
+    return holds.length;
+};
+
+// Scheduler job: give back units whose hold window has passed
+const processExpiredHolds = async () => {
+    const expired = await UnitHold.find({ status: 'active', expiresAt: { $lte: new Date() } })
+        .select('_id')
+        .limit(500)
+        .lean();
+
+    let released = 0;
+    for (const hold of expired) {
+        try {
+            const result = await releaseHold(hold._id, { status: 'expired', note: 'Hold expired' });
+            if (result) released++;
+        } catch (error) {
+            logError('Error releasing expired unit hold', error, { holdId: hold._id });
+        }
+    }
+
+    return { released };
+};
+
+// ===================== WAITLIST =====================
+
+const formatWaitlistEntry = (entry, position = null) => ({
+    waitlistEntryId: entry._id,
+    propertyId: entry.propertyId,
+    configurationId: entry.configurationId,
+    subConfigurationId: entry.subConfigurationId,
+    groupBuyId: entry.groupBuyId || null,
+    status: entry.status,
+    position,
+    promotedAt: entry.promotedAt || null,
+    confirmBy: entry.confirmBy || null,
+    confirmedAt: entry.confirmedAt || null,
+    joinedAt: entry.createdAt
+});
+
+// 1-based position among buyers still waiting for the same sub-configuration
+const getWaitlistPosition = async (entry) => {
+    if (entry.status !== 'waiting') return null;
+    const ahead = await WaitlistEntry.countDocuments({
+        subConfigurationId: entry.subConfigurationId,
+        status: 'waiting',
+        sequence: { $lt: entry.sequence }
+    });
+    return ahead + 1;
+};
+
+// Queue a buyer for a sold-out sub-configuration (returns the existing entry if already queued)
+const addToWaitlist = async ({ propertyId, configurationId, subConfigurationId, userId, leadId = null, groupBuyId = null }) => {
+    const existing = await WaitlistEntry.findOne({ userId, subConfigurationId, status: { $in: ['waiting', 'promoted'] } });
+    if (existing) {
+        return { entry: existing, position: await getWaitlistPosition(existing), alreadyWaiting: true };
+    }
+
+    // The inventory document hands out queue numbers atomically
+    const inventory = await UnitInventory.findOneAndUpdate(
+        { subConfigurationId },
+        { $inc: { waitlistSequence: 1 } },
+        { new: true }
+    );
+    if (!inventory) return { entry: null, position: null, alreadyWaiting: false };
+
+    let entry;
+    try {
+        entry = await WaitlistEntry.create({
+            propertyId,
+            configurationId,
+            subConfigurationId,
+            userId,
+            leadId,
+            groupBuyId,
+            sequence: inventory.waitlistSequence
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        entry = await WaitlistEntry.findOne({ userId, subConfigurationId, status: { $in: ['waiting', 'promoted'] } });
+        return { entry, position: await getWaitlistPosition(entry), alreadyWaiting: true };
+    }
+
+    // A unit may have been freed between the sold-out check and queueing
+    await promoteFromWaitlist(subConfigurationId);
+    entry = await WaitlistEntry.findById(entry._id);
+
+    logInfo('Buyer added to waitlist', { waitlistEntryId: entry._id, subConfigurationId, userId, sequence: entry.sequence });
+    return { entry, position: await getWaitlistPosition(entry), alreadyWaiting: false };
+};
+
+const notifyWaitlistPromotion = async (entry, hold) => {
+    const property = await Property.findById(entry.propertyId).select('projectName projectId configurations').lean();
+    const match = findSubConfiguration(property, entry.subConfigurationId);
+    const unitLabel = match ? `${match.configuration.unitType} (${match.subConfiguration.carpetArea})` : 'unit';
+    const projectName = property?.projectName || 'the project';
+    const confirmByText = new Date(hold.expiresAt).toLocaleString('en-IN', {
+        day: 'numeric',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+    const message = `Good news! A ${unitLabel} unit at ${projectName} is now available for you. Please confirm within ${WAITLIST_CONFIRM_HOURS} hours (by ${confirmByText}) to keep it.`;
+
+    await notifyUser({
+        userId: entry.userId,
+        leadId: entry.leadId,
+        propertyId: entry.propertyId,
+        groupBuyId: entry.groupBuyId,
+        notificationType: 'waitlist',
+        title: 'Unit Available - Confirm Now',
+        message,
+        metadata: {
+            projectName,
+            projectId: property?.projectId || 'N/A'
+        },
+        smsMessage: `${message}\n\n- Milke Khareedo Team`
+    });
+};
+
+// Hand freed units to the next buyers in line, holding each unit for WAITLIST_CONFIRM_HOURS
+const promoteFromWaitlist = async (subConfigurationId) => {
+    let promoted = 0;
+
+    try {
+        while (true) {
+            const inventory = await UnitInventory.findOne({ subConfigurationId }).lean();
+            if (!inventory || getAvailableUnits(inventory) === 0) break;
+
+            const next = await WaitlistEntry.findOne({ subConfigurationId, status: 'waiting' }).sort({ sequence: 1 });
+            if (!next) break;
+
+            // Claim the entry so concurrent releases never promote the same buyer twice
+            const entry = await WaitlistEntry.findOneAndUpdate(
+                { _id: next._id, status: 'waiting' },
+                { $set: { status: 'promoted', promotedAt: new Date() } },
+                { new: true }
+            );
+            if (!entry) continue;
+
+            const confirmBy = new Date(Date.now() + WAITLIST_CONFIRM_HOURS * 60 * 60 * 1000);
+            const { hold } = await placeHold({
+                propertyId: entry.propertyId,
+                configurationId: entry.configurationId,
+                subConfigurationId,
+                userId: entry.userId,
+                leadId: entry.leadId,
+                groupBuyId: entry.groupBuyId,
+                expiresAt: confirmBy,
+                respectWaitlist: false
+            });
+
+            if (!hold) {
+                // Another buyer took the unit first - back in line at the same position
+                await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { status: 'waiting' }, $unset: { promotedAt: 1 } });
+                break;
+            }
+
+            entry.holdId = hold._id;
+            entry.confirmBy = hold.expiresAt;
+            await entry.save();
+
+            await notifyWaitlistPromotion(entry, hold);
+            promoted++;
+            logInfo('Waitlisted buyer promoted', { waitlistEntryId: entry._id, holdId: hold._id, subConfigurationId, confirmBy: hold.expiresAt });
+        }
+    } catch (error) {
+        logError('Error promoting from waitlist', error, { subConfigurationId });
+    }
+
+    return promoted;
+};
+
+// Inventory keyed by subConfigurationId for a property
+const getInventoryMap = async (propertyId) => {
+    if (!mongoose.Types.ObjectId.isValid(propertyId)) return new Map();
+    const inventories = await UnitInventory.find({ propertyId }).lean();
+    return new Map(inventories.map(inventory => [inventory.subConfigurationId.toString(), inventory]));
+};
+
+module.exports = {
+    HOLD_DURATION_HOURS,
+    getHoldExpiry,
+    getAvailableUnits,
+    formatInventory,
+    formatHold,
+    findSubConfiguration,
+    syncAvailabilityStatus,
+    placeHold,
+    releaseHold,
+    reserveHold,
+    releaseMemberHolds,
+    processExpiredHolds,
+    getInventoryMap,
+    WAITLIST_CONFIRM_HOURS,
+    formatWaitlistEntry,
+    getWaitlistPosition,
+    addToWaitlist,
+    promoteFromWaitlist
+};
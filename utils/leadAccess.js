@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const Property = require('../models/property');
+
+// Scope leads to what the logged in user may see:
+// admins see everything, project managers their properties and RM leads, agents their properties.
+// Returns null when the user has no leads at all.
+const getLeadAccessFilter = async (userId, role) => {
+    if (role === 'admin' || role === 'super admin') return {};
+
+    const properties = await Property.find({
+        isStatus: true,
+        $or: [
+            { relationshipManager: userId },
+            { leadDistributionAgents: userId }
+        ]
+    })
+        .select('_id')
+        .lean();
+    const propertyIds = properties.map(property => property._id);
+
+    if (role === 'project manager') {
+        return {
+            $or: [
+                { propertyId: { $in: propertyIds } },
+                { relationshipManagerId: new mongoose.Types.ObjectId(userId) }
+            ]
+        };
+    }
+
+    if (role === 'agent') {
+        return propertyIds.length ? { propertyId: { $in: propertyIds } } : null;
+    }
+
+    // Any other role (buyers included) sees no leads
+    return null;
+};
+
+module.exports = {
+    getLeadAccessFilter
+};
@@ -0,0 +1,453 @@
+const leadModal = require('../models/leadModal');
+const LeadActivity = require('../models/leadActivity');
+const Property = require('../models/property');
+const User = require('../models/user');
+const { notifyUser } = require('./notification');
+const { logInfo, logError } = require('./logger');
+
+const ASSIGNMENT_STRATEGIES = ['round_robin', 'least_loaded', 'weighted', 'manual'];
+const DEFAULT_STRATEGY = ASSIGNMENT_STRATEGIES.includes(process.env.LEAD_ASSIGNMENT_STRATEGY)
+    ? process.env.LEAD_ASSIGNMENT_STRATEGY
+    : 'round_robin';
+// Working hours are entered in local office time
+const ASSIGNMENT_TIMEZONE = process.env.LEAD_ASSIGNMENT_TIMEZONE || 'Asia/Kolkata';
+const BACKLOG_BATCH_SIZE = Math.max(parseInt(process.env.LEAD_ASSIGNMENT_BATCH_SIZE) || 100, 1);
+
+// Leads in these statuses no longer count towards an agent's load
+const CLOSED_LEAD_STATUSES = ['deal_closed', 'declined_interest', 'does_not_meet_requirements', 'rejected'];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Day of week and "HH:mm" of a date in the assignment timezone
+const getLocalDayAndTime = (date = new Date()) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: ASSIGNMENT_TIMEZONE,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const part = (type) => parts.find(p => p.type === type)?.value;
+    return { day: WEEKDAYS[part('weekday')], time: `${part('hour')}:${part('minute')}` };
+};
+
+// No working hours configured means the agent is always on
+const isWithinWorkingHours = (settings = {}, now = new Date()) => {
+    const workingHours = settings.workingHours || [];
+    if (workingHours.length === 0) return true;
+
+    const { day, time } = getLocalDayAndTime(now);
+    return workingHours.some(slot => {
+        if (slot.day !== day) return false;
+        // Overnight shift, e.g. 22:00 - 02:00
+        if (slot.end < slot.start) return time >= slot.start || time < slot.end;
+        return time >= slot.start && time < slot.end;
+    });
+};
+
+const resolveStrategy = (property) => property?.leadAssignmentStrategy || DEFAULT_STRATEGY;
+
+// Open (not closed) leads currently assigned to each agent
+const getOpenLeadCounts = async (agentIds) => {
+    if (!agentIds.length) return new Map();
+    const counts = await leadModal.aggregate([
+        {
+            $match: {
+                assignedTo: { $in: agentIds },
+                isStatus: true,
+                status: { $nin: CLOSED_LEAD_STATUSES }
+            }
+        },
+        { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+    ]);
+    return new Map(counts.map(item => [item._id.toString(), item.count]));
+};
+
+// Agents who may receive leads of a property, with their current load and availability.
+// Property leads go to its distribution agents (or its relationship manager when none are set);
+// leads without a property go to agents who accept general leads.
+const getAgentPool = async (property = null, now = new Date(), excludeAgentIds = []) => {
+    let filter;
+    if (property) {
+        const agentIds = (property.leadDistributionAgents || []).map(agent => agent?._id || agent);
+        if (agentIds.length === 0 && property.relationshipManager) {
+            agentIds.push(property.relationshipManager._id || property.relationshipManager);
+        }
+        if (agentIds.length === 0) return [];
+        filter = { _id: { $in: agentIds } };
+    } else {
+        filter = { 'leadAssignment.acceptsGeneralLeads': true };
+    }
+
+    const excluded = excludeAgentIds.filter(Boolean).map(id => id.toString());
+    const agents = (await User.find({ ...filter, isActive: { $ne: false } })
+        .select('name email phoneNumber countryCode leadAssignment')
+        .lean())
+        .filter(agent => !excluded.includes(agent._id.toString()));
+    const openLeads = await getOpenLeadCounts(agents.map(agent => agent._id));
+
+    return agents.map(agent => {
+        const settings = agent.leadAssignment || {};
+        const load = openLeads.get(agent._id.toString()) || 0;
+        const maxOpenLeads = settings.maxOpenLeads || 0;
+
+        let unavailableReason = null;
+        if (settings.isAvailable === false) unavailableReason = 'unavailable';
+        else if (!isWithinWorkingHours(settings, now)) unavailableReason = 'outside_working_hours';
+        else if (maxOpenLeads > 0 && load >= maxOpenLeads) unavailableReason = 'at_capacity';
+
+        return {
+            agent,
+            openLeads: load,
+            maxOpenLeads,
+            weight: settings.weight ?? 1,
+            lastAssignedAt: settings.lastAssignedAt || null,
+            isEligible: !unavailableReason,
+            unavailableReason
+        };
+    });
+};
+
+const byLastAssigned = (a, b) => {
+    const aTime = a.lastAssignedAt ? new Date(a.lastAssignedAt).getTime() : 0;
+    const bTime = b.lastAssignedAt ? new Date(b.lastAssignedAt).getTime() : 0;
+    return aTime - bTime || a.agent._id.toString().localeCompare(b.agent._id.toString());
+};
+
+// Pick the next agent from eligible pool entries
+const pickAgent = (strategy, pool) => {
+    let candidates = pool.filter(entry => entry.isEligible);
+    if (strategy === 'weighted') {
+        candidates = candidates.filter(entry => entry.weight > 0);
+    }
+    if (candidates.length === 0) return null;
+
+    const sorted = [...candidates].sort((a, b) => {
+        if (strategy === 'least_loaded') {
+            return a.openLeads - b.openLeads || byLastAssigned(a, b);
+        }
+        if (strategy === 'weighted') {
+            // Keep every agent's load proportional to their weight
+            return (a.openLeads + 1) / a.weight - (b.openLeads + 1) / b.weight || byLastAssigned(a, b);
+        }
+        return byLastAssigned(a, b);
+    });
+
+    return sorted[0];
+};
+
+// Assign a lead to an agent of its property. Leads that already have an agent are left alone.
+// Returns { lead, agent, strategy } or { skipped } - errors are logged, never thrown.
+const assignLead = async (leadId, { performedBy = null, performedByName = 'System', excludeAgentIds = [] } = {}) => {
+    try {
+        const lead = await leadModal.findById(leadId).select('propertyId assignedTo isStatus assignmentExcludedAgents').lean();
+        if (!lead || !lead.isStatus) return { skipped: 'lead_not_found' };
+        if (lead.assignedTo) return { skipped: 'already_assigned' };
+
+        await leadModal.updateOne({ _id: lead._id }, { $set: { lastAssignmentAttemptAt: new Date() } });
+
+        const property = lead.propertyId
+            ? await Property.findById(lead.propertyId)
+                .select('projectName relationshipManager leadDistributionAgents leadAssignmentStrategy')
+                .lean()
+            : null;
+
+        const strategy = resolveStrategy(property);
+        if (strategy === 'manual') return { skipped: 'manual' };
+
+        const now = new Date();
+        const excluded = [...excludeAgentIds, ...(lead.assignmentExcludedAgents || [])];
+        const pick = pickAgent(strategy, await getAgentPool(property, now, excluded));
+        if (!pick) return { skipped: 'no_available_agent' };
+
+        // Only claim leads that are still unassigned, so concurrent runs assign once
+        const assignedLead = await leadModal.findOneAndUpdate(
+            { _id: lead._id, assignedTo: null },
+            { $set: { assignedTo: pick.agent._id, assignedAt: now } },
+            { new: true }
+        ).lean();
+        if (!assignedLead) return { skipped: 'already_assigned' };
+
+        await User.updateOne({ _id: pick.agent._id }, { $set: { 'leadAssignment.lastAssignedAt': now } });
+
+        const agentName = pick.agent.name || 'Agent';
+        const projectName = property?.projectName || 'a general enquiry';
+        await LeadActivity.create({
+            leadId: lead._id,
+            activityType: 'lead_assigned',
+            performedBy: performedBy || pick.agent._id,
+            performedByName,
+            description: `Lead assigned to ${agentName} (${strategy.replace(/_/g, ' ')})`,
+            metadata: {
+                assignedTo: pick.agent._id.toString(),
+                strategy,
+                openLeads: pick.openLeads
+            }
+        });
+
+        await notifyUser({
+            userId: pick.agent._id,
+            leadId: lead._id,
+            propertyId: property?._id || null,
+            notificationType: 'lead_assignment',
+            title: 'New Lead Assigned',
+            message: `A new lead for ${projectName} has been assigned to you`,
+            source: performedByName,
+            metadata: { strategy }
+        });
+
+        logInfo('Lead assigned', { leadId: lead._id, assignedTo: pick.agent._id, strategy });
+        return { lead: assignedLead, agent: pick.agent, strategy };
+    } catch (error) {
+        logError('Error assigning lead', error, { leadId });
+        return { skipped: 'error', error: error.message };
+    }
+};
+
+// Re-run assignment for open leads without an agent, least recently tried first, so leads that
+// cannot be assigned (manual strategy, no agents) do not hold up newer ones.
+// The scheduler only retries leads the engine has seen; includeUntried also takes leads from
+// before it was enabled (an admin running the backlog on purpose).
+const assignUnassignedLeads = async ({ propertyId = null, limit = BACKLOG_BATCH_SIZE, includeUntried = false, performedBy = null, performedByName = 'System' } = {}) => {
+    const filter = {
+        assignedTo: null,
+        isStatus: true,
+        status: { $nin: CLOSED_LEAD_STATUSES }
+    };
+    if (propertyId) filter.propertyId = propertyId;
+    if (!includeUntried) filter.lastAssignmentAttemptAt = { $ne: null };
+
+    const leads = await leadModal.find(filter)
+        .select('_id')
+        .sort({ lastAssignmentAttemptAt: 1, createdAt: 1 })
+        .limit(limit)
+        .lean();
+
+    const result = { checked: leads.length, assigned: 0, skipped: {} };
+    for (const lead of leads) {
+        const outcome = await assignLead(lead._id, { performedBy, performedByName });
+        if (outcome.agent) {
+            result.assigned += 1;
+        } else {
+            result.skipped[outcome.skipped] = (result.skipped[outcome.skipped] || 0) + 1;
+        }
+    }
+
+    return result;
+};
+
+// ===================== REASSIGNMENT =====================
+
+const isSameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+// Move a lead to another agent, or back into the pool when toAgent is null.
+// The previous agent is remembered on the lead and never picked again by the pool. Leads whose
+// relationship manager was the previous agent follow the new agent, or lose the relationship manager
+// when the pool has nobody for them.
+// Returns { lead, fromAgentId, toAgent, unassigned } or { skipped }.
+const reassignLead = async (lead, {
+    toAgent = null,
+    fromAgentId = null,
+    performedBy,
+    performedByName = 'Admin',
+    reason = '',
+    notify = true
+}) => {
+    const previousAgentId = lead.assignedTo || fromAgentId || null;
+    if (toAgent && isSameId(previousAgentId, toAgent._id)) return { skipped: 'same_agent' };
+
+    const rmFollowsAgent = isSameId(lead.relationshipManagerId, previousAgentId) || isSameId(lead.relationshipManagerId, fromAgentId);
+    const now = new Date();
+
+    let assignedAgent = toAgent;
+    if (toAgent) {
+        await leadModal.updateOne(
+            { _id: lead._id },
+            {
+                $set: {
+                    assignedTo: toAgent._id,
+                    assignedAt: now,
+                    ...(rmFollowsAgent ? {
+                        relationshipManagerId: toAgent._id,
+                        rmEmail: toAgent.email || '',
+                        rmPhone: toAgent.phoneNumber || ''
+                    } : {})
+                },
+                // An admin picking the agent by hand overrides an earlier exclusion
+                $pull: { assignmentExcludedAgents: toAgent._id }
+            }
+        );
+        await User.updateOne({ _id: toAgent._id }, { $set: { 'leadAssignment.lastAssignedAt': now } });
+    } else {
+        const excludedAgentIds = [previousAgentId, fromAgentId].filter(Boolean);
+        await leadModal.updateOne(
+            { _id: lead._id },
+            {
+                $set: { assignedTo: null, assignedAt: null },
+                $addToSet: { assignmentExcludedAgents: { $each: excludedAgentIds } }
+            }
+        );
+        const result = await assignLead(lead._id, { performedBy, performedByName });
+        assignedAgent = result.agent || null;
+
+        if (rmFollowsAgent) {
+            await leadModal.updateOne(
+                { _id: lead._id },
+                {
+                    $set: {
+                        relationshipManagerId: assignedAgent ? assignedAgent._id : null,
+                        rmEmail: assignedAgent?.email || '',
+                        rmPhone: assignedAgent?.phoneNumber || ''
+                    }
+                }
+            );
+        }
+    }
+
+    const previousAgent = previousAgentId
+        ? await User.findById(previousAgentId).select('name').lean()
+        : null;
+    const fromName = previousAgent?.name || (previousAgentId ? 'a removed agent' : 'unassigned');
+    const toName = assignedAgent?.name || (toAgent ? 'Agent' : 'the assignment pool');
+
+    await LeadActivity.create({
+        leadId: lead._id,
+        activityType: 'lead_assigned',
+        performedBy,
+        performedByName,
+        description: `Lead reassigned from ${fromName} to ${toName}${reason ? `. Reason: ${reason}` : ''}`,
+        metadata: {
+            reassigned: true,
+            fromAgentId: previousAgentId ? previousAgentId.toString() : null,
+            toAgentId: assignedAgent ? assignedAgent._id.toString() : null,
+            reason: reason || null
+        }
+    });
+
+    if (notify) {
+        if (previousAgent) {
+            await notifyUser({
+                userId: previousAgent._id,
+                leadId: lead._id,
+                propertyId: lead.propertyId || null,
+                notificationType: 'lead_assignment',
+                title: 'Lead Reassigned',
+                message: `A lead you were handling has been reassigned to ${toName}`,
+                source: performedByName,
+                metadata: { reason: reason || null }
+            });
+        }
+        // Pool assignments are announced by assignLead
+        if (toAgent) {
+            await notifyUser({
+                userId: toAgent._id,
+                leadId: lead._id,
+                propertyId: lead.propertyId || null,
+                notificationType: 'lead_assignment',
+                title: 'Lead Assigned To You',
+                message: `A lead has been transferred to you from ${fromName}`,
+                source: performedByName,
+                metadata: { reason: reason || null }
+            });
+        }
+    }
+
+    logInfo('Lead reassigned', { leadId: lead._id, fromAgentId: previousAgentId, toAgentId: assignedAgent?._id || null, performedBy });
+    return { lead, fromAgentId: previousAgentId, toAgent: assignedAgent, unassigned: !assignedAgent };
+};
+
+// Open leads of an agent - assigned to them or still carrying them as relationship manager
+const buildAgentLeadFilter = (agentId, { status = null, propertyId = null, from = null, to = null } = {}) => {
+    const filter = {
+        isStatus: true,
+        $or: [{ assignedTo: agentId }, { relationshipManagerId: agentId }]
+    };
+
+    filter.status = status && status.length > 0
+        ? { $in: status.filter(value => !CLOSED_LEAD_STATUSES.includes(value)) }
+        : { $nin: CLOSED_LEAD_STATUSES };
+    if (propertyId) filter.propertyId = propertyId;
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) filter.createdAt.$lte = to;
+    }
+
+    return filter;
+};
+
+// Transfer matching open leads of one agent to another agent or the pool.
+// Agents get one summary notification instead of one per lead.
+const bulkTransferLeads = async ({ fromAgentId, toAgent = null, filters = {}, limit = 500, performedBy, performedByName = 'Admin', reason = '' }) => {
+    const leads = await leadModal.find(buildAgentLeadFilter(fromAgentId, filters))
+        .select('assignedTo relationshipManagerId propertyId')
+        .sort({ createdAt: 1 })
+        .limit(limit)
+        .lean();
+
+    const result = { matched: leads.length, transferred: 0, unassigned: 0, failed: 0 };
+    const receivedBy = new Map();
+
+    for (const lead of leads) {
+        try {
+            const outcome = await reassignLead(lead, { toAgent, fromAgentId, performedBy, performedByName, reason, notify: false });
+            if (outcome.skipped) {
+                result.failed += 1;
+                continue;
+            }
+            // Released to the pool with nobody available - waiting for the backlog job
+            if (outcome.unassigned) {
+                result.unassigned += 1;
+                continue;
+            }
+            result.transferred += 1;
+            const key = outcome.toAgent._id.toString();
+            receivedBy.set(key, (receivedBy.get(key) || 0) + 1);
+        } catch (error) {
+            result.failed += 1;
+            logError('Error transferring lead', error, { leadId: lead._id, fromAgentId });
+        }
+    }
+
+    const removed = result.transferred + result.unassigned;
+    if (removed > 0) {
+        await notifyUser({
+            userId: fromAgentId,
+            notificationType: 'lead_assignment',
+            title: 'Leads Transferred',
+            message: `${removed} of your open leads have been ${toAgent ? `transferred to ${toAgent.name || 'another agent'}` : 'moved to other agents or back to the assignment pool'}`,
+            source: performedByName,
+            metadata: { count: removed, transferred: result.transferred, unassigned: result.unassigned, reason: reason || null }
+        });
+        // Pool assignments already notified each agent per lead
+        if (toAgent && result.transferred > 0) {
+            await notifyUser({
+                userId: toAgent._id,
+                notificationType: 'lead_assignment',
+                title: 'Leads Transferred To You',
+                message: `${result.transferred} leads have been transferred to you`,
+                source: performedByName,
+                metadata: { count: result.transferred, fromAgentId: fromAgentId.toString(), reason: reason || null }
+            });
+        }
+    }
+
+    result.receivedBy = Object.fromEntries(receivedBy);
+    return result;
+};
+
+module.exports = {
+    ASSIGNMENT_STRATEGIES,
+    DEFAULT_STRATEGY,
+    CLOSED_LEAD_STATUSES,
+    isWithinWorkingHours,
+    resolveStrategy,
+    getOpenLeadCounts,
+    getAgentPool,
+    pickAgent,
+    assignLead,
+    assignUnassignedLeads,
+    reassignLead,
+    buildAgentLeadFilter,
+    bulkTransferLeads
+};
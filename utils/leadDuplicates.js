@@ -0,0 +1,590 @@
+const DuplicateCandidate = require('../models/duplicateCandidate');
+const leadModal = require('../models/leadModal');
+const LeadActivity = require('../models/leadActivity');
+const Notification = require('../models/notification');
+const Payment = require('../models/payment');
+const GroupBuyMember = require('../models/groupBuyMember');
+const UnitHold = require('../models/unitHold');
+const WaitlistEntry = require('../models/waitlistEntry');
+const Referral = require('../models/referral');
+const SiteVisit = require('../models/siteVisit');
+const VisitSlot = require('../models/visitSlot');
+const GroupInvite = require('../models/groupInvite');
+const UserPropertyActivity = require('../models/userPropertyActivity');
+const UserSearchHistory = require('../models/userSearchHistory');
+const ContactPreferences = require('../models/userContactDetails');
+const Role = require('../models/role');
+const User = require('../models/user');
+const { logInfo, logError } = require('./logger');
+const { recomputeLeadScore, recomputeUserLeadScores } = require('./leadScoring');
+
+// Names at least this similar count as a match (0-1, bigram overlap)
+const NAME_MATCH_THRESHOLD = 0.8;
+
+// Collections whose lead reference follows a merged lead to the survivor
+const LEAD_LINKED_MODELS = [LeadActivity, Notification, Payment, GroupBuyMember, UnitHold, WaitlistEntry, Referral, SiteVisit];
+
+// ===================== NORMALISATION =====================
+
+// Full number with country code, e.g. +91 98765 43210 -> 919876543210
+const normalizePhone = (countryCode, phoneNumber) => {
+    const digits = String(phoneNumber || '').replace(/\D/g, '');
+    if (digits.length < 10) return null;
+    const local = digits.slice(-10);
+    const code = digits.length > 10 ? digits.slice(0, -10) : String(countryCode || '+91').replace(/\D/g, '');
+    return `${code}${local}`;
+};
+
+// Gmail ignores dots and anything after '+', other providers only the '+' tag
+const normalizeEmail = (email) => {
+    if (!email || !String(email).includes('@')) return null;
+    const [localPart, domain] = String(email).trim().toLowerCase().split('@');
+    let local = localPart.split('+')[0];
+    if (domain === 'gmail.com' || domain === 'googlemail.com') {
+        local = local.replace(/\./g, '');
+        return `${local}@gmail.com`;
+    }
+    return `${local}@${domain}`;
+};
+
+const normalizeName = (name) => String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+
+const getBigrams = (value) => {
+    const bigrams = [];
+    for (let i = 0; i < value.length - 1; i++) {
+        bigrams.push(value.slice(i, i + 2));
+    }
+    return bigrams;
+};
+
+// Dice coefficient on letter pairs; word order does not matter
+const nameSimilarity = (a, b) => {
+    const first = normalizeName(a);
+    const second = normalizeName(b);
+    if (!first || !second) return 0;
+    if (first === second) return 1;
+
+    const firstBigrams = getBigrams(first);
+    const secondBigrams = getBigrams(second);
+    if (!firstBigrams.length || !secondBigrams.length) return 0;
+
+    const remaining = [...secondBigrams];
+    let overlap = 0;
+    for (const bigram of firstBigrams) {
+        const index = remaining.indexOf(bigram);
+        if (index !== -1) {
+            overlap += 1;
+            remaining.splice(index, 1);
+        }
+    }
+    return Math.round((2 * overlap / (firstBigrams.length + secondBigrams.length)) * 100) / 100;
+};
+
+const getDisplayName = (user) =>
+    user?.name || [user?.firstName, user?.lastName].filter(Boolean).join(' ') || '';
+
+const buildPairKey = (type, ids) => `${type}:${ids.map(id => id.toString()).sort().join(':')}`;
+
+// ===================== DETECTION =====================
+
+const getBuyerRoleIds = async () => {
+    const roles = await Role.find({ name: { $regex: /^user$/i } }).select('_id').lean();
+    return roles.map(role => role._id);
+};
+
+// Name alone is too weak a signal, so a pair needs a phone or email match;
+// a similar name raises the confidence and lets the same number under another country code through.
+const scoreUserPair = (user, other) => {
+    const reasons = [];
+    const similarity = nameSimilarity(getDisplayName(user), getDisplayName(other));
+
+    if (user.phoneKey && user.phoneKey === other.phoneKey) {
+        reasons.push('phone');
+    } else if (user.phoneNumber && user.phoneNumber === other.phoneNumber && similarity >= NAME_MATCH_THRESHOLD) {
+        reasons.push('local_phone');
+    }
+    if (user.emailKey && user.emailKey === other.emailKey) reasons.push('email');
+    if (reasons.length === 0) return null;
+    if (similarity >= NAME_MATCH_THRESHOLD) reasons.push('name');
+
+    let confidence = 0;
+    if (reasons.includes('phone')) confidence += 0.6;
+    if (reasons.includes('local_phone')) confidence += 0.4;
+    if (reasons.includes('email')) confidence += 0.6;
+    confidence += 0.3 * similarity;
+
+    return {
+        reasons,
+        nameSimilarity: similarity,
+        confidence: Math.min(1, Math.round(confidence * 100) / 100)
+    };
+};
+
+// Buyer accounts sharing a phone or email. Each record is paired with the oldest
+// account of its group so a shared number produces n-1 candidates, not n².
+const findDuplicateUsers = async () => {
+    const buyerRoleIds = await getBuyerRoleIds();
+    const users = await User.find({
+        role: { $in: buyerRoleIds },
+        isActive: { $ne: false },
+        mergedInto: null
+    })
+        .select('name firstName lastName email phoneNumber countryCode createdAt')
+        .sort({ createdAt: 1 })
+        .lean();
+
+    const groups = new Map();
+    const addToGroup = (key, user) => {
+        if (!key) return;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(user);
+    };
+
+    users.forEach(user => {
+        user.phoneKey = normalizePhone(user.countryCode, user.phoneNumber);
+        user.emailKey = normalizeEmail(user.email);
+        addToGroup(user.phoneKey && `phone:${user.phoneKey}`, user);
+        addToGroup(`local:${user.phoneNumber}`, user);
+        addToGroup(user.emailKey && `email:${user.emailKey}`, user);
+    });
+
+    const pairs = new Map();
+    for (const members of groups.values()) {
+        if (members.length < 2) continue;
+        const [oldest, ...others] = members;
+        for (const other of others) {
+            const match = scoreUserPair(oldest, other);
+            if (!match) continue;
+            const pairKey = buildPairKey('user', [oldest._id, other._id]);
+            if (!pairs.has(pairKey)) {
+                pairs.set(pairKey, { type: 'user', pairKey, userIds: [oldest._id, other._id], leadIds: [], ...match });
+            }
+        }
+    }
+    return [...pairs.values()];
+};
+
+// Open leads of one buyer for the same property (Contact Us leads share propertyId null)
+const findDuplicateLeads = async () => {
+    const groups = await leadModal.aggregate([
+        { $match: { isStatus: true, mergedInto: null } },
+        { $sort: { createdAt: 1 } },
+        {
+            $group: {
+                _id: { userId: '$userId', propertyId: { $ifNull: ['$propertyId', null] } },
+                leadIds: { $push: '$_id' },
+                count: { $sum: 1 }
+            }
+        },
+        { $match: { count: { $gt: 1 } } }
+    ]);
+
+    const pairs = [];
+    for (const group of groups) {
+        const [oldest, ...others] = group.leadIds;
+        for (const leadId of others) {
+            pairs.push({
+                type: 'lead',
+                pairKey: buildPairKey('lead', [oldest, leadId]),
+                userIds: [group._id.userId],
+                leadIds: [oldest, leadId],
+                reasons: ['same_property'],
+                nameSimilarity: null,
+                confidence: 1
+            });
+        }
+    }
+    return pairs;
+};
+
+// Queue a pair for review. Pending candidates are refreshed, reviewed ones are left alone.
+const upsertCandidate = async (pair) => {
+    const { pairKey, type, userIds, leadIds, reasons, confidence, nameSimilarity: similarity } = pair;
+    try {
+        const result = await DuplicateCandidate.updateOne(
+            { pairKey, status: 'pending' },
+            {
+                $set: { reasons, confidence, nameSimilarity: similarity, lastDetectedAt: new Date() },
+                $setOnInsert: { type, userIds, leadIds }
+            },
+            { upsert: true }
+        );
+        return !!result.upsertedCount;
+    } catch (error) {
+        // The pair was already merged or dismissed
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+// Scheduler job / admin trigger: find duplicate buyers and leads and queue them for review
+const scanForDuplicates = async () => {
+    const [userPairs, leadPairs] = await Promise.all([findDuplicateUsers(), findDuplicateLeads()]);
+    const result = { users: userPairs.length, leads: leadPairs.length, queued: 0 };
+
+    for (const pair of [...userPairs, ...leadPairs]) {
+        if (await upsertCandidate(pair)) result.queued += 1;
+    }
+
+    if (result.queued > 0) {
+        logInfo('Duplicate candidates queued', result);
+    }
+    return result;
+};
+
+// ===================== MERGE =====================
+
+// Move documents one by one so a unique index clash leaves that document on the old record
+const moveEachDocument = async (Model, field, fromId, toId) => {
+    const docs = await Model.find({ [field]: fromId }).select('_id').lean();
+    let moved = 0;
+    for (const doc of docs) {
+        try {
+            await Model.updateOne({ _id: doc._id }, { $set: { [field]: toId } });
+            moved += 1;
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+        }
+    }
+    return moved;
+};
+
+// Fold the duplicate lead into the survivor: its timeline, notifications and bookings move
+// over, the survivor keeps its own status and picks up anything it was missing.
+const mergeLeadRecords = async (survivor, duplicate, { performedBy, performedByName }) => {
+    for (const Model of LEAD_LINKED_MODELS) {
+        await Model.updateMany({ leadId: duplicate._id }, { $set: { leadId: survivor._id } });
+    }
+
+    const updates = {};
+    if (!survivor.assignedTo && duplicate.assignedTo) {
+        updates.assignedTo = duplicate.assignedTo;
+        updates.assignedAt = duplicate.assignedAt;
+    }
+    if (!survivor.relationshipManagerId && duplicate.relationshipManagerId) {
+        updates.relationshipManagerId = duplicate.relationshipManagerId;
+        updates.rmEmail = duplicate.rmEmail;
+        updates.rmPhone = duplicate.rmPhone;
+    }
+    if (!survivor.referredBy && duplicate.referredBy) updates.referredBy = duplicate.referredBy;
+    if (!survivor.message && duplicate.message) updates.message = duplicate.message;
+    if (!survivor.scheduleDate && duplicate.scheduleDate) updates.scheduleDate = duplicate.scheduleDate;
+    if (survivor.visitStatus !== 'visited' && duplicate.visitStatus === 'visited') updates.visitStatus = 'visited';
+    // An upcoming visit on the duplicate becomes the survivor's current visit if it has none
+    if (
+        duplicate.siteVisit &&
+        SiteVisit.ACTIVE_STATUSES.includes(duplicate.visitStatus) &&
+        !SiteVisit.ACTIVE_STATUSES.includes(survivor.visitStatus)
+    ) {
+        updates.siteVisit = duplicate.siteVisit;
+        updates.visitStatus = duplicate.visitStatus;
+        updates.visitSlot = duplicate.visitSlot;
+        updates.visitScheduledAt = duplicate.visitScheduledAt;
+    }
+    if (duplicate.noShowCount) {
+        updates.noShowCount = (survivor.noShowCount || 0) + duplicate.noShowCount;
+        if (!survivor.lastNoShowAt || duplicate.lastNoShowAt > survivor.lastNoShowAt) updates.lastNoShowAt = duplicate.lastNoShowAt;
+    }
+    if (Object.keys(updates).length > 0) {
+        await leadModal.updateOne({ _id: survivor._id }, { $set: updates });
+    }
+
+    const now = new Date();
+    await leadModal.updateOne(
+        { _id: duplicate._id },
+        {
+            $set: {
+                isStatus: false,
+                mergedInto: survivor._id,
+                mergedAt: now,
+                slaBreached: false,
+                'slaBreaches.$[breach].resolvedAt': now
+            }
+        },
+        { arrayFilters: [{ 'breach.resolvedAt': null }] }
+    );
+
+    await LeadActivity.create({
+        leadId: survivor._id,
+        activityType: 'lead_merged',
+        performedBy,
+        performedByName,
+        description: `Duplicate lead merged into this lead${duplicate.source ? ` (source: ${duplicate.source})` : ''}`,
+        metadata: { mergedLeadId: duplicate._id.toString() }
+    });
+
+    await recomputeLeadScore(survivor._id);
+};
+
+// Merge two open leads of the same buyer. Returns { summary } or { error, statusCode }.
+const mergeLeads = async ({ survivorLeadId, duplicateLeadId, performedBy, performedByName }) => {
+    const [survivor, duplicate] = await Promise.all([
+        leadModal.findById(survivorLeadId).lean(),
+        leadModal.findById(duplicateLeadId).lean()
+    ]);
+    if (!survivor || !duplicate) {
+        return { error: 'Lead not found', statusCode: 404 };
+    }
+    if (!survivor.isStatus || !duplicate.isStatus) {
+        return { error: 'Only open leads can be merged', statusCode: 400 };
+    }
+    if (survivor.userId.toString() !== duplicate.userId.toString()) {
+        return { error: 'Leads belong to different buyers - merge the buyers instead', statusCode: 400 };
+    }
+
+    await mergeLeadRecords(survivor, duplicate, { performedBy, performedByName });
+
+    logInfo('Leads merged', { survivorLeadId, duplicateLeadId, performedBy });
+    return { summary: { survivorLeadId, mergedLeadIds: [duplicate._id] } };
+};
+
+// Things that cannot sit on one buyer twice - the admin has to resolve these before merging
+const findMergeConflicts = async (survivorId, duplicateId) => {
+    const conflicts = [];
+
+    const [survivorGroups, duplicateGroups] = await Promise.all([
+        GroupBuyMember.find({ userId: survivorId, status: 'active' }).distinct('groupBuyId'),
+        GroupBuyMember.find({ userId: duplicateId, status: 'active' }).distinct('groupBuyId')
+    ]);
+    const survivorGroupSet = new Set(survivorGroups.map(id => id.toString()));
+    if (duplicateGroups.some(id => survivorGroupSet.has(id.toString()))) {
+        conflicts.push('Both buyers are active members of the same group buy - withdraw one membership first');
+    }
+
+    const activeHoldFilter = { status: { $in: ['active', 'reserved'] } };
+    const [survivorHolds, duplicateHolds] = await Promise.all([
+        UnitHold.find({ userId: survivorId, ...activeHoldFilter }).distinct('subConfigurationId'),
+        UnitHold.find({ userId: duplicateId, ...activeHoldFilter }).distinct('subConfigurationId')
+    ]);
+    const survivorHoldSet = new Set(survivorHolds.map(id => id.toString()));
+    if (duplicateHolds.some(id => survivorHoldSet.has(id.toString()))) {
+        conflicts.push('Both buyers hold a unit of the same configuration - release one hold first');
+    }
+
+    return conflicts;
+};
+
+const mergeUserPropertyActivity = async (survivorId, duplicateId) => {
+    const activities = await UserPropertyActivity.find({ userId: duplicateId }).lean();
+    for (const activity of activities) {
+        const existing = await UserPropertyActivity.findOne({
+            userId: survivorId,
+            propertyId: activity.propertyId,
+            activityType: activity.activityType
+        }).lean();
+
+        if (!existing) {
+            await UserPropertyActivity.updateOne({ _id: activity._id }, { $set: { userId: survivorId } });
+            continue;
+        }
+
+        const latest = (a, b) => (!a ? b : (!b ? a : (new Date(a) > new Date(b) ? a : b)));
+        await UserPropertyActivity.updateOne(
+            { _id: existing._id },
+            {
+                $set: {
+                    lastViewedAt: latest(existing.lastViewedAt, activity.lastViewedAt),
+                    favoritedAt: latest(existing.favoritedAt, activity.favoritedAt),
+                    visitedAt: latest(existing.visitedAt, activity.visitedAt),
+                    viewCount: (existing.viewCount || 1) + (activity.viewCount || 1)
+                }
+            }
+        );
+        await UserPropertyActivity.deleteOne({ _id: activity._id });
+    }
+    return activities.length;
+};
+
+const mergeContactPreferences = async (survivorId, duplicateId) => {
+    const duplicatePrefs = await ContactPreferences.findOne({ userId: duplicateId }).lean();
+    if (!duplicatePrefs) return;
+
+    const survivorPrefs = await ContactPreferences.findOne({ userId: survivorId }).lean();
+    if (!survivorPrefs) {
+        await ContactPreferences.updateOne({ _id: duplicatePrefs._id }, { $set: { userId: survivorId } });
+        return;
+    }
+
+    const updates = {};
+    ['budgetMin', 'budgetMax', 'floorMin', 'floorMax'].forEach(field => {
+        if (survivorPrefs[field] == null && duplicatePrefs[field] != null) updates[field] = duplicatePrefs[field];
+    });
+    if (!survivorPrefs.preferredLocations?.length && duplicatePrefs.preferredLocations?.length) {
+        updates.preferredLocations = duplicatePrefs.preferredLocations;
+    }
+    if (Object.keys(updates).length > 0) {
+        await ContactPreferences.updateOne({ _id: survivorPrefs._id }, { $set: updates });
+    }
+    await ContactPreferences.deleteOne({ _id: duplicatePrefs._id });
+};
+
+// Consolidate a duplicate buyer into the survivor. Leads for the same property are merged,
+// everything else the duplicate owns is moved. The duplicate account is deactivated, not deleted.
+// Returns { summary } or { error, statusCode }.
+const mergeUsers = async ({ survivorId, duplicateId, performedBy, performedByName }) => {
+    const buyerRoleIds = (await getBuyerRoleIds()).map(id => id.toString());
+    const [survivor, duplicate] = await Promise.all([
+        User.findById(survivorId).lean(),
+        User.findById(duplicateId).lean()
+    ]);
+    if (!survivor || !duplicate) {
+        return { error: 'User not found', statusCode: 404 };
+    }
+    if (!buyerRoleIds.includes(survivor.role?.toString()) || !buyerRoleIds.includes(duplicate.role?.toString())) {
+        return { error: 'Only buyer accounts can be merged', statusCode: 400 };
+    }
+    if (survivor.mergedInto || duplicate.mergedInto) {
+        return { error: 'One of the accounts has already been merged', statusCode: 409 };
+    }
+
+    const conflicts = await findMergeConflicts(survivorId, duplicateId);
+    if (conflicts.length > 0) {
+        return { error: conflicts.join('. '), statusCode: 409 };
+    }
+
+    const summary = { survivorId, duplicateId, leadsMoved: 0, mergedLeadIds: [], propertyActivities: 0 };
+
+    const [survivorLeads, duplicateLeads] = await Promise.all([
+        leadModal.find({ userId: survivorId, isStatus: true }).lean(),
+        leadModal.find({ userId: duplicateId }).lean()
+    ]);
+    const openLeadByProperty = new Map(survivorLeads.map(lead => [String(lead.propertyId || null), lead]));
+
+    for (const lead of duplicateLeads) {
+        const match = lead.isStatus ? openLeadByProperty.get(String(lead.propertyId || null)) : null;
+        if (match) {
+            await leadModal.updateOne({ _id: lead._id }, { $set: { userId: survivorId } });
+            await mergeLeadRecords(match, lead, { performedBy, performedByName });
+            summary.mergedLeadIds.push(lead._id);
+        } else {
+            await leadModal.updateOne({ _id: lead._id }, { $set: { userId: survivorId } });
+            summary.leadsMoved += 1;
+        }
+    }
+    await leadModal.updateMany({ referredBy: duplicateId }, { $set: { referredBy: survivorId } });
+
+    summary.notifications = (await Notification.updateMany({ userId: duplicateId }, { $set: { userId: survivorId } })).modifiedCount;
+    await Payment.updateMany({ userId: duplicateId }, { $set: { userId: survivorId } });
+    await UserSearchHistory.updateMany({ userId: duplicateId }, { $set: { userId: survivorId } });
+    await SiteVisit.updateMany({ userId: duplicateId }, { $set: { userId: survivorId } });
+    await VisitSlot.updateMany({ userIds: duplicateId }, { $set: { 'userIds.$': survivorId } });
+    await GroupInvite.updateMany({ inviterId: duplicateId }, { $set: { inviterId: survivorId } });
+    await Referral.updateMany({ referrerId: duplicateId }, { $set: { referrerId: survivorId } });
+
+    // Unique per buyer - clashing rows (e.g. a withdrawn membership) stay on the old account
+    await moveEachDocument(GroupBuyMember, 'userId', duplicateId, survivorId);
+    await moveEachDocument(UnitHold, 'userId', duplicateId, survivorId);
+    await moveEachDocument(WaitlistEntry, 'userId', duplicateId, survivorId);
+    await moveEachDocument(Referral, 'refereeId', duplicateId, survivorId);
+
+    summary.propertyActivities = await mergeUserPropertyActivity(survivorId, duplicateId);
+    await mergeContactPreferences(survivorId, duplicateId);
+
+    // The survivor picks up profile details it does not have yet
+    const profileUpdates = {};
+    ['firstName', 'lastName', 'name', 'profileImage', 'pincode', 'city', 'state'].forEach(field => {
+        if (!survivor[field] && duplicate[field]) profileUpdates[field] = duplicate[field];
+    });
+    if (!survivor.isPhoneVerified && duplicate.isPhoneVerified && survivor.phoneNumber === duplicate.phoneNumber) {
+        profileUpdates.isPhoneVerified = true;
+        profileUpdates.phoneVerifiedAt = duplicate.phoneVerifiedAt;
+    }
+
+    // Email is unique, so it has to leave the duplicate before the survivor can take it.
+    // The phone number is required and stays, phone lookups skip merged accounts (mergedInto).
+    const duplicateUpdates = { $set: { isActive: false, mergedInto: survivorId, mergedAt: new Date() } };
+    if (!survivor.email && duplicate.email) {
+        profileUpdates.email = duplicate.email;
+        duplicateUpdates.$unset = { email: 1 };
+    }
+
+    await User.updateOne({ _id: duplicateId }, duplicateUpdates);
+    if (Object.keys(profileUpdates).length > 0) {
+        await User.updateOne({ _id: survivorId }, { $set: profileUpdates });
+    }
+
+    await recomputeUserLeadScores(survivorId);
+
+    logInfo('Buyer accounts merged', { ...summary, performedBy });
+    return { summary };
+};
+
+// Pending candidates that point at a record which no longer exists on its own
+const dismissStaleCandidates = async ({ userId, leadIds = [] }, reviewedBy) => {
+    const or = [];
+    if (userId) or.push({ type: 'user', userIds: userId });
+    if (leadIds.length) or.push({ leadIds: { $in: leadIds } });
+    if (!or.length) return;
+
+    await DuplicateCandidate.updateMany(
+        { status: 'pending', $or: or },
+        { $set: { status: 'dismissed', reviewedBy, reviewedAt: new Date(), note: 'Record was merged in another review' } }
+    );
+};
+
+// Merge a queued candidate. The candidate is claimed first so two admins cannot merge it twice.
+const mergeCandidate = async (candidateId, { survivorId, performedBy, performedByName }) => {
+    const candidate = await DuplicateCandidate.findOneAndUpdate(
+        { _id: candidateId, status: 'pending' },
+        { $set: { status: 'merged', reviewedBy: performedBy, reviewedAt: new Date() } },
+        { new: true }
+    ).lean();
+    if (!candidate) {
+        const exists = await DuplicateCandidate.exists({ _id: candidateId });
+        return exists
+            ? { error: 'Duplicate has already been reviewed', statusCode: 409 }
+            : { error: 'Duplicate not found', statusCode: 404 };
+    }
+
+    const recordIds = (candidate.type === 'user' ? candidate.userIds : candidate.leadIds).map(id => id.toString());
+    const keepId = survivorId ? String(survivorId) : recordIds[0];
+    if (!recordIds.includes(keepId)) {
+        await DuplicateCandidate.updateOne({ _id: candidateId }, { $set: { status: 'pending' }, $unset: { reviewedBy: 1, reviewedAt: 1 } });
+        return { error: 'survivorId must be one of the two records', statusCode: 400 };
+    }
+    const removeId = recordIds.find(id => id !== keepId);
+
+    try {
+        const result = candidate.type === 'user'
+            ? await mergeUsers({ survivorId: keepId, duplicateId: removeId, performedBy, performedByName })
+            : await mergeLeads({ survivorLeadId: keepId, duplicateLeadId: removeId, performedBy, performedByName });
+
+        if (result.error) {
+            await DuplicateCandidate.updateOne({ _id: candidateId }, { $set: { status: 'pending' }, $unset: { reviewedBy: 1, reviewedAt: 1 } });
+            return result;
+        }
+
+        await DuplicateCandidate.updateOne(
+            { _id: candidateId },
+            { $set: { survivorId: keepId, mergeSummary: result.summary } }
+        );
+        await dismissStaleCandidates(
+            candidate.type === 'user'
+                ? { userId: removeId, leadIds: result.summary.mergedLeadIds }
+                : { leadIds: result.summary.mergedLeadIds },
+            performedBy
+        );
+        return { candidateId, survivorId: keepId, summary: result.summary };
+    } catch (error) {
+        logError('Error merging duplicate', error, { candidateId });
+        await DuplicateCandidate.updateOne({ _id: candidateId }, { $set: { status: 'pending', note: `Merge failed: ${error.message}` } });
+        throw error;
+    }
+};
+
+module.exports = {
+    NAME_MATCH_THRESHOLD,
+    normalizePhone,
+    normalizeEmail,
+    nameSimilarity,
+    scanForDuplicates,
+    mergeCandidate,
+    mergeLeads,
+    mergeUsers
+};
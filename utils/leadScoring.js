@@ -0,0 +1,211 @@
+const leadModal = require('../models/leadModal');
+const LeadActivity = require('../models/leadActivity');
+const Property = require('../models/property');
+const UserPropertyActivity = require('../models/userPropertyActivity');
+const UserSearchHistory = require('../models/userSearchHistory');
+const ContactPreferences = require('../models/userContactDetails');
+const GroupBuyMember = require('../models/groupBuyMember');
+const Payment = require('../models/payment');
+const SiteVisit = require('../models/siteVisit');
+const { logError } = require('./logger');
+const { LOST_STATUSES, normalizeLeadStatus } = require('./leadStatus');
+const { CLOSED_LEAD_STATUSES } = require('./leadAssignment');
+
+// Points per signal - they add up to 100
+const SCORE_WEIGHTS = {
+    budgetFit: 25,
+    views: 15,
+    searchIntent: 5,
+    favorite: 10,
+    visit: 20,
+    responsiveness: 20,
+    commitment: 5
+};
+
+const SEARCH_LOOKBACK_DAYS = 30;
+const SCORE_REFRESH_HOURS = Math.max(parseInt(process.env.LEAD_SCORE_REFRESH_HOURS) || 24, 1);
+
+const TRACKED_VISIT_STATUSES = SiteVisit.STATUSES;
+const ACTIVE_VISIT_STATUSES = SiteVisit.ACTIVE_STATUSES;
+
+const PROGRESSED_STATUSES = ['interested', 'demo_discussion_ongoing', 'site_visit_coordination', 'site_visit_confirmed', 'commercial_negotiation', 'deal_closed'];
+const UNRESPONSIVE_STATUSES = ['no_response_dnp', 'unable_to_contact'];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lowest price the buyer could pay on the property
+const getEntryPrice = (property) => {
+    const prices = [];
+    (property?.configurations || []).forEach(config => {
+        (config.subConfigurations || []).forEach(sub => {
+            if (sub.price > 0) prices.push(sub.price);
+        });
+    });
+    if (prices.length > 0) return Math.min(...prices);
+    return property?.offerPrice || property?.developerPrice || 0;
+};
+
+// Full points inside the buyer's budget, fewer the further the price is outside it.
+// Buyers without a budget get a neutral share.
+const scoreBudgetFit = (preferences, price) => {
+    const max = SCORE_WEIGHTS.budgetFit;
+    const budgetMin = preferences?.budgetMin || 0;
+    const budgetMax = preferences?.budgetMax || 0;
+    if (!price || (!budgetMin && !budgetMax)) return Math.round(max * 0.4);
+
+    const low = budgetMin || 0;
+    const high = budgetMax || Infinity;
+    if (price >= low && price <= high) return max;
+
+    const gap = price > high ? (price - high) / high : (low - price) / low;
+    if (gap <= 0.1) return Math.round(max * 0.6);
+    if (gap <= 0.25) return Math.round(max * 0.3);
+    return 0;
+};
+
+const scoreViews = (viewCount) => {
+    if (viewCount >= 6) return SCORE_WEIGHTS.views;
+    if (viewCount >= 4) return 11;
+    if (viewCount >= 2) return 7;
+    return viewCount === 1 ? 3 : 0;
+};
+
+const scoreResponsiveness = (leadStatus, contactAttempts) => {
+    const status = normalizeLeadStatus(leadStatus);
+    if (LOST_STATUSES.includes(status) || UNRESPONSIVE_STATUSES.includes(status)) return 0;
+    if (PROGRESSED_STATUSES.includes(status)) return SCORE_WEIGHTS.responsiveness;
+    if (status === 'call_back_scheduled') return 15;
+    // Not reached yet - unanswered attempts make a reply less likely
+    return contactAttempts >= 3 ? 4 : 8;
+};
+
+// Score a lead from what the buyer has done on the platform and how they responded to calls.
+// Returns { score, breakdown } or null when the lead does not exist.
+const computeLeadScore = async (leadId) => {
+    const lead = await leadModal.findById(leadId)
+        .select('userId propertyId status visitStatus scheduleDate')
+        .lean();
+    if (!lead) return null;
+
+    const { userId, propertyId } = lead;
+    const searchSince = new Date(Date.now() - SEARCH_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+    const [property, preferences, activities, contactAttempts, member, payment] = await Promise.all([
+        propertyId
+            ? Property.findById(propertyId).select('projectName location offerPrice developerPrice configurations').lean()
+            : null,
+        ContactPreferences.findOne({ userId }).select('budgetMin budgetMax').lean(),
+        propertyId
+            ? UserPropertyActivity.find({ userId, propertyId }).select('activityType viewCount visitDate').lean()
+            : [],
+        LeadActivity.countDocuments({ leadId, activityType: { $in: ['phone_call', 'whatsapp'] } }),
+        propertyId ? GroupBuyMember.exists({ userId, propertyId, status: 'active' }) : null,
+        propertyId
+            ? Payment.exists({ userId, propertyId, purpose: 'token_amount', status: 'captured' })
+            : null
+    ]);
+
+    let searchHits = 0;
+    if (property) {
+        const terms = [property.projectName, property.location?.split(',')[0]].filter(Boolean).map(escapeRegex);
+        searchHits = terms.length > 0
+            ? await UserSearchHistory.countDocuments({
+                userId,
+                updatedAt: { $gte: searchSince },
+                $or: terms.flatMap(term => [
+                    { searchQuery: { $regex: term, $options: 'i' } },
+                    { projectName: { $regex: term, $options: 'i' } },
+                    { location: { $regex: term, $options: 'i' } }
+                ])
+            })
+            : 0;
+    }
+
+    const viewed = activities.find(activity => activity.activityType === 'viewed');
+    const viewCount = viewed ? (viewed.viewCount || 1) : 0;
+    const isFavorite = activities.some(activity => activity.activityType === 'favorite');
+    // Leads with a tracked SiteVisit score on its lifecycle; older leads on the visited flag
+    let visitPoints;
+    if (TRACKED_VISIT_STATUSES.includes(lead.visitStatus)) {
+        if (lead.visitStatus === 'completed') visitPoints = SCORE_WEIGHTS.visit;
+        else visitPoints = ACTIVE_VISIT_STATUSES.includes(lead.visitStatus) ? 15 : 0;
+    } else {
+        const hasVisited = lead.visitStatus === 'visited' || activities.some(activity => activity.activityType === 'visited');
+        const visitBooked = !!lead.scheduleDate && normalizeLeadStatus(lead.status) === 'site_visit_confirmed';
+        visitPoints = hasVisited ? SCORE_WEIGHTS.visit : (visitBooked ? 15 : 0);
+    }
+
+    const breakdown = {
+        budgetFit: property ? scoreBudgetFit(preferences, getEntryPrice(property)) : 0,
+        views: scoreViews(viewCount),
+        searchIntent: searchHits >= 2 ? SCORE_WEIGHTS.searchIntent : (searchHits === 1 ? 3 : 0),
+        favorite: isFavorite ? SCORE_WEIGHTS.favorite : 0,
+        visit: visitPoints,
+        responsiveness: scoreResponsiveness(lead.status, contactAttempts),
+        commitment: payment ? SCORE_WEIGHTS.commitment : (member ? 3 : 0)
+    };
+
+    const score = Math.min(100, Object.values(breakdown).reduce((sum, points) => sum + points, 0));
+    return { score, breakdown };
+};
+
+// Recompute and store a lead's score - errors are logged, never thrown
+const recomputeLeadScore = async (leadId) => {
+    try {
+        const result = await computeLeadScore(leadId);
+        if (!result) return null;
+
+        await leadModal.updateOne(
+            { _id: leadId },
+            { $set: { score: result.score, scoreBreakdown: result.breakdown, scoreUpdatedAt: new Date() } }
+        );
+        return result;
+    } catch (error) {
+        logError('Error computing lead score', error, { leadId });
+        return null;
+    }
+};
+
+// Buyer side activity (views, favourites, searches) affects every open lead of the buyer
+const recomputeUserLeadScores = async (userId, propertyId = null) => {
+    try {
+        const filter = { userId, isStatus: true };
+        if (propertyId) filter.propertyId = propertyId;
+        const leads = await leadModal.find(filter).select('_id').lean();
+        for (const lead of leads) {
+            await recomputeLeadScore(lead._id);
+        }
+        return leads.length;
+    } catch (error) {
+        logError('Error recomputing user lead scores', error, { userId, propertyId });
+        return 0;
+    }
+};
+
+// Scheduler job: score new leads and refresh scores that have gone stale
+const refreshLeadScores = async ({ limit = 200 } = {}) => {
+    const staleBefore = new Date(Date.now() - SCORE_REFRESH_HOURS * 60 * 60 * 1000);
+    const leads = await leadModal.find({
+        isStatus: true,
+        status: { $nin: CLOSED_LEAD_STATUSES },
+        $or: [{ scoreUpdatedAt: null }, { scoreUpdatedAt: { $lte: staleBefore } }]
+    })
+        .select('_id')
+        .sort({ scoreUpdatedAt: 1 })
+        .limit(limit)
+        .lean();
+
+    let scored = 0;
+    for (const lead of leads) {
+        if (await recomputeLeadScore(lead._id)) scored += 1;
+    }
+    return { checked: leads.length, scored };
+};
+
+module.exports = {
+    SCORE_WEIGHTS,
+    computeLeadScore,
+    recomputeLeadScore,
+    recomputeUserLeadScores,
+    refreshLeadScores
+};
@@ -0,0 +1,265 @@
+const leadModal = require('../models/leadModal');
+const LeadActivity = require('../models/leadActivity');
+const Property = require('../models/property');
+const Role = require('../models/role');
+const SlaPolicy = require('../models/slaPolicy');
+const User = require('../models/user');
+const { notifyUser } = require('./notification');
+const { logInfo, logError } = require('./logger');
+const { CLOSED_LEAD_STATUSES } = require('./leadAssignment');
+
+const MINUTE = 60 * 1000;
+// Activities that count as reaching out to the buyer
+const CONTACT_ACTIVITY_TYPES = ['phone_call', 'whatsapp', 'email', 'visit'];
+const ADMIN_ROLE_NAMES = ['Admin', 'Super Admin'];
+
+// Created on the first checker run when no policy exists yet
+const DEFAULT_SLA_POLICIES = [
+    {
+        name: 'First contact within 2 hours',
+        type: 'first_contact',
+        leadStatus: 'lead_received',
+        thresholdMinutes: 120,
+        escalateTo: 'relationship_manager'
+    },
+    {
+        name: 'Follow-up overdue',
+        type: 'follow_up',
+        thresholdMinutes: 0,
+        escalateTo: 'relationship_manager'
+    }
+];
+
+const ensureDefaultPolicies = async () => {
+    if (await SlaPolicy.exists({})) return;
+    await SlaPolicy.insertMany(DEFAULT_SLA_POLICIES);
+    logInfo('Default SLA policies created', { count: DEFAULT_SLA_POLICIES.length });
+};
+
+// Latest contact activity of each lead
+const getLastContactByLead = async (leadIds, activityTypes = CONTACT_ACTIVITY_TYPES) => {
+    if (!leadIds.length) return new Map();
+    const rows = await LeadActivity.aggregate([
+        { $match: { leadId: { $in: leadIds }, activityType: { $in: activityTypes } } },
+        { $group: { _id: '$leadId', lastActivityAt: { $max: '$activityDate' } } }
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), row.lastActivityAt]));
+};
+
+// Open leads currently breaching a policy, with the time each one was due.
+// Only SLAs falling due since the policy went live count, so the backlog from before is left alone.
+const findBreachingLeads = async (policy, now = new Date()) => {
+    const cutoff = new Date(now.getTime() - policy.thresholdMinutes * MINUTE);
+    const trackedSince = policy.slaTrackedSince || policy.createdAt;
+    // The SLA clock (createdAt, statusChangedAt or scheduleDate) falls due thresholdMinutes later
+    const clockRange = { $lte: cutoff };
+    if (trackedSince) {
+        clockRange.$gte = new Date(new Date(trackedSince).getTime() - policy.thresholdMinutes * MINUTE);
+    }
+    const filter = { isStatus: true, status: { $nin: CLOSED_LEAD_STATUSES } };
+    if (policy.propertyId) filter.propertyId = policy.propertyId;
+
+    if (policy.type === 'first_contact') {
+        filter.status = policy.leadStatus || 'lead_received';
+        filter.createdAt = clockRange;
+    } else if (policy.type === 'status_age') {
+        if (!policy.leadStatus) return [];
+        filter.status = policy.leadStatus;
+        filter.$or = [
+            { statusChangedAt: clockRange },
+            { statusChangedAt: null, createdAt: clockRange }
+        ];
+    } else if (policy.type === 'follow_up') {
+        filter.scheduleDate = { $ne: null, ...clockRange };
+    } else {
+        return [];
+    }
+
+    let leads = await leadModal.find(filter).select('createdAt statusChangedAt scheduleDate visitScheduledAt').lean();
+    const threshold = policy.thresholdMinutes * MINUTE;
+
+    if (policy.type === 'status_age') {
+        return leads.map(lead => ({
+            lead,
+            dueAt: new Date(new Date(lead.statusChangedAt || lead.createdAt).getTime() + threshold)
+        }));
+    }
+
+    // scheduleDate also holds booked visit times, those are not follow-ups
+    if (policy.type === 'follow_up') {
+        leads = leads.filter(lead => !lead.visitScheduledAt
+            || new Date(lead.visitScheduledAt).getTime() !== new Date(lead.scheduleDate).getTime());
+    }
+
+    // Contact made in time (first contact) or after the follow-up date clears the breach
+    const lastContact = await getLastContactByLead(leads.map(lead => lead._id));
+    return leads
+        .filter(lead => {
+            const contactedAt = lastContact.get(lead._id.toString());
+            if (!contactedAt) return true;
+            const since = policy.type === 'follow_up' ? lead.scheduleDate : lead.createdAt;
+            return new Date(contactedAt) < new Date(since);
+        })
+        .map(lead => ({
+            lead,
+            dueAt: new Date(new Date(policy.type === 'follow_up' ? lead.scheduleDate : lead.createdAt).getTime() + threshold)
+        }));
+};
+
+// Who hears about a breach: the property's relationship manager (falling back to the lead's)
+// and the assigned agent, or every admin. Admins are also the fallback when nobody else is found.
+const getEscalationRecipients = async (lead, policy) => {
+    const recipients = [];
+
+    if (policy.escalateTo === 'relationship_manager') {
+        const property = lead.propertyId
+            ? await Property.findById(lead.propertyId).select('relationshipManager').lean()
+            : null;
+        const rmId = property?.relationshipManager || lead.relationshipManagerId;
+        if (rmId) recipients.push(rmId);
+        if (lead.assignedTo) recipients.push(lead.assignedTo);
+    }
+
+    if (recipients.length === 0) {
+        const roles = await Role.find({ name: { $in: ADMIN_ROLE_NAMES } }).select('_id').lean();
+        const admins = await User.find({ role: { $in: roles.map(role => role._id) }, isActive: { $ne: false } })
+            .select('_id')
+            .lean();
+        recipients.push(...admins.map(admin => admin._id));
+    }
+
+    return [...new Set(recipients.map(id => id.toString()))];
+};
+
+const describeBreach = (policy, projectName, leadName) => {
+    const hours = Math.round((policy.thresholdMinutes / 60) * 10) / 10;
+    if (policy.type === 'first_contact') {
+        return `${leadName} (${projectName}) has not been contacted within ${hours}h`;
+    }
+    if (policy.type === 'follow_up') {
+        return `Follow-up with ${leadName} (${projectName}) is overdue`;
+    }
+    return `${leadName} (${projectName}) has been in ${policy.leadStatus.replace(/_/g, ' ')} for more than ${hours}h`;
+};
+
+// Flag a breach on the lead (once per policy while it stays open) and escalate it
+const recordBreach = async (leadId, policy, dueAt) => {
+    const now = new Date();
+    const lead = await leadModal.findOneAndUpdate(
+        {
+            _id: leadId,
+            slaBreaches: { $not: { $elemMatch: { policyId: policy._id, resolvedAt: null } } }
+        },
+        {
+            $push: {
+                slaBreaches: {
+                    policyId: policy._id,
+                    type: policy.type,
+                    policyName: policy.name,
+                    dueAt,
+                    breachedAt: now
+                }
+            },
+            $set: { slaBreached: true }
+        },
+        { new: true }
+    )
+        .populate('userId', 'name')
+        .populate('propertyId', 'projectName')
+        .lean();
+    if (!lead) return false;
+
+    const recipients = await getEscalationRecipients(
+        { ...lead, propertyId: lead.propertyId?._id || null },
+        policy
+    );
+    const message = describeBreach(policy, lead.propertyId?.projectName || 'General enquiry', lead.userId?.name || 'A lead');
+
+    for (const userId of recipients) {
+        await notifyUser({
+            userId,
+            leadId: lead._id,
+            propertyId: lead.propertyId?._id || null,
+            notificationType: 'sla_breach',
+            title: 'SLA Breached',
+            message,
+            source: 'SLA Monitor',
+            metadata: { policyId: policy._id.toString(), type: policy.type, dueAt }
+        });
+    }
+
+    await leadModal.updateOne(
+        { _id: lead._id, slaBreaches: { $elemMatch: { policyId: policy._id, resolvedAt: null } } },
+        { $set: { 'slaBreaches.$.escalatedTo': recipients } }
+    );
+
+    return true;
+};
+
+// Scheduler job: flag new breaches, resolve the ones that no longer apply
+const processLeadSlas = async () => {
+    await ensureDefaultPolicies();
+
+    const now = new Date();
+    const policies = await SlaPolicy.find({ isActive: true }).lean();
+    const result = { policies: policies.length, breached: 0, resolved: 0 };
+
+    for (const policy of policies) {
+        try {
+            const breaching = await findBreachingLeads(policy, now);
+            const breachingIds = breaching.map(({ lead }) => lead._id);
+
+            for (const { lead, dueAt } of breaching) {
+                if (await recordBreach(lead._id, policy, dueAt)) {
+                    result.breached += 1;
+                }
+            }
+
+            const resolved = await leadModal.updateMany(
+                {
+                    _id: { $nin: breachingIds },
+                    slaBreaches: { $elemMatch: { policyId: policy._id, resolvedAt: null } }
+                },
+                { $set: { 'slaBreaches.$[breach].resolvedAt': now } },
+                { arrayFilters: [{ 'breach.policyId': policy._id, 'breach.resolvedAt': null }] }
+            );
+            result.resolved += resolved.modifiedCount || 0;
+        } catch (error) {
+            logError('Error checking SLA policy', error, { policyId: policy._id });
+        }
+    }
+
+    // Breaches of deleted or deactivated policies are closed as well
+    const activePolicyIds = policies.map(policy => policy._id);
+    const orphaned = await leadModal.updateMany(
+        { slaBreaches: { $elemMatch: { policyId: { $nin: activePolicyIds }, resolvedAt: null } } },
+        { $set: { 'slaBreaches.$[breach].resolvedAt': now } },
+        { arrayFilters: [{ 'breach.policyId': { $nin: activePolicyIds }, 'breach.resolvedAt': null }] }
+    );
+    result.resolved += orphaned.modifiedCount || 0;
+
+    await leadModal.updateMany(
+        { slaBreached: true, slaBreaches: { $not: { $elemMatch: { resolvedAt: null } } } },
+        { $set: { slaBreached: false } }
+    );
+
+    return result;
+};
+
+const formatSlaBreach = (breach) => ({
+    policyId: breach.policyId,
+    type: breach.type,
+    policyName: breach.policyName || null,
+    dueAt: breach.dueAt || null,
+    breachedAt: breach.breachedAt,
+    resolvedAt: breach.resolvedAt || null
+});
+
+module.exports = {
+    CONTACT_ACTIVITY_TYPES,
+    DEFAULT_SLA_POLICIES,
+    ensureDefaultPolicies,
+    findBreachingLeads,
+    processLeadSlas,
+    formatSlaBreach
+};
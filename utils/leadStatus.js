@@ -0,0 +1,158 @@
+// Lead status pipeline: which status a lead can move to next and what each move needs.
+
+const LEAD_PIPELINE = [
+    { status: 'lead_received', label: 'Lead Received' },
+    { status: 'interested', label: 'Interested' },
+    { status: 'no_response_dnp', label: 'No Response - Do Not Pick' },
+    { status: 'unable_to_contact', label: 'Unable to Contact' },
+    { status: 'call_back_scheduled', label: 'Call Back Scheduled' },
+    { status: 'demo_discussion_ongoing', label: 'Demo Discussion Ongoing' },
+    { status: 'site_visit_coordination', label: 'Site Visit Coordination' },
+    { status: 'site_visit_confirmed', label: 'Site Visit Confirmed' },
+    { status: 'commercial_negotiation', label: 'Commercial Negotiation' },
+    { status: 'deal_closed', label: 'Deal Closed' },
+    { status: 'declined_interest', label: 'Declined Interest' },
+    { status: 'does_not_meet_requirements', label: 'Does Not Meet Requirements' }
+];
+
+const PIPELINE_STATUSES = LEAD_PIPELINE.map(stage => stage.status);
+
+// Statuses from the old approval flow, still in the schema enum for unmigrated leads.
+// scripts/migrate-lead-statuses.js rewrites them to their pipeline equivalent.
+const LEGACY_STATUS_MAP = {
+    pending: 'lead_received',
+    approved: 'interested',
+    rejected: 'declined_interest'
+};
+
+const LOST_STATUSES = ['declined_interest', 'does_not_meet_requirements'];
+
+const STATUS_TRANSITIONS = {
+    lead_received: ['interested', 'no_response_dnp', 'unable_to_contact', 'call_back_scheduled', ...LOST_STATUSES],
+    interested: ['call_back_scheduled', 'demo_discussion_ongoing', 'site_visit_coordination', ...LOST_STATUSES],
+    no_response_dnp: ['interested', 'unable_to_contact', 'call_back_scheduled', 'declined_interest'],
+    unable_to_contact: ['interested', 'no_response_dnp', 'call_back_scheduled', 'declined_interest'],
+    call_back_scheduled: ['interested', 'no_response_dnp', 'demo_discussion_ongoing', 'site_visit_coordination', ...LOST_STATUSES],
+    demo_discussion_ongoing: ['call_back_scheduled', 'site_visit_coordination', 'commercial_negotiation', ...LOST_STATUSES],
+    site_visit_coordination: ['call_back_scheduled', 'site_visit_confirmed', ...LOST_STATUSES],
+    site_visit_confirmed: ['site_visit_coordination', 'commercial_negotiation', ...LOST_STATUSES],
+    commercial_negotiation: ['site_visit_coordination', 'deal_closed', ...LOST_STATUSES],
+    deal_closed: [],
+    // Lost leads can be reopened
+    declined_interest: ['interested', 'call_back_scheduled'],
+    does_not_meet_requirements: ['interested']
+};
+
+// Fields a move into a status must carry
+const TRANSITION_REQUIREMENTS = {
+    declined_interest: ['lostReason'],
+    does_not_meet_requirements: ['lostReason'],
+    site_visit_confirmed: ['visitDate'],
+    call_back_scheduled: ['followUpDate']
+};
+
+// Roles that may skip the transition rules (with a remark), e.g. to correct a mistake
+const STATUS_OVERRIDE_ROLES = ['super admin', 'admin'];
+
+const normalizeLeadStatus = (status) => LEGACY_STATUS_MAP[status] || status || 'lead_received';
+
+const getAllowedTransitions = (status) => STATUS_TRANSITIONS[normalizeLeadStatus(status)] || [];
+
+const getStatusLabel = (status) =>
+    LEAD_PIPELINE.find(stage => stage.status === normalizeLeadStatus(status))?.label || status;
+
+const parseDate = (value, time) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return undefined;
+    if (time) {
+        const [hours, minutes] = String(time).split(':');
+        date.setHours(parseInt(hours) || 0, parseInt(minutes) || 0, 0, 0);
+    }
+    return date;
+};
+
+// Check a status change and work out what it writes on the lead.
+// lostReasons is the list of selectable lost reason codes (see utils/lostReason.js).
+// Returns { error, allowedStatuses } or { updates, metadata, overridden }.
+const validateStatusChange = ({ from, to, role = '', override = false, input = {}, lostReasons = null }) => {
+    if (!PIPELINE_STATUSES.includes(to)) {
+        return { error: `Invalid status. Must be one of: ${PIPELINE_STATUSES.join(', ')}` };
+    }
+
+    const current = normalizeLeadStatus(from);
+    if (current === to) {
+        return { error: `Lead is already in ${getStatusLabel(to)}` };
+    }
+
+    const allowedStatuses = getAllowedTransitions(current);
+    const canOverride = STATUS_OVERRIDE_ROLES.includes(String(role).toLowerCase());
+    let overridden = false;
+
+    if (!allowedStatuses.includes(to)) {
+        if (!override || !canOverride) {
+            return {
+                error: `Cannot move a lead from ${getStatusLabel(current)} to ${getStatusLabel(to)}`,
+                allowedStatuses
+            };
+        }
+        if (!input.remark || !String(input.remark).trim()) {
+            return { error: 'A remark is required when overriding the status pipeline', allowedStatuses };
+        }
+        overridden = true;
+    }
+
+    const missing = (TRANSITION_REQUIREMENTS[to] || []).filter(field => !input[field]);
+    if (missing.length > 0) {
+        return { error: `${missing.join(', ')} ${missing.length > 1 ? 'are' : 'is'} required to move a lead to ${getStatusLabel(to)}` };
+    }
+
+    const updates = { status: to, statusChangedAt: new Date() };
+    const metadata = {};
+
+    if (LOST_STATUSES.includes(to)) {
+        const lostReason = String(input.lostReason).trim().toLowerCase();
+        if (lostReasons && !lostReasons.includes(lostReason)) {
+            return { error: `Invalid lostReason. Must be one of: ${lostReasons.join(', ')}` };
+        }
+        updates.lostReason = lostReason;
+        updates.lostReasonNote = input.lostReasonNote ? String(input.lostReasonNote).trim() : '';
+        metadata.lostReason = updates.lostReason;
+    } else if (LOST_STATUSES.includes(current)) {
+        // Reopened leads drop their old lost reason
+        updates.lostReason = null;
+        updates.lostReasonNote = '';
+    }
+
+    if (to === 'site_visit_confirmed') {
+        const visitDate = parseDate(input.visitDate, input.visitTime);
+        if (!visitDate) return { error: 'Invalid visit date format' };
+        updates.scheduleDate = visitDate;
+        metadata.visitDate = visitDate;
+    }
+
+    if (to === 'call_back_scheduled') {
+        const followUpDate = parseDate(input.followUpDate, input.followUpTime);
+        if (!followUpDate) return { error: 'Invalid follow-up date format' };
+        updates.scheduleDate = followUpDate;
+        metadata.followUpDate = followUpDate;
+    }
+
+    if (overridden) metadata.override = true;
+
+    return { updates, metadata, overridden };
+};
+
+module.exports = {
+    LEAD_PIPELINE,
+    PIPELINE_STATUSES,
+    LEGACY_STATUS_MAP,
+    LOST_STATUSES,
+    STATUS_TRANSITIONS,
+    TRANSITION_REQUIREMENTS,
+    STATUS_OVERRIDE_ROLES,
+    normalizeLeadStatus,
+    getAllowedTransitions,
+    getStatusLabel,
+    validateStatusChange
+};
@@ -0,0 +1,39 @@
+const LostReason = require('../models/lostReason');
+const { logInfo } = require('./logger');
+
+// Created the first time the taxonomy is read and no reason exists yet
+const DEFAULT_LOST_REASONS = [
+    { code: 'price', label: 'Price', sortOrder: 1 },
+    { code: 'location', label: 'Location', sortOrder: 2 },
+    { code: 'possession_date', label: 'Possession date', sortOrder: 3 },
+    { code: 'financing', label: 'Financing', sortOrder: 4 },
+    { code: 'competitor', label: 'Went with a competitor', sortOrder: 5 }
+];
+
+const ensureDefaultLostReasons = async () => {
+    if (await LostReason.exists({})) return;
+    try {
+        await LostReason.insertMany(DEFAULT_LOST_REASONS, { ordered: false });
+        logInfo('Default lost reasons created', { count: DEFAULT_LOST_REASONS.length });
+    } catch (error) {
+        // Another request seeded them at the same time
+        if (error.code !== 11000) throw error;
+    }
+};
+
+const getLostReasons = async ({ activeOnly = false } = {}) => {
+    await ensureDefaultLostReasons();
+    return LostReason.find(activeOnly ? { isActive: true } : {})
+        .sort({ sortOrder: 1, label: 1 })
+        .lean();
+};
+
+const getActiveLostReasonCodes = async () =>
+    (await getLostReasons({ activeOnly: true })).map(reason => reason.code);
+
+module.exports = {
+    DEFAULT_LOST_REASONS,
+    ensureDefaultLostReasons,
+    getLostReasons,
+    getActiveLostReasonCodes
+};
@@ -0,0 +1,56 @@
+const Notification = require('../models/notification');
+const User = require('../models/user');
+const { sendSMS } = require('./twilio');
+const { logError } = require('./logger');
+
+// Create an in-app notification for one user and optionally send the same update by SMS.
+// Failures are logged and never thrown, so callers (jobs, controllers) keep going.
+const notifyUser = async ({
+    userId,
+    leadId = null,
+    propertyId = null,
+    groupBuyId = null,
+    notificationType,
+    title,
+    message,
+    source = 'Milke Khareedo',
+    sourceId = null,
+    metadata = {},
+    smsMessage = null
+}) => {
+    const result = { notification: null, sms: null };
+
+    try {
+        result.notification = await Notification.create({
+            userId,
+            leadId,
+            propertyId,
+            groupBuyId,
+            notificationType,
+            title,
+            message,
+            source,
+            sourceId,
+            metadata
+        });
+    } catch (error) {
+        logError('Error creating notification', error, { userId, leadId, groupBuyId, notificationType });
+    }
+
+    if (smsMessage) {
+        try {
+            const user = await User.findById(userId).select('phoneNumber countryCode').lean();
+            if (user?.phoneNumber) {
+                result.sms = await sendSMS(user.phoneNumber, user.countryCode || '+91', smsMessage);
+            }
+        } catch (error) {
+            logError('Error sending notification SMS', error, { userId, notificationType });
+        }
+    }
+
+    return result;
+};
+
+module.exports = {
+    notifyUser
+};
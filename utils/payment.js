@@ -0,0 +1,429 @@
+const Payment = require('../models/payment');
+const Property = require('../models/property');
+const LeadActivity = require('../models/leadActivity');
+const UnitHold = require('../models/unitHold');
+const GroupBuyMember = require('../models/groupBuyMember');
+const { getPaymentProvider } = require('./paymentProviders');
+const { reserveHold, releaseHold } = require('./inventory');
+const { notifyUser } = require('./notification');
+const { recomputeLeadScore } = require('./leadScoring');
+const { logInfo, logError } = require('./logger');
+
+// Failed refunds are retried with exponential backoff until REFUND_MAX_ATTEMPTS is reached
+const REFUND_MAX_ATTEMPTS = parseInt(process.env.REFUND_MAX_ATTEMPTS) || 5;
+const REFUND_RETRY_BASE_MINUTES = parseInt(process.env.REFUND_RETRY_BASE_MINUTES) || 15;
+
+const getNextRefundRetry = (attempts) => {
+    if (attempts >= REFUND_MAX_ATTEMPTS) return null;
+    const delayMinutes = REFUND_RETRY_BASE_MINUTES * Math.pow(2, Math.max(attempts - 1, 0));
+    return new Date(Date.now() + delayMinutes * 60 * 1000);
+};
+
+const MEMBER_REFUND_STATUS = {
+    refund_pending: 'pending',
+    refunded: 'refunded',
+    refund_failed: 'failed'
+};
+
+// Mirror the refund state on the group membership the payment belongs to
+const syncMemberRefundStatus = async (payment) => {
+    const refundStatus = MEMBER_REFUND_STATUS[payment?.status];
+    if (!payment?.memberId || !refundStatus) return;
+    try {
+        await GroupBuyMember.updateOne(
+            { _id: payment.memberId },
+            { $set: { refundStatus, refundUpdatedAt: new Date() } }
+        );
+    } catch (error) {
+        logError('Error syncing member refund status', error, { paymentId: payment._id, memberId: payment.memberId });
+    }
+};
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+
+const formatPayment = (payment) => ({
+    paymentId: payment._id,
+    propertyId: payment.propertyId,
+    configurationId: payment.configurationId || null,
+    subConfigurationId: payment.subConfigurationId || null,
+    groupBuyId: payment.groupBuyId || null,
+    purpose: payment.purpose,
+    amount: payment.amount,
+    currency: payment.currency,
+    provider: payment.provider,
+    orderId: payment.providerOrderId,
+    status: payment.status,
+    isRefundable: payment.isRefundable,
+    paidAt: payment.paidAt || null,
+    failureReason: payment.failureReason || null,
+    refund: payment.refund ? {
+        amount: payment.refund.amount,
+        reason: payment.refund.reason || '',
+        requestedAt: payment.refund.requestedAt || null,
+        processedAt: payment.refund.processedAt || null,
+        attempts: payment.refund.attempts || 0
+    } : null,
+    createdAt: payment.createdAt
+});
+
+// Record a payment milestone on the lead timeline (system activity, performed by the buyer)
+const addPaymentActivity = async (payment, description, metadata = {}) => {
+    if (!payment.leadId) return;
+    try {
+        await LeadActivity.create({
+            leadId: payment.leadId,
+            activityType: 'payment',
+            performedBy: payment.userId,
+            performedByName: 'System',
+            description,
+            metadata: {
+                paymentId: payment._id.toString(),
+                amount: payment.amount,
+                status: payment.status,
+                ...metadata
+            }
+        });
+    } catch (error) {
+        logError('Error adding payment activity', error, { paymentId: payment._id });
+    }
+};
+
+// Notify the buyer (in-app + SMS) and the property's relationship manager (in-app)
+const notifyPaymentUpdate = async (payment, { title, buyerMessage, rmMessage }) => {
+    const property = await Property.findById(payment.propertyId).select('projectName relationshipManager').lean();
+    const metadata = { projectName: property?.projectName || 'N/A' };
+
+    await notifyUser({
+        userId: payment.userId,
+        leadId: payment.leadId,
+        propertyId: payment.propertyId,
+        groupBuyId: payment.groupBuyId,
+        notificationType: 'payment',
+        title,
+        message: buyerMessage,
+        metadata,
+        smsMessage: `${buyerMessage}\n\n- Milke Khareedo Team`
+    });
+
+    if (rmMessage && property?.relationshipManager) {
+        await notifyUser({
+            userId: property.relationshipManager,
+            leadId: payment.leadId,
+            propertyId: payment.propertyId,
+            groupBuyId: payment.groupBuyId,
+            notificationType: 'payment',
+            title,
+            message: rmMessage,
+            metadata
+        });
+    }
+
+    return property;
+};
+
+// Create a provider order for a token amount and store it as a pending payment
+const createTokenPayment = async ({ userId, leadId, property, configurationId = null, subConfigurationId = null, groupBuyId = null, memberId = null }) => {
+    const provider = getPaymentProvider();
+    const order = await provider.createOrder({
+        amount: property.tokenAmount,
+        currency: 'INR',
+        receipt: `token_${property._id.toString().slice(-8)}_${Date.now()}`,
+        notes: {
+            propertyId: property._id.toString(),
+            userId: userId.toString(),
+            purpose: 'token_amount'
+        }
+    });
+
+    const payment = await Payment.create({
+        userId,
+        leadId,
+        propertyId: property._id,
+        configurationId,
+        subConfigurationId,
+        groupBuyId,
+        memberId,
+        purpose: 'token_amount',
+        amount: property.tokenAmount,
+        currency: order.currency || 'INR',
+        provider: provider.name,
+        providerOrderId: order.orderId,
+        events: [{ event: 'order_created', status: 'created' }]
+    });
+
+    logInfo('Token payment order created', { paymentId: payment._id, orderId: order.orderId, provider: provider.name, userId });
+    return { payment, checkout: provider.getCheckoutConfig() };
+};
+
+// Move a payment to captured exactly once and run the booking side effects.
+// Safe to call from both the checkout verify call and the webhook.
+const markPaymentCaptured = async (payment, providerPaymentId, note = '') => {
+    const updated = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: { $in: ['created', 'failed'] } },
+        {
+            $set: { status: 'captured', providerPaymentId, paidAt: new Date(), failureReason: null },
+            $push: { events: { event: 'payment_captured', status: 'captured', note } }
+        },
+        { new: true }
+    );
+    if (!updated) return { payment: await Payment.findById(payment._id), changed: false };
+
+    // The token secures the buyer's held unit - turn the hold into a reservation
+    if (updated.subConfigurationId) {
+        const hold = await UnitHold.findOne({
+            userId: updated.userId,
+            subConfigurationId: updated.subConfigurationId,
+            status: 'active'
+        }).select('_id').lean();
+        if (hold) {
+            await reserveHold(hold._id, { reservedBy: updated.userId, note: `Token payment ${updated._id}` });
+        }
+    }
+
+    const amountText = formatAmount(updated.amount);
+    await addPaymentActivity(updated, `Token amount of ${amountText} paid`, { providerPaymentId });
+    if (updated.leadId) await recomputeLeadScore(updated.leadId);
+    const property = await notifyPaymentUpdate(updated, {
+        title: 'Token Amount Received',
+        buyerMessage: `We have received your refundable token amount of ${amountText}.`,
+        rmMessage: `A buyer paid a token amount of ${amountText}.`
+    });
+
+    logInfo('Token payment captured', { paymentId: updated._id, providerPaymentId, projectName: property?.projectName });
+    return { payment: updated, changed: true };
+};
+
+const markPaymentFailed = async (payment, providerPaymentId, reason = 'Payment failed') => {
+    const updated = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: 'created' },
+        {
+            $set: { status: 'failed', providerPaymentId, failureReason: reason },
+            $push: { events: { event: 'payment_failed', status: 'failed', note: reason } }
+        },
+        { new: true }
+    );
+    if (updated) {
+        logInfo('Token payment failed', { paymentId: updated._id, providerPaymentId, reason });
+    }
+    return updated || Payment.findById(payment._id);
+};
+
+// Verify the checkout signature, then confirm the payment state with the provider
+const confirmCheckoutPayment = async (payment, { paymentId, signature }) => {
+    const provider = getPaymentProvider(payment.provider);
+    if (!provider.verifyPaymentSignature({ orderId: payment.providerOrderId, paymentId, signature })) {
+        return { error: 'Invalid payment signature' };
+    }
+
+    let providerPayment = await provider.fetchPayment(paymentId);
+    if (providerPayment.status === 'authorized') {
+        providerPayment = await provider.capturePayment({ paymentId, amount: payment.amount, currency: payment.currency });
+    }
+
+    if (providerPayment.status === 'captured') {
+        return markPaymentCaptured(payment, paymentId, 'Confirmed at checkout');
+    }
+    if (providerPayment.status === 'failed') {
+        return { payment: await markPaymentFailed(payment, paymentId, providerPayment.error || 'Payment failed'), changed: true };
+    }
+    return { payment, changed: false };
+};
+
+const markRefundProcessed = async (payment, providerRefundId = null) => {
+    const set = { status: 'refunded', 'refund.processedAt': new Date(), 'refund.lastError': null };
+    if (providerRefundId) set['refund.providerRefundId'] = providerRefundId;
+
+    const updated = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: { $in: ['refund_pending', 'refund_failed'] } },
+        { $set: set, $push: { events: { event: 'refund_processed', status: 'refunded' } } },
+        { new: true }
+    );
+    if (!updated) return { payment: await Payment.findById(payment._id), changed: false };
+    await syncMemberRefundStatus(updated);
+
+    // Refunded token - the reserved unit goes back to the inventory
+    if (updated.subConfigurationId) {
+        const hold = await UnitHold.findOne({
+            userId: updated.userId,
+            subConfigurationId: updated.subConfigurationId,
+            status: { $in: ['active', 'reserved'] }
+        }).select('_id').lean();
+        if (hold) {
+            await releaseHold(hold._id, { status: 'released', note: `Token payment ${updated._id} refunded` });
+        }
+    }
+
+    const amountText = formatAmount(updated.refund?.amount || updated.amount);
+    await addPaymentActivity(updated, `Token amount of ${amountText} refunded`, { reason: updated.refund?.reason || '' });
+    await notifyPaymentUpdate(updated, {
+        title: 'Token Amount Refunded',
+        buyerMessage: `Your token amount of ${amountText} has been refunded. It may take 5-7 working days to reflect in your account.`
+    });
+
+    logInfo('Token payment refunded', { paymentId: updated._id, providerRefundId });
+    return { payment: updated, changed: true };
+};
+
+const markRefundFailed = async (payment, errorMessage) => {
+    const nextRetryAt = getNextRefundRetry(payment.refund?.attempts || 0);
+    const updated = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: 'refund_pending' },
+        {
+            $set: { status: 'refund_failed', 'refund.lastError': errorMessage, 'refund.nextRetryAt': nextRetryAt },
+            $push: { events: { event: 'refund_failed', status: 'refund_failed', note: errorMessage } }
+        },
+        { new: true }
+    );
+    if (updated) {
+        await syncMemberRefundStatus(updated);
+        logError('Token refund failed', new Error(errorMessage), {
+            paymentId: updated._id,
+            attempts: updated.refund?.attempts,
+            nextRetryAt,
+            willRetry: !!nextRetryAt
+        });
+    }
+    return updated || Payment.findById(payment._id);
+};
+
+// Ask the provider to refund a captured (or previously failed-to-refund) payment.
+// The status flip to refund_pending is conditional, so a payment is never refunded twice in parallel.
+const requestRefund = async (payment, { reason = '', requestedBy = null } = {}) => {
+    const now = new Date();
+    const set = {
+        status: 'refund_pending',
+        'refund.amount': payment.amount,
+        'refund.reason': reason || payment.refund?.reason || '',
+        'refund.nextRetryAt': null
+    };
+    if (!payment.refund?.requestedAt) {
+        set['refund.requestedAt'] = now;
+        set['refund.requestedBy'] = requestedBy;
+    }
+
+    const claimed = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: { $in: ['captured', 'refund_failed'] }, isRefundable: true },
+        {
+            $set: set,
+            $inc: { 'refund.attempts': 1 },
+            $push: { events: { event: 'refund_requested', status: 'refund_pending', note: reason } }
+        },
+        { new: true }
+    );
+    if (!claimed) return { payment: await Payment.findById(payment._id), changed: false };
+    await syncMemberRefundStatus(claimed);
+
+    const provider = getPaymentProvider(claimed.provider);
+    try {
+        const refund = await provider.refundPayment({
+            paymentId: claimed.providerPaymentId,
+            amount: claimed.amount,
+            notes: { paymentId: claimed._id.toString(), reason }
+        });
+
+        if (refund.status === 'processed') {
+            return markRefundProcessed(claimed, refund.refundId);
+        }
+
+        await Payment.updateOne({ _id: claimed._id }, { $set: { 'refund.providerRefundId': refund.refundId } });
+        return { payment: await Payment.findById(claimed._id), changed: true };
+    } catch (error) {
+        return { payment: await markRefundFailed(claimed, error.message), changed: true };
+    }
+};
+
+// Refund every captured token paid into a group (or by one of its members) - used when a group expires unmet
+const refundGroupPayments = async (group, reason = 'Group buy ended without reaching the minimum members') => {
+    const memberIds = await GroupBuyMember.find({ groupBuyId: group._id }).distinct('_id');
+    const payments = await Payment.find({
+        purpose: 'token_amount',
+        status: 'captured',
+        isRefundable: true,
+        $or: [{ groupBuyId: group._id }, { memberId: { $in: memberIds } }]
+    });
+
+    let requested = 0;
+    let failed = 0;
+    for (const payment of payments) {
+        const result = await requestRefund(payment, { reason });
+        if (!result.changed) continue;
+        requested++;
+        if (result.payment?.status === 'refund_failed') failed++;
+    }
+
+    if (payments.length > 0) {
+        logInfo('Group buy token refunds issued', { groupBuyId: group._id, requested, failed });
+    }
+    return { requested, failed };
+};
+
+// Scheduler job: retry refunds the provider rejected, once their backoff has passed
+const retryFailedRefunds = async () => {
+    const due = await Payment.find({
+        status: 'refund_failed',
+        isRefundable: true,
+        'refund.attempts': { $lt: REFUND_MAX_ATTEMPTS },
+        'refund.nextRetryAt': { $lte: new Date() }
+    }).limit(100);
+
+    let refunded = 0;
+    let failed = 0;
+    for (const payment of due) {
+        try {
+            const result = await requestRefund(payment);
+            if (result.payment?.status === 'refund_failed') failed++;
+            else if (result.changed) refunded++;
+        } catch (error) {
+            logError('Error retrying refund', error, { paymentId: payment._id });
+        }
+    }
+
+    return { retried: due.length, refunded, failed };
+};
+
+// Apply a verified provider webhook to the matching payment
+const handleWebhookEvent = async (event) => {
+    let payment = null;
+    if (event.orderId) {
+        payment = await Payment.findOne({ providerOrderId: event.orderId });
+    }
+    if (!payment && event.paymentId) {
+        payment = await Payment.findOne({ providerPaymentId: event.paymentId });
+    }
+    if (!payment) {
+        return { handled: false, reason: 'Payment not found' };
+    }
+
+    switch (event.type) {
+        case 'payment.captured':
+            await markPaymentCaptured(payment, event.paymentId, 'Webhook');
+            break;
+        case 'payment.failed':
+            await markPaymentFailed(payment, event.paymentId, event.error || 'Payment failed');
+            break;
+        case 'refund.processed':
+            await markRefundProcessed(payment, event.refundId);
+            break;
+        case 'refund.failed':
+            await markRefundFailed(payment, 'Refund failed at provider');
+            break;
+        default:
+            return { handled: false, reason: `Unhandled event ${event.type}` };
+    }
+
+    return { handled: true, paymentId: payment._id };
+};
+
+module.exports = {
+    formatPayment,
+    createTokenPayment,
+    confirmCheckoutPayment,
+    markPaymentCaptured,
+    markPaymentFailed,
+    requestRefund,
+    refundGroupPayments,
+    retryFailedRefunds,
+    markRefundProcessed,
+    markRefundFailed,
+    handleWebhookEvent
+};
@@ -0,0 +1,33 @@
+const mock = require('./mock');
+const razorpay = require('./razorpay');
+
+// Every provider exposes the same interface:
+// createOrder, verifyPaymentSignature, fetchPayment, capturePayment, refundPayment,
+// verifyWebhookSignature, parseWebhookEvent and getCheckoutConfig.
+const providers = {
+    mock,
+    razorpay
+};
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+// PAYMENT_PROVIDER selects the active provider and must be set - there is no default.
+// The local mock is refused in production.
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+    if (!name) {
+        throw new Error('PAYMENT_PROVIDER is not configured');
+    }
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    if (provider.name === 'mock' && isProduction()) {
+        throw new Error('The mock payment provider cannot be used in production');
+    }
+    return provider;
+};
+
+module.exports = {
+    isProduction,
+    getPaymentProvider
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const razorpay = require('./razorpay');
+
+// Fully local provider for development: orders and payments never leave the process.
+// Signatures follow the Razorpay scheme so the same verify / webhook code paths run.
+// Set MOCK_PAYMENT_FAIL_REFUNDS=true to make every refund fail (useful to exercise retries).
+// Needs MOCK_PAYMENT_SECRET - without it nothing verifies, so signatures cannot be forged with a known key.
+const getSecret = () => process.env.MOCK_PAYMENT_SECRET || null;
+
+const randomId = (prefix) => `${prefix}_mock_${crypto.randomBytes(7).toString('hex')}`;
+
+const createOrder = async ({ amount, currency = 'INR' }) => ({
+    orderId: randomId('order'),
+    amount,
+    currency,
+    status: 'created'
+});
+
+const verifyPaymentSignature = ({ orderId, paymentId, signature }) => {
+    const secret = getSecret();
+    if (!secret) return false;
+    return razorpay.signaturesMatch(razorpay.hmac(secret, `${orderId}|${paymentId}`), signature);
+};
+
+// Payment ids created by simulatePayment with success=false contain "failed"
+const fetchPayment = async (paymentId) => {
+    const failed = paymentId.includes('failed');
+    return {
+        paymentId,
+        orderId: null,
+        status: failed ? 'failed' : 'captured',
+        error: failed ? 'Payment declined (mock)' : null
+    };
+};
+
+const capturePayment = async ({ paymentId }) => ({ paymentId, status: 'captured' });
+
+const refundPayment = async () => {
+    if (process.env.MOCK_PAYMENT_FAIL_REFUNDS === 'true') {
+        throw new Error('Refund rejected by mock provider');
+    }
+    return { refundId: randomId('rfnd'), status: 'processed' };
+};
+
+const verifyWebhookSignature = (rawBody, signature) => {
+    const secret = getSecret();
+    if (!secret || !rawBody) return false;
+    return razorpay.signaturesMatch(razorpay.hmac(secret, rawBody), signature);
+};
+
+// Stand-in for the hosted checkout: returns what the checkout would hand back to the app
+const simulatePayment = (orderId, success = true) => {
+    const secret = getSecret();
+    if (!secret) {
+        throw new Error('MOCK_PAYMENT_SECRET is not configured');
+    }
+    const paymentId = success ? randomId('pay') : randomId('pay_failed');
+    return {
+        orderId,
+        paymentId,
+        signature: razorpay.hmac(secret, `${orderId}|${paymentId}`)
+    };
+};
+
+module.exports = {
+    name: 'mock',
+    signatureHeader: 'x-razorpay-signature',
+    getCheckoutConfig: () => ({ keyId: 'mock_key' }),
+    createOrder,
+    verifyPaymentSignature,
+    fetchPayment,
+    capturePayment,
+    refundPayment,
+    verifyWebhookSignature,
+    parseWebhookEvent: razorpay.parseWebhookEvent,
+    simulatePayment
+};
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+
+// Razorpay REST API - amounts are sent in paise.
+// Needs RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET.
+const API_BASE_URL = 'https://api.razorpay.com/v1';
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+const request = async (method, path, body) => {
+    const keyId = process.env.RAZORPAY_KEY_ID;
+    const keySecret = process.env.RAZORPAY_KEY_SECRET;
+    if (!keyId || !keySecret) {
+        throw new Error('Razorpay credentials are not configured');
+    }
+
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data?.error?.description || `Razorpay request failed with status ${response.status}`);
+    }
+    return data;
+};
+
+const signaturesMatch = (expected, received) => {
+    if (!received || typeof received !== 'string') return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(received);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const hmac = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const createOrder = async ({ amount, currency = 'INR', receipt, notes = {} }) => {
+    const order = await request('POST', '/orders', {
+        amount: toPaise(amount),
+        currency,
+        receipt,
+        notes
+    });
+    return { orderId: order.id, amount, currency: order.currency, status: order.status };
+};
+
+// Checkout returns razorpay_order_id, razorpay_payment_id and razorpay_signature
+const verifyPaymentSignature = ({ orderId, paymentId, signature }) => {
+    const secret = process.env.RAZORPAY_KEY_SECRET;
+    if (!secret) return false;
+    return signaturesMatch(hmac(secret, `${orderId}|${paymentId}`), signature);
+};
+
+// Returns 'created' | 'authorized' | 'captured' | 'refunded' | 'failed'
+const fetchPayment = async (paymentId) => {
+    const payment = await request('GET', `/payments/${paymentId}`);
+    return { paymentId: payment.id, orderId: payment.order_id, status: payment.status, error: payment.error_description || null };
+};
+
+const capturePayment = async ({ paymentId, amount, currency = 'INR' }) => {
+    const payment = await request('POST', `/payments/${paymentId}/capture`, { amount: toPaise(amount), currency });
+    return { paymentId: payment.id, status: payment.status };
+};
+
+// Returns status 'processed' or 'pending' - pending refunds finish through the webhook
+const refundPayment = async ({ paymentId, amount, notes = {} }) => {
+    const refund = await request('POST', `/payments/${paymentId}/refund`, { amount: toPaise(amount), notes });
+    return { refundId: refund.id, status: refund.status === 'processed' ? 'processed' : 'pending' };
+};
+
+const verifyWebhookSignature = (rawBody, signature) => {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!secret || !rawBody) return false;
+    return signaturesMatch(hmac(secret, rawBody), signature);
+};
+
+// Normalise a Razorpay webhook body to { type, orderId, paymentId, refundId, error }
+const parseWebhookEvent = (body) => {
+    const payment = body?.payload?.payment?.entity || {};
+    const refund = body?.payload?.refund?.entity || {};
+    return {
+        type: body?.event,
+        orderId: payment.order_id || null,
+        paymentId: payment.id || refund.payment_id || null,
+        refundId: refund.id || null,
+        error: payment.error_description || null
+    };
+};
+
+module.exports = {
+    name: 'razorpay',
+    signatureHeader: 'x-razorpay-signature',
+    getCheckoutConfig: () => ({ keyId: process.env.RAZORPAY_KEY_ID || null }),
+    createOrder,
+    verifyPaymentSignature,
+    fetchPayment,
+    capturePayment,
+    refundPayment,
+    verifyWebhookSignature,
+    parseWebhookEvent,
+    hmac,
+    signaturesMatch
+};
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const Referral = require('../models/referral');
+const User = require('../models/user');
+const { notifyUser } = require('./notification');
+const { logInfo, logError } = require('./logger');
+
+// Used when a property has no referral reward of its own
+const DEFAULT_REFERRAL_REWARD = Math.max(parseInt(process.env.REFERRAL_REWARD_AMOUNT) || 0, 0);
+const REFERRAL_CODE_ATTEMPTS = 5;
+
+const normalizeReferralCode = (code) => String(code || '').trim().toUpperCase();
+
+// Short code made of the user's initials and random characters, e.g. "RS7K2Q9P"
+const generateReferralCode = (name = '') => {
+    const initials = String(name)
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(part => part[0])
+        .join('')
+        .replace(/[^A-Za-z]/g, '')
+        .slice(0, 2)
+        .toUpperCase() || 'MK';
+    return `${initials}${crypto.randomBytes(4).toString('hex').toUpperCase().slice(0, 6)}`;
+};
+
+// Return the user's referral code, generating one on first use
+const getOrCreateReferralCode = async (userId) => {
+    const user = await User.findById(userId).select('name referralCode').lean();
+    if (!user) return null;
+    if (user.referralCode) return user.referralCode;
+
+    for (let attempt = 0; attempt < REFERRAL_CODE_ATTEMPTS; attempt++) {
+        try {
+            // Only set when still missing so concurrent requests agree on a single code
+            const updated = await User.findOneAndUpdate(
+                { _id: userId, referralCode: { $exists: false } },
+                { $set: { referralCode: generateReferralCode(user.name) } },
+                { new: true }
+            ).select('referralCode').lean();
+            if (updated) return updated.referralCode;
+
+            const current = await User.findById(userId).select('referralCode').lean();
+            if (current?.referralCode) return current.referralCode;
+        } catch (error) {
+            // Code collision with another user - try a fresh one
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    throw new Error('Could not generate a unique referral code');
+};
+
+const findReferrerByCode = (referralCode) => {
+    const code = normalizeReferralCode(referralCode);
+    if (!code) return null;
+    return User.findOne({ referralCode: code, isActive: { $ne: false } }).select('name referralCode').lean();
+};
+
+const getReferralReward = (property) =>
+    property?.referralRewardAmount > 0 ? property.referralRewardAmount : DEFAULT_REFERRAL_REWARD;
+
+// Record a referral for a buyer who joined a group through someone's link.
+// A buyer is attributed once per property; an existing referral is returned as-is.
+const attributeReferral = async ({ referrer, refereeId, lead, property, groupBuyId = null, memberId = null }) => {
+    try {
+        const referral = await Referral.create({
+            referrerId: referrer._id,
+            refereeId,
+            referralCode: referrer.referralCode,
+            leadId: lead._id,
+            propertyId: property._id,
+            groupBuyId,
+            memberId,
+            rewardAmount: getReferralReward(property)
+        });
+
+        logInfo('Referral attributed', { referralId: referral._id, referrerId: referrer._id, refereeId, propertyId: property._id });
+        return referral;
+    } catch (error) {
+        if (error.code === 11000) {
+            return Referral.findOne({ refereeId, propertyId: property._id }).lean();
+        }
+        throw error;
+    }
+};
+
+// Keep the referral reward in step with the referred lead's status:
+// deal_closed earns the reward, moving away from it puts an unpaid reward back to pending
+const syncReferralForLeadStatus = async (leadId, status) => {
+    try {
+        if (status === 'deal_closed') {
+            const referral = await Referral.findOneAndUpdate(
+                { leadId, status: 'pending' },
+                { $set: { status: 'earned', earnedAt: new Date() } },
+                { new: true }
+            ).populate('propertyId', 'projectName').lean();
+            if (!referral) return null;
+
+            const projectName = referral.propertyId?.projectName || 'a project';
+            await notifyUser({
+                userId: referral.referrerId,
+                leadId: referral.leadId,
+                propertyId: referral.propertyId?._id || null,
+                groupBuyId: referral.groupBuyId || null,
+                notificationType: 'referral',
+                title: 'Referral Reward Earned',
+                message: `A buyer you referred closed their deal at ${projectName}. You earned a reward of ₹${referral.rewardAmount}.`,
+                metadata: { referralId: referral._id.toString(), rewardAmount: referral.rewardAmount },
+                smsMessage: `Milke Khareedo: A buyer you referred closed their deal at ${projectName}. You earned a referral reward of Rs. ${referral.rewardAmount}.`
+            });
+
+            logInfo('Referral reward earned', { referralId: referral._id, leadId });
+            return referral;
+        }
+
+        return await Referral.findOneAndUpdate(
+            { leadId, status: 'earned' },
+            { $set: { status: 'pending' }, $unset: { earnedAt: 1 } },
+            { new: true }
+        ).lean();
+    } catch (error) {
+        logError('Error syncing referral for lead status', error, { leadId, status });
+        return null;
+    }
+};
+
+const formatReferral = (referral) => ({
+    id: referral._id,
+    status: referral.status,
+    rewardAmount: referral.rewardAmount || 0,
+    referralCode: referral.referralCode,
+    groupBuyId: referral.groupBuyId || null,
+    earnedAt: referral.earnedAt || null,
+    paidAt: referral.paidAt || null,
+    paymentReference: referral.paymentReference || '',
+    createdAt: referral.createdAt
+});
+
+// Totals per reward state for a list of referrals
+const summarizeReferrals = (referrals) => {
+    const summary = {
+        totalReferrals: 0,
+        pendingCount: 0,
+        earnedCount: 0,
+        paidCount: 0,
+        pendingAmount: 0,
+        earnedAmount: 0,
+        paidAmount: 0
+    };
+
+    referrals.forEach(referral => {
+        if (referral.status === 'cancelled') return;
+        summary.totalReferrals += 1;
+        summary[`${referral.status}Count`] += 1;
+        summary[`${referral.status}Amount`] += referral.rewardAmount || 0;
+    });
+
+    summary.totalEarnings = summary.earnedAmount + summary.paidAmount;
+    return summary;
+};
+
+module.exports = {
+    DEFAULT_REFERRAL_REWARD,
+    normalizeReferralCode,
+    getOrCreateReferralCode,
+    findReferrerByCode,
+    getReferralReward,
+    attributeReferral,
+    syncReferralForLeadStatus,
+    formatReferral,
+    summarizeReferrals
+};
@@ -0,0 +1,109 @@
+const { logInfo, logError } = require('./logger');
+const { processGroupDeadlines } = require('./groupBuy');
+const { processExpiredHolds } = require('./inventory');
+const { retryFailedRefunds } = require('./payment');
+const { assignUnassignedLeads } = require('./leadAssignment');
+const { processLeadSlas } = require('./leadSla');
+const { refreshLeadScores } = require('./leadScoring');
+const { scanForDuplicates } = require('./leadDuplicates');
+const { sendVisitReminders } = require('./visitReminders');
+
+// In-process background jobs. Each job runs on its own interval and never overlaps itself.
+// Set DISABLE_SCHEDULER=true on instances that should not run jobs (e.g. extra API replicas).
+const MINUTE = 60 * 1000;
+
+const jobs = [
+    {
+        name: 'group-buy-deadlines',
+        intervalMs: (parseInt(process.env.GROUP_BUY_DEADLINE_CHECK_MINUTES) || 5) * MINUTE,
+        handler: processGroupDeadlines
+    },
+    {
+        name: 'unit-hold-expiry',
+        intervalMs: (parseInt(process.env.UNIT_HOLD_EXPIRY_CHECK_MINUTES) || 5) * MINUTE,
+        handler: processExpiredHolds
+    },
+    {
+        name: 'refund-retry',
+        intervalMs: (parseInt(process.env.REFUND_RETRY_CHECK_MINUTES) || 10) * MINUTE,
+        handler: retryFailedRefunds
+    },
+    {
+        // Picks up leads that came in while no agent was available
+        name: 'lead-assignment-backlog',
+        intervalMs: (parseInt(process.env.LEAD_ASSIGNMENT_CHECK_MINUTES) || 15) * MINUTE,
+        handler: () => assignUnassignedLeads()
+    },
+    {
+        name: 'lead-sla',
+        intervalMs: (parseInt(process.env.LEAD_SLA_CHECK_MINUTES) || 10) * MINUTE,
+        handler: processLeadSlas
+    },
+    {
+        // Scores new leads and keeps time based signals (recent searches) current
+        name: 'lead-score-refresh',
+        intervalMs: (parseInt(process.env.LEAD_SCORE_CHECK_MINUTES) || 30) * MINUTE,
+        handler: () => refreshLeadScores()
+    },
+    {
+        name: 'duplicate-scan',
+        intervalMs: (parseInt(process.env.DUPLICATE_SCAN_MINUTES) || 60) * MINUTE,
+        handler: scanForDuplicates
+    },
+    {
+        // 24h and 2h reminders before site visits over SMS / WhatsApp
+        name: 'visit-reminders',
+        intervalMs: (parseInt(process.env.VISIT_REMINDER_CHECK_MINUTES) || 10) * MINUTE,
+        handler: () => sendVisitReminders()
+    }
+];
+
+const timers = [];
+
+const runJob = async (job) => {
+    if (job.isRunning) return;
+    job.isRunning = true;
+    const startedAt = Date.now();
+    try {
+        const result = await job.handler();
+        logInfo('Scheduled job completed', {
+            job: job.name,
+            durationMs: Date.now() - startedAt,
+            result
+        });
+    } catch (error) {
+        logError('Scheduled job failed', error, { job: job.name });
+    } finally {
+        job.isRunning = false;
+    }
+};
+
+const startScheduler = () => {
+    if (process.env.DISABLE_SCHEDULER === 'true') {
+        logInfo('Scheduler disabled via DISABLE_SCHEDULER');
+        return;
+    }
+    if (timers.length > 0) return;
+
+    jobs.forEach(job => {
+        const timer = setInterval(() => runJob(job), job.intervalMs);
+        // Do not keep the process alive just for background jobs
+        timer.unref();
+        timers.push(timer);
+        runJob(job);
+    });
+
+    logInfo('Scheduler started', { jobs: jobs.map(job => ({ name: job.name, intervalMs: job.intervalMs })) });
+};
+
+const stopScheduler = () => {
+    timers.forEach(timer => clearInterval(timer));
+    timers.length = 0;
+};
+
+module.exports = {
+    startScheduler,
+    stopScheduler,
+    runJob,
+    jobs
+};
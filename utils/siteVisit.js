@@ -0,0 +1,378 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const SiteVisit = require('../models/siteVisit');
+const leadModal = require('../models/leadModal');
+const LeadActivity = require('../models/leadActivity');
+const Property = require('../models/property');
+const { notifyUser } = require('./notification');
+const jwtConfig = require('../config/jwt');
+const { VISIT_TIMEZONE, toDateKey, toZonedDate, parseVisitTime, releaseVisitSlot } = require('./visitSlots');
+const { recomputeLeadScore } = require('./leadScoring');
+const { getLeadAccessFilter } = require('./leadAccess');
+const { logInfo, logError } = require('./logger');
+
+const { ACTIVE_STATUSES } = SiteVisit;
+
+// Separate secret when configured, so check-in codes can be rotated without logging everyone out
+const CHECKIN_SECRET = process.env.VISIT_CHECKIN_SECRET || jwtConfig.secret;
+// A visit can be checked in from this long before its time until this long after it
+const CHECKIN_EARLY_MINUTES = Math.max(parseInt(process.env.VISIT_CHECKIN_EARLY_MINUTES) || 60, 0);
+const CHECKIN_LATE_MINUTES = Math.max(parseInt(process.env.VISIT_CHECKIN_LATE_MINUTES) || 180, 0);
+// Furthest the RM's phone can be from the property's coordinates
+const CHECKIN_RADIUS_METERS = Math.max(parseInt(process.env.VISIT_CHECKIN_RADIUS_METERS) || 500, 1);
+
+// Statuses an RM / admin can move a visit to; the buyer cancels and reschedules through their own routes
+const RM_VISIT_STATUSES = ['confirmed', 'cancelled_by_rm', 'no_show', 'completed'];
+
+const STATUS_LABELS = {
+    scheduled: 'scheduled',
+    confirmed: 'confirmed',
+    rescheduled: 'rescheduled',
+    cancelled_by_user: 'cancelled by the buyer',
+    cancelled_by_rm: 'cancelled by the RM',
+    no_show: 'marked as no-show',
+    completed: 'marked as completed'
+};
+
+// Where a visit can go from here - closed visits cannot change
+const getAllowedVisitStatuses = (status) => {
+    if (!ACTIVE_STATUSES.includes(status)) return [];
+    const allowed = ['cancelled_by_user', 'cancelled_by_rm', 'no_show', 'completed'];
+    if (status !== 'confirmed') allowed.unshift('confirmed');
+    return allowed;
+};
+
+const formatVisitDateTime = (visit) => {
+    const date = new Date(visit.scheduledAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', timeZone: VISIT_TIMEZONE });
+    return `${date}${visit.visitTime ? ` ${visit.visitTime}` : ''}`;
+};
+
+// Latest upcoming visit of a lead
+const findActiveVisit = (leadId) => SiteVisit.findOne({ leadId, status: { $in: ACTIVE_STATUSES } })
+    .sort({ createdAt: -1 });
+
+// Copy the visit onto the lead so lists and filters do not need a lookup
+const syncLeadVisit = (visit, { set = {}, inc = null } = {}) => {
+    const isActive = ACTIVE_STATUSES.includes(visit.status);
+    return leadModal.updateOne(
+        { _id: visit.leadId },
+        {
+            $set: {
+                visitStatus: visit.status,
+                siteVisit: visit._id,
+                visitSlot: isActive ? visit.visitSlot : null,
+                visitScheduledAt: isActive ? visit.scheduledAt : null,
+                ...set
+            },
+            ...(inc ? { $inc: inc } : {})
+        }
+    );
+};
+
+// Timeline entry for a visit status change - errors are logged, never thrown
+const addVisitActivity = async (visit, { performedBy, performedByName, description, metadata = {} }) => {
+    try {
+        await LeadActivity.create({
+            leadId: visit.leadId,
+            activityType: 'visit',
+            performedBy,
+            performedByName,
+            description,
+            visitDate: visit.scheduledAt,
+            visitTime: visit.visitTime,
+            metadata: {
+                siteVisitId: visit._id.toString(),
+                visitStatus: visit.status,
+                ...metadata
+            }
+        });
+    } catch (error) {
+        logError('Error adding visit activity', error, { siteVisitId: visit._id });
+    }
+};
+
+// Book a visit for a lead. An upcoming visit is moved instead of booking a second one.
+// Returns { visit, isReschedule }.
+const bookSiteVisit = async ({ lead, scheduledAt, visitTime = '', slot = null, source = 'origin', performedBy, performedByName }) => {
+    const existing = await findActiveVisit(lead._id);
+
+    if (existing) {
+        const previousScheduledAt = existing.scheduledAt;
+        existing.scheduledAt = scheduledAt;
+        existing.visitTime = visitTime || '';
+        existing.visitSlot = slot?._id || null;
+        existing.status = 'rescheduled';
+        existing.rescheduledAt = new Date();
+        existing.rescheduleCount += 1;
+        existing.confirmedAt = undefined;
+        // The new time gets its own reminders
+        existing.remindersSent = [];
+        existing.buyerConfirmedAt = null;
+        existing.statusHistory.push({
+            status: 'rescheduled',
+            changedBy: performedBy,
+            changedByName: performedByName,
+            previousScheduledAt
+        });
+        await existing.save();
+        await syncLeadVisit(existing);
+        return { visit: existing, isReschedule: true };
+    }
+
+    const visit = await SiteVisit.create({
+        leadId: lead._id,
+        userId: lead.userId,
+        propertyId: lead.propertyId,
+        relationshipManagerId: lead.assignedTo || lead.relationshipManagerId || null,
+        visitSlot: slot?._id || null,
+        scheduledAt,
+        visitTime: visitTime || '',
+        source: source || 'origin',
+        statusHistory: [{ status: 'scheduled', changedBy: performedBy, changedByName: performedByName }]
+    });
+    await syncLeadVisit(visit);
+    return { visit, isReschedule: false };
+};
+
+// Move a visit along its lifecycle: confirm, cancel, no-show or complete it.
+// Cancelling frees the slot, a no-show is counted on the lead. Returns { visit } or { error, statusCode }.
+const changeVisitStatus = async ({ visitId, status, reason = '', checkIn = null, performedBy, performedByName }) => {
+    const current = await SiteVisit.findById(visitId).select('status scheduledAt').lean();
+    if (!current) return { error: 'Site visit not found', statusCode: 404 };
+
+    const allowed = getAllowedVisitStatuses(current.status);
+    if (!allowed.includes(status)) {
+        return {
+            error: allowed.length
+                ? `A ${current.status} visit can only move to: ${allowed.join(', ')}`
+                : `Visit is already ${current.status} and cannot change`,
+            statusCode: 409
+        };
+    }
+    if (status === 'no_show' && new Date(current.scheduledAt) > new Date()) {
+        return { error: 'A visit can only be marked as no-show after its scheduled time', statusCode: 400 };
+    }
+    if (status === 'cancelled_by_rm' && !String(reason || '').trim()) {
+        return { error: 'reason is required to cancel a buyer\'s visit', statusCode: 400 };
+    }
+
+    const now = new Date();
+    const trimmedReason = String(reason || '').trim();
+    const updates = { status };
+    if (status === 'confirmed') updates.confirmedAt = now;
+    if (status.startsWith('cancelled')) {
+        updates.cancelledAt = now;
+        updates.cancelReason = trimmedReason;
+    }
+    if (status === 'no_show') updates.noShowAt = now;
+    if (status === 'completed') updates.completedAt = now;
+    if (checkIn) updates.checkIn = { ...checkIn, checkedInAt: now, checkedInBy: performedBy };
+    if (['cancelled_by_rm', 'no_show', 'completed'].includes(status)) updates.closedBy = performedBy;
+
+    // Claim the change so two RMs closing the same visit cannot both apply it
+    const visit = await SiteVisit.findOneAndUpdate(
+        { _id: visitId, status: current.status },
+        {
+            $set: updates,
+            $push: { statusHistory: { status, changedAt: now, changedBy: performedBy, changedByName: performedByName, reason: trimmedReason } }
+        },
+        { new: true }
+    );
+    if (!visit) return { error: 'Visit was updated by someone else, please refresh', statusCode: 409 };
+
+    // Past visits keep their place so the slot still shows who was booked
+    if (status.startsWith('cancelled') && visit.visitSlot) {
+        await releaseVisitSlot(visit.visitSlot, visit.userId);
+    }
+    await syncLeadVisit(visit, status === 'no_show' ? { set: { lastNoShowAt: now }, inc: { noShowCount: 1 } } : {});
+
+    await addVisitActivity(visit, {
+        performedBy,
+        performedByName,
+        description: `Site visit on ${formatVisitDateTime(visit)} ${STATUS_LABELS[status]} by ${performedByName}`
+            + (checkIn ? ` via QR check-in${checkIn.distanceMeters !== null ? ` (${checkIn.distanceMeters} m from site)` : ''}` : '')
+            + (trimmedReason ? `: ${trimmedReason}` : ''),
+        metadata: { reason: trimmedReason, ...(checkIn ? { checkIn } : {}) }
+    });
+
+    // Let the buyer know when the RM side changes their visit
+    if (['confirmed', 'cancelled_by_rm'].includes(status)) {
+        try {
+            const property = await Property.findById(visit.propertyId).select('projectName').lean();
+            const projectName = property?.projectName || 'the property';
+            const message = status === 'confirmed'
+                ? `Your site visit to ${projectName} on ${formatVisitDateTime(visit)} is confirmed`
+                : `Your site visit to ${projectName} on ${formatVisitDateTime(visit)} was cancelled: ${trimmedReason}`;
+            await notifyUser({
+                userId: visit.userId,
+                leadId: visit.leadId,
+                propertyId: visit.propertyId,
+                notificationType: 'visit',
+                title: status === 'confirmed' ? 'Site Visit Confirmed' : 'Site Visit Cancelled',
+                message,
+                source: performedByName,
+                metadata: { siteVisitId: visit._id.toString(), visitStatus: status },
+                smsMessage: message
+            });
+        } catch (error) {
+            logError('Error notifying buyer of visit change', error, { siteVisitId: visit._id });
+        }
+    }
+
+    await recomputeLeadScore(visit.leadId);
+
+    logInfo('Site visit status changed', { siteVisitId: visit._id, from: current.status, to: status, performedBy });
+    return { visit };
+};
+
+// ===================== QR CHECK-IN =====================
+
+// Signed together with the visit time, so rescheduling a visit voids codes issued for the old time
+const signCheckIn = (visit) => crypto
+    .createHmac('sha256', CHECKIN_SECRET)
+    .update(`site_visit_checkin:${visit._id}:${new Date(visit.scheduledAt).getTime()}`)
+    .digest('base64url');
+
+// Code shown to the buyer as a QR: "<visitId>.<signature>"
+const createCheckInToken = (visit) => `${visit._id}.${signCheckIn(visit)}`;
+
+const isCheckInTokenValid = (visit, signature) => {
+    const expected = Buffer.from(signCheckIn(visit));
+    const received = Buffer.from(String(signature || ''));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// When the RM can scan the code. Visits booked with a date only can be checked in all that day.
+const getCheckInWindow = (visit) => {
+    const scheduledAt = new Date(visit.scheduledAt);
+    if (!parseVisitTime(visit.visitTime)) {
+        const dayStart = toZonedDate(toDateKey(scheduledAt), '00:00');
+        return { opensAt: dayStart, closesAt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000) };
+    }
+    return {
+        opensAt: new Date(scheduledAt.getTime() - CHECKIN_EARLY_MINUTES * 60 * 1000),
+        closesAt: new Date(scheduledAt.getTime() + CHECKIN_LATE_MINUTES * 60 * 1000)
+    };
+};
+
+// Great-circle distance in metres
+const distanceInMeters = (lat1, lon1, lat2, lon2) => {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return Math.round(6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)));
+};
+
+// RM scanned a buyer's code at the site: check the code, that the scanner may act on the visit, property,
+// time and location, then complete the visit.
+// Returns { visit } or { error, statusCode }.
+const checkInVisit = async ({ token, propertyId, latitude, longitude, user, performedByName, now = new Date() }) => {
+    const [visitId, signature] = String(token || '').split('.');
+    if (!visitId || !signature || !mongoose.Types.ObjectId.isValid(visitId)) {
+        return { error: 'Invalid check-in code', statusCode: 400 };
+    }
+
+    const visit = await SiteVisit.findById(visitId).select('leadId relationshipManagerId propertyId scheduledAt visitTime status').lean();
+    if (!visit) return { error: 'Site visit not found', statusCode: 404 };
+    if (!isCheckInTokenValid(visit, signature)) {
+        return { error: 'This check-in code is no longer valid. Ask the buyer to open the latest pass', statusCode: 400 };
+    }
+    if (!await canManageVisit(visit, user)) {
+        return { error: 'You are not allowed to check in this site visit', statusCode: 403 };
+    }
+
+    const property = await Property.findById(visit.propertyId).select('projectName latitude longitude').lean();
+    if (String(visit.propertyId) !== String(propertyId)) {
+        return { error: `This visit is booked for ${property?.projectName || 'another property'}`, statusCode: 400 };
+    }
+    if (!ACTIVE_STATUSES.includes(visit.status)) {
+        return { error: `Visit is already ${visit.status} and cannot be checked in`, statusCode: 409 };
+    }
+
+    const { opensAt, closesAt } = getCheckInWindow(visit);
+    if (now < opensAt || now > closesAt) {
+        return {
+            error: `Check-in for this visit is open from ${opensAt.toLocaleString('en-IN', { timeZone: VISIT_TIMEZONE })} to ${closesAt.toLocaleString('en-IN', { timeZone: VISIT_TIMEZONE })}`,
+            statusCode: 400
+        };
+    }
+
+    let distanceMeters = null;
+    if (Number.isFinite(property?.latitude) && Number.isFinite(property?.longitude)) {
+        distanceMeters = distanceInMeters(latitude, longitude, property.latitude, property.longitude);
+        if (distanceMeters > CHECKIN_RADIUS_METERS) {
+            return {
+                error: `Check-in location is ${distanceMeters} m from the property, it must be within ${CHECKIN_RADIUS_METERS} m`,
+                statusCode: 400
+            };
+        }
+    }
+
+    return changeVisitStatus({
+        visitId,
+        status: 'completed',
+        checkIn: { latitude, longitude, distanceMeters },
+        performedBy: user.userId,
+        performedByName
+    });
+};
+
+// The visit's RM / agent, whoever works its lead (assigned agent, the property's RM or
+// distribution agents) and admins may act on a visit. Visit needs leadId and relationshipManagerId.
+const canManageVisit = async (visit, user) => {
+    if (visit.relationshipManagerId && String(visit.relationshipManagerId) === String(user.userId)) return true;
+
+    const leadScopes = [{ assignedTo: user.userId }];
+    const accessFilter = await getLeadAccessFilter(user.userId, user.roleName?.toLowerCase());
+    if (accessFilter) leadScopes.push(accessFilter);
+
+    return !!await leadModal.exists({ _id: visit.leadId, $or: leadScopes });
+};
+
+// Helper function to format a visit for API responses
+const formatSiteVisit = (visit) => ({
+    _id: visit._id,
+    leadId: visit.leadId?._id || visit.leadId,
+    status: visit.status,
+    scheduledAt: visit.scheduledAt,
+    visitTime: visit.visitTime || '',
+    visitSlot: visit.visitSlot || null,
+    projectName: visit.propertyId?.projectName,
+    buyer: visit.userId?.name !== undefined
+        ? { id: visit.userId._id, name: visit.userId.name || 'N/A', phoneNumber: visit.userId.phoneNumber || 'N/A' }
+        : undefined,
+    relationshipManager: visit.relationshipManagerId?.name !== undefined
+        ? { id: visit.relationshipManagerId._id, name: visit.relationshipManagerId.name || 'N/A' }
+        : undefined,
+    source: visit.source,
+    confirmedAt: visit.confirmedAt || null,
+    rescheduledAt: visit.rescheduledAt || null,
+    rescheduleCount: visit.rescheduleCount || 0,
+    cancelledAt: visit.cancelledAt || null,
+    cancelReason: visit.cancelReason || '',
+    noShowAt: visit.noShowAt || null,
+    completedAt: visit.completedAt || null,
+    checkIn: visit.checkIn || null,
+    remindersSent: visit.remindersSent || [],
+    buyerConfirmedAt: visit.buyerConfirmedAt || null,
+    allowedStatuses: getAllowedVisitStatuses(visit.status),
+    statusHistory: visit.statusHistory || [],
+    createdAt: visit.createdAt
+});
+
+module.exports = {
+    RM_VISIT_STATUSES,
+    getAllowedVisitStatuses,
+    formatVisitDateTime,
+    findActiveVisit,
+    bookSiteVisit,
+    changeVisitStatus,
+    addVisitActivity,
+    canManageVisit,
+    formatSiteVisit,
+    createCheckInToken,
+    getCheckInWindow,
+    checkInVisit
+};
@@ -62,6 +62,10 @@ const sendOTP = async (phoneNumber, countryCode, otp, type = 'registration') =>
                 messageBody = process.env.TWILIO_LOGIN_MESSAGE ||
                     `Your OTP for Milke Khareedo login is ${otp}. This OTP is valid for 10 minutes. Do not share this OTP with anyone.`;
                 break;
+            case 'co_applicant':
+                messageBody = process.env.TWILIO_CO_APPLICANT_MESSAGE ||
+                    `You have been added as a co-applicant on Milke Khareedo. Share OTP ${otp} with the buyer to confirm. This OTP is valid for 10 minutes.`;
+                break;
             default:
                 messageBody = `Your OTP for Milke Khareedo is ${otp}. This OTP is valid for 10 minutes. Do not share this OTP with anyone.`;
         }
@@ -160,13 +164,107 @@ const sendPasswordSMS = async (phoneNumber, countryCode, password, userName) =>
     }
 };
 
+// Send a plain SMS (group buy updates, reminders, etc.)
+const sendSMS = async (phoneNumber, countryCode, messageBody) => {
+    try {
+        const client = getTwilioClient();
+        if (!client) {
+            throw new Error('Twilio client not initialized');
+        }
+
+        const fromNumber = process.env.TWILIO_PHONE_NUMBER;
+        if (!fromNumber) {
+            throw new Error('TWILIO_PHONE_NUMBER not found in environment variables');
+        }
+
+        const formattedPhone = `${countryCode || '+91'}${phoneNumber}`;
+
+        const message = await client.messages.create({
+            body: messageBody,
+            from: fromNumber,
+            to: formattedPhone
+        });
+
+        logInfo('SMS sent successfully via Twilio', {
+            phoneNumber: formattedPhone,
+            messageSid: message.sid
+        });
+
+        return {
+            success: true,
+            messageSid: message.sid,
+            status: message.status
+        };
+
+    } catch (error) {
+        logError('Error sending SMS via Twilio', error, { phoneNumber, countryCode });
+        return { success: false, error: error.message };
+    }
+};
+
+// Send a WhatsApp message from the business number (TWILIO_WHATSAPP_NUMBER)
+const sendWhatsApp = async (phoneNumber, countryCode, messageBody) => {
+    try {
+        const client = getTwilioClient();
+        if (!client) {
+            throw new Error('Twilio client not initialized');
+        }
+
+        const fromNumber = process.env.TWILIO_WHATSAPP_NUMBER;
+        if (!fromNumber) {
+            throw new Error('TWILIO_WHATSAPP_NUMBER not found in environment variables');
+        }
+
+        const formattedPhone = `${countryCode || '+91'}${phoneNumber}`;
+
+        const message = await client.messages.create({
+            body: messageBody,
+            from: `whatsapp:${fromNumber}`,
+            to: `whatsapp:${formattedPhone}`
+        });
+
+        logInfo('WhatsApp message sent successfully via Twilio', {
+            phoneNumber: formattedPhone,
+            messageSid: message.sid
+        });
+
+        return {
+            success: true,
+            messageSid: message.sid,
+            status: message.status
+        };
+
+    } catch (error) {
+        logError('Error sending WhatsApp message via Twilio', error, { phoneNumber, countryCode });
+        return { success: false, error: error.message };
+    }
+};
+
+// Check the X-Twilio-Signature of an inbound webhook against the URL Twilio called and the posted fields
+const validateWebhookSignature = (signature, url, params) => {
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    if (!authToken || !signature) return false;
+    return twilio.validateRequest(authToken, signature, url, params || {});
+};
+
+// TwiML answer to an inbound SMS / WhatsApp message - Twilio sends the text back on the same channel
+const buildMessagingReply = (messageBody) => {
+    const response = new twilio.twiml.MessagingResponse();
+    if (messageBody) response.message(messageBody);
+    return response.toString();
+};
+
 module.exports = {
     initializeTwilio,
     getTwilioClient,
     generateOTP,
     sendOTP,
     verifyOTP,
-    sendPasswordSMS
+    sendPasswordSMS,
+    sendSMS,
+    sendWhatsApp,
+    validateWebhookSignature,
+    buildMessagingReply
 };
 
 
@@ -0,0 +1,271 @@
+const SiteVisit = require('../models/siteVisit');
+const User = require('../models/user');
+const leadModal = require('../models/leadModal');
+const { sendSMS, sendWhatsApp } = require('./twilio');
+const { notifyUser } = require('./notification');
+const { toDateKey, toZonedDate, parseVisitTime } = require('./visitSlots');
+const { formatVisitDateTime, changeVisitStatus, addVisitActivity } = require('./siteVisit');
+const { logInfo, logError } = require('./logger');
+
+const HOUR = 60 * 60 * 1000;
+const BATCH_SIZE = 200;
+
+// Latest reminder first - when a visit is booked late only the closest one due is sent
+const VISIT_REMINDERS = [
+    { type: '2h', hoursBefore: 2, label: '2-hour' },
+    { type: '24h', hoursBefore: 24, label: '24-hour' }
+];
+
+// Visits booked with a date only are reminded once, the day before, as if they were at this time
+const DATE_ONLY_VISIT_TIME = '10:00';
+
+// {{placeholders}} are filled in per visit, override with VISIT_REMINDER_MESSAGE
+const DEFAULT_REMINDER_TEMPLATE = 'Hi {{buyerName}}, this is a reminder of your site visit to {{projectName}} on {{visitDateTime}}.\n'
+    + 'Address: {{address}}\n'
+    + 'Your relationship manager: {{rmContact}}\n'
+    + 'Reply YES to confirm or CANCEL to cancel the visit.\n'
+    + '- Milke Khareedo Team';
+
+const CONFIRM_REPLIES = ['yes', 'y', 'confirm', 'confirmed', 'ok', '1'];
+const CANCEL_REPLIES = ['no', 'n', 'cancel', 'cancelled', 'stop visit', '2'];
+
+const CHANNEL_LABELS = { sms: 'SMS', whatsapp: 'WhatsApp' };
+
+// SMS always, WhatsApp once a business number is configured. VISIT_REMINDER_CHANNELS=sms limits it.
+const getReminderChannels = () => {
+    const configured = (process.env.VISIT_REMINDER_CHANNELS || 'sms,whatsapp')
+        .split(',')
+        .map(channel => channel.trim().toLowerCase());
+    return Object.keys(CHANNEL_LABELS).filter(channel => configured.includes(channel)
+        && (channel !== 'whatsapp' || !!process.env.TWILIO_WHATSAPP_NUMBER));
+};
+
+// Time the reminders count back from, and which reminders apply to the visit
+const getReminderSchedule = (visit) => {
+    if (parseVisitTime(visit.visitTime)) {
+        return { remindAt: new Date(visit.scheduledAt), reminders: VISIT_REMINDERS };
+    }
+    return {
+        remindAt: toZonedDate(toDateKey(new Date(visit.scheduledAt)), DATE_ONLY_VISIT_TIME),
+        reminders: VISIT_REMINDERS.filter(reminder => reminder.type === '24h')
+    };
+};
+
+const formatPhone = (user) => (user?.phoneNumber ? `${user.countryCode || '+91'}${user.phoneNumber}` : '');
+
+// Visit with userId, propertyId and relationshipManagerId populated
+const buildReminderMessage = (visit) => {
+    const property = visit.propertyId || {};
+    const rm = visit.relationshipManagerId;
+    const values = {
+        buyerName: visit.userId?.name || 'there',
+        projectName: property.projectName || 'the property',
+        visitDateTime: formatVisitDateTime(visit),
+        address: property.location || 'shared by your relationship manager',
+        rmContact: rm?.name ? [rm.name, formatPhone(rm)].filter(Boolean).join(', ') : 'our team will call you before the visit'
+    };
+
+    const template = process.env.VISIT_REMINDER_MESSAGE || DEFAULT_REMINDER_TEMPLATE;
+    return template.replace(/{{(\w+)}}/g, (placeholder, key) => (key in values ? values[key] : placeholder));
+};
+
+// Send one reminder over every channel and put each message on the lead timeline
+const deliverReminder = async (visit, reminder) => {
+    const buyer = visit.userId;
+    const message = buildReminderMessage(visit);
+    const outcome = { sent: 0, failed: 0 };
+
+    for (const channel of getReminderChannels()) {
+        const send = channel === 'whatsapp' ? sendWhatsApp : sendSMS;
+        const result = await send(buyer.phoneNumber, buyer.countryCode, message);
+        outcome[result.success ? 'sent' : 'failed'] += 1;
+
+        await addVisitActivity(visit, {
+            performedBy: buyer._id,
+            performedByName: 'System',
+            description: result.success
+                ? `${reminder.label} visit reminder sent by ${CHANNEL_LABELS[channel]}`
+                : `${reminder.label} visit reminder by ${CHANNEL_LABELS[channel]} failed: ${result.error}`,
+            metadata: {
+                reminder: reminder.type,
+                channel,
+                direction: 'outbound',
+                delivered: !!result.success,
+                messageSid: result.messageSid || null,
+                message
+            }
+        });
+    }
+    return outcome;
+};
+
+// Scheduler job: send the 24h and 2h reminders of upcoming visits that are due
+const sendVisitReminders = async (now = new Date()) => {
+    const result = { checked: 0, reminded: 0, sent: 0, failed: 0 };
+    if (getReminderChannels().length === 0) return result;
+
+    const latestReminderType = VISIT_REMINDERS[0].type;
+    const furthestAhead = Math.max(...VISIT_REMINDERS.map(reminder => reminder.hoursBefore)) * HOUR;
+
+    // Date-only visits are stored at the start of their day, so look back one day as well
+    const visits = await SiteVisit.find({
+        status: { $in: SiteVisit.ACTIVE_STATUSES },
+        scheduledAt: { $gt: new Date(now.getTime() - 24 * HOUR), $lte: new Date(now.getTime() + furthestAhead) },
+        remindersSent: { $ne: latestReminderType }
+    })
+        .populate('userId', 'name phoneNumber countryCode')
+        .populate('propertyId', 'projectName location')
+        .populate('relationshipManagerId', 'name phoneNumber countryCode')
+        .sort({ scheduledAt: 1 })
+        .limit(BATCH_SIZE)
+        .lean();
+
+    for (const visit of visits) {
+        result.checked += 1;
+        try {
+            const { remindAt, reminders } = getReminderSchedule(visit);
+            const timeLeft = remindAt.getTime() - now.getTime();
+            if (timeLeft <= 0 || !visit.userId?.phoneNumber) continue;
+
+            const due = reminders.filter(reminder => timeLeft <= reminder.hoursBefore * HOUR);
+            const reminder = due[0];
+            if (!reminder || (visit.remindersSent || []).includes(reminder.type)) continue;
+
+            // Claim the reminder so a second instance or a slow run cannot send it twice.
+            // Reminders further out that were missed are marked too, they are not sent late.
+            const claimed = await SiteVisit.updateOne(
+                {
+                    _id: visit._id,
+                    status: { $in: SiteVisit.ACTIVE_STATUSES },
+                    scheduledAt: visit.scheduledAt,
+                    remindersSent: { $ne: reminder.type }
+                },
+                {
+                    $addToSet: { remindersSent: { $each: due.map(item => item.type) } },
+                    $set: { lastReminderAt: now }
+                }
+            );
+            if (claimed.modifiedCount === 0) continue;
+
+            const outcome = await deliverReminder(visit, reminder);
+            result.reminded += 1;
+            result.sent += outcome.sent;
+            result.failed += outcome.failed;
+        } catch (error) {
+            logError('Error sending visit reminder', error, { siteVisitId: visit._id });
+        }
+    }
+
+    return result;
+};
+
+// ===================== INBOUND REPLIES =====================
+
+const normalizeReply = (body) => String(body || '').trim().toLowerCase().replace(/[.!]+$/, '');
+
+// Buyer's visit a reply is about: the next reminded upcoming visit of the sender's number
+const findRepliedVisit = async (from, now = new Date()) => {
+    const digits = String(from || '').replace(/^whatsapp:/, '').replace(/\D/g, '');
+    if (digits.length < 10) return null;
+
+    const users = await User.find({ phoneNumber: digits.slice(-10), mergedInto: null }).select('_id name').lean();
+    if (users.length === 0) return null;
+
+    const visit = await SiteVisit.findOne({
+        userId: { $in: users.map(user => user._id) },
+        status: { $in: SiteVisit.ACTIVE_STATUSES },
+        'remindersSent.0': { $exists: true },
+        scheduledAt: { $gt: new Date(now.getTime() - 24 * HOUR) }
+    })
+        .populate('propertyId', 'projectName')
+        .sort({ scheduledAt: 1 })
+        .lean();
+    if (!visit) return null;
+
+    const buyer = users.find(user => String(user._id) === String(visit.userId));
+    return { visit, buyer };
+};
+
+// Let the RM know what the buyer answered - in-app only
+const notifyRmOfReply = (visit, title, message) => {
+    if (!visit.relationshipManagerId) return null;
+    return notifyUser({
+        userId: visit.relationshipManagerId,
+        leadId: visit.leadId,
+        propertyId: visit.propertyId?._id || visit.propertyId,
+        notificationType: 'visit',
+        title,
+        message,
+        metadata: { siteVisitId: visit._id.toString() }
+    });
+};
+
+// Act on a buyer's SMS / WhatsApp answer to a reminder.
+// Returns the text to send back to the buyer.
+const handleReminderReply = async ({ from, body, channel = 'sms' }) => {
+    const match = await findRepliedVisit(from);
+    if (!match) {
+        return 'We could not find an upcoming site visit for this number. Please contact your relationship manager.';
+    }
+
+    const { visit, buyer } = match;
+    const reply = normalizeReply(body);
+    const projectName = visit.propertyId?.projectName || 'the property';
+    const visitDateTime = formatVisitDateTime(visit);
+    const buyerName = buyer?.name || 'Buyer';
+    const metadata = { channel, direction: 'inbound', message: String(body || '').trim() };
+
+    if (CONFIRM_REPLIES.includes(reply)) {
+        const confirmed = await SiteVisit.updateOne(
+            { _id: visit._id, buyerConfirmedAt: null },
+            { $set: { buyerConfirmedAt: new Date() } }
+        );
+        if (confirmed.modifiedCount > 0) {
+            await addVisitActivity(visit, {
+                performedBy: visit.userId,
+                performedByName: buyerName,
+                description: `Buyer confirmed the site visit on ${visitDateTime} by replying to the reminder on ${CHANNEL_LABELS[channel]}`,
+                metadata: { ...metadata, buyerConfirmed: true }
+            });
+            await notifyRmOfReply(visit, 'Buyer confirmed site visit', `${buyerName} confirmed their visit to ${projectName} on ${visitDateTime}`);
+        }
+        logInfo('Visit reminder confirmed by buyer', { siteVisitId: visit._id, channel });
+        return `Thank you! Your site visit to ${projectName} on ${visitDateTime} is confirmed. See you there.`;
+    }
+
+    if (CANCEL_REPLIES.includes(reply)) {
+        const result = await changeVisitStatus({
+            visitId: visit._id,
+            status: 'cancelled_by_user',
+            reason: `Replied "${metadata.message}" to the reminder on ${CHANNEL_LABELS[channel]}`,
+            performedBy: visit.userId,
+            performedByName: buyerName
+        });
+        if (result.error) {
+            return `We could not cancel your site visit to ${projectName}. Please contact your relationship manager.`;
+        }
+
+        // scheduleDate is shared with follow-ups, only clear it when it held this visit
+        await leadModal.updateOne({ _id: visit.leadId, scheduleDate: visit.scheduledAt }, { scheduleDate: null });
+        await notifyRmOfReply(visit, 'Buyer cancelled site visit', `${buyerName} cancelled their visit to ${projectName} on ${visitDateTime} by replying to the reminder`);
+        logInfo('Visit cancelled from reminder reply', { siteVisitId: visit._id, channel });
+        return `Your site visit to ${projectName} on ${visitDateTime} has been cancelled. You can book a new visit any time on Milke Khareedo.`;
+    }
+
+    // Anything else is kept on the timeline for the RM to follow up
+    await addVisitActivity(visit, {
+        performedBy: visit.userId,
+        performedByName: buyerName,
+        description: `Buyer replied to the visit reminder on ${CHANNEL_LABELS[channel]}: "${metadata.message}"`,
+        metadata
+    });
+    await notifyRmOfReply(visit, 'Buyer replied to visit reminder', `${buyerName} replied "${metadata.message}" about their visit to ${projectName}`);
+    return 'Reply YES to confirm or CANCEL to cancel your site visit. Your relationship manager will also get in touch.';
+};
+
+module.exports = {
+    VISIT_REMINDERS,
+    buildReminderMessage,
+    sendVisitReminders,
+    handleReminderReply
+};
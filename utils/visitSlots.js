@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const VisitSlot = require('../models/visitSlot');
+const { logError } = require('./logger');
+
+// Visit days, slot times and blackout dates are entered in local site time
+const VISIT_TIMEZONE = process.env.VISIT_TIMEZONE || 'Asia/Kolkata';
+const MAX_LISTED_DAYS = 31;
+
+const DAY = 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Year, month, day, hour and minute of a date in the visit timezone
+const getZonedParts = (date) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: VISIT_TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const part = (type) => Number(parts.find(p => p.type === type)?.value);
+    return { year: part('year'), month: part('month'), day: part('day'), hour: part('hour'), minute: part('minute') };
+};
+
+// Local "YYYY-MM-DD" of a date
+const toDateKey = (date) => {
+    const { year, month, day } = getZonedParts(date);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+const addDays = (dateKey, days) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+const getWeekday = (dateKey) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+// Instant of a local date and "HH:mm" in the visit timezone
+const toZonedDate = (dateKey, time) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const zoned = getZonedParts(new Date(guess));
+    const offset = Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute) - guess;
+    return new Date(guess - offset);
+};
+
+// "YYYY-MM-DD" as given, anything else parsed and read in the visit timezone
+const parseVisitDateKey = (value) => {
+    if (!value) return null;
+    if (typeof value === 'string' && DATE_KEY_PATTERN.test(value)) {
+        return isNaN(new Date(`${value}T00:00:00Z`).getTime()) ? null : value;
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : toDateKey(date);
+};
+
+// Accepts "14:30", "2:30 PM" or "11 AM" and returns "HH:mm"
+const parseVisitTime = (value) => {
+    const match = String(value || '').trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+    if (!match) return null;
+
+    let hour = Number(match[1]);
+    const minute = Number(match[2] || 0);
+    const meridiem = match[3]?.toLowerCase();
+    if (!match[2] && !meridiem) return null;
+    if (meridiem) {
+        if (hour < 1 || hour > 12) return null;
+        hour = (hour % 12) + (meridiem === 'pm' ? 12 : 0);
+    }
+
+    const time = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+    return TIME_PATTERN.test(time) ? time : null;
+};
+
+// Availability of a property that takes slot bookings, null when visits are free-text
+const getVisitAvailability = (property) => {
+    const availability = property?.visitAvailability;
+    if (!availability?.isEnabled || !availability.days?.length || !availability.slots?.length) return null;
+    return {
+        days: availability.days,
+        slots: [...availability.slots].sort((a, b) => a.start.localeCompare(b.start)),
+        capacity: availability.capacity || 1,
+        blackoutDates: availability.blackoutDates || [],
+        bookingWindowDays: availability.bookingWindowDays || 30,
+        minNoticeHours: availability.minNoticeHours ?? 2
+    };
+};
+
+// Slots offered on a local date - none on blackout dates and days without visits
+const getSlotsForDate = (availability, dateKey) => {
+    if (availability.blackoutDates.includes(dateKey)) return [];
+    if (!availability.days.includes(getWeekday(dateKey))) return [];
+    return availability.slots.map(slot => ({
+        date: dateKey,
+        start: slot.start,
+        end: slot.end,
+        startsAt: toZonedDate(dateKey, slot.start),
+        endsAt: toZonedDate(dateKey, slot.end)
+    }));
+};
+
+// Earliest and latest instant a slot can start at to be bookable now
+const getBookableRange = (availability, now = new Date()) => ({
+    earliest: new Date(now.getTime() + availability.minNoticeHours * 60 * 60 * 1000),
+    latest: new Date(now.getTime() + availability.bookingWindowDays * DAY)
+});
+
+// Match a requested date and time to one of the property's slots.
+// Returns { slot } or { error, statusCode }.
+const resolveVisitSlot = (property, visitDate, visitTime, now = new Date()) => {
+    const availability = getVisitAvailability(property);
+    if (!availability) return { error: 'Site visit slots are not enabled for this property', statusCode: 400 };
+
+    const dateKey = parseVisitDateKey(visitDate);
+    if (!dateKey) return { error: 'Invalid visitDate format. Use YYYY-MM-DD format', statusCode: 400 };
+
+    const time = parseVisitTime(visitTime);
+    if (!time) return { error: 'Invalid visitTime. Use the slot start time, e.g. 11:00', statusCode: 400 };
+
+    const slots = getSlotsForDate(availability, dateKey);
+    if (slots.length === 0) return { error: 'Site visits are not available on this date', statusCode: 400 };
+
+    const slot = slots.find(s => s.start === time);
+    if (!slot) {
+        return {
+            error: `No visit slot starts at ${time} on this date. Available slots: ${slots.map(s => `${s.start}-${s.end}`).join(', ')}`,
+            statusCode: 400
+        };
+    }
+
+    const { earliest, latest } = getBookableRange(availability, now);
+    if (slot.startsAt < earliest) {
+        return { error: `Visit slots must be booked at least ${availability.minNoticeHours} hour(s) in advance`, statusCode: 400 };
+    }
+    if (slot.startsAt > latest) {
+        return { error: `Visit slots can only be booked up to ${availability.bookingWindowDays} days ahead`, statusCode: 400 };
+    }
+
+    return { slot, capacity: availability.capacity };
+};
+
+// Bookable slots of a property between two local dates with the places left in each
+const listOpenSlots = async (property, fromDate, toDate, now = new Date()) => {
+    const availability = getVisitAvailability(property);
+    if (!availability) return null;
+
+    const { earliest, latest } = getBookableRange(availability, now);
+    const fromKey = parseVisitDateKey(fromDate) || toDateKey(now);
+    const lastBookableKey = toDateKey(latest);
+    let toKey = parseVisitDateKey(toDate) || addDays(fromKey, 6);
+    if (toKey > lastBookableKey) toKey = lastBookableKey;
+    if (toKey > addDays(fromKey, MAX_LISTED_DAYS - 1)) toKey = addDays(fromKey, MAX_LISTED_DAYS - 1);
+
+    const days = [];
+    for (let dateKey = fromKey; dateKey <= toKey; dateKey = addDays(dateKey, 1)) {
+        const slots = getSlotsForDate(availability, dateKey)
+            .filter(slot => slot.startsAt >= earliest && slot.startsAt <= latest);
+        if (slots.length > 0) days.push({ date: dateKey, day: getWeekday(dateKey), slots });
+    }
+    if (days.length === 0) return [];
+
+    const booked = await VisitSlot.find({
+        propertyId: property._id,
+        startsAt: { $gte: days[0].slots[0].startsAt, $lte: days[days.length - 1].slots.slice(-1)[0].startsAt }
+    }).select('startsAt bookedCount').lean();
+    const bookedByStart = new Map(booked.map(slot => [slot.startsAt.getTime(), slot.bookedCount]));
+
+    return days.map(day => ({
+        ...day,
+        slots: day.slots.map(slot => {
+            const bookedCount = bookedByStart.get(slot.startsAt.getTime()) || 0;
+            const available = Math.max(availability.capacity - bookedCount, 0);
+            return { ...slot, capacity: availability.capacity, booked: bookedCount, available, isOpen: available > 0 };
+        })
+    }));
+};
+
+// Give back a buyer's place in a slot - errors are logged, never thrown
+const releaseVisitSlot = async (slotId, userId) => {
+    if (!slotId) return false;
+    try {
+        const result = await VisitSlot.updateOne(
+            { _id: slotId, userIds: userId },
+            { $inc: { bookedCount: -1 }, $pull: { userIds: userId } }
+        );
+        return result.modifiedCount > 0;
+    } catch (error) {
+        logError('Error releasing visit slot', error, { slotId, userId });
+        return false;
+    }
+};
+
+// Take a place in the requested slot without going over the property's capacity, then give back
+// the slot the buyer held before (reschedule). Properties without slots book nothing: { slot: null }.
+// Returns { slot } or { error, statusCode }.
+const reserveVisitSlot = async ({ property, userId, visitDate, visitTime, currentSlotId = null }) => {
+    if (!getVisitAvailability(property)) return { slot: null };
+
+    const resolved = resolveVisitSlot(property, visitDate, visitTime);
+    if (resolved.error) return resolved;
+    const { slot, capacity } = resolved;
+    const userObjectId = new mongoose.Types.ObjectId(String(userId));
+
+    try {
+        await VisitSlot.updateOne(
+            { propertyId: property._id, startsAt: slot.startsAt },
+            { $setOnInsert: { endsAt: slot.endsAt, date: slot.date, start: slot.start, end: slot.end, bookedCount: 0, userIds: [] } },
+            { upsert: true }
+        );
+    } catch (error) {
+        // Another booking created the slot first
+        if (error.code !== 11000) throw error;
+    }
+
+    let booked = await VisitSlot.findOneAndUpdate(
+        {
+            propertyId: property._id,
+            startsAt: slot.startsAt,
+            userIds: { $ne: userObjectId },
+            bookedCount: { $lt: capacity }
+        },
+        { $inc: { bookedCount: 1 }, $push: { userIds: userObjectId } },
+        { new: true }
+    ).lean();
+
+    if (!booked) {
+        // Booking the slot the buyer already holds is not an overbooking
+        booked = await VisitSlot.findOne({ propertyId: property._id, startsAt: slot.startsAt, userIds: userObjectId }).lean();
+        if (!booked) {
+            return { error: 'This visit slot is fully booked. Please pick another time', statusCode: 409 };
+        }
+    }
+
+    if (currentSlotId && String(currentSlotId) !== String(booked._id)) {
+        await releaseVisitSlot(currentSlotId, userObjectId);
+    }
+    return { slot: booked };
+};
+
+module.exports = {
+    VISIT_TIMEZONE,
+    TIME_PATTERN,
+    DATE_KEY_PATTERN,
+    toDateKey,
+    toZonedDate,
+    parseVisitTime,
+    getVisitAvailability,
+    resolveVisitSlot,
+    listOpenSlots,
+    reserveVisitSlot,
+    releaseVisitSlot
+};